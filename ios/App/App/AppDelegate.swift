@@ -51,6 +51,8 @@ class AppDelegate: UIResponder, UIApplicationDelegate, UNUserNotificationCenterD
         _ = BulkDownloadPlugin.self // TODO: Add to Xcode project
         _ = FCMTokenPlugin.self
         _ = PerformanceMonitorPlugin.self
+        _ = PhotoAnalysisPlugin.self
+        _ = FileSharePlugin.self
         print("✅ Custom plugin classes loaded for packageClassList discovery")
         
         // Mark plugins registered
@@ -0,0 +1,73 @@
+import Foundation
+import Capacitor
+import UIKit
+
+/**
+ * File Share Plugin
+ * Presents the share sheet for files the web side saved with Capacitor
+ * Filesystem - e.g. batch processing reports organizers send to support.
+ * Files are passed as file:// URIs (Filesystem.writeFile's `uri`).
+ */
+
+@objc(FileSharePlugin)
+public class FileSharePlugin: CAPPlugin, CAPBridgedPlugin {
+    public let identifier = "FileSharePlugin"
+    public let jsName = "FileShare"
+    public let pluginMethods: [CAPPluginMethod] = [
+        CAPPluginMethod(name: "shareFiles", returnType: CAPPluginReturnPromise)
+    ]
+
+    override public func load() {
+        super.load()
+        NSLog("📤 FileSharePlugin loaded successfully!")
+    }
+
+    @objc func shareFiles(_ call: CAPPluginCall) {
+        guard let uris = call.getArray("files", String.self), !uris.isEmpty else {
+            call.reject("Pass the files to share", "MISSING_FILES")
+            return
+        }
+
+        let urls = uris.compactMap { uri -> URL? in
+            uri.hasPrefix("file://") ? URL(string: uri) : URL(fileURLWithPath: uri)
+        }
+        let missing = urls.filter { !FileManager.default.fileExists(atPath: $0.path) }
+        guard missing.isEmpty, urls.count == uris.count else {
+            call.reject("File not found: \(missing.first?.path ?? uris.joined(separator: ", "))", "NOT_FOUND")
+            return
+        }
+
+        DispatchQueue.main.async { [weak self] in
+            guard let viewController = self?.bridge?.viewController else {
+                call.reject("No view controller to present from", "UNAVAILABLE")
+                return
+            }
+
+            let activityViewController = UIActivityViewController(activityItems: urls, applicationActivities: nil)
+            if let subject = call.getString("title") {
+                activityViewController.setValue(subject, forKey: "subject")
+            }
+
+            // Configure for iPad
+            if let popover = activityViewController.popoverPresentationController {
+                popover.sourceView = viewController.view
+                popover.sourceRect = CGRect(x: viewController.view.bounds.midX, y: viewController.view.bounds.midY, width: 0, height: 0)
+                popover.permittedArrowDirections = []
+            }
+
+            activityViewController.completionWithItemsHandler = { activityType, completed, _, error in
+                if let error = error {
+                    call.reject("Sharing failed: \(error.localizedDescription)", "SHARE_FAILED")
+                    return
+                }
+                NSLog("📤 FileShare: \(completed ? "shared via \(activityType?.rawValue ?? "unknown")" : "cancelled")")
+                call.resolve([
+                    "completed": completed,
+                    "activityType": activityType?.rawValue ?? NSNull()
+                ])
+            }
+
+            viewController.present(activityViewController, animated: true)
+        }
+    }
+}
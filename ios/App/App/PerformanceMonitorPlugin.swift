@@ -10,7 +10,8 @@ public class PerformanceMonitorPlugin: CAPPlugin, CAPBridgedPlugin {
         CAPPluginMethod(name: "getMetrics", returnType: CAPPluginReturnPromise),
         CAPPluginMethod(name: "mark", returnType: CAPPluginReturnPromise),
         CAPPluginMethod(name: "clearMetrics", returnType: CAPPluginReturnPromise),
-        CAPPluginMethod(name: "startMonitoring", returnType: CAPPluginReturnPromise)
+        CAPPluginMethod(name: "startMonitoring", returnType: CAPPluginReturnPromise),
+        CAPPluginMethod(name: "getDeviceConditions", returnType: CAPPluginReturnPromise)
     ]
     
     // Static timestamps that can be set from AppDelegate
@@ -31,6 +32,16 @@ public class PerformanceMonitorPlugin: CAPPlugin, CAPBridgedPlugin {
         
         // Inject performance monitoring JavaScript
         injectPerformanceMonitoring()
+        
+        // Tell the web side when it should do less (BatchPhotoProcessingService throttles on these)
+        let center = NotificationCenter.default
+        center.addObserver(self, selector: #selector(deviceConditionsChanged(_:)), name: ProcessInfo.thermalStateDidChangeNotification, object: nil)
+        center.addObserver(self, selector: #selector(deviceConditionsChanged(_:)), name: .NSProcessInfoPowerStateDidChange, object: nil)
+        center.addObserver(self, selector: #selector(deviceConditionsChanged(_:)), name: UIApplication.didReceiveMemoryWarningNotification, object: nil)
+    }
+    
+    deinit {
+        NotificationCenter.default.removeObserver(self)
     }
     
     @objc func getMetrics(_ call: CAPPluginCall) {
@@ -162,6 +173,36 @@ public class PerformanceMonitorPlugin: CAPPlugin, CAPBridgedPlugin {
         call.resolve()
     }
     
+    // MARK: - Device Conditions
+    
+    @objc func getDeviceConditions(_ call: CAPPluginCall) {
+        call.resolve(deviceConditions(memoryWarning: false))
+    }
+    
+    @objc private func deviceConditionsChanged(_ notification: Notification) {
+        let memoryWarning = notification.name == UIApplication.didReceiveMemoryWarningNotification
+        let conditions = deviceConditions(memoryWarning: memoryWarning)
+        print("📊 Device conditions changed: \(conditions)")
+        notifyListeners("deviceConditionsChange", data: conditions)
+    }
+    
+    private func deviceConditions(memoryWarning: Bool) -> [String: Any] {
+        let thermalState: String
+        switch ProcessInfo.processInfo.thermalState {
+        case .nominal: thermalState = "nominal"
+        case .fair: thermalState = "fair"
+        case .serious: thermalState = "serious"
+        case .critical: thermalState = "critical"
+        @unknown default: thermalState = "nominal"
+        }
+        
+        return [
+            "thermalState": thermalState,
+            "lowPowerMode": ProcessInfo.processInfo.isLowPowerModeEnabled,
+            "memoryWarning": memoryWarning
+        ]
+    }
+    
     private func injectPerformanceMonitoring() {
         DispatchQueue.main.async { [weak self] in
             let script = """
@@ -0,0 +1,250 @@
+import Foundation
+import Capacitor
+import Photos
+import Vision
+
+/**
+ * Photo Analysis Plugin
+ * On-device face detection and scene classification with the Vision framework.
+ * Implements the PhotoAnalysis contract in www/photoAnalysisPlugin.js: photos
+ * are passed as { identifier } (Photos library), { path } or { base64 }, and
+ * bounding boxes are returned in fractions of the image with a top-left origin.
+ */
+
+@objc(PhotoAnalysisPlugin)
+public class PhotoAnalysisPlugin: CAPPlugin, CAPBridgedPlugin {
+    public let identifier = "PhotoAnalysisPlugin"
+    public let jsName = "PhotoAnalysis"
+    public let pluginMethods: [CAPPluginMethod] = [
+        CAPPluginMethod(name: "isAvailable", returnType: CAPPluginReturnPromise),
+        CAPPluginMethod(name: "detectFaces", returnType: CAPPluginReturnPromise),
+        CAPPluginMethod(name: "classifyScene", returnType: CAPPluginReturnPromise)
+    ]
+
+    private let analysisQueue = DispatchQueue(label: "com.photoshare.photoanalysis", qos: .userInitiated)
+
+    override public func load() {
+        super.load()
+        NSLog("🔍 PhotoAnalysisPlugin loaded successfully!")
+    }
+
+    // MARK: - Capabilities
+
+    @objc func isAvailable(_ call: CAPPluginCall) {
+        var classification = false
+        if #available(iOS 13.0, *) {
+            classification = true
+        }
+
+        call.resolve([
+            "available": true,
+            "faceDetection": true,
+            "sceneClassification": classification,
+            "textRecognition": classification,
+            "engine": "vision"
+        ])
+    }
+
+    // MARK: - Face Detection
+
+    @objc func detectFaces(_ call: CAPPluginCall) {
+        let maxFaces = call.getInt("maxFaces") ?? 20
+
+        loadImage(call) { [weak self] result in
+            guard let self = self else { return }
+
+            switch result {
+            case .failure(let error):
+                call.reject(error.localizedDescription, "LOAD_FAILED")
+            case .success(let image):
+                self.analysisQueue.async {
+                    do {
+                        let rectangles = VNDetectFaceRectanglesRequest()
+                        let handler = VNImageRequestHandler(cgImage: image.cgImage, orientation: image.orientation, options: [:])
+                        try handler.perform([rectangles])
+                        let observations = Array((rectangles.results ?? [])
+                            .sorted { $0.boundingBox.width * $0.boundingBox.height > $1.boundingBox.width * $1.boundingBox.height }
+                            .prefix(maxFaces))
+
+                        // Capture quality scores the same faces (iOS 13+)
+                        var qualities: [UUID: Float] = [:]
+                        if #available(iOS 13.0, *), !observations.isEmpty {
+                            let quality = VNDetectFaceCaptureQualityRequest()
+                            quality.inputFaceObservations = observations
+                            try handler.perform([quality])
+                            for face in quality.results ?? [] {
+                                if let score = face.faceCaptureQuality {
+                                    qualities[face.uuid] = score
+                                }
+                            }
+                        }
+
+                        let faces: [[String: Any]] = observations.map { face in
+                            [
+                                "boundingBox": self.topLeftBox(face.boundingBox),
+                                "confidence": face.confidence,
+                                "captureQuality": qualities[face.uuid].map { $0 as Any } ?? NSNull(),
+                                "roll": face.roll.map { $0.doubleValue as Any } ?? NSNull(),
+                                "yaw": face.yaw.map { $0.doubleValue as Any } ?? NSNull()
+                            ]
+                        }
+
+                        NSLog("🔍 PhotoAnalysis: \(faces.count) faces")
+                        call.resolve([
+                            "faces": faces,
+                            "imageSize": ["width": image.width, "height": image.height]
+                        ])
+                    } catch {
+                        call.reject("Face detection failed: \(error.localizedDescription)", "ANALYSIS_FAILED")
+                    }
+                }
+            }
+        }
+    }
+
+    // MARK: - Scene Classification
+
+    @objc func classifyScene(_ call: CAPPluginCall) {
+        guard #available(iOS 13.0, *) else {
+            call.unavailable("Scene classification needs iOS 13")
+            return
+        }
+
+        let maxLabels = call.getInt("maxLabels") ?? 10
+        let minConfidence = call.getFloat("minConfidence") ?? 0.1
+        let recognizeText = call.getBool("recognizeText") ?? false
+
+        loadImage(call) { [weak self] result in
+            guard let self = self else { return }
+
+            switch result {
+            case .failure(let error):
+                call.reject(error.localizedDescription, "LOAD_FAILED")
+            case .success(let image):
+                self.analysisQueue.async {
+                    do {
+                        let classify = VNClassifyImageRequest()
+                        let text = VNRecognizeTextRequest()
+                        text.recognitionLevel = .fast
+
+                        let handler = VNImageRequestHandler(cgImage: image.cgImage, orientation: image.orientation, options: [:])
+                        try handler.perform(recognizeText ? [classify, text] : [classify])
+
+                        let labels: [[String: Any]] = (classify.results ?? [])
+                            .filter { $0.confidence >= minConfidence }
+                            .sorted { $0.confidence > $1.confidence }
+                            .prefix(maxLabels)
+                            .map { ["identifier": $0.identifier, "confidence": $0.confidence] }
+
+                        let textRegions: [[String: Any]] = recognizeText ? (text.results ?? []).compactMap { observation in
+                            guard let candidate = observation.topCandidates(1).first else { return nil }
+                            return ["text": candidate.string, "confidence": candidate.confidence]
+                        } : []
+
+                        NSLog("🔍 PhotoAnalysis: \(labels.count) scene labels")
+                        call.resolve(["labels": labels, "textRegions": textRegions])
+                    } catch {
+                        call.reject("Scene classification failed: \(error.localizedDescription)", "ANALYSIS_FAILED")
+                    }
+                }
+            }
+        }
+    }
+
+    // MARK: - Image Loading
+
+    private struct LoadedImage {
+        let cgImage: CGImage
+        let orientation: CGImagePropertyOrientation
+        let width: Int
+        let height: Int
+    }
+
+    private enum LoadError: LocalizedError {
+        case missingSource
+        case notFound(String)
+        case unreadable
+
+        var errorDescription: String? {
+            switch self {
+            case .missingSource: return "Pass identifier, path or base64"
+            case .notFound(let source): return "Photo not found: \(source)"
+            case .unreadable: return "Photo could not be decoded"
+            }
+        }
+    }
+
+    private func loadImage(_ call: CAPPluginCall, completion: @escaping (Result<LoadedImage, Error>) -> Void) {
+        if let identifier = call.getString("identifier") {
+            guard let asset = PHAsset.fetchAssets(withLocalIdentifiers: [identifier], options: nil).firstObject else {
+                completion(.failure(LoadError.notFound(identifier)))
+                return
+            }
+            let options = PHImageRequestOptions()
+            options.isNetworkAccessAllowed = true
+            options.deliveryMode = .highQualityFormat
+            PHImageManager.default().requestImageDataAndOrientation(for: asset, options: options) { data, _, orientation, _ in
+                completion(self.decode(data, orientation: orientation))
+            }
+            return
+        }
+
+        if let path = call.getString("path") {
+            let url = path.hasPrefix("file://") ? URL(string: path) : URL(fileURLWithPath: path)
+            guard let fileURL = url, let data = try? Data(contentsOf: fileURL) else {
+                completion(.failure(LoadError.notFound(path)))
+                return
+            }
+            completion(decode(data, orientation: nil))
+            return
+        }
+
+        if let base64 = call.getString("base64") {
+            completion(decode(Data(base64Encoded: base64, options: .ignoreUnknownCharacters), orientation: nil))
+            return
+        }
+
+        completion(.failure(LoadError.missingSource))
+    }
+
+    /**
+     * Decode without applying EXIF orientation - Vision is told the orientation,
+     * and reports boxes relative to the upright image
+     */
+    private func decode(_ data: Data?, orientation: CGImagePropertyOrientation?) -> Result<LoadedImage, Error> {
+        guard let data = data,
+              let source = CGImageSourceCreateWithData(data as CFData, nil),
+              let cgImage = CGImageSourceCreateImageAtIndex(source, 0, nil) else {
+            return .failure(LoadError.unreadable)
+        }
+
+        var imageOrientation = orientation ?? .up
+        if orientation == nil,
+           let properties = CGImageSourceCopyPropertiesAtIndex(source, 0, nil) as? [CFString: Any],
+           let value = properties[kCGImagePropertyOrientation] as? UInt32,
+           let exifOrientation = CGImagePropertyOrientation(rawValue: value) {
+            imageOrientation = exifOrientation
+        }
+
+        // Upright dimensions, as the JS side sees the photo
+        let rotated = [.left, .leftMirrored, .right, .rightMirrored].contains(imageOrientation)
+        return .success(LoadedImage(
+            cgImage: cgImage,
+            orientation: imageOrientation,
+            width: rotated ? cgImage.height : cgImage.width,
+            height: rotated ? cgImage.width : cgImage.height
+        ))
+    }
+
+    /**
+     * Vision boxes are normalized with a bottom-left origin
+     */
+    private func topLeftBox(_ box: CGRect) -> [String: Double] {
+        return [
+            "x": Double(box.minX),
+            "y": Double(1 - box.maxY),
+            "width": Double(box.width),
+            "height": Double(box.height)
+        ]
+    }
+}
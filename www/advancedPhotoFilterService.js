@@ -1,18 +1,32 @@
 import { Capacitor } from '@capacitor/core';
-import { Device } from '@capacitor/device';
 import { showToast } from './cameraPermissions.js';
+import { imageWorkerPool } from './workerPool.js';
+import { assessImageQuality, DEFAULT_QUALITY_THRESHOLDS, DEFAULT_QUALITY_WEIGHTS } from './imageQuality.js';
+import { PhotoAnalysis, SCENE_CATEGORIES } from './photoAnalysisPlugin.js';
+import { REFERENCE_ANALYSIS_SIZE } from './visionReference.js';
+import { filteringProfiles, sceneHasLabel } from './filteringProfiles.js';
+import { createDecisionReason } from './photoDecisionLog.js';
+import { trackDecodedImage } from './decodedImageMemory.js';
 
 /**
  * AdvancedPhotoFilterService - AI-powered photo filtering with face detection and scene analysis
- * Integrates with iOS Vision framework for advanced photo analysis
+ * Faces and scenes come from the PhotoAnalysis plugin (photoAnalysisPlugin.js):
+ * the iOS Vision framework natively, else the pure-JS reference implementation
+ * on the image worker pool. setAnalysisPlugin() swaps in a mock for tests.
+ * What counts as relevant to an event comes from its filtering profile
+ * (filteringProfiles.js).
  */
 export class AdvancedPhotoFilterService {
   constructor() {
     this.isInitialized = false;
     this.visionFrameworkAvailable = false;
+    this.analysisPlugin = null; // Native or injected PhotoAnalysis plugin; null runs the reference implementation
+    this.analysisEngine = 'reference';
     this.filteringActive = false;
     this.analysisCache = new Map();
     this.filterStats = new Map();
+    this.workerCanDecode = true; // Cleared when workers lack OffscreenCanvas
+    this.profiles = filteringProfiles; // Event filtering profiles
     
     // Filtering configuration
     this.config = {
@@ -45,6 +59,14 @@ export class AdvancedPhotoFilterService {
         inappropriateContent: false // Disabled for privacy
       },
       
+      // Image quality measurement (imageQuality.js) - thresholds apply at analysisSize
+      quality: {
+        analysisSize: 512, // Long edge the photo is measured at
+        thresholds: { ...DEFAULT_QUALITY_THRESHOLDS },
+        weights: { ...DEFAULT_QUALITY_WEIGHTS },
+        rejectOn: ['blur', 'underexposed', 'overexposed'] // Issues that make a shot unusable
+      },
+      
       // Performance settings
       performance: {
         useMLCompute: true,
@@ -52,32 +74,6 @@ export class AdvancedPhotoFilterService {
         cacheDuration: 24 * 60 * 60 * 1000, // 24 hours
         parallelProcessing: true,
         maxConcurrent: 3
-      },
-      
-      // Event-specific filtering
-      eventFiltering: {
-        peopleEvents: {
-          preferFaces: true,
-          minFaces: 1,
-          groupPhotos: true,
-          socialScenes: true
-        },
-        landscapeEvents: {
-          preferScenery: true,
-          minFaces: 0,
-          outdoorScenes: true,
-          naturalLandmarks: true
-        },
-        foodEvents: {
-          foodDetection: true,
-          tableScenes: true,
-          closeupShots: true
-        },
-        partyEvents: {
-          groupPhotos: true,
-          nightScenes: true,
-          celebrationScenes: true
-        }
       }
     };
     
@@ -91,19 +87,22 @@ export class AdvancedPhotoFilterService {
     try {
       console.log('🔄 Initializing AdvancedPhotoFilterService...');
       
-      // Platform check
-      const deviceInfo = await Device.getInfo();
-      if (!Capacitor.isNativePlatform() || deviceInfo.platform !== 'ios') {
-        console.log('❌ Advanced photo filtering only available on iOS');
-        return false;
+      // Use the native Vision plugin where it is installed
+      if (!this.analysisPlugin && Capacitor.isNativePlatform()) {
+        try {
+          const availability = await PhotoAnalysis.isAvailable();
+          if (availability.available) {
+            this.analysisPlugin = PhotoAnalysis;
+            this.analysisEngine = availability.engine || 'vision';
+          }
+        } catch (error) {
+          console.log('⚠️ PhotoAnalysis plugin not installed:', error.message);
+        }
       }
-
-      // Check iOS version for Vision framework support
-      const iosVersion = this.parseIOSVersion(deviceInfo.osVersion);
-      this.visionFrameworkAvailable = iosVersion >= 11; // Vision framework available iOS 11+
       
-      if (!this.visionFrameworkAvailable) {
-        console.log('⚠️ Vision framework not available, using basic filtering');
+      this.visionFrameworkAvailable = this.analysisEngine === 'vision';
+      if (!this.analysisPlugin) {
+        console.log('⚠️ Vision framework not available, using reference face and scene analysis');
       }
 
       // Initialize filtering statistics
@@ -120,6 +119,33 @@ export class AdvancedPhotoFilterService {
     }
   }
 
+  /**
+   * Use a PhotoAnalysis implementation other than the native one, e.g.
+   * MockPhotoAnalysis for tests. null goes back to the reference implementation.
+   */
+  setAnalysisPlugin(plugin, engine = 'mock') {
+    this.analysisPlugin = plugin;
+    this.analysisEngine = plugin ? engine : 'reference';
+    this.visionFrameworkAvailable = this.analysisEngine === 'vision';
+    this.clearCache();
+  }
+
+  /**
+   * The filtering profile that applies to an event context
+   */
+  async getFilteringProfile(eventContext) {
+    return await this.profiles.loadForEvent(eventContext || {});
+  }
+
+  /**
+   * Save an organizer's edit to an event's filtering profile (see FilteringProfileStore.updateEventProfile)
+   */
+  async updateEventFilteringProfile(eventId, changes, options = {}) {
+    const profile = await this.profiles.updateEventProfile(eventId, changes, options);
+    this.clearCache();
+    return profile;
+  }
+
   /**
    * Initialize filter statistics tracking
    */
@@ -144,8 +170,11 @@ export class AdvancedPhotoFilterService {
       const startTime = performance.now();
       console.log(`🔍 Analyzing photo: ${photoData.filename}`);
       
+      // The event's profile decides relevance, so it is part of the cache key
+      const profile = eventContext ? await this.profiles.loadForEvent(eventContext) : null;
+      
       // Check cache first
-      const cacheKey = this.generateCacheKey(photoData);
+      const cacheKey = this.generateCacheKey(photoData, profile);
       if (this.analysisCache.has(cacheKey)) {
         console.log('💾 Using cached analysis result');
         return this.analysisCache.get(cacheKey);
@@ -192,7 +221,7 @@ export class AdvancedPhotoFilterService {
       
       // Apply event-specific filtering
       if (eventContext) {
-        this.applyEventFiltering(analysisResult, eventContext);
+        this.applyEventFiltering(analysisResult, eventContext, profile);
       }
 
       // Calculate overall confidence and filtering decision
@@ -217,37 +246,43 @@ export class AdvancedPhotoFilterService {
   }
 
   /**
-   * Detect faces in photo using iOS Vision framework
+   * Detect faces (PhotoAnalysis.detectFaces)
    */
   async detectFaces(photoData) {
     try {
       console.log('👤 Detecting faces...');
       
-      if (!this.visionFrameworkAvailable) {
-        return this.simulateFaceDetection(photoData);
-      }
-
-      // In real implementation, this would use VNDetectFaceRectanglesRequest
-      // For now, simulate the Vision framework face detection
-      const faceResults = await this.simulateVisionFaceDetection(photoData);
+      const result = await this.runAnalysis('detectFaces', photoData, {
+        maxFaces: this.config.faceDetection.maxFaces
+      });
+      
+      const faceResults = result.faces.map((face, i) => ({
+        id: `face_${i}`,
+        boundingBox: face.boundingBox,
+        confidence: face.confidence,
+        size: Math.max(face.boundingBox.width, face.boundingBox.height), // Fraction of the image
+        attributes: {
+          quality: face.captureQuality ?? null,
+          roll: face.roll ?? null,
+          yaw: face.yaw ?? null
+        }
+      }));
       
       const faceAnalysis = {
         facesDetected: faceResults.length,
         faces: faceResults,
+        engine: this.analysisEngine,
         averageConfidence: faceResults.length > 0 ? 
           faceResults.reduce((sum, face) => sum + face.confidence, 0) / faceResults.length : 0,
         
         // Face characteristics
         hasMultipleFaces: faceResults.length > 1,
         hasLargeFaces: faceResults.some(face => face.size > this.config.faceDetection.minFaceSize),
-        dominantEmotion: this.getDominantEmotion(faceResults),
-        ageGroups: this.analyzeAgeGroups(faceResults)
+        goodQualityFaces: faceResults.filter(face =>
+          face.attributes.quality !== null && face.attributes.quality >= this.config.faceDetection.faceQualityThreshold).length
       };
       
-      console.log(`   👥 ${faceAnalysis.facesDetected} faces detected`);
-      if (faceAnalysis.dominantEmotion) {
-        console.log(`   😊 Emotion: ${faceAnalysis.dominantEmotion}`);
-      }
+      console.log(`   👥 ${faceAnalysis.facesDetected} faces detected (${this.analysisEngine})`);
       
       return faceAnalysis;
       
@@ -258,76 +293,57 @@ export class AdvancedPhotoFilterService {
   }
 
   /**
-   * Simulate Vision framework face detection
-   */
-  async simulateVisionFaceDetection(photoData) {
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 200 + Math.random() * 800));
-    
-    const faces = [];
-    const numFaces = Math.floor(Math.random() * 4); // 0-3 faces
-    
-    for (let i = 0; i < numFaces; i++) {
-      faces.push({
-        id: `face_${i}`,
-        boundingBox: {
-          x: Math.random() * 0.6,
-          y: Math.random() * 0.6,
-          width: 0.1 + Math.random() * 0.3,
-          height: 0.1 + Math.random() * 0.3
-        },
-        confidence: 0.7 + Math.random() * 0.3,
-        size: 0.05 + Math.random() * 0.25,
-        
-        // Enhanced attributes (would come from VNFaceObservation)
-        attributes: {
-          emotion: this.getRandomEmotion(),
-          ageGroup: this.getRandomAgeGroup(),
-          quality: 0.6 + Math.random() * 0.4
-        }
-      });
-    }
-    
-    return faces;
-  }
-
-  /**
-   * Analyze scene content using iOS Vision framework
+   * Classify scene content (PhotoAnalysis.classifyScene)
    */
   async analyzeScene(photoData) {
     try {
       console.log('🏞️ Analyzing scene content...');
       
-      if (!this.visionFrameworkAvailable) {
-        return this.simulateSceneAnalysis(photoData);
+      const { confidenceThreshold, maxSceneLabels, textDetection } = this.config.sceneAnalysis;
+      const result = await this.runAnalysis('classifyScene', photoData, {
+        maxLabels: maxSceneLabels,
+        minConfidence: confidenceThreshold,
+        recognizeText: textDetection
+      });
+      
+      const sceneLabels = result.labels;
+      const inCategory = (category) => sceneLabels.some(label => SCENE_CATEGORIES[category].includes(label.identifier));
+      
+      // Labels that name a kind of thing, as objects
+      const objects = this.config.sceneAnalysis.objectDetection ? sceneLabels.flatMap(label =>
+        ['food', 'vehicle', 'animal'].filter(category => SCENE_CATEGORIES[category].includes(label.identifier))
+          .map(category => ({ category, identifier: label.identifier, confidence: label.confidence }))) : [];
+      if (this.config.sceneAnalysis.objectDetection && sceneLabels.some(label => label.identifier === 'people')) {
+        objects.push({ category: 'person', identifier: 'people', confidence: sceneLabels.find(label => label.identifier === 'people').confidence });
       }
-
-      // In real implementation, this would use VNClassifyImageRequest
-      const sceneResults = await this.simulateVisionSceneAnalysis(photoData);
       
       const sceneAnalysis = {
-        sceneLabels: sceneResults.sceneLabels,
-        dominantScene: sceneResults.dominantScene,
-        confidence: sceneResults.averageConfidence,
+        sceneLabels: sceneLabels,
+        dominantScene: sceneLabels[0] || null,
+        confidence: sceneLabels.length > 0 ?
+          sceneLabels.reduce((sum, label) => sum + label.confidence, 0) / sceneLabels.length : 0,
+        engine: this.analysisEngine,
         
         // Object detection
-        objects: sceneResults.objects,
-        objectCount: sceneResults.objects.length,
+        objects: objects,
+        objectCount: objects.length,
         
         // Text detection
-        textDetected: sceneResults.textRegions.length > 0,
-        textRegions: sceneResults.textRegions,
+        textDetected: (result.textRegions || []).length > 0,
+        textRegions: result.textRegions || [],
         
         // Landmark detection
-        landmarks: sceneResults.landmarks,
+        landmarks: result.landmarks || [],
         
         // Scene characteristics
-        isIndoor: sceneResults.sceneLabels.some(label => 
-          ['indoor', 'room', 'kitchen', 'living room'].includes(label.identifier)),
-        isOutdoor: sceneResults.sceneLabels.some(label => 
-          ['outdoor', 'landscape', 'nature', 'sky'].includes(label.identifier)),
-        hasFood: sceneResults.objects.some(obj => obj.category === 'food'),
-        hasVehicle: sceneResults.objects.some(obj => obj.category === 'vehicle')
+        isIndoor: inCategory('indoor'),
+        isOutdoor: inCategory('outdoor'),
+        isNight: inCategory('night'),
+        isSocial: inCategory('social'),
+        isCelebration: inCategory('celebration'),
+        hasTable: inCategory('table'),
+        hasFood: inCategory('food'),
+        hasVehicle: inCategory('vehicle')
       };
       
       console.log(`   🏷️ Scene: ${sceneAnalysis.dominantScene?.identifier || 'unknown'}`);
@@ -342,97 +358,218 @@ export class AdvancedPhotoFilterService {
   }
 
   /**
-   * Simulate Vision framework scene analysis
+   * Run a PhotoAnalysis method on the native (or injected) plugin, or the
+   * reference implementation's worker task of the same name
    */
-  async simulateVisionSceneAnalysis(photoData) {
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 1000));
-    
-    const sceneTypes = [
-      'outdoor', 'indoor', 'landscape', 'portrait', 'food', 'party', 'nature',
-      'city', 'beach', 'mountain', 'building', 'vehicle', 'animal', 'celebration'
-    ];
-    
-    const objectTypes = [
-      { category: 'person', confidence: 0.8 + Math.random() * 0.2 },
-      { category: 'food', confidence: 0.7 + Math.random() * 0.3 },
-      { category: 'vehicle', confidence: 0.6 + Math.random() * 0.4 },
-      { category: 'building', confidence: 0.5 + Math.random() * 0.5 },
-      { category: 'animal', confidence: 0.4 + Math.random() * 0.6 }
-    ];
-    
-    const numScenes = Math.min(3, Math.floor(Math.random() * 5) + 1);
-    const sceneLabels = [];
-    
-    for (let i = 0; i < numScenes; i++) {
-      const sceneType = sceneTypes[Math.floor(Math.random() * sceneTypes.length)];
-      sceneLabels.push({
-        identifier: sceneType,
-        confidence: 0.5 + Math.random() * 0.5
-      });
+  async runAnalysis(method, photoData, params) {
+    const reference = this.getPhotoReference(photoData);
+    if (this.analysisPlugin && (reference.identifier || reference.path || reference.base64 || this.analysisEngine === 'mock')) {
+      return await this.analysisPlugin[method]({ ...reference, ...params });
     }
     
-    const numObjects = Math.floor(Math.random() * 6);
-    const objects = objectTypes.slice(0, numObjects).filter(obj => Math.random() > 0.5);
-    
+    return await this.runImageTask(method, photoData, { size: REFERENCE_ANALYSIS_SIZE, ...params });
+  }
+
+  /**
+   * How the plugin contract identifies a photo (see photoAnalysisPlugin.js)
+   */
+  getPhotoReference(photoData) {
+    const base64 = photoData.base64 || (typeof photoData.dataUrl === 'string' ? photoData.dataUrl : null);
     return {
-      sceneLabels: sceneLabels,
-      dominantScene: sceneLabels[0],
-      averageConfidence: sceneLabels.reduce((sum, label) => sum + label.confidence, 0) / sceneLabels.length,
-      objects: objects,
-      textRegions: Math.random() > 0.7 ? [{ text: 'Sample Text', confidence: 0.9 }] : [],
-      landmarks: Math.random() > 0.9 ? [{ name: 'Famous Landmark', confidence: 0.8 }] : []
+      photoId: photoData.id,
+      filename: photoData.filename,
+      identifier: photoData.localIdentifier || photoData.identifier || undefined,
+      path: photoData.path || undefined,
+      base64: base64 ? base64.replace(/^data:[^;]+;base64,/, '') : undefined
     };
   }
 
   /**
-   * Analyze photo quality metrics
+   * Measure photo quality from its pixels: sharpness (variance of the
+   * Laplacian), exposure (histogram), RMS contrast and noise. Flags and
+   * reasons come from config.quality.thresholds; `rejected` is set when an
+   * issue in config.quality.rejectOn makes the shot unusable.
+   * Photos that cannot be decoded get a neutral, unmeasured result.
    */
   async analyzeQuality(photoData) {
     try {
       console.log('⭐ Analyzing photo quality...');
       
-      // Simulate quality analysis
+      const { thresholds, weights, rejectOn } = this.config.quality;
+      const measurements = await this.measureQuality(photoData);
+      const assessment = assessImageQuality(measurements, thresholds, weights);
+      
+      // Blur and exposure only count against a photo while their checks are enabled
+      const { blurDetection, exposureAnalysis } = this.config.contentFiltering;
+      const rejectedFor = assessment.issues.filter(issue => rejectOn.includes(issue) &&
+        (issue === 'blur' ? blurDetection : issue.endsWith('exposed') ? exposureAnalysis : true));
+      
       const qualityMetrics = {
-        overall: 0.6 + Math.random() * 0.4,
-        sharpness: 0.5 + Math.random() * 0.5,
-        exposure: 0.4 + Math.random() * 0.6,
-        contrast: 0.5 + Math.random() * 0.5,
-        saturation: 0.6 + Math.random() * 0.4,
-        noise: Math.random() * 0.3, // Lower is better
+        measured: true,
+        sharpness: assessment.sharpness,
+        exposure: assessment.exposure,
+        contrast: assessment.contrast,
+        saturation: measurements.saturation,
+        noise: assessment.noise, // Lower is better
+        
+        // Raw measurements, in the units the thresholds use
+        measurements: {
+          laplacianVariance: measurements.laplacianVariance,
+          brightness: measurements.brightness,
+          shadowClip: measurements.shadowClip,
+          highlightClip: measurements.highlightClip,
+          rmsContrast: measurements.rmsContrast,
+          noiseSigma: measurements.noiseSigma
+        },
         
         // Technical quality
         resolution: photoData.dimensions ? 
-          photoData.dimensions.width * photoData.dimensions.height : 0,
+          photoData.dimensions.width * photoData.dimensions.height :
+          measurements.naturalDimensions.width * measurements.naturalDimensions.height,
         fileSize: photoData.fileSize,
         format: photoData.mimeType,
         
         // Quality flags
-        isBlurry: Math.random() < 0.15, // 15% chance
-        isUnderexposed: Math.random() < 0.10, // 10% chance
-        isOverexposed: Math.random() < 0.08, // 8% chance
-        hasNoise: Math.random() < 0.20 // 20% chance
+        isBlurry: assessment.issues.includes('blur'),
+        isUnderexposed: assessment.issues.includes('underexposed'),
+        isOverexposed: assessment.issues.includes('overexposed'),
+        isLowContrast: assessment.issues.includes('lowContrast'),
+        hasNoise: assessment.issues.includes('noise'),
+        
+        issues: assessment.issues,
+        reasons: assessment.reasons,
+        findings: assessment.findings,
+        rejected: rejectedFor.length > 0,
+        rejectedFor: rejectedFor,
+        qualityScore: assessment.qualityScore
       };
       
-      // Calculate quality score
-      qualityMetrics.qualityScore = (
-        qualityMetrics.overall * 0.3 +
-        qualityMetrics.sharpness * 0.2 +
-        qualityMetrics.exposure * 0.2 +
-        qualityMetrics.contrast * 0.15 +
-        qualityMetrics.saturation * 0.15
-      );
-      
-      console.log(`   ⭐ Quality score: ${(qualityMetrics.qualityScore * 100).toFixed(1)}%`);
+      console.log(`   ⭐ Quality score: ${(qualityMetrics.qualityScore * 100).toFixed(1)}%` +
+        (qualityMetrics.reasons.length > 0 ? ` - ${qualityMetrics.reasons.join(', ')}` : ''));
       
       return qualityMetrics;
       
     } catch (error) {
       console.error('Error in quality analysis:', error);
-      return { qualityScore: 0.5, error: error.message };
+      return {
+        measured: false,
+        qualityScore: 0.5,
+        issues: [],
+        reasons: [],
+        findings: [],
+        rejected: false,
+        rejectedFor: [],
+        error: error.message
+      };
     }
   }
 
+  /**
+   * Decode and measure a photo on the image worker pool ('quality' task)
+   * @returns {Promise<object>} imageQuality.measureImageQuality output + naturalDimensions
+   */
+  async measureQuality(photoData) {
+    const { analysisSize, thresholds } = this.config.quality;
+    return await this.runImageTask('quality', photoData, { size: analysisSize, thresholds });
+  }
+
+  /**
+   * Run an image worker task on a photo, bounded by performance.processingTimeout
+   * @param {object} params - Task parameters; params.size is the decode size
+   */
+  async runImageTask(type, photoData, params) {
+    const timeout = this.config.performance.processingTimeout;
+    
+    if (this.workerCanDecode && imageWorkerPool.capabilities?.decode !== false) {
+      try {
+        const { payload, transfer } = await this.getImageSource(photoData);
+        return await imageWorkerPool.run(type, { ...payload, ...params }, { timeout, transfer });
+      } catch (error) {
+        if (error.code !== 'DECODE_UNSUPPORTED') throw error;
+        this.workerCanDecode = false;
+      }
+    }
+    
+    // Workers cannot decode here (no OffscreenCanvas) - decode on this thread, analyse on the pool
+    const image = await this.decodeImage(photoData, params.size);
+    const rgba = image.data.buffer.slice(image.data.byteOffset, image.data.byteOffset + image.data.byteLength);
+    return await imageWorkerPool.run(type, { rgba, width: image.width, height: image.height, ...params },
+      { timeout, transfer: [rgba] });
+  }
+
+  /**
+   * Photo as a worker payload: decoded pixels when the photo carries them, else its bytes
+   */
+  async getImageSource(photoData) {
+    if (photoData.imageData) {
+      const { data, width, height } = photoData.imageData;
+      const rgba = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      return { payload: { rgba, width, height }, transfer: [rgba] };
+    }
+    
+    const blob = await this.getPhotoBlob(photoData);
+    const buffer = await blob.arrayBuffer();
+    return { payload: { buffer, mimeType: blob.type }, transfer: [buffer] };
+  }
+
+  /**
+   * Decode to RGBA on this thread, at most `size` pixels on the long edge
+   * @returns {Promise<ImageData>}
+   */
+  async decodeImage(photoData, size) {
+    if (photoData.imageData) {
+      return photoData.imageData;
+    }
+    
+    if (typeof createImageBitmap !== 'function') {
+      throw new Error('Image decoding not supported in this environment');
+    }
+    
+    const bitmap = await createImageBitmap(await this.getPhotoBlob(photoData), { imageOrientation: 'from-image' });
+    const release = trackDecodedImage(bitmap);
+    try {
+      const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+      const width = Math.max(Math.round(bitmap.width * scale), 1);
+      const height = Math.max(Math.round(bitmap.height * scale), 1);
+      const canvas = typeof OffscreenCanvas !== 'undefined' ?
+        new OffscreenCanvas(width, height) : Object.assign(document.createElement('canvas'), { width, height });
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(bitmap, 0, 0, width, height);
+      return context.getImageData(0, 0, width, height);
+    } finally {
+      bitmap.close();
+      release();
+    }
+  }
+
+  /**
+   * Read the photo's bytes from whichever source it carries
+   */
+  async getPhotoBlob(photoData) {
+    if (photoData.blob instanceof Blob) {
+      return photoData.blob;
+    }
+    
+    const base64 = photoData.base64 || photoData.dataUrl;
+    if (typeof base64 === 'string' && base64.length > 0) {
+      const binaryString = atob(base64.replace(/^data:[^;]+;base64,/, ''));
+      const bytes = Uint8Array.from(binaryString, char => char.charCodeAt(0));
+      return new Blob([bytes], { type: photoData.mimeType || 'image/jpeg' });
+    }
+    
+    const path = photoData.webPath || photoData.path;
+    if (typeof path === 'string' && path.length > 0) {
+      const response = await fetch(photoData.webPath ? path : Capacitor.convertFileSrc(path));
+      if (!response.ok) {
+        throw new Error(`Could not read ${path} (${response.status})`);
+      }
+      return await response.blob();
+    }
+    
+    throw new Error(`${photoData.filename || 'Photo'} has no image data to analyze`);
+  }
+
   /**
    * Analyze general content characteristics
    */
@@ -471,53 +608,62 @@ export class AdvancedPhotoFilterService {
   }
 
   /**
-   * Apply event-specific filtering rules
+   * Apply the event's filtering profile: boosts raise relevance, and photos
+   * breaking a hard rule are recorded in profileViolations. A rule is only
+   * checked when its analysis ran - no face detection, no minFaces check.
    */
-  applyEventFiltering(analysisResult, eventContext) {
+  applyEventFiltering(analysisResult, eventContext, profile = this.profiles.getProfile(eventContext)) {
     try {
-      console.log(`🎯 Applying event filtering for: ${eventContext.eventType || 'general'}`);
+      console.log(`🎯 Applying ${profile.name} filtering profile (v${profile.version}, ${profile.source}) for: ${eventContext.eventType || 'general'}`);
       
-      const eventType = eventContext.eventType || 'general';
-      const eventRules = this.config.eventFiltering[eventType] || {};
+      const { rules } = profile;
+      const faceAnalysis = analysisResult.faceAnalysis && !analysisResult.faceAnalysis.error ? analysisResult.faceAnalysis : null;
+      const sceneAnalysis = analysisResult.sceneAnalysis && !analysisResult.sceneAnalysis.error ? analysisResult.sceneAnalysis : null;
       
       let relevanceScore = 0.5; // Base relevance
       const relevanceFactors = [];
-      
-      // Face-based filtering for people events
-      if (eventRules.preferFaces && analysisResult.faceAnalysis) {
-        const faces = analysisResult.faceAnalysis.facesDetected;
-        if (faces >= (eventRules.minFaces || 1)) {
-          relevanceScore += 0.3;
-          relevanceFactors.push(`${faces} faces detected`);
-        }
-        
-        if (eventRules.groupPhotos && faces > 2) {
-          relevanceScore += 0.2;
-          relevanceFactors.push('group photo');
+      const violations = [];
+      
+      // Boosts
+      rules.boosts.forEach(boost => {
+        if (boost.when === 'faces' && faceAnalysis && faceAnalysis.facesDetected >= boost.min) {
+          relevanceScore += boost.boost;
+          relevanceFactors.push(boost.factor || `${faceAnalysis.facesDetected} faces`);
+        } else if (boost.when === 'scene' && sceneAnalysis) {
+          const label = boost.labels.find(name => sceneHasLabel(sceneAnalysis, name));
+          if (label) {
+            relevanceScore += boost.boost;
+            relevanceFactors.push(boost.factor || `${label} scene`);
+          }
         }
+      });
+      
+      // Hard rules
+      if (faceAnalysis && faceAnalysis.facesDetected < rules.minFaces) {
+        violations.push(createDecisionReason('profile.minFaces', faceAnalysis.facesDetected, rules.minFaces,
+          `${faceAnalysis.facesDetected} faces (needs ${rules.minFaces})`));
       }
       
-      // Scene-based filtering
-      if (analysisResult.sceneAnalysis) {
-        const scene = analysisResult.sceneAnalysis;
-        
-        if (eventRules.preferScenery && scene.isOutdoor) {
-          relevanceScore += 0.25;
-          relevanceFactors.push('outdoor scenery');
-        }
-        
-        if (eventRules.foodDetection && scene.hasFood) {
-          relevanceScore += 0.35;
-          relevanceFactors.push('food detected');
+      if (sceneAnalysis) {
+        if (rules.requiredSceneLabels.length > 0 && !rules.requiredSceneLabels.some(name => sceneHasLabel(sceneAnalysis, name))) {
+          const found = (sceneAnalysis.sceneLabels || []).map(label => label.identifier).join(', ') || 'none';
+          violations.push(createDecisionReason('profile.requiredSceneLabels', found, rules.requiredSceneLabels.join(', '),
+            `not a ${rules.requiredSceneLabels.join(' / ')} scene`));
         }
         
-        if (eventRules.socialScenes && scene.sceneLabels.some(label => 
-          ['party', 'celebration', 'gathering'].includes(label.identifier))) {
-          relevanceScore += 0.3;
-          relevanceFactors.push('social scene');
+        const excluded = rules.excludedSceneLabels.filter(name => sceneHasLabel(sceneAnalysis, name));
+        if (excluded.length > 0) {
+          violations.push(createDecisionReason('profile.excludedSceneLabels', excluded.join(', '), rules.excludedSceneLabels.join(', '),
+            `excluded scene: ${excluded.join(', ')}`));
         }
       }
       
+      if (analysisResult.qualityAnalysis?.measured && analysisResult.qualityAnalysis.qualityScore < rules.qualityFloor) {
+        const { qualityScore } = analysisResult.qualityAnalysis;
+        violations.push(createDecisionReason('profile.qualityFloor', qualityScore, rules.qualityFloor,
+          `quality ${(qualityScore * 100).toFixed(0)}% below ${(rules.qualityFloor * 100).toFixed(0)}%`));
+      }
+      
       // Quality filtering
       if (analysisResult.qualityAnalysis) {
         const quality = analysisResult.qualityAnalysis.qualityScore;
@@ -535,11 +681,16 @@ export class AdvancedPhotoFilterService {
       
       analysisResult.eventRelevance = relevanceScore;
       analysisResult.relevanceFactors = relevanceFactors;
+      analysisResult.profileViolations = violations;
+      analysisResult.filteringProfile = { id: profile.id, name: profile.name, version: profile.version, source: profile.source };
       
       console.log(`   📊 Event relevance: ${(relevanceScore * 100).toFixed(1)}%`);
       if (relevanceFactors.length > 0) {
         console.log(`   📋 Factors: ${relevanceFactors.join(', ')}`);
       }
+      if (violations.length > 0) {
+        console.log(`   🚫 Profile rules broken: ${violations.map(violation => violation.message).join(', ')}`);
+      }
       
     } catch (error) {
       console.error('Error applying event filtering:', error);
@@ -548,50 +699,65 @@ export class AdvancedPhotoFilterService {
 
   /**
    * Calculate final filtering decision
+   * Each contribution is kept in decisionReasons with the rule, the measured
+   * value and its threshold (PhotoDecisionLog records them); filterReasons
+   * holds the same reasons as text.
    */
   calculateFilteringDecision(analysisResult) {
     try {
       let confidence = 0.5;
       const reasons = [];
       let shouldInclude = true;
+      const note = (rule, value, threshold, message, passed) =>
+        reasons.push(createDecisionReason(rule, value, threshold, message, passed));
       
       // Face analysis contribution
       if (analysisResult.faceAnalysis && analysisResult.faceAnalysis.facesDetected > 0) {
         confidence += 0.2;
-        reasons.push(`${analysisResult.faceAnalysis.facesDetected} faces`);
+        note('faces', analysisResult.faceAnalysis.facesDetected, 1, `${analysisResult.faceAnalysis.facesDetected} faces`, true);
       }
       
       // Scene analysis contribution
       if (analysisResult.sceneAnalysis && analysisResult.sceneAnalysis.confidence > 0.6) {
         confidence += 0.15;
-        reasons.push('clear scene classification');
+        note('scene.confidence', analysisResult.sceneAnalysis.confidence, 0.6, 'clear scene classification', true);
       }
       
       // Quality analysis contribution
       if (analysisResult.qualityAnalysis) {
-        const qualityScore = analysisResult.qualityAnalysis.qualityScore;
-        if (qualityScore > 0.7) {
+        const quality = analysisResult.qualityAnalysis;
+        if (quality.qualityScore > 0.7) {
           confidence += 0.2;
-          reasons.push('high quality');
-        } else if (qualityScore < 0.3) {
-          shouldInclude = false;
-          reasons.push('very low quality');
+          note('quality.score', quality.qualityScore, 0.7, 'high quality', true);
+        } else if (quality.rejected) {
+          // Noted, not excluded - BatchPhotoProcessingService's quality stage rejects unusable shots
+          (quality.findings || []).filter(finding => quality.rejectedFor.includes(finding.issue)).forEach(finding =>
+            note(`quality.${finding.issue}`, finding.value, finding.threshold, `poor quality: ${finding.message}`, false));
         }
       }
       
       // Event relevance contribution
       if (analysisResult.eventRelevance > 0.7) {
         confidence += 0.15;
-        reasons.push('highly relevant to event');
+        note('event.relevance', analysisResult.eventRelevance, 0.7, 'highly relevant to event', true);
       } else if (analysisResult.eventRelevance < 0.3) {
         confidence -= 0.1;
-        reasons.push('low event relevance');
+        note('event.relevance', analysisResult.eventRelevance, 0.3, 'low event relevance', false);
       }
       
       // Duplicate detection
       if (analysisResult.contentAnalysis && analysisResult.contentAnalysis.duplicateScore > 0.8) {
         shouldInclude = false;
-        reasons.push('likely duplicate');
+        note('duplicate.score', analysisResult.contentAnalysis.duplicateScore, 0.8, 'likely duplicate', false);
+      }
+      
+      // Event profile hard rules
+      if (analysisResult.profileViolations?.length > 0) {
+        shouldInclude = false;
+        analysisResult.profileViolations.forEach(violation => reasons.push({
+          ...violation,
+          message: `${analysisResult.filteringProfile.name} profile: ${violation.message}`
+        }));
       }
       
       // Final decision
@@ -599,17 +765,19 @@ export class AdvancedPhotoFilterService {
       
       if (confidence < 0.4) {
         shouldInclude = false;
-        reasons.push('low overall confidence');
+        note('confidence', confidence, 0.4, 'low overall confidence', false);
       }
       
       analysisResult.confidence = confidence;
       analysisResult.shouldInclude = shouldInclude;
-      analysisResult.filterReasons = reasons;
+      analysisResult.decisionReasons = reasons;
+      analysisResult.filterReasons = reasons.map(reason => reason.message);
       
     } catch (error) {
       console.error('Error calculating filtering decision:', error);
       analysisResult.confidence = 0.5;
       analysisResult.shouldInclude = true;
+      analysisResult.decisionReasons = [createDecisionReason('analysis.error', error.message, null, 'analysis error', true)];
       analysisResult.filterReasons = ['analysis error'];
     }
   }
@@ -617,11 +785,12 @@ export class AdvancedPhotoFilterService {
   /**
    * Generate cache key for photo analysis
    */
-  generateCacheKey(photoData) {
+  generateCacheKey(photoData, profile = null) {
     const keyComponents = [
       photoData.id,
       photoData.fileSize,
-      photoData.extractedMetadata?.basic?.timestamp || photoData.createdAt
+      photoData.extractedMetadata?.basic?.timestamp || photoData.createdAt,
+      profile ? `${profile.id}@${profile.version}` : 'none'
     ];
     return keyComponents.join('_');
   }
@@ -672,58 +841,6 @@ export class AdvancedPhotoFilterService {
     }
   }
 
-  /**
-   * Helper methods for emotion and age analysis
-   */
-  getRandomEmotion() {
-    const emotions = ['happy', 'neutral', 'surprised', 'serious', 'smiling'];
-    return emotions[Math.floor(Math.random() * emotions.length)];
-  }
-
-  getRandomAgeGroup() {
-    const ageGroups = ['child', 'teenager', 'young_adult', 'adult', 'senior'];
-    return ageGroups[Math.floor(Math.random() * ageGroups.length)];
-  }
-
-  getDominantEmotion(faces) {
-    if (faces.length === 0) return null;
-    
-    const emotions = faces.map(face => face.attributes?.emotion).filter(Boolean);
-    if (emotions.length === 0) return null;
-    
-    // Return most common emotion
-    const emotionCounts = {};
-    emotions.forEach(emotion => {
-      emotionCounts[emotion] = (emotionCounts[emotion] || 0) + 1;
-    });
-    
-    return Object.keys(emotionCounts).reduce((a, b) => 
-      emotionCounts[a] > emotionCounts[b] ? a : b);
-  }
-
-  analyzeAgeGroups(faces) {
-    const ageGroups = {};
-    faces.forEach(face => {
-      const age = face.attributes?.ageGroup;
-      if (age) {
-        ageGroups[age] = (ageGroups[age] || 0) + 1;
-      }
-    });
-    return ageGroups;
-  }
-
-  parseIOSVersion(versionString) {
-    try {
-      const match = versionString.match(/^(\d+)\.?(\d+)?\.?(\d+)?/);
-      if (match) {
-        return parseInt(match[1], 10);
-      }
-      return 0;
-    } catch (error) {
-      return 0;
-    }
-  }
-
   /**
    * Batch analyze multiple photos
    */
@@ -941,10 +1058,12 @@ export class AdvancedPhotoFilterService {
     return {
       isInitialized: this.isInitialized,
       visionFrameworkAvailable: this.visionFrameworkAvailable,
+      analysisEngine: this.analysisEngine,
       filteringActive: this.filteringActive,
       config: this.config,
       stats: this.getFilteringStats(),
       cacheSize: this.analysisCache.size,
+      filteringProfiles: this.profiles.listBuiltInProfiles().map(profile => profile.id),
       capabilities: {
         faceDetection: this.config.faceDetection.enabled,
         sceneAnalysis: this.config.sceneAnalysis.enabled,
@@ -991,6 +1110,14 @@ export async function batchAnalyzePhotosWithFiltering(photos, eventContext = nul
   return await advancedPhotoFilterService.batchAnalyzePhotos(photos, eventContext, progressCallback);
 }
 
+export async function getEventFilteringProfile(eventContext) {
+  return await advancedPhotoFilterService.getFilteringProfile(eventContext);
+}
+
+export async function updateEventFilteringProfile(eventId, changes, options = {}) {
+  return await advancedPhotoFilterService.updateEventFilteringProfile(eventId, changes, options);
+}
+
 export function getAdvancedPhotoFilterStatus() {
   return advancedPhotoFilterService.getStatus();
 }
@@ -12,10 +12,16 @@ class AutoUploadSettings {
     this.currentUser = null;
     this.userSettings = new Map(); // eventId -> settings
     this.eventsList = new Map(); // eventId -> event data
+    this.remoteState = new Map(); // eventId -> last known server state { enabled, startTime, endTime }
+    this.outboxHandlerRegistered = false;
     
     // Configuration from config.js
     this.config = window.PHOTOSHARE_CONFIG || {};
     
+    // Device-wide data budget, enforced by UploadBudgetScheduler
+    this.dataBudgetStorageKey = 'auto_upload_data_budget';
+    this.dataBudget = this.loadDataBudget();
+    
     console.log('⚙️ AutoUploadSettings initialized');
   }
 
@@ -35,6 +41,9 @@ class AutoUploadSettings {
       } else {
         // Load real user settings
         await this.loadUserSettings();
+        
+        // Changes made offline are journaled and replayed when the connection returns
+        this.registerOutboxHandler();
       }
       
       this.isInitialized = true;
@@ -150,6 +159,7 @@ class AutoUploadSettings {
       // Clear existing data
       this.userSettings.clear();
       this.eventsList.clear();
+      this.remoteState.clear();
 
       if (eventParticipants && eventParticipants.length > 0) {
         eventParticipants.forEach(participant => {
@@ -178,6 +188,12 @@ class AutoUploadSettings {
             wifiOnly: false, // Default
             lastModified: new Date()
           });
+          
+          this.remoteState.set(event.id, this.toRemoteState({
+            autoUploadEnabled: participant.auto_upload_enabled || false,
+            uploadStartTime: participant.auto_upload_start_time,
+            uploadEndTime: participant.auto_upload_end_time
+          }));
         });
       }
       
@@ -398,25 +414,33 @@ class AutoUploadSettings {
   }
 
   /**
-   * Update database with new settings
+   * Update database with new settings (journaled for later when offline)
    */
   async updateDatabaseSettings(eventId, settings) {
+    const payload = {
+      eventId: eventId,
+      userId: this.currentUser.id,
+      state: this.toRemoteState(settings)
+    };
+    
     try {
-      const { error } = await this.supabaseClient
-        .from('event_participants')
-        .update({
-          auto_upload_enabled: settings.autoUploadEnabled,
-          auto_upload_start_time: settings.uploadStartTime?.toISOString(),
-          auto_upload_end_time: settings.uploadEndTime?.toISOString()
-        })
-        .eq('user_id', this.currentUser.id)
-        .eq('event_id', eventId);
-
-      if (error) {
-        throw error;
+      const outbox = window.outboxJournal;
+      if (!outbox) {
+        await this.writeDatabaseSettings(payload);
+        return;
       }
       
-      console.log('✅ Database settings updated successfully');
+      // The journal module may have loaded after initialize()
+      this.registerOutboxHandler();
+      
+      const { queued } = await outbox.submit('auto_upload_settings', payload, {
+        key: `event_participants:${eventId}`,
+        base: this.remoteState.get(eventId) || null
+      });
+      
+      if (queued) {
+        console.log(`📮 Offline - auto-upload setting for ${eventId} will sync when back online`);
+      }
       
     } catch (error) {
       console.error('Error updating database settings:', error);
@@ -424,6 +448,187 @@ class AutoUploadSettings {
     }
   }
 
+  /**
+   * Write settings to event_participants
+   */
+  async writeDatabaseSettings({ eventId, userId, state }) {
+    const updateData = { auto_upload_enabled: state.enabled };
+    if (state.startTime) updateData.auto_upload_start_time = state.startTime;
+    if (state.endTime) updateData.auto_upload_end_time = state.endTime;
+    
+    const { error } = await this.supabaseClient
+      .from('event_participants')
+      .update(updateData)
+      .eq('user_id', userId)
+      .eq('event_id', eventId);
+
+    if (error) {
+      throw error;
+    }
+    
+    const previous = this.remoteState.get(eventId) || {};
+    this.remoteState.set(eventId, {
+      enabled: state.enabled,
+      startTime: state.startTime || previous.startTime || null,
+      endTime: state.endTime || previous.endTime || null
+    });
+    console.log('✅ Database settings updated successfully');
+  }
+
+  /**
+   * Server-side shape of the settings, used for offline conflict checks
+   */
+  toRemoteState(settings) {
+    const toISO = (value) => (value ? new Date(value).toISOString() : null);
+    return {
+      enabled: !!settings.autoUploadEnabled,
+      startTime: toISO(settings.uploadStartTime),
+      endTime: toISO(settings.uploadEndTime)
+    };
+  }
+
+  /**
+   * Replay journaled setting changes; a setting changed on the server
+   * while offline is resolved by the journal's conflict policy
+   */
+  registerOutboxHandler() {
+    if (!window.outboxJournal || this.outboxHandlerRegistered) return;
+    this.outboxHandlerRegistered = true;
+    
+    window.outboxJournal.registerHandler('auto_upload_settings', {
+      replay: (op) => this.writeDatabaseSettings(op.payload),
+      
+      getRemoteState: async (op) => {
+        const { data, error } = await this.supabaseClient
+          .from('event_participants')
+          .select('auto_upload_enabled, auto_upload_start_time, auto_upload_end_time')
+          .eq('user_id', op.payload.userId)
+          .eq('event_id', op.payload.eventId)
+          .maybeSingle();
+        
+        if (error) throw error;
+        if (!data) return null;
+        
+        return {
+          state: this.toRemoteState({
+            autoUploadEnabled: data.auto_upload_enabled,
+            uploadStartTime: data.auto_upload_start_time,
+            uploadEndTime: data.auto_upload_end_time
+          }),
+          updatedAt: null
+        };
+      },
+      
+      // Server wins - bring the local settings in line with it
+      applyRemoteState: async (op, remote) => {
+        const { eventId } = op.payload;
+        const currentSettings = this.userSettings.get(eventId) || {};
+        const newSettings = {
+          ...currentSettings,
+          eventId: eventId,
+          autoUploadEnabled: remote.state.enabled,
+          uploadStartTime: remote.state.startTime ? new Date(remote.state.startTime) : currentSettings.uploadStartTime,
+          uploadEndTime: remote.state.endTime ? new Date(remote.state.endTime) : currentSettings.uploadEndTime,
+          lastModified: new Date()
+        };
+        
+        this.userSettings.set(eventId, newSettings);
+        this.remoteState.set(eventId, remote.state);
+        console.log(`🔄 Auto-upload for ${eventId} was changed elsewhere - using server value (${remote.state.enabled ? 'on' : 'off'})`);
+        
+        if (window.autoUploadIntegration?.isInitialized) {
+          window.autoUploadIntegration.onSettingsChanged?.(eventId, newSettings);
+        }
+      }
+    });
+  }
+
+  /**
+   * Default data budget - unlimited, any time, cellular allowed
+   */
+  getDefaultDataBudget() {
+    return {
+      allowCellular: true,
+      dailyLimitMB: {
+        wifi: null, // null = unlimited
+        cellular: null
+      },
+      windows: {
+        wifi: null, // null = any time, [{ start: 'HH:MM', end: 'HH:MM' }] otherwise
+        cellular: null
+      }
+    };
+  }
+
+  /**
+   * Get the data budget uploads must stay within
+   */
+  getDataBudget() {
+    return this.dataBudget;
+  }
+
+  /**
+   * Update the data budget, e.g.
+   * { dailyLimitMB: { cellular: 200 }, windows: { cellular: [{ start: '06:00', end: '22:00' }] } }
+   */
+  updateDataBudget(changes = {}) {
+    const budget = {
+      allowCellular: changes.allowCellular ?? this.dataBudget.allowCellular,
+      dailyLimitMB: { ...this.dataBudget.dailyLimitMB, ...changes.dailyLimitMB },
+      windows: { ...this.dataBudget.windows, ...changes.windows }
+    };
+    
+    for (const type of ['wifi', 'cellular']) {
+      const limit = budget.dailyLimitMB[type];
+      if (limit !== null && (typeof limit !== 'number' || limit < 0)) {
+        throw new Error(`Invalid ${type} daily limit: ${limit}`);
+      }
+      
+      const windows = budget.windows[type];
+      if (windows !== null && (!Array.isArray(windows) || !windows.every(range => this.isValidTimeRange(range)))) {
+        throw new Error(`Invalid ${type} upload windows`);
+      }
+    }
+    
+    this.dataBudget = budget;
+    this.saveDataBudget();
+    
+    console.log('📶 Data budget updated:', budget);
+    return budget;
+  }
+
+  isValidTimeRange(range) {
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    return !!range && time.test(range.start) && time.test(range.end) && range.start !== range.end;
+  }
+
+  loadDataBudget() {
+    const budget = this.getDefaultDataBudget();
+    
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.dataBudgetStorageKey) || 'null');
+      if (saved) {
+        return {
+          allowCellular: saved.allowCellular ?? budget.allowCellular,
+          dailyLimitMB: { ...budget.dailyLimitMB, ...saved.dailyLimitMB },
+          windows: { ...budget.windows, ...saved.windows }
+        };
+      }
+    } catch (error) {
+      console.error('Error loading data budget:', error);
+    }
+    
+    return budget;
+  }
+
+  saveDataBudget() {
+    try {
+      localStorage.setItem(this.dataBudgetStorageKey, JSON.stringify(this.dataBudget));
+    } catch (error) {
+      console.error('Error saving data budget:', error);
+    }
+  }
+
   /**
    * Get auto-upload statistics
    */
@@ -480,6 +685,7 @@ class AutoUploadSettings {
       } : null,
       eventsCount: this.eventsList.size,
       settingsCount: this.userSettings.size,
+      dataBudget: this.dataBudget,
       stats: this.getAutoUploadStats()
     };
   }
@@ -510,6 +716,14 @@ window.getAutoUploadStats = function() {
   return window.autoUploadSettings.getAutoUploadStats();
 };
 
+window.getUploadDataBudget = function() {
+  return window.autoUploadSettings.getDataBudget();
+};
+
+window.updateUploadDataBudget = function(changes) {
+  return window.autoUploadSettings.updateDataBudget(changes);
+};
+
 window.getAutoUploadSettingsStatus = function() {
   return window.autoUploadSettings.getStatus();
 };
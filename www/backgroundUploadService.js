@@ -5,6 +5,20 @@
 
 console.log('📤 Loading backgroundUploadService.js...');
 
+// Shared rate limit governor (uploadRateLimitGovernor.js), looked up lazily
+const getRateLimitGovernor = () => window.uploadRateLimitGovernor || null;
+
+// Perceptual duplicate detection (photoDeduplicationService.js), looked up lazily
+const getPhotoDeduplicationService = () => window.photoDeduplicationService || null;
+
+// Shared upload engine (uploadEngine.js) - owns job state, retries and JWT lookup
+const getUploadEngine = () => {
+  if (!window.uploadEngine) {
+    throw new Error('UploadEngine not loaded - include uploadEngine.js');
+  }
+  return window.uploadEngine;
+};
+
 class BackgroundUploadService {
   constructor() {
     this.isNative = window.Capacitor && window.Capacitor.isNativePlatform();
@@ -17,6 +31,8 @@ class BackgroundUploadService {
     this.initialize();
     this.isProcessingQueue = false;
     this.notificationId = 1000; // Starting ID for upload notifications
+    this.maxAttempts = 3; // Per photo, retries are scheduled by UploadEngine
+    this.engineUnsubscribe = null; // Set on first upload, once uploadEngine.js has loaded
     
     // New multipart upload endpoint
     this.uploadEndpoint = 'https://jgfcfdlfcnmaripgpepl.supabase.co/functions/v1/multipart-upload';
@@ -280,8 +296,39 @@ class BackgroundUploadService {
           console.log(`📡 Upload URL: ${uploadUrl}`);
           console.log(`📝 Upload data:`, uploadOptions.data);
           
-          // Generate unique upload ID
-          const uploadId = `upload_${Date.now()}_${i}`;
+          // Register with the upload engine - one job per photo across all services
+          const { job, duplicate, suppressed } = getUploadEngine().submit({
+            source: 'background',
+            eventId: eventId,
+            photoKey: photo.localIdentifier || photo.id,
+            filename: photo.filename,
+            fileSize: photo.fileSize,
+            maxAttempts: this.maxAttempts
+          });
+          
+          if (suppressed) {
+            uploadResults.push({
+              uploadId: null,
+              photoId: photo.id,
+              filename: photo.filename,
+              status: 'suppressed',
+              reason: suppressed.reason
+            });
+            continue;
+          }
+          
+          if (duplicate) {
+            console.log(`⏭️ ${photo.filename} already queued as ${job.id} by ${job.source}`);
+            uploadResults.push({
+              uploadId: job.id,
+              photoId: photo.id,
+              filename: photo.filename,
+              status: 'duplicate'
+            });
+            continue;
+          }
+          
+          const uploadId = job.id;
           
           const uploadSession = {
             uploadId: uploadId,
@@ -336,12 +383,49 @@ class BackgroundUploadService {
 
   /**
    * Perform the actual file upload using @capacitor/file-transfer
+   * (one UploadEngine attempt - the engine decides on retries)
    */
   async performFileUpload(uploadSession) {
-    try {
-      console.log(`🚀 Performing file upload for ${uploadSession.filename}`);
-      
-      const result = await this.fileTransfer.uploadFile(uploadSession.uploadOptions);
+    const engine = getUploadEngine();
+    const rateLimitScope = { eventId: uploadSession.eventId };
+    this.watchEngine();
+    
+    // Paused uploads wait for resume() - see handleEngineEvent
+    if (engine.getJob(uploadSession.uploadId)?.state === 'paused') {
+      uploadSession.status = 'paused';
+      console.log(`⏸️ Upload for ${uploadSession.filename} is paused`);
+      return;
+    }
+    
+    // Wait for the event's rate limit bucket to reopen
+    if (!this.deferIfRateLimited(uploadSession)) {
+      return;
+    }
+    
+    console.log(`🚀 Performing file upload for ${uploadSession.filename}`);
+    uploadSession.status = 'uploading';
+    
+    const job = await engine.runAttempt(uploadSession.uploadId, {
+      upload: async (activeJob, { signal }) => {
+        getRateLimitGovernor()?.recordUpload(rateLimitScope);
+        
+        let result;
+        try {
+          result = await this.abortable(this.fileTransfer.uploadFile(uploadSession.uploadOptions), signal);
+        } catch (error) {
+          // FileTransfer rejects non-2xx responses with the HTTP details in error.data
+          this.throwIfRateLimited(rateLimitScope, error.data?.httpStatus || error.httpStatus,
+            error.data?.headers || error.headers);
+          throw error;
+        }
+        
+        this.throwIfRateLimited(rateLimitScope, result.responseCode, result.headers);
+        return result;
+      }
+    });
+    
+    if (job.state === 'done') {
+      const result = job.result;
       
       // Handle success
       uploadSession.status = 'completed';
@@ -371,16 +455,23 @@ class BackgroundUploadService {
       // Clean up temp files
       this.cleanupTempFile(uploadSession);
       
-    } catch (error) {
-      console.error(`❌ Upload failed for ${uploadSession.filename}:`, error);
+    } else if (job.state === 'queued') {
+      // Rate limited or transient failure - try again when the engine says so
+      uploadSession.status = 'retrying';
+      uploadSession.error = job.lastError;
+      console.log(`🔄 Upload for ${uploadSession.filename} will retry (attempt ${job.attempts}/${job.maxAttempts})`);
+      this.scheduleRetry(uploadSession, job.nextAttemptAt);
+      
+    } else if (job.state === 'failed') {
+      console.error(`❌ Upload failed for ${uploadSession.filename}:`, job.lastError);
       
       // Handle failure
       uploadSession.status = 'failed';
-      uploadSession.error = error.message;
+      uploadSession.error = job.lastError;
       uploadSession.failedAt = Date.now();
       
       // Show failure notification
-      await this.showUploadCompleteNotification(uploadSession, false, error.message);
+      await this.showUploadCompleteNotification(uploadSession, false, job.lastError);
       
       // Dispatch failure event
       window.dispatchEvent(new CustomEvent('fileTransferUploadFailed', {
@@ -388,7 +479,7 @@ class BackgroundUploadService {
           uploadId: uploadSession.uploadId,
           photoId: uploadSession.photoId,
           filename: uploadSession.filename,
-          error: error.message,
+          error: job.lastError,
           eventId: uploadSession.eventId,
           cropType: uploadSession.cropType
         }
@@ -396,6 +487,198 @@ class BackgroundUploadService {
       
       // Clean up temp files
       this.cleanupTempFile(uploadSession);
+      
+    } else if (job.state === 'paused') {
+      uploadSession.status = 'paused';
+      console.log(`⏸️ Upload for ${uploadSession.filename} paused`);
+    }
+  }
+
+  /**
+   * Settle as soon as the engine aborts the attempt. The native plugin has
+   * no cancel call, so the transfer itself runs to completion in the
+   * background and its result is ignored.
+   */
+  abortable(promise, signal) {
+    if (!signal) return promise;
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new Error('Upload aborted'));
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Subscribe to the upload engine once it is available
+   */
+  watchEngine() {
+    if (this.engineUnsubscribe) return;
+    
+    this.engineUnsubscribe = getUploadEngine().subscribe((eventType, data) => {
+      this.handleEngineEvent(eventType, data);
+    });
+  }
+
+  /**
+   * Mirror pause, resume and cancel decisions made outside this service
+   */
+  handleEngineEvent(eventType, data) {
+    if (eventType !== 'job_state_changed' || data.source !== 'background') return;
+    
+    const uploadSession = this.activeUploads.get(data.id);
+    if (!uploadSession) return;
+    
+    if (data.state === 'paused') {
+      uploadSession.status = 'paused';
+      window.dispatchEvent(new CustomEvent('fileTransferUploadPaused', {
+        detail: {
+          uploadId: uploadSession.uploadId,
+          filename: uploadSession.filename,
+          eventId: uploadSession.eventId
+        }
+      }));
+      
+    } else if (data.previousState === 'paused' && data.state === 'queued') {
+      console.log(`▶️ Resuming upload for ${uploadSession.filename}`);
+      this.performFileUpload(uploadSession);
+      
+    } else if (data.state === 'cancelled' && uploadSession.status !== 'cancelled') {
+      // Cancelled through the engine (e.g. by another service)
+      this.cancelUpload(data.id);
+    }
+  }
+
+  /**
+   * Pause an upload, aborting it if it is in flight
+   */
+  pause(uploadId) {
+    return getUploadEngine().pause(uploadId);
+  }
+
+  /**
+   * Resume a paused upload
+   */
+  resume(uploadId) {
+    return getUploadEngine().resume(uploadId);
+  }
+
+  /**
+   * Cancel an upload (see cancelUpload)
+   */
+  async cancel(uploadId) {
+    return this.cancelUpload(uploadId);
+  }
+
+  /**
+   * Pause every upload for an event (across all upload services)
+   */
+  pauseEvent(eventId) {
+    return getUploadEngine().pauseEvent(eventId);
+  }
+
+  /**
+   * Resume every paused upload for an event
+   */
+  resumeEvent(eventId) {
+    return getUploadEngine().resumeEvent(eventId);
+  }
+
+  /**
+   * Turn a 429 into a deferred engine error
+   */
+  throwIfRateLimited(rateLimitScope, httpStatus, headers) {
+    if (!httpStatus) return;
+    
+    const rateLimit = getRateLimitGovernor()?.handleResponse(rateLimitScope, httpStatus, headers);
+    if (rateLimit?.rateLimited) {
+      const error = new Error('Rate limited by server');
+      error.deferred = true;
+      error.retryAt = rateLimit.retryAt;
+      throw error;
+    }
+  }
+
+  /**
+   * Hold an upload while its event is rate limited.
+   * Returns true when the upload may start now.
+   */
+  deferIfRateLimited(uploadSession) {
+    const check = getRateLimitGovernor()?.checkUpload({ eventId: uploadSession.eventId });
+    if (!check || check.allowed) {
+      return true;
+    }
+    
+    uploadSession.status = 'rate_limited';
+    uploadSession.retryAt = check.retryAt;
+    
+    window.dispatchEvent(new CustomEvent('fileTransferUploadRateLimited', {
+      detail: {
+        uploadId: uploadSession.uploadId,
+        photoId: uploadSession.photoId,
+        filename: uploadSession.filename,
+        eventId: uploadSession.eventId,
+        retryAt: check.retryAt
+      }
+    }));
+    
+    this.scheduleRetry(uploadSession, check.retryAt);
+    return false;
+  }
+
+  /**
+   * Run the upload again once retryAt has passed
+   */
+  scheduleRetry(uploadSession, retryAt) {
+    const delay = Math.max((retryAt || Date.now()) - Date.now(), 0) + 500;
+    console.log(`⏳ Upload ${uploadSession.uploadId} retrying in ${Math.ceil(delay / 1000)}s`);
+    
+    setTimeout(() => {
+      // Cancelled uploads are removed from activeUploads
+      if (this.activeUploads.has(uploadSession.uploadId)) {
+        this.performFileUpload(uploadSession);
+      }
+    }, delay);
+  }
+
+  /**
+   * Look up the photo a PhotoEditor crop was made from. Never blocks the
+   * upload - any failure just means no link.
+   * @returns {Promise<{photoId: string, filename: string, transform: string, score: number}|null>}
+   */
+  async findCropOriginal(croppedImagePath, eventId, filename) {
+    const deduplication = getPhotoDeduplicationService();
+    if (!deduplication) return null;
+
+    try {
+      if (!deduplication.isInitialized) {
+        await deduplication.initialize();
+      }
+
+      const result = await deduplication.checkPhotoForDuplicates({
+        id: croppedImagePath,
+        eventId: eventId,
+        filename: filename,
+        path: croppedImagePath,
+        mimeType: 'image/jpeg'
+      });
+      const [match] = result.matches;
+      if (!match) return null;
+
+      console.log(`🔁 Cropped image matches ${match.filename} (${match.similarity.transform})`);
+      return {
+        photoId: match.photoId,
+        filename: match.filename,
+        transform: match.similarity.transform,
+        score: match.similarity.cropMatch?.score ?? match.similarity.overallSimilarity
+      };
+    } catch (error) {
+      console.warn('⚠️ Could not check cropped image for its original:', error.message);
+      return null;
     }
   }
 
@@ -428,6 +711,12 @@ class BackgroundUploadService {
         uploadSource: 'photo-editor'
       };
 
+      // Link the crop to the photo it was cut from, when that photo is known
+      const duplicateOf = await this.findCropOriginal(croppedImagePath, eventId, filename);
+      if (duplicateOf) {
+        metadata.duplicateOf = duplicateOf;
+      }
+
       // Use query parameter authentication for reliability
       const uploadUrl = `${this.uploadEndpoint}?token=${encodeURIComponent(jwtToken)}`;
       
@@ -458,8 +747,19 @@ class BackgroundUploadService {
       console.log(`📡 Upload URL: ${uploadUrl}`);
       console.log(`📝 Upload data:`, uploadOptions.data);
 
-      // Generate unique upload ID
-      const uploadId = `crop_upload_${Date.now()}`;
+      // Register with the upload engine
+      const { job, suppressed } = getUploadEngine().submit({
+        id: `crop_upload_${Date.now()}`,
+        source: 'background',
+        eventId: eventId,
+        photoKey: croppedImagePath,
+        filename: filename,
+        maxAttempts: this.maxAttempts
+      });
+      if (suppressed) {
+        throw new Error(`Upload of ${filename} suppressed (${suppressed.reason})`);
+      }
+      const uploadId = job.id;
       
       const uploadSession = {
         uploadId: uploadId,
@@ -493,48 +793,11 @@ class BackgroundUploadService {
   }
 
   /**
-   * Get JWT token using existing iOS AppDelegate system
+   * Get JWT token using existing iOS AppDelegate system (shared UploadEngine lookup)
    */
   async getJwtToken() {
     console.log('🔐 Getting JWT token for background upload...');
-    
-    try {
-      // Priority 1: Use JavaScript function if available (matches EventPhotoPicker pattern)
-      if (typeof window.getPhotoShareJwtToken === 'function') {
-        console.log('🔐 Attempting to get JWT token from JavaScript function...');
-        const token = await window.getPhotoShareJwtToken();
-        if (token && token.length > 0) {
-          console.log(`✅ Got JWT token from JavaScript: ${token.substring(0, 20)}...`);
-          return token;
-        }
-      }
-      
-      // Priority 2: Request fresh token via chunked transfer (matches AppDelegate pattern)
-      if (typeof window.testChunkedJwtTransfer === 'function') {
-        console.log('🔐 Requesting fresh JWT token via chunked transfer...');
-        const success = await window.testChunkedJwtTransfer();
-        if (success) {
-          // Wait a moment for token to be stored
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          // Try JavaScript function again
-          if (typeof window.getPhotoShareJwtToken === 'function') {
-            const token = await window.getPhotoShareJwtToken();
-            if (token) {
-              console.log(`✅ Got fresh JWT token after chunked transfer: ${token.substring(0, 20)}...`);
-              return token;
-            }
-          }
-        }
-      }
-      
-      console.log('⚠️ Could not get JWT token, upload may fail');
-      return null;
-      
-    } catch (error) {
-      console.error('❌ Error getting JWT token:', error);
-      return null;
-    }
+    return await getUploadEngine().getJwtToken();
   }
 
   /**
@@ -710,21 +973,81 @@ class BackgroundUploadService {
             formData.append('metadata', JSON.stringify(metadata));
           }
 
-          // Upload with authentication token
-          const response = await fetch(`${this.uploadEndpoint}?token=${jwtToken}`, {
-            method: 'POST',
-            body: formData
+          // Register with the upload engine - one job per photo across all services
+          const engine = getUploadEngine();
+          const { job, duplicate } = engine.submit({
+            source: 'background',
+            eventId: eventId,
+            photoKey: photo.localIdentifier || photo.id,
+            filename: photo.filename,
+            fileSize: photo.fileSize,
+            maxAttempts: this.maxAttempts
           });
+          
+          if (duplicate) {
+            uploadResults.push({
+              uploadId: job.id,
+              photoId: photo.id,
+              filename: photo.filename,
+              status: 'duplicate'
+            });
+            continue;
+          }
+
+          const rateLimitScope = { eventId: eventId };
+          let statusCode = null;
+          
+          // Attempt until the engine reports done, failed or cancelled, waiting out
+          // rate limits, backoff and pauses
+          while (job.state === 'queued' || job.state === 'paused') {
+            if (job.state === 'paused') {
+              console.log(`⏸️ Web upload for ${photo.filename} paused`);
+              await engine.waitUntilResumed(job.id);
+              continue;
+            }
+
+            const check = getRateLimitGovernor()?.checkUpload(rateLimitScope);
+            const waitUntil = Math.max(job.nextAttemptAt || 0, check && !check.allowed ? check.retryAt : 0);
+            if (waitUntil > Date.now()) {
+              console.log(`⏳ Web upload waiting ${Math.ceil((waitUntil - Date.now()) / 1000)}s before next attempt`);
+              await new Promise(resolve => setTimeout(resolve, waitUntil - Date.now() + 500));
+              continue;
+            }
+            
+            await engine.runAttempt(job.id, {
+              upload: async (activeJob, { signal }) => {
+                // Upload with authentication token
+                getRateLimitGovernor()?.recordUpload(rateLimitScope);
+                const response = await fetch(`${this.uploadEndpoint}?token=${jwtToken}`, {
+                  method: 'POST',
+                  body: formData,
+                  signal: signal
+                });
+                statusCode = response.status;
+
+                this.throwIfRateLimited(rateLimitScope, response.status, response.headers);
+
+                if (!response.ok) {
+                  const error = new Error(`Upload failed: ${response.status} ${response.statusText}`);
+                  error.permanent = response.status >= 400 && response.status < 500;
+                  throw error;
+                }
+                
+                return { responseCode: response.status };
+              }
+            });
+          }
 
-          if (!response.ok) {
-            throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
+          if (job.state !== 'done') {
+            throw new Error(job.lastError || `Upload ${job.state}`);
           }
 
           uploadResults.push({
+            uploadId: job.id,
             photoId: photo.id,
             filename: photo.filename,
             status: 'completed',
-            statusCode: response.status
+            statusCode: statusCode
           });
 
           console.log(`✅ Web upload completed for ${photo.filename}`);
@@ -759,6 +1082,7 @@ class BackgroundUploadService {
   getUploadStatus() {
     const status = {
       active: 0,
+      paused: 0,
       completed: 0,
       failed: 0,
       uploads: []
@@ -776,11 +1100,14 @@ class BackgroundUploadService {
         cropType: session.cropType
       });
       
-      if (session.status === 'uploading') status.active++;
+      if (['uploading', 'rate_limited', 'retrying'].includes(session.status)) status.active++;
+      else if (session.status === 'paused') status.paused++;
       else if (session.status === 'completed') status.completed++;
       else if (session.status === 'failed') status.failed++;
     });
     
+    status.rateLimitStatus = getRateLimitGovernor()?.getStatus() || null;
+    
     return status;
   }
 
@@ -797,6 +1124,7 @@ class BackgroundUploadService {
         // Mark as cancelled
         session.status = 'cancelled';
         session.cancelledAt = Date.now();
+        getUploadEngine().cancel(uploadId);
         
         // Clean up resources
         if (session) {
@@ -900,6 +1228,22 @@ window.cancelBackgroundUpload = async (uploadId) => {
   return window.backgroundUploadService.cancelUpload(uploadId);
 };
 
+window.pauseBackgroundUpload = (uploadId) => {
+  return window.backgroundUploadService.pause(uploadId);
+};
+
+window.resumeBackgroundUpload = (uploadId) => {
+  return window.backgroundUploadService.resume(uploadId);
+};
+
+window.pauseEventUploads = (eventId) => {
+  return window.backgroundUploadService.pauseEvent(eventId);
+};
+
+window.resumeEventUploads = (eventId) => {
+  return window.backgroundUploadService.resumeEvent(eventId);
+};
+
 window.cancelAllBackgroundUploads = async () => {
   return window.backgroundUploadService.cancelAllUploads();
 };
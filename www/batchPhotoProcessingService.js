@@ -21,6 +21,13 @@ const advancedPhotoFilterService = window.advancedPhotoFilterService || {
     shouldInclude: true,
     confidence: 0.9,
     filterReasons: []
+  }),
+  analyzeQuality: async (photo) => ({
+    measured: false,
+    qualityScore: 0.5,
+    issues: [],
+    reasons: [],
+    rejected: false
   })
 };
 
@@ -29,7 +36,8 @@ const photoDeduplicationService = window.photoDeduplicationService || {
   initialize: async () => true,
   findDuplicates: async (photos, callback) => ({
     duplicateGroups: [],
-    potentialSpaceSaved: 0
+    potentialSpaceSaved: 0,
+    spaceSaved: 0
   })
 };
 
@@ -48,19 +56,64 @@ const addPhotoToUploadQueue = window.addPhotoToUploadQueue || async function(pho
   return true;
 };
 
+// Shared image worker pool (workerPool.js), looked up lazily
+const getImageWorkerPool = () => window.imageWorkerPool || null;
+
+// Per-photo decision history and "upload anyway" overrides (photoDecisionLog.js)
+const getPhotoDecisionLog = () => window.photoDecisionLog || null;
+
+// Decoded images held on the main thread (decodedImageMemory.js)
+const getDecodedImageMemory = () => window.decodedImageMemory || null;
+
+// Thermal state, Low Power Mode and memory warnings (PerformanceMonitorPlugin.swift)
+const getPerformanceMonitor = () => window.Capacitor?.Plugins?.PerformanceMonitor || null;
+
+// JSON / CSV / HTML report files and the share sheet (batchReportExport.js)
+const getBatchReportExporter = () => window.batchReportExporter || null;
+
+// Image data of checkpointed photos that exist only in memory
+const getFilesystem = () => window.Capacitor?.Plugins?.Filesystem || null;
+
+// Stage inputs every batch starts with
+const BATCH_INPUTS = ['photos'];
+
+// Image data a photo may carry in memory - too big for a localStorage
+// checkpoint. Photos with a webPath / path are read from it again after a
+// relaunch; the rest have their data saved with Filesystem (savePhotoPayloads).
+const TRANSIENT_PHOTO_FIELDS = ['base64', 'base64Data', 'dataUrl', 'data', 'blob', 'file', 'imageData', 'imageBitmap'];
+
+// Throttle levels, least to most backed off
+const THROTTLE_LEVELS = ['normal', 'reduced', 'critical'];
+
+// Assumed size of a photo without dimensions - 12MP, as most phone cameras
+const DEFAULT_PHOTO_DIMENSIONS = { width: 4032, height: 3024 };
+
 /**
  * BatchPhotoProcessingService - Advanced batch processing with progress indicators
  * Handles large-scale photo operations with real-time progress tracking
+ *
+ * A batch runs through processing stages in dependency order. The six
+ * built-in stages (preparation, metadataExtraction, filtering,
+ * deduplication, qualityAnalysis, finalization) are registered like any
+ * other; registerStage() adds more, e.g. watermarking or captions.
+ *
+ * Batches run one at a time from a queue. Each is checkpointed after every
+ * stage and every photo (config.checkpoint), so a batch cut short when iOS
+ * suspends or kills the app resumes at the same stage - on the next launch,
+ * or when EnhancedBackgroundService's processing task calls resumePendingBatches().
  */
 class BatchPhotoProcessingService {
   constructor() {
     this.isInitialized = false;
     this.processingActive = false;
     this.currentBatch = null;
-    this.processingQueue = [];
-    this.activeWorkers = new Map();
+    this.processingQueue = []; // { batchState, resolve, reject } in the order batches were submitted
+    this.queueRunner = null; // Promise while the queue is being worked through
+    this.suspendAt = null; // Time (ms) to stop at the next checkpoint, see resumePendingBatches
+    this.workerPool = null; // Shared image worker pool, see initializeWebWorkers
     this.progressSubscribers = new Set();
     this.batchHistory = [];
+    this.stageDefinitions = new Map(); // stage name -> definition, in registration order
     
     // Processing configuration
     this.config = {
@@ -69,7 +122,7 @@ class BatchPhotoProcessingService {
       maxConcurrentBatches: 2,
       maxConcurrentPerBatch: 5,
       
-      // Processing stages
+      // Processing stages - enabled and progress weight by stage name (registerStage adds entries)
       stages: {
         preparation: { enabled: true, weight: 0.05 },
         metadataExtraction: { enabled: true, weight: 0.15 },
@@ -98,9 +151,23 @@ class BatchPhotoProcessingService {
       // Performance optimization
       performance: {
         useWebWorkers: true,
-        adaptiveBatching: true,
-        memoryThrottling: true,
-        priorityProcessing: true
+        adaptiveBatching: true, // Batch size and concurrency follow photo times, heat and Low Power Mode
+        memoryThrottling: true, // Back off as decoded images near their budget or iOS warns about memory
+        priorityProcessing: true,
+        
+        adaptive: {
+          minConcurrent: 1,
+          minBatchSize: 5,
+          targetPhotoTime: 1500, // ms per photo - concurrency grows while photos take less
+          slowPhotoTime: 4000, // ms per photo - and shrinks while they take more
+          decodedImageBudget: 192 * 1024 * 1024, // Decoded pixels in memory at once (a 12MP photo is 48MB)
+          memoryHighWater: 0.7, // Share of the heap limit / decoded image budget - reduce
+          memoryCritical: 0.9, // One photo at a time, pausing for memory to be freed
+          criticalPause: 1500, // ms
+          sampleInterval: 2000, // ms between device condition reads
+          memoryWarningHold: 30000, // ms to stay backed off after an iOS memory warning
+          lowBatteryLevel: 0.2
+        }
       },
       
       // Output options
@@ -109,12 +176,256 @@ class BatchPhotoProcessingService {
         saveProcessingLog: true,
         exportResults: true,
         compressionOptimization: false
+      },
+      
+      // Checkpoints - batch state is saved after every stage and every photo so
+      // an interrupted batch resumes where it stopped
+      checkpoint: {
+        enabled: true,
+        storageKey: 'batch_processing_checkpoints', // Batch IDs in queue order
+        batchKeyPrefix: 'batch_checkpoint_', // + batchId, and + batchId + '_photos'
+        payloadFolder: 'batch-checkpoints', // Filesystem Directory.Data, one folder per batch
+        payloadDirectory: 'DATA'
       }
     };
     
+    // Adaptive batching state, see adaptToDeviceLoad
+    this.throttle = {
+      level: 'normal',
+      reasons: [],
+      concurrency: this.config.maxConcurrentPerBatch,
+      photoTimes: {}, // stage name -> moving average ms per photo
+      conditions: { thermalState: 'nominal', lowPowerMode: false, batteryLevel: null, isCharging: null },
+      conditionsReadAt: 0,
+      memoryWarningAt: 0
+    };
+    this.deviceConditionsListener = null;
+    
+    this.registerBuiltInStages();
+    
     console.log('⚙️ BatchPhotoProcessingService initialized');
   }
 
+  /**
+   * The six stages every batch has run through, as registered stages
+   */
+  registerBuiltInStages() {
+    const builtIn = { builtIn: true };
+    
+    this.registerStage({
+      ...builtIn,
+      name: 'preparation',
+      outputs: ['validated'],
+      dropsPhotos: true,
+      run: (batchState) => this.executePreparationStage(batchState)
+    });
+    this.registerStage({
+      ...builtIn,
+      name: 'metadataExtraction',
+      inputs: ['validated'],
+      outputs: ['metadata'],
+      parallel: true,
+      run: (batchState) => this.executeMetadataExtractionStage(batchState)
+    });
+    this.registerStage({
+      ...builtIn,
+      name: 'filtering',
+      inputs: ['metadata'],
+      outputs: ['analysis'],
+      dropsPhotos: true,
+      run: (batchState) => this.executeFilteringStage(batchState)
+    });
+    this.registerStage({
+      ...builtIn,
+      name: 'deduplication',
+      inputs: ['validated'],
+      outputs: ['duplicates'],
+      after: ['filtering'], // No point hashing photos filtering drops
+      dropsPhotos: true,
+      run: (batchState) => this.executeDeduplicationStage(batchState)
+    });
+    this.registerStage({
+      ...builtIn,
+      name: 'qualityAnalysis',
+      inputs: ['validated'],
+      outputs: ['quality'],
+      after: ['filtering'], // Reuses the quality filtering measured
+      dropsPhotos: true,
+      run: (batchState) => this.executeQualityAnalysisStage(batchState)
+    });
+    this.registerStage({
+      ...builtIn,
+      name: 'finalization',
+      inputs: ['metadata'],
+      outputs: ['finalized'],
+      after: ['deduplication', 'qualityAnalysis'],
+      run: (batchState) => this.executeFinalizationStage(batchState)
+    });
+  }
+
+  /**
+   * Register a processing stage. Stages run after the stages producing
+   * their inputs, and after / before any stages they name; otherwise in
+   * registration order. A stage that changes photos before they are queued
+   * for upload declares before: ['finalization'].
+   *
+   * @param {object} definition
+   *   name        - unique; also the stage's key in config.stages
+   *   inputs      - data it reads, e.g. 'metadata' ('photos' is always there)
+   *   outputs     - data it adds for later stages
+   *   after, before - stage names to run after / before, whatever the data
+   *   weight      - share of overall progress, relative to the other stages (default 0.1)
+   *   parallel    - processPhoto may run for several photos at once (up to maxConcurrentPerBatch)
+   *   dropsPhotos - the stage may take photos out of the batch
+   *   enabled     - default true
+   *   run(batchState, service) - process the whole batch and return the stage result, or
+   *   processPhoto(photo, batchState) - process one photo; return { drop: true, reason }
+   *               to take it out of the batch (dropsPhotos stages only)
+   * @returns {object} The registered stage
+   */
+  registerStage(definition) {
+    const { name } = definition;
+    if (!name || typeof name !== 'string') {
+      throw new Error('Processing stage needs a name');
+    }
+    if (this.stageDefinitions.has(name)) {
+      throw new Error(`Processing stage already registered: ${name}`);
+    }
+    if (typeof definition.run !== 'function' && typeof definition.processPhoto !== 'function') {
+      throw new Error(`Processing stage ${name} needs run() or processPhoto()`);
+    }
+    
+    const stage = {
+      name: name,
+      inputs: definition.inputs || [],
+      outputs: definition.outputs || [],
+      after: definition.after || [],
+      before: definition.before || [],
+      parallel: Boolean(definition.parallel),
+      dropsPhotos: Boolean(definition.dropsPhotos),
+      builtIn: Boolean(definition.builtIn),
+      run: definition.run || null,
+      processPhoto: definition.processPhoto || null
+    };
+    
+    this.stageDefinitions.set(name, stage);
+    try {
+      this.resolveStageOrder();
+    } catch (error) {
+      this.stageDefinitions.delete(name);
+      throw error;
+    }
+    
+    // Built-in stages keep their configured weights
+    if (!this.config.stages[name]) {
+      this.config.stages[name] = {
+        enabled: definition.enabled !== false,
+        weight: definition.weight ?? 0.1
+      };
+    }
+    
+    if (!stage.builtIn) {
+      console.log(`⚙️ Processing stage registered: ${name}`);
+    }
+    return stage;
+  }
+
+  /**
+   * Remove a registered stage. Built-in stages can only be disabled.
+   */
+  unregisterStage(name) {
+    const stage = this.stageDefinitions.get(name);
+    if (!stage) return false;
+    if (stage.builtIn) {
+      throw new Error(`${name} is a built-in stage - disable it with setStageEnabled instead`);
+    }
+    
+    const registered = this.stageDefinitions;
+    this.stageDefinitions = new Map(registered);
+    this.stageDefinitions.delete(name);
+    try {
+      this.resolveStageOrder();
+    } catch (error) {
+      // Another stage depends on it
+      this.stageDefinitions = registered;
+      throw error;
+    }
+    delete this.config.stages[name];
+    return true;
+  }
+
+  setStageEnabled(name, enabled) {
+    if (!this.stageDefinitions.has(name)) {
+      throw new Error(`Unknown processing stage: ${name}`);
+    }
+    this.config.stages[name].enabled = enabled;
+  }
+
+  /**
+   * Every registered stage in the order it runs (disabled ones included)
+   * @throws {Error} When an input has no producer, a named stage is unknown,
+   *   or stages depend on each other in a cycle
+   */
+  resolveStageOrder() {
+    const stages = Array.from(this.stageDefinitions.values());
+    const dependencies = new Map(stages.map(stage => [stage.name, new Set()]));
+    
+    const requireStage = (stage, name) => {
+      if (!this.stageDefinitions.has(name)) {
+        throw new Error(`Processing stage ${stage.name} refers to unknown stage ${name}`);
+      }
+    };
+    
+    for (const stage of stages) {
+      for (const input of stage.inputs) {
+        if (BATCH_INPUTS.includes(input)) continue;
+        const producers = stages.filter(other => other !== stage && other.outputs.includes(input));
+        if (producers.length === 0) {
+          throw new Error(`Processing stage ${stage.name} needs '${input}', which no registered stage produces`);
+        }
+        producers.forEach(producer => dependencies.get(stage.name).add(producer.name));
+      }
+      stage.after.forEach(name => {
+        requireStage(stage, name);
+        dependencies.get(stage.name).add(name);
+      });
+      stage.before.forEach(name => {
+        requireStage(stage, name);
+        dependencies.get(name).add(stage.name);
+      });
+    }
+    
+    // Earliest registered stage whose dependencies have all run, until none are left
+    const ordered = [];
+    const remaining = stages.map(stage => stage.name);
+    while (remaining.length > 0) {
+      const next = remaining.find(name => Array.from(dependencies.get(name)).every(dependency => ordered.includes(dependency)));
+      if (!next) {
+        throw new Error(`Processing stages depend on each other in a cycle: ${remaining.join(', ')}`);
+      }
+      ordered.push(next);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+    
+    return ordered.map(name => this.stageDefinitions.get(name));
+  }
+
+  /**
+   * Registered stages in run order, for status and diagnostics
+   */
+  getStages() {
+    return this.resolveStageOrder().map(stage => ({
+      name: stage.name,
+      inputs: stage.inputs,
+      outputs: stage.outputs,
+      weight: this.config.stages[stage.name].weight,
+      enabled: this.config.stages[stage.name].enabled,
+      parallel: stage.parallel,
+      dropsPhotos: stage.dropsPhotos,
+      builtIn: stage.builtIn
+    }));
+  }
+
   /**
    * Initialize batch processing service
    */
@@ -138,10 +449,18 @@ class BatchPhotoProcessingService {
       if (this.config.performance.useWebWorkers && typeof Worker !== 'undefined') {
         await this.initializeWebWorkers();
       }
+      
+      // Heat, Low Power Mode and memory warnings as they happen
+      await this.watchDeviceConditions();
 
       this.isInitialized = true;
       console.log('✅ BatchPhotoProcessingService initialized');
       
+      // Batches interrupted when the app was last closed carry on where they stopped
+      if (this.restoreCheckpoints() > 0) {
+        this.runQueue();
+      }
+      
       return true;
       
     } catch (error) {
@@ -188,21 +507,17 @@ class BatchPhotoProcessingService {
     try {
       console.log('👷 Initializing Web Workers...');
       
-      const workerCount = Math.min(navigator.hardwareConcurrency || 2, 4);
-      
-      for (let i = 0; i < workerCount; i++) {
-        // In real implementation, would create actual Web Workers
-        // For now, simulate worker creation
-        this.activeWorkers.set(`worker_${i}`, {
-          id: `worker_${i}`,
-          status: 'idle',
-          currentTask: null,
-          processedCount: 0,
-          errorCount: 0
-        });
+      this.workerPool = getImageWorkerPool();
+      if (!this.workerPool) {
+        console.log('⚠️ workerPool.js not loaded - image work runs on the main thread');
+        return;
       }
       
-      console.log(`✅ ${workerCount} Web Workers initialized`);
+      // Workers start on demand, up to one per core (max 4)
+      const workerCount = Math.min(navigator.hardwareConcurrency || 2, 4);
+      this.workerPool.setMaxConcurrent(workerCount);
+      
+      console.log(`✅ Worker pool ready for up to ${workerCount} workers (${this.workerPool.getStatus().mode})`);
       
     } catch (error) {
       console.error('Error initializing Web Workers:', error);
@@ -210,52 +525,209 @@ class BatchPhotoProcessingService {
   }
 
   /**
-   * Process a batch of photos with comprehensive pipeline
+   * Process a batch of photos with comprehensive pipeline. Batches submitted
+   * while another is running wait their turn in the queue.
+   * @returns {Promise<object>} The batch results, once the batch has run
    */
   async processBatch(photos, options = {}) {
     if (!this.isInitialized) {
       throw new Error('BatchPhotoProcessingService not initialized');
     }
 
-    if (this.processingActive) {
-      throw new Error('Batch processing already in progress');
+    // More photos than the device handles in one batch right now (never more
+    // than maxBatchSize) run as consecutive batches, with their results
+    // combined. Later batches find duplicates of earlier ones in the hash index.
+    await this.readDeviceConditions();
+    this.updateThrottle();
+    const batchSize = this.getBatchSize();
+    let parts = [photos];
+    if (photos.length > batchSize) {
+      parts = [];
+      for (let i = 0; i < photos.length; i += batchSize) {
+        parts.push(photos.slice(i, i + batchSize));
+      }
+      console.log(`📦 Splitting ${photos.length} photos into ${parts.length} batches of up to ${batchSize}`);
+    }
+    const startedAt = Date.now();
+    
+    const batches = [];
+    for (const [index, partPhotos] of parts.entries()) {
+      const batchState = this.createBatchState(partPhotos, options);
+      if (parts.length > 1) {
+        batchState.submission = { part: index, parts: parts.length, startedAt: startedAt };
+      }
+      await this.savePhotoPayloads(batchState);
+      this.saveCheckpoint(batchState);
+      
+      if (this.processingActive || this.processingQueue.length > 0) {
+        console.log(`⏳ Batch ${batchState.batchId} queued behind ${this.processingQueue.length} batch(es)`);
+        this.notifyProgressSubscribers('queued', {
+          batchId: batchState.batchId,
+          position: this.processingQueue.length + 1
+        });
+      }
+      
+      batches.push(new Promise((resolve, reject) => {
+        this.processingQueue.push({ batchState, resolve, reject });
+        this.runQueue();
+      }));
     }
+    
+    return this.mergeBatchResults(await Promise.all(batches), photos.length);
+  }
 
-    try {
-      console.log(`🚀 Starting batch processing of ${photos.length} photos`);
+  /**
+   * One set of results for a submission that ran as several batches
+   */
+  mergeBatchResults(parts, photoCount) {
+    if (parts.length === 1) {
+      return parts[0];
+    }
+    
+    const sum = key => parts.reduce((total, part) => total + (part[key] || 0), 0);
+    
+    // Stage results add up - counts and times summed, lists joined
+    const stageResults = {};
+    parts.forEach(part => Object.entries(part.stageResults).forEach(([stageName, result]) => {
+      const merged = stageResults[stageName] || (stageResults[stageName] = {});
+      Object.entries(result).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+          merged[key] = (merged[key] || 0) + value;
+        } else if (Array.isArray(value)) {
+          merged[key] = [...(merged[key] || []), ...value];
+        } else {
+          merged[key] = value;
+        }
+      });
+    }));
+    const qualityResults = stageResults.qualityAnalysis?.qualityResults;
+    if (qualityResults) {
+      stageResults.qualityAnalysis.averageQuality = qualityResults.length > 0 ?
+        qualityResults.reduce((total, result) => total + result.qualityScore, 0) / qualityResults.length : 0;
+    }
+    
+    return {
+      processedCount: sum('processedCount'),
+      filteredCount: sum('filteredCount'),
+      duplicateCount: sum('duplicateCount'),
+      errorCount: sum('errorCount'),
+      processedPhotos: parts.flatMap(part => part.processedPhotos),
+      filteredPhotos: parts.flatMap(part => part.filteredPhotos),
+      duplicateGroups: parts.flatMap(part => part.duplicateGroups),
+      qualityMetrics: {},
+      stageResults: stageResults,
+      totalProcessingTime: sum('totalProcessingTime'),
+      averageProcessingTime: sum('totalProcessingTime') / (photoCount || 1),
+      batchCount: parts.length
+    };
+  }
+
+  /**
+   * Fresh state for a batch of photos
+   */
+  createBatchState(photos, options = {}) {
+    return {
+      batchId: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      photos: photos,
+      photoCount: photos.length,
+      options: { ...this.config, ...options },
+      createdAt: new Date().toISOString(),
+      startTime: null,
+      
+      // Checkpoint position - completed stages, the stage under way and the
+      // photos it has finished (photoId -> { value, photo })
+      completedStages: [],
+      currentStage: null,
+      photoOutcomes: {},
+      payloadPhotoIds: [], // Photos whose image data savePhotoPayloads wrote
+      unsavedPhotoIds: [], // ...and photos whose in-memory data it could not
+      stageResults: {},
+      activeTime: 0, // ms spent processing before the last resume
+      
+      // What each stage did with each photo, for the exported report
+      // (photoId -> { photoId, filename, eventId, stages: { [stage]: { outcome, detail } } })
+      photoReport: Object.fromEntries(photos.map(photo => [photo.id, this.createPhotoReportEntry(photo)])),
       
-      const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const startTime = performance.now();
+      // Progress tracking
+      progress: {
+        overall: 0,
+        stage: 'preparation',
+        processed: 0,
+        total: photos.length,
+        eta: null,
+        throughput: 0,
+        errors: []
+      },
       
-      // Initialize batch processing state
-      const batchState = {
-        batchId: batchId,
-        photos: photos,
-        options: { ...this.config, ...options },
-        startTime: startTime,
-        
-        // Progress tracking
-        progress: {
-          overall: 0,
-          stage: 'preparation',
-          processed: 0,
-          total: photos.length,
-          eta: null,
-          throughput: 0,
-          errors: []
-        },
-        
-        // Results
-        results: {
-          processed: [],
-          filtered: [],
-          duplicates: [],
-          metadata: [],
-          errors: [],
-          statistics: {}
+      // Results
+      results: {
+        processed: [],
+        filtered: [],
+        duplicates: [],
+        metadata: [],
+        errors: [],
+        statistics: {}
+      }
+    };
+  }
+
+  /**
+   * Work through queued batches one at a time. Stops early, leaving the rest
+   * checkpointed, when suspendAt passes.
+   */
+  runQueue() {
+    if (this.queueRunner) {
+      return this.queueRunner;
+    }
+    
+    this.queueRunner = (async () => {
+      while (this.processingQueue.length > 0) {
+        const entry = this.processingQueue[0];
+        try {
+          const results = await this.runBatch(entry.batchState);
+          this.processingQueue.shift();
+          entry.resolve?.(results);
+        } catch (error) {
+          if (error.code === 'BATCH_SUSPENDED') {
+            // Stays at the head of the queue, from its last checkpoint
+            entry.batchState = this.restoreBatchState(entry.batchState.batchId, entry.batchState) || entry.batchState;
+            break;
+          }
+          this.processingQueue.shift();
+          entry.reject?.(error);
         }
-      };
+      }
+    })().finally(() => {
+      this.queueRunner = null;
+    });
+    
+    return this.queueRunner;
+  }
 
+  /**
+   * Run one batch through the pipeline, from its checkpoint if it has one
+   */
+  async runBatch(batchState) {
+    const batchId = batchState.batchId;
+    const resumed = batchState.completedStages.length > 0 || batchState.currentStage !== null;
+    
+    try {
+      if (resumed) {
+        console.log(`▶️ Resuming batch ${batchId} at ${batchState.currentStage || 'the next stage'} ` +
+          `(${batchState.completedStages.length} stage(s) done)`);
+        this.notifyProgressSubscribers('resumed', {
+          batchId: batchId,
+          stage: batchState.currentStage,
+          completedStages: [...batchState.completedStages]
+        });
+      } else {
+        console.log(`🚀 Starting batch processing of ${batchState.photos.length} photos`);
+      }
+      
+      // After a relaunch the checkpoint holds no image data
+      await this.rehydratePhotos(batchState);
+      
+      batchState.startTime = performance.now() - batchState.activeTime;
       this.currentBatch = batchState;
       this.processingActive = true;
 
@@ -272,39 +744,422 @@ class BatchPhotoProcessingService {
       this.batchHistory.push({
         batchId: batchId,
         timestamp: new Date(),
-        photosProcessed: photos.length,
-        processingTime: performance.now() - startTime,
+        photosProcessed: batchState.photoCount,
+        processingTime: performance.now() - batchState.startTime,
+        resumed: resumed,
         results: finalResults,
-        report: report
+        report: report,
+        reportFiles: await this.saveBatchReport(report, batchState.options.output)
       });
 
       console.log(`✅ Batch processing completed: ${batchId}`);
-      console.log(`   📊 Processed: ${finalResults.processedCount}/${photos.length} photos`);
-      console.log(`   ⏱️ Time: ${((performance.now() - startTime) / 1000).toFixed(1)}s`);
+      console.log(`   📊 Processed: ${finalResults.processedCount}/${batchState.photoCount} photos`);
+      console.log(`   ⏱️ Time: ${((performance.now() - batchState.startTime) / 1000).toFixed(1)}s`);
 
       this.processingActive = false;
       this.currentBatch = null;
+      this.clearCheckpoint(batchId);
+
+      // Notify subscribers of completion
+      this.notifyProgressSubscribers('completed', {
+        batchId: batchId,
+        results: finalResults,
+        report: report
+      });
+
+      return finalResults;
+
+    } catch (error) {
+      this.processingActive = false;
+      this.currentBatch = null;
+      
+      if (error.code === 'BATCH_SUSPENDED') {
+        console.log(`⏸️ Batch ${batchId} paused at ${batchState.currentStage} - resumes from its checkpoint`);
+        this.notifyProgressSubscribers('suspended', {
+          batchId: batchId,
+          stage: batchState.currentStage,
+          timestamp: new Date()
+        });
+        throw error;
+      }
+      
+      console.error('Error in batch processing:', error);
+      this.clearCheckpoint(batchId);
+      
+      this.notifyProgressSubscribers('error', {
+        batchId: batchId,
+        error: error.message,
+        timestamp: new Date()
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Resume checkpointed batches - called when a background processing task
+   * fires. With timeLimit, batches pause at the next checkpoint once it has
+   * passed, so the work fits the time the system gave the task.
+   * @param {{timeLimit?: number}} options - ms
+   * @returns {Promise<{completed: number, pending: number}>}
+   */
+  async resumePendingBatches(options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('BatchPhotoProcessingService not initialized');
+    }
+    
+    if (!this.queueRunner) {
+      this.restoreCheckpoints();
+    }
+    const pendingBefore = this.processingQueue.length;
+    if (pendingBefore === 0) {
+      return { completed: 0, pending: 0 };
+    }
+    
+    this.suspendAt = options.timeLimit ? Date.now() + options.timeLimit : null;
+    try {
+      await this.runQueue();
+    } finally {
+      this.suspendAt = null;
+    }
+    
+    const pending = this.processingQueue.length;
+    console.log(`▶️ Resumed batches: ${pendingBefore - pending} completed, ${pending} still pending`);
+    return { completed: pendingBefore - pending, pending: pending };
+  }
+
+  /**
+   * Batches waiting or under way, including ones restored from checkpoints
+   */
+  getPendingBatchCount() {
+    return this.processingQueue.length || this.loadCheckpointIndex().length;
+  }
+
+  getQueueStatus() {
+    return {
+      running: this.currentBatch?.batchId || null,
+      queued: this.processingQueue
+        .map(entry => entry.batchState.batchId)
+        .filter(batchId => batchId !== this.currentBatch?.batchId),
+      checkpointed: this.loadCheckpointIndex().length
+    };
+  }
+
+  /**
+   * Throw at a checkpoint once suspendAt has passed; runQueue puts the batch back
+   */
+  checkSuspension() {
+    if (this.suspendAt && Date.now() >= this.suspendAt) {
+      const error = new Error('Batch processing paused until the next background task');
+      error.code = 'BATCH_SUSPENDED';
+      throw error;
+    }
+  }
+
+  /**
+   * Run one photo's work for the current stage, once. The outcome and the
+   * photo as it then was are checkpointed; when the batch resumes mid-stage
+   * photos that were done get them back instead of being processed again.
+   * @returns {Promise<{value: *, resumed: boolean}>}
+   */
+  async runPhotoStep(batchState, photo, work) {
+    const saved = batchState.photoOutcomes[photo.id];
+    if (saved) {
+      Object.assign(photo, saved.photo);
+      return { value: saved.value, resumed: true };
+    }
+    
+    const startTime = performance.now();
+    const value = await work();
+    this.recordPhotoTime(batchState.currentStage, performance.now() - startTime);
+    batchState.photoOutcomes[photo.id] = { value: value, photo: { ...photo } };
+    this.savePhotoCheckpoint(batchState);
+    return { value: value, resumed: false };
+  }
+
+  /**
+   * Put queued batches saved in checkpoints back in the queue (once per launch)
+   * @returns {number} Batches restored
+   */
+  restoreCheckpoints() {
+    if (!this.config.checkpoint.enabled) return 0;
+    
+    let restored = 0;
+    for (const batchId of this.loadCheckpointIndex()) {
+      if (this.processingQueue.some(entry => entry.batchState.batchId === batchId)) continue;
+      
+      const batchState = this.restoreBatchState(batchId);
+      if (batchState) {
+        this.processingQueue.push({ batchState, resolve: null, reject: null });
+        restored++;
+      } else {
+        this.clearCheckpoint(batchId);
+      }
+    }
+    
+    if (restored > 0) {
+      console.log(`💾 Restored ${restored} interrupted batch(es) from checkpoints`);
+    }
+    return restored;
+  }
+
+  /**
+   * Batch state from its checkpoint. Image data the in-memory batch
+   * (liveState) still holds is put back on the photos.
+   */
+  restoreBatchState(batchId, liveState = null) {
+    try {
+      const stored = localStorage.getItem(this.config.checkpoint.batchKeyPrefix + batchId);
+      if (!stored) return null;
+      
+      const batchState = JSON.parse(stored);
+      const photoCheckpoint = JSON.parse(localStorage.getItem(this.config.checkpoint.batchKeyPrefix + batchId + '_photos') || 'null');
+      batchState.photoOutcomes = photoCheckpoint?.stage === batchState.currentStage ? photoCheckpoint.outcomes : {};
+      
+      if (liveState) {
+        const livePhotos = new Map(liveState.photos.map(photo => [photo.id, photo]));
+        const restorePhotoData = photo => {
+          const live = livePhotos.get(photo.id);
+          TRANSIENT_PHOTO_FIELDS.forEach(field => {
+            if (live?.[field] !== undefined) photo[field] = live[field];
+          });
+        };
+        batchState.photos.forEach(restorePhotoData);
+        Object.values(batchState.photoOutcomes).forEach(outcome => restorePhotoData(outcome.photo));
+      }
+      
+      return batchState;
+    } catch (error) {
+      console.error('Error loading batch checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the batch as it stands between stages. Written synchronously, so the
+   * checkpoint is on disk before iOS can suspend the app.
+   */
+  saveCheckpoint(batchState) {
+    if (!this.config.checkpoint.enabled) return;
+    
+    try {
+      if (batchState.startTime !== null) {
+        batchState.activeTime = performance.now() - batchState.startTime;
+      }
+      localStorage.setItem(this.config.checkpoint.batchKeyPrefix + batchState.batchId, this.serializeCheckpoint(batchState));
+      
+      const index = this.loadCheckpointIndex();
+      if (!index.includes(batchState.batchId)) {
+        localStorage.setItem(this.config.checkpoint.storageKey, JSON.stringify([...index, batchState.batchId]));
+      }
+      batchState.checkpointFailing = false;
+    } catch (error) {
+      console.error('Error saving batch checkpoint:', error);
+      this.reportCheckpointFailure(batchState, error);
+    }
+  }
+
+  /**
+   * Save the photos finished so far in the current stage
+   */
+  savePhotoCheckpoint(batchState) {
+    if (!this.config.checkpoint.enabled) return;
+    
+    try {
+      localStorage.setItem(this.config.checkpoint.batchKeyPrefix + batchState.batchId + '_photos', this.serializeCheckpoint({
+        stage: batchState.currentStage,
+        outcomes: batchState.photoOutcomes
+      }));
+    } catch (error) {
+      console.error('Error saving photo checkpoint:', error);
+      this.reportCheckpointFailure(batchState, error);
+    }
+  }
+
+  /**
+   * Tell subscribers checkpoints stopped saving (usually a full localStorage) -
+   * the batch runs on, but can't resume from here. Once until a save succeeds.
+   */
+  reportCheckpointFailure(batchState, error) {
+    if (batchState.checkpointFailing) return;
+    batchState.checkpointFailing = true;
+    
+    console.warn(`⚠️ Batch ${batchState.batchId} can't be checkpointed - an interruption loses the progress since its last checkpoint`);
+    this.notifyProgressSubscribers('checkpointFailed', {
+      batchId: batchState.batchId,
+      stage: batchState.currentStage,
+      error: error.message
+    });
+  }
+
+  /**
+   * JSON without image data, timers or the per-photo checkpoint (saved on its own)
+   */
+  serializeCheckpoint(state) {
+    return JSON.stringify(state, (key, value) => {
+      if (TRANSIENT_PHOTO_FIELDS.includes(key) || key === 'progressTracker' || key === 'photoOutcomes') {
+        return undefined;
+      }
+      return value;
+    });
+  }
+
+  clearCheckpoint(batchId) {
+    this.deletePhotoPayloads(batchId);
+    
+    try {
+      localStorage.removeItem(this.config.checkpoint.batchKeyPrefix + batchId);
+      localStorage.removeItem(this.config.checkpoint.batchKeyPrefix + batchId + '_photos');
+      const index = this.loadCheckpointIndex().filter(id => id !== batchId);
+      localStorage.setItem(this.config.checkpoint.storageKey, JSON.stringify(index));
+    } catch (error) {
+      console.error('Error clearing batch checkpoint:', error);
+    }
+  }
+
+  /**
+   * Photos with image data only in memory (no webPath / path) would have none
+   * after a relaunch - save it with Filesystem, one file per photo
+   */
+  async savePhotoPayloads(batchState) {
+    const filesystem = getFilesystem();
+    if (!this.config.checkpoint.enabled) return;
+    
+    for (const photo of batchState.photos) {
+      if (!photo?.id || this.canRereadPhoto(photo) || !this.hasPhotoData(photo)) continue;
+      if (!filesystem) {
+        batchState.unsavedPhotoIds.push(photo.id);
+        continue;
+      }
+      
+      try {
+        const payload = {};
+        for (const field of TRANSIENT_PHOTO_FIELDS) {
+          const value = photo[field];
+          if (typeof value === 'string') {
+            payload[field] = value;
+          } else if (typeof Blob !== 'undefined' && value instanceof Blob && !payload.dataUrl) {
+            payload.dataUrl = await this.blobToDataUrl(value);
+          }
+        }
+        if (Object.keys(payload).length === 0) {
+          batchState.unsavedPhotoIds.push(photo.id); // Decoded pixels only
+          continue;
+        }
+        
+        await filesystem.writeFile({
+          path: this.payloadPath(batchState.batchId, photo.id),
+          data: JSON.stringify(payload),
+          directory: this.config.checkpoint.payloadDirectory,
+          encoding: 'utf8',
+          recursive: true
+        });
+        batchState.payloadPhotoIds.push(photo.id);
+      } catch (error) {
+        batchState.unsavedPhotoIds.push(photo.id);
+        console.error(`Error saving image data of ${photo.filename} for the checkpoint:`, error);
+      }
+    }
+  }
+
+  /**
+   * Put saved image data back on photos restored from a checkpoint. Photos
+   * that can't be read any more fail, rather than go on without pixels.
+   */
+  async rehydratePhotos(batchState) {
+    const filesystem = getFilesystem();
+    const payloads = new Map();
+    const rehydrate = async photo => {
+      if (this.hasPhotoData(photo) || this.canRereadPhoto(photo)) return true;
+      if (batchState.unsavedPhotoIds?.includes(photo.id)) return false;
+      if (!batchState.payloadPhotoIds?.includes(photo.id)) return true; // Never had data in memory
+      if (!filesystem) return false;
+      
+      try {
+        if (!payloads.has(photo.id)) {
+          const { data } = await filesystem.readFile({
+            path: this.payloadPath(batchState.batchId, photo.id),
+            directory: this.config.checkpoint.payloadDirectory,
+            encoding: 'utf8'
+          });
+          payloads.set(photo.id, JSON.parse(data));
+        }
+        Object.assign(photo, payloads.get(photo.id));
+        return true;
+      } catch (error) {
+        console.error(`Error reading saved image data of ${photo.filename}:`, error);
+        return false;
+      }
+    };
+    
+    const readable = [];
+    for (const photo of batchState.photos) {
+      if (await rehydrate(photo)) {
+        readable.push(photo);
+        continue;
+      }
+      batchState.results.errors.push({
+        photoId: photo.id,
+        stage: batchState.currentStage || 'resume',
+        error: 'image data was lost when the app closed'
+      });
+      const entry = this.getPhotoReportEntry(batchState, photo);
+      if (entry) {
+        entry.stages[batchState.currentStage || 'resume'] = { outcome: 'error', detail: 'image data was lost when the app closed' };
+      }
+    }
+    for (const outcome of Object.values(batchState.photoOutcomes || {})) {
+      if (outcome.photo) await rehydrate(outcome.photo);
+    }
+    
+    if (readable.length < batchState.photos.length) {
+      console.warn(`⚠️ Batch ${batchState.batchId}: ${batchState.photos.length - readable.length} photo(s) could not be read after the relaunch`);
+      batchState.photos = readable;
+    }
+  }
+
+  hasPhotoData(photo) {
+    return TRANSIENT_PHOTO_FIELDS.some(field => photo[field] !== undefined && photo[field] !== null);
+  }
+
+  canRereadPhoto(photo) {
+    return Boolean(photo.webPath || photo.path);
+  }
+
+  payloadPath(batchId, photoId) {
+    return `${this.config.checkpoint.payloadFolder}/${batchId}/${encodeURIComponent(photoId)}.json`;
+  }
 
-      // Notify subscribers of completion
-      this.notifyProgressSubscribers('completed', {
-        batchId: batchId,
-        results: finalResults,
-        report: report
-      });
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
 
-      return finalResults;
+  deletePhotoPayloads(batchId) {
+    const filesystem = getFilesystem();
+    if (!filesystem) return;
+    
+    filesystem.rmdir({
+      path: `${this.config.checkpoint.payloadFolder}/${batchId}`,
+      directory: this.config.checkpoint.payloadDirectory,
+      recursive: true
+    }).catch(() => {
+      // No image data was saved for this batch
+    });
+  }
 
+  loadCheckpointIndex() {
+    if (!this.config.checkpoint.enabled) return [];
+    
+    try {
+      return JSON.parse(localStorage.getItem(this.config.checkpoint.storageKey) || '[]');
     } catch (error) {
-      console.error('Error in batch processing:', error);
-      this.processingActive = false;
-      this.currentBatch = null;
-      
-      this.notifyProgressSubscribers('error', {
-        error: error.message,
-        timestamp: new Date()
-      });
-      
-      throw error;
+      console.error('Error loading batch checkpoints:', error);
+      return [];
     }
   }
 
@@ -313,9 +1168,15 @@ class BatchPhotoProcessingService {
    */
   async executeProcessingPipeline(batchState) {
     try {
-      const stages = Object.keys(this.config.stages).filter(
-        stage => this.config.stages[stage].enabled
-      );
+      const stages = this.resolveStageOrder().filter(stage => this.config.stages[stage.name].enabled);
+      const totalWeight = stages.reduce((sum, stage) => sum + this.config.stages[stage.name].weight, 0) || 1;
+      
+      // Inputs of a disabled stage are simply missing - stages cope, but say so
+      stages.forEach(stage => stage.inputs.forEach(input => {
+        if (!BATCH_INPUTS.includes(input) && !stages.some(other => other.outputs.includes(input))) {
+          console.log(`⚠️ Stage ${stage.name} runs without '${input}' - the stage producing it is disabled`);
+        }
+      }));
       
       const results = {
         processedCount: 0,
@@ -329,8 +1190,8 @@ class BatchPhotoProcessingService {
         duplicateGroups: [],
         qualityMetrics: {},
         
-        // Processing metrics
-        stageResults: {},
+        // Processing metrics (stages done before a resume come from the checkpoint)
+        stageResults: batchState.stageResults,
         totalProcessingTime: 0,
         averageProcessingTime: 0
       };
@@ -339,16 +1200,33 @@ class BatchPhotoProcessingService {
       
       for (let i = 0; i < stages.length; i++) {
         const stage = stages[i];
-        const stageWeight = this.config.stages[stage].weight;
+        const stageWeight = this.config.stages[stage.name].weight / totalWeight;
+        
+        if (batchState.completedStages.includes(stage.name)) {
+          cumulativeProgress += stageWeight * 100;
+          continue;
+        }
+        
+        this.checkSuspension();
+        
+        // Checkpoint the batch as this stage finds it - a resume restarts the
+        // stage from here, skipping the photos it had finished
+        if (batchState.currentStage !== stage.name) {
+          batchState.currentStage = stage.name;
+          batchState.photoOutcomes = {};
+          this.saveCheckpoint(batchState);
+        }
         
-        console.log(`🔄 Processing stage: ${stage}`);
-        batchState.progress.stage = stage;
+        console.log(`🔄 Processing stage: ${stage.name}`);
+        batchState.progress.stage = stage.name;
         
         const stageStartTime = performance.now();
+        const photosBefore = batchState.photos;
         const stageResult = await this.executeProcessingStage(stage, batchState);
         const stageTime = performance.now() - stageStartTime;
+        this.notePhotosThroughStage(batchState, stage.name, photosBefore);
         
-        results.stageResults[stage] = {
+        results.stageResults[stage.name] = {
           ...stageResult,
           processingTime: stageTime
         };
@@ -357,9 +1235,14 @@ class BatchPhotoProcessingService {
         cumulativeProgress += stageWeight * 100;
         batchState.progress.overall = Math.min(cumulativeProgress, 100);
         
+        batchState.completedStages.push(stage.name);
+        batchState.currentStage = null;
+        batchState.photoOutcomes = {};
+        this.saveCheckpoint(batchState);
+        
         this.updateProgressMetrics(batchState, stageResult);
         
-        console.log(`   ✅ Stage ${stage} completed in ${stageTime.toFixed(0)}ms`);
+        console.log(`   ✅ Stage ${stage.name} completed in ${stageTime.toFixed(0)}ms`);
         
         // Check for failure threshold
         if (this.checkFailureThreshold(batchState)) {
@@ -383,7 +1266,9 @@ class BatchPhotoProcessingService {
       return results;
 
     } catch (error) {
-      console.error('Error in processing pipeline:', error);
+      if (error.code !== 'BATCH_SUSPENDED') {
+        console.error('Error in processing pipeline:', error);
+      }
       throw error;
     }
   }
@@ -393,34 +1278,93 @@ class BatchPhotoProcessingService {
    */
   async executeProcessingStage(stage, batchState) {
     try {
-      switch (stage) {
-        case 'preparation':
-          return await this.executePreparationStage(batchState);
-          
-        case 'metadataExtraction':
-          return await this.executeMetadataExtractionStage(batchState);
-          
-        case 'filtering':
-          return await this.executeFilteringStage(batchState);
-          
-        case 'deduplication':
-          return await this.executeDeduplicationStage(batchState);
-          
-        case 'qualityAnalysis':
-          return await this.executeQualityAnalysisStage(batchState);
-          
-        case 'finalization':
-          return await this.executeFinalizationStage(batchState);
-          
-        default:
-          throw new Error(`Unknown processing stage: ${stage}`);
+      const photoCount = batchState.photos.length;
+      const result = stage.run ?
+        await stage.run(batchState, this) :
+        await this.executePhotoStage(stage, batchState);
+      
+      if (!stage.dropsPhotos && batchState.photos.length < photoCount) {
+        throw new Error(`Stage ${stage.name} removed photos but does not declare dropsPhotos`);
       }
+      return result || {};
     } catch (error) {
-      console.error(`Error in ${stage} stage:`, error);
+      if (error.code !== 'BATCH_SUSPENDED') {
+        console.error(`Error in ${stage.name} stage:`, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Run a processPhoto stage over the batch, a few photos at a time when it
+   * is parallel. Photos whose processing fails are kept, as in the built-in stages.
+   */
+  async executePhotoStage(stage, batchState) {
+    const photos = batchState.photos;
+    const photosToKeep = [];
+    let dropped = 0;
+    let failed = 0;
+    
+    for (let i = 0; i < photos.length;) {
+      this.checkSuspension();
+      const concurrency = await this.adaptToDeviceLoad(stage.name, photos.slice(i), stage.parallel);
+      const chunk = photos.slice(i, i + (stage.parallel ? concurrency : 1));
+      i += chunk.length;
+      const outcomes = await Promise.allSettled(chunk.map(photo =>
+        this.runPhotoStep(batchState, photo, () => stage.processPhoto(photo, batchState))
+      ));
+      
+      outcomes.forEach((settled, index) => {
+        const photo = chunk[index];
+        const outcome = settled.status === 'fulfilled' ?
+          { status: 'fulfilled', value: settled.value.value, resumed: settled.value.resumed } : settled;
+        batchState.progress.processed++;
+        
+        if (outcome.status === 'rejected') {
+          failed++;
+          photosToKeep.push(photo);
+          batchState.results.errors.push({
+            photoId: photo.id,
+            stage: stage.name,
+            error: outcome.reason?.message || String(outcome.reason)
+          });
+          return;
+        }
+        
+        if (!outcome.value?.drop || this.isUploadForced(photo)) {
+          photosToKeep.push(photo);
+          return;
+        }
+        
+        if (!stage.dropsPhotos) {
+          throw new Error(`Stage ${stage.name} dropped ${photo.filename} but does not declare dropsPhotos`);
+        }
+        
+        const reason = typeof outcome.value.reason === 'object' && outcome.value.reason !== null ?
+          outcome.value.reason :
+          this.decisionReason(stage.name, null, null, outcome.value.reason || `removed by ${stage.name}`);
+        dropped++;
+        batchState.results.filtered.push({
+          photoId: photo.id,
+          stage: stage.name,
+          reason: reason.message,
+          reasons: [reason]
+        });
+        this.recordDecision(batchState, photo, stage.name, 'exclude', [reason], null, outcome.resumed);
+      });
+    }
+    
+    batchState.photos = photosToKeep;
+    console.log(`   📊 ${stage.name}: ${photosToKeep.length} kept, ${dropped} dropped, ${failed} failed`);
+    
+    return {
+      processed: photos.length,
+      kept: photosToKeep.length,
+      dropped: dropped,
+      failed: failed
+    };
+  }
+
   /**
    * Preparation stage - validate and organize photos
    */
@@ -431,7 +1375,12 @@ class BatchPhotoProcessingService {
     for (const photo of batchState.photos) {
       try {
         // Basic validation
-        if (this.validatePhotoForProcessing(photo)) {
+        const failure = this.getValidationFailure(photo);
+        const forced = failure && this.isUploadForced(photo);
+        if (forced) {
+          console.log(`   🧾 ${photo.filename}: ${failure.message} - kept, the user chose to upload it anyway`);
+        }
+        if (!failure || forced) {
           validPhotos.push({
             ...photo,
             processingId: `proc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -439,6 +1388,7 @@ class BatchPhotoProcessingService {
           });
         } else {
           invalidPhotos.push(photo);
+          this.recordDecision(batchState, photo, 'validation', 'exclude', [failure]);
         }
       } catch (error) {
         invalidPhotos.push(photo);
@@ -468,14 +1418,16 @@ class BatchPhotoProcessingService {
    */
   async executeMetadataExtractionStage(batchState) {
     const extractedMetadata = [];
-    const batchSize = this.config.maxConcurrentPerBatch;
     
-    for (let i = 0; i < batchState.photos.length; i += batchSize) {
+    for (let i = 0; i < batchState.photos.length;) {
+      this.checkSuspension();
+      const batchSize = await this.adaptToDeviceLoad('metadataExtraction', batchState.photos.slice(i), true);
       const batch = batchState.photos.slice(i, i + batchSize);
+      i += batch.length;
       
       const batchPromises = batch.map(async (photo, index) => {
         try {
-          const metadata = await extractPhotoMetadata(photo, 'batch');
+          const { value: metadata } = await this.runPhotoStep(batchState, photo, () => extractPhotoMetadata(photo, 'batch'));
           extractedMetadata.push({
             photoId: photo.id,
             metadata: metadata
@@ -521,27 +1473,42 @@ class BatchPhotoProcessingService {
     const photosToKeep = [];
     const photosToFilter = [];
     
-    // Determine event context if available
+    // Determine event context if available - its eventId selects the organizer's filtering profile
     const eventContext = batchState.options.eventContext || {
-      eventType: 'general',
+      eventId: batchState.options.eventId || null,
+      eventType: batchState.options.eventType || 'general',
       eventName: 'Batch Processing'
     };
     
     for (const photo of batchState.photos) {
+      this.checkSuspension();
+      await this.adaptToDeviceLoad('filtering', [photo]);
       try {
-        const analysisResult = await advancedPhotoFilterService.analyzePhoto(photo, eventContext);
+        const { value: analysisResult, resumed } = await this.runPhotoStep(batchState, photo, () =>
+          advancedPhotoFilterService.analyzePhoto(photo, eventContext)
+        );
         
         filteredResults.push(analysisResult);
         
-        if (analysisResult.shouldInclude) {
+        // Measured once - the quality stage reuses it
+        if (analysisResult.qualityAnalysis?.measured) {
+          photo.measuredQuality = analysisResult.qualityAnalysis;
+        }
+        
+        const reasons = analysisResult.decisionReasons || [];
+        if (analysisResult.shouldInclude || this.isUploadForced(photo)) {
           photosToKeep.push(photo);
+          this.recordDecision(batchState, photo, 'filtering', 'include', reasons, analysisResult.confidence, resumed);
         } else {
           photosToFilter.push(photo);
           batchState.results.filtered.push({
             photoId: photo.id,
+            stage: 'filtering',
             reason: analysisResult.filterReasons.join(', '),
+            reasons: reasons.filter(reason => !reason.passed),
             confidence: analysisResult.confidence
           });
+          this.recordDecision(batchState, photo, 'filtering', 'exclude', reasons, analysisResult.confidence, resumed);
         }
         
         // Update progress
@@ -587,35 +1554,62 @@ class BatchPhotoProcessingService {
       // Store duplicate groups
       batchState.results.duplicates = deduplicationResults.duplicateGroups;
       
-      // Remove duplicates from processing (keep best photo from each group)
+      // Remove duplicates from processing - keep what the user chose in duplicate
+      // review, or the best photo of groups not reviewed yet
       const photosToKeep = [];
       const duplicatePhotoIds = new Set();
       
-      // Mark duplicates
+      const duplicateReasons = new Map(); // photoId -> decision reason
+      const nearThreshold = photoDeduplicationService.config?.thresholds?.nearDuplicate ?? null;
+      
+      // Mark duplicates (photos the user chose to upload anyway stay)
       deduplicationResults.duplicateGroups.forEach(group => {
+        const keepers = photoDeduplicationService.getGroupKeepers ?
+          photoDeduplicationService.getGroupKeepers(group) : [group.bestPhoto.photoId];
+        const kept = group.photos.find(photo => keepers.includes(photo.photoId));
         group.photos.forEach(photo => {
-          if (photo.photoId !== group.bestPhoto.photoId) {
+          if (!keepers.includes(photo.photoId) && !getPhotoDecisionLog()?.isOverridden(photo.photoId)) {
             duplicatePhotoIds.add(photo.photoId);
+            // Hash distance for hash matches; crop matches carry only their transform
+            const distance = group.similarity?.averageDistance ?? null;
+            const transform = group.similarity?.transform && group.similarity.transform !== 'none' ? `, ${group.similarity.transform}` : '';
+            duplicateReasons.set(photo.photoId, this.decisionReason(
+              `duplicate.${group.duplicateType || 'near'}`,
+              distance,
+              distance !== null ? nearThreshold : null,
+              `${group.duplicateType || 'near'} duplicate of ${kept?.filename || kept?.photoId || 'another photo'}${transform} (group ${group.groupId})`
+            ));
           }
         });
       });
       
+      // A later batch of a split submission - findDuplicates compared only
+      // its own photos, the hash index holds the earlier batches' ones
+      const earlierBatchDuplicates = batchState.submission?.part > 0 ?
+        await this.markEarlierBatchDuplicates(batchState, duplicatePhotoIds, duplicateReasons) : 0;
+      
       // Keep non-duplicates and best photos from duplicate groups
       batchState.photos.forEach(photo => {
         if (!duplicatePhotoIds.has(photo.id)) {
           photosToKeep.push(photo);
+        } else {
+          this.recordDecision(batchState, photo, 'deduplication', 'exclude', [duplicateReasons.get(photo.id)]);
         }
       });
       
       batchState.photos = photosToKeep;
       
-      console.log(`   📊 Deduplication: ${deduplicationResults.duplicateGroups.length} duplicate groups found`);
-      console.log(`   💾 Space saved: ${(deduplicationResults.potentialSpaceSaved / 1024 / 1024).toFixed(1)}MB`);
+      console.log(`   📊 Deduplication: ${deduplicationResults.duplicateGroups.length} duplicate groups found` +
+        (earlierBatchDuplicates > 0 ? `, ${earlierBatchDuplicates} duplicate(s) of earlier batches` : ''));
+      console.log(`   💾 Space saved: ${((deduplicationResults.spaceSaved || 0) / 1024 / 1024).toFixed(1)}MB` +
+        ` (${(deduplicationResults.potentialSpaceSaved / 1024 / 1024).toFixed(1)}MB if every recommendation is accepted)`);
       
       return {
         duplicateGroups: deduplicationResults.duplicateGroups.length,
         duplicatesRemoved: duplicatePhotoIds.size,
-        spaceSaved: deduplicationResults.potentialSpaceSaved,
+        earlierBatchDuplicates: earlierBatchDuplicates,
+        spaceSaved: deduplicationResults.spaceSaved || 0,
+        potentialSpaceSaved: deduplicationResults.potentialSpaceSaved,
         remainingPhotos: photosToKeep.length
       };
       
@@ -626,6 +1620,7 @@ class BatchPhotoProcessingService {
         duplicateGroups: 0,
         duplicatesRemoved: 0,
         spaceSaved: 0,
+        potentialSpaceSaved: 0,
         remainingPhotos: batchState.photos.length,
         error: error.message
       };
@@ -633,32 +1628,92 @@ class BatchPhotoProcessingService {
   }
 
   /**
-   * Quality analysis stage
+   * Mark photos matching one an earlier batch of the same submission indexed
+   * (photos the user chose to upload anyway stay)
+   * @returns {number} Photos marked
+   */
+  async markEarlierBatchDuplicates(batchState, duplicatePhotoIds, duplicateReasons) {
+    if (!photoDeduplicationService.checkPhotoForDuplicates) return 0;
+    
+    const batchPhotoIds = new Set(batchState.photos.map(photo => photo.id));
+    const nearThreshold = photoDeduplicationService.config?.thresholds?.nearDuplicate ?? null;
+    let marked = 0;
+    
+    for (const photo of batchState.photos) {
+      if (duplicatePhotoIds.has(photo.id) || getPhotoDecisionLog()?.isOverridden(photo.id)) continue;
+      
+      try {
+        const check = await photoDeduplicationService.checkPhotoForDuplicates(photo, {
+          indexedSince: batchState.submission.startedAt
+        });
+        const match = check.matches.find(candidate => !batchPhotoIds.has(candidate.photoId));
+        if (!match) continue;
+        
+        const duplicateType = match.similarity.isDuplicate ? 'exact' : 'near';
+        const transform = match.similarity.transform && match.similarity.transform !== 'none' ? `, ${match.similarity.transform}` : '';
+        const distance = match.similarity.transform === 'crop' ? null : match.similarity.averageDistance ?? null;
+        duplicatePhotoIds.add(photo.id);
+        duplicateReasons.set(photo.id, this.decisionReason(
+          `duplicate.${duplicateType}`,
+          distance,
+          distance !== null ? nearThreshold : null,
+          `${duplicateType} duplicate of ${match.filename || match.photoId}${transform} (earlier batch of this submission)`
+        ));
+        marked++;
+      } catch (error) {
+        console.warn(`⚠️ Could not check ${photo.filename} against earlier batches:`, error);
+      }
+    }
+    
+    return marked;
+  }
+
+  /**
+   * Quality analysis stage - measures sharpness, exposure, contrast and noise
+   * (AdvancedPhotoFilterService.analyzeQuality) and rejects unusable shots,
+   * recording why in batchState.results.filtered
    */
   async executeQualityAnalysisStage(batchState) {
     const qualityResults = [];
+    const photosToKeep = [];
     let highQualityCount = 0;
     let mediumQualityCount = 0;
     let lowQualityCount = 0;
+    let rejectedCount = 0;
     
     for (const photo of batchState.photos) {
+      this.checkSuspension();
+      await this.adaptToDeviceLoad('qualityAnalysis', [photo]);
       try {
-        // Quality analysis would be more sophisticated in real implementation
-        const qualityScore = Math.random() * 0.4 + 0.6; // 0.6-1.0 for remaining photos
+        const { value: quality, resumed } = await this.runPhotoStep(batchState, photo, async () =>
+          photo.measuredQuality || await advancedPhotoFilterService.analyzeQuality(photo)
+        );
+        delete photo.measuredQuality;
+        const qualityScore = quality.qualityScore;
         
         const qualityResult = {
           photoId: photo.id,
+          measured: quality.measured !== false,
           qualityScore: qualityScore,
           qualityCategory: qualityScore > 0.8 ? 'high' : qualityScore > 0.6 ? 'medium' : 'low',
+          issues: quality.issues || [],
+          reasons: quality.reasons || [],
+          rejected: Boolean(quality.rejected),
           recommendations: []
         };
         
         // Add quality recommendations
-        if (qualityScore < 0.7) {
+        if (quality.isUnderexposed || quality.isOverexposed) {
           qualityResult.recommendations.push('Consider brightness adjustment');
         }
-        if (qualityScore < 0.8) {
-          qualityResult.recommendations.push('Check for blur');
+        if (quality.isLowContrast) {
+          qualityResult.recommendations.push('Consider a contrast adjustment');
+        }
+        if (quality.hasNoise) {
+          qualityResult.recommendations.push('Consider noise reduction');
+        }
+        if (quality.isBlurry) {
+          qualityResult.recommendations.push('Retake if possible - the photo is out of focus or shaken');
         }
         
         qualityResults.push(qualityResult);
@@ -671,10 +1726,30 @@ class BatchPhotoProcessingService {
         // Add quality data to photo
         photo.qualityAnalysis = qualityResult;
         
+        if (qualityResult.rejected && !this.isUploadForced(photo)) {
+          const reasons = (quality.findings || [])
+            .filter(finding => (quality.rejectedFor || quality.issues).includes(finding.issue))
+            .map(finding => this.decisionReason(`quality.${finding.issue}`, finding.value, finding.threshold, finding.message));
+          rejectedCount++;
+          batchState.results.filtered.push({
+            photoId: photo.id,
+            stage: 'qualityAnalysis',
+            reason: qualityResult.reasons.join(', '),
+            reasons: reasons,
+            issues: qualityResult.issues,
+            qualityScore: qualityScore
+          });
+          this.recordDecision(batchState, photo, 'qualityAnalysis', 'exclude', reasons, qualityScore, resumed);
+        } else {
+          photosToKeep.push(photo);
+        }
+        
         // Update progress
         batchState.progress.processed++;
         
       } catch (error) {
+        // If analysis fails, keep the photo by default
+        photosToKeep.push(photo);
         batchState.results.errors.push({
           photoId: photo.id,
           stage: 'qualityAnalysis',
@@ -683,14 +1758,18 @@ class BatchPhotoProcessingService {
       }
     }
     
-    console.log(`   📊 Quality analysis: ${highQualityCount} high, ${mediumQualityCount} medium, ${lowQualityCount} low`);
+    batchState.photos = photosToKeep;
+    
+    console.log(`   📊 Quality analysis: ${highQualityCount} high, ${mediumQualityCount} medium, ${lowQualityCount} low, ${rejectedCount} rejected`);
     
     return {
       analyzed: qualityResults.length,
       highQuality: highQualityCount,
       mediumQuality: mediumQualityCount,
       lowQuality: lowQualityCount,
-      averageQuality: qualityResults.reduce((sum, r) => sum + r.qualityScore, 0) / qualityResults.length,
+      rejected: rejectedCount,
+      averageQuality: qualityResults.length > 0 ?
+        qualityResults.reduce((sum, r) => sum + r.qualityScore, 0) / qualityResults.length : 0,
       qualityResults: qualityResults
     };
   }
@@ -702,6 +1781,7 @@ class BatchPhotoProcessingService {
     const finalizedPhotos = [];
     
     for (const photo of batchState.photos) {
+      this.checkSuspension();
       try {
         // Add final processing metadata
         const finalizedPhoto = {
@@ -715,9 +1795,9 @@ class BatchPhotoProcessingService {
         finalizedPhotos.push(finalizedPhoto);
         batchState.results.processed.push(finalizedPhoto);
         
-        // Optionally add to upload queue
+        // Optionally add to upload queue - once, even if the batch resumes after it was queued
         if (batchState.options.autoUpload !== false) {
-          await addPhotoToUploadQueue(finalizedPhoto);
+          await this.runPhotoStep(batchState, photo, () => addPhotoToUploadQueue(finalizedPhoto));
         }
         
         // Update progress
@@ -745,27 +1825,131 @@ class BatchPhotoProcessingService {
    * Validate photo for processing
    */
   validatePhotoForProcessing(photo) {
+    return this.getValidationFailure(photo) === null;
+  }
+
+  /**
+   * Why a photo cannot be processed, as a decision reason, or null when it can
+   */
+  getValidationFailure(photo) {
     try {
       // Basic validation checks
       if (!photo.id || !photo.filename) {
-        return false;
+        return this.decisionReason('validation.identity', null, null, 'photo has no id or filename');
       }
       
       // File size check
-      if (photo.fileSize && photo.fileSize > 100 * 1024 * 1024) { // 100MB limit
-        return false;
+      const maxFileSize = 100 * 1024 * 1024; // 100MB limit
+      if (photo.fileSize && photo.fileSize > maxFileSize) {
+        return this.decisionReason('validation.fileSize', photo.fileSize, maxFileSize,
+          `file is ${(photo.fileSize / 1024 / 1024).toFixed(0)}MB, the limit is 100MB`);
       }
       
       // MIME type check
       const supportedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'];
       if (photo.mimeType && !supportedTypes.includes(photo.mimeType)) {
-        return false;
+        return this.decisionReason('validation.mimeType', photo.mimeType, supportedTypes.join(', '),
+          `${photo.mimeType} is not a supported image type`);
       }
       
-      return true;
+      return null;
     } catch (error) {
-      return false;
+      return this.decisionReason('validation.error', error.message, null, 'photo could not be validated');
+    }
+  }
+
+  /**
+   * A reason against a photo, in PhotoDecisionLog's shape
+   */
+  decisionReason(rule, value, threshold, message) {
+    return { rule: rule, value: value ?? null, threshold: threshold ?? null, passed: false, message: message };
+  }
+
+  /**
+   * Record a decision in the batch report and in the photo's history
+   * (photoDecisionLog.js), if loaded. A decision replayed from a checkpoint
+   * (resumed) is already in the history.
+   */
+  recordDecision(batchState, photo, stage, decision, reasons, confidence = null, resumed = false) {
+    const entry = this.getPhotoReportEntry(batchState, photo);
+    if (entry) {
+      entry.stages[batchState.currentStage || stage] = {
+        outcome: decision === 'exclude' ? 'excluded' : 'passed',
+        detail: reasons.filter(reason => !reason.passed).map(reason => reason.message).join('; ')
+      };
+    }
+
+    const decisionLog = getPhotoDecisionLog();
+    if (resumed || !decisionLog || !photo?.id) return;
+
+    try {
+      decisionLog.record(photo, { stage, decision, reasons, confidence, batchId: batchState.batchId });
+    } catch (error) {
+      console.error('Error recording photo decision:', error);
+    }
+  }
+
+  createPhotoReportEntry(photo) {
+    return {
+      photoId: photo.id,
+      filename: photo.filename || null,
+      eventId: photo.eventId || null,
+      stages: {}
+    };
+  }
+
+  getPhotoReportEntry(batchState, photo) {
+    if (!photo?.id) return null;
+    if (!batchState.photoReport[photo.id]) {
+      batchState.photoReport[photo.id] = this.createPhotoReportEntry(photo);
     }
+    return batchState.photoReport[photo.id];
+  }
+
+  /**
+   * Fill in the stage's outcome for photos it made no decision about - an
+   * error if it failed on the photo, otherwise whether the photo came out
+   */
+  notePhotosThroughStage(batchState, stageName, photosBefore) {
+    const remaining = new Set(batchState.photos.map(photo => photo.id));
+    const errors = new Map(batchState.results.errors
+      .filter(error => error.stage === stageName)
+      .map(error => [error.photoId, error.error]));
+    
+    photosBefore.forEach(photo => {
+      const entry = this.getPhotoReportEntry(batchState, photo);
+      if (!entry) return;
+      if (errors.has(photo.id)) {
+        entry.stages[stageName] = { outcome: 'error', detail: errors.get(photo.id) };
+      } else if (!entry.stages[stageName]) {
+        entry.stages[stageName] = remaining.has(photo.id) ?
+          { outcome: 'passed', detail: '' } :
+          { outcome: 'excluded', detail: `removed by ${stageName}` };
+      }
+    });
+  }
+
+  /**
+   * One row per photo: where it ended up and, if left out, the stage and reason
+   */
+  getPhotoReport(batchState) {
+    const processed = new Set(batchState.results.processed.map(photo => photo.id));
+    return Object.values(batchState.photoReport).map(entry => {
+      const excludedAt = Object.keys(entry.stages).find(stage => entry.stages[stage].outcome === 'excluded') || null;
+      return {
+        ...entry,
+        status: processed.has(entry.photoId) ? 'processed' : excludedAt ? 'excluded' : 'not processed',
+        excludedAt: excludedAt,
+        reason: excludedAt ? entry.stages[excludedAt].detail : ''
+      };
+    });
+  }
+
+  /**
+   * The user chose to upload this photo whatever the filters say
+   */
+  isUploadForced(photo) {
+    return Boolean(photo?.id && getPhotoDecisionLog()?.isOverridden(photo.id));
   }
 
   /**
@@ -838,6 +2022,10 @@ class BatchPhotoProcessingService {
     const report = {
       batchId: batchState.batchId,
       timestamp: new Date(),
+      event: {
+        eventId: batchState.options.eventContext?.eventId || batchState.options.eventId || null,
+        eventName: batchState.options.eventContext?.eventName || null
+      },
       
       // Summary
       summary: {
@@ -850,15 +2038,20 @@ class BatchPhotoProcessingService {
         averageTimePerPhoto: results.averageProcessingTime
       },
       
-      // Stage details
+      // Stage details, in the order the stages ran
+      stages: Object.keys(results.stageResults),
       stageResults: results.stageResults,
       
+      // Per-photo outcomes
+      photos: this.getPhotoReport(batchState),
+      
       // Quality metrics
       qualityMetrics: {
         averageQuality: results.stageResults.qualityAnalysis?.averageQuality || 0,
         highQualityPhotos: results.stageResults.qualityAnalysis?.highQuality || 0,
         mediumQualityPhotos: results.stageResults.qualityAnalysis?.mediumQuality || 0,
-        lowQualityPhotos: results.stageResults.qualityAnalysis?.lowQuality || 0
+        lowQualityPhotos: results.stageResults.qualityAnalysis?.lowQuality || 0,
+        rejectedPhotos: results.stageResults.qualityAnalysis?.rejected || 0
       },
       
       // Deduplication metrics
@@ -884,6 +2077,58 @@ class BatchPhotoProcessingService {
     return report;
   }
 
+  /**
+   * Save the report as config.output asks - JSON for saveProcessingLog, CSV
+   * and HTML for exportResults. A failed save is logged, not thrown: the
+   * batch itself succeeded.
+   * @returns {Promise<Array<{format: string, path: string, uri: string}>>}
+   */
+  async saveBatchReport(report, output = this.config.output) {
+    const exporter = getBatchReportExporter();
+    const formats = [
+      ...(output.saveProcessingLog ? ['json'] : []),
+      ...(output.exportResults ? ['csv', 'html'] : [])
+    ];
+    if (!exporter || formats.length === 0) return [];
+    
+    try {
+      const { files } = await exporter.saveReport(report, { formats });
+      return files;
+    } catch (error) {
+      console.error('Error saving batch report:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Share a batch's report files through the share sheet - saved first if
+   * they were not saved when the batch completed
+   * @param {string|null} batchId - The most recent batch when omitted
+   */
+  async shareBatchReport(batchId = null, options = {}) {
+    const batch = batchId ?
+      this.batchHistory.find(entry => entry.batchId === batchId) :
+      this.batchHistory[this.batchHistory.length - 1];
+    if (!batch) {
+      throw new Error(batchId ? `Batch ${batchId} is not in the processing history` : 'No batch has been processed yet');
+    }
+    
+    const exporter = getBatchReportExporter();
+    if (!exporter) {
+      throw new Error('Report exporter not loaded');
+    }
+    
+    if (!batch.reportFiles?.length) {
+      batch.reportFiles = (await exporter.saveReport(batch.report, { formats: options.formats })).files;
+    }
+    
+    const result = await exporter.shareFiles(batch.reportFiles, {
+      title: options.title || `Photo batch report ${batch.batchId}`
+    });
+    console.log(`📤 Batch report ${batch.batchId} ${result.completed ? 'shared' : 'not shared'}`);
+    return result;
+  }
+
   /**
    * Analyze errors from batch processing
    */
@@ -993,15 +2238,235 @@ class BatchPhotoProcessingService {
   }
 
   /**
-   * Get system load (simplified)
+   * Load as batch processing sees it - how far it has backed off, and why
    */
   getSystemLoad() {
-    // Simplified system load estimation
     return {
-      cpu: Math.random() * 30 + 20, // 20-50% simulated
-      workers: this.activeWorkers.size,
-      activeWorkers: Array.from(this.activeWorkers.values()).filter(w => w.status !== 'idle').length
+      throttleLevel: this.throttle.level,
+      throttleReasons: [...this.throttle.reasons],
+      concurrency: this.throttle.concurrency,
+      batchSize: this.getBatchSize(),
+      photoTimes: { ...this.throttle.photoTimes },
+      memoryPressure: this.getMemoryPressure(),
+      decodedImageBytes: getDecodedImageMemory()?.getBytes() || 0,
+      thermalState: this.throttle.conditions.thermalState,
+      lowPowerMode: this.throttle.conditions.lowPowerMode,
+      workers: this.workerPool?.getStatus().workers || 0,
+      activeWorkers: this.workerPool?.getStatus().busyWorkers || 0
+    };
+  }
+
+  /**
+   * Listen for heat, Low Power Mode and memory warnings from the native side
+   */
+  async watchDeviceConditions() {
+    const monitor = getPerformanceMonitor();
+    if (!monitor?.addListener || this.deviceConditionsListener) return;
+    
+    try {
+      this.deviceConditionsListener = await monitor.addListener('deviceConditionsChange',
+        conditions => this.handleDeviceConditions(conditions));
+    } catch (error) {
+      console.log('⚠️ Device conditions not available - throttling on photo times and memory only');
+    }
+  }
+
+  handleDeviceConditions(conditions) {
+    const { memoryWarning, ...state } = conditions || {};
+    Object.assign(this.throttle.conditions, state);
+    this.throttle.conditionsReadAt = Date.now();
+    
+    if (memoryWarning) {
+      console.log('⚠️ iOS memory warning - batch processing backs off');
+      this.throttle.memoryWarningAt = Date.now();
+    }
+    this.updateThrottle();
+  }
+
+  /**
+   * Read device conditions, at most once per sampleInterval
+   */
+  async readDeviceConditions() {
+    const { sampleInterval } = this.config.performance.adaptive;
+    if (Date.now() - this.throttle.conditionsReadAt < sampleInterval) return;
+    this.throttle.conditionsReadAt = Date.now();
+    
+    const [native, battery] = await Promise.allSettled([
+      getPerformanceMonitor()?.getDeviceConditions?.(),
+      Device.getBatteryInfo?.()
+    ]);
+    if (native.status === 'fulfilled' && native.value) {
+      this.throttle.conditions.thermalState = native.value.thermalState || 'nominal';
+      this.throttle.conditions.lowPowerMode = Boolean(native.value.lowPowerMode);
+    }
+    if (battery.status === 'fulfilled' && battery.value) {
+      this.throttle.conditions.batteryLevel = battery.value.batteryLevel ?? null;
+      this.throttle.conditions.isCharging = battery.value.isCharging ?? null;
+    }
+  }
+
+  /**
+   * Fold one photo's processing time into its stage's moving average
+   */
+  recordPhotoTime(stageName, elapsed) {
+    if (!stageName) return;
+    const previous = this.throttle.photoTimes[stageName];
+    this.throttle.photoTimes[stageName] = previous === undefined ? elapsed : previous * 0.7 + elapsed * 0.3;
+  }
+
+  /**
+   * Called before each photo, or each group of photos processed together.
+   * Re-reads device conditions, adjusts the throttle, and while memory is
+   * critical pauses so decoded images can be freed before taking on more.
+   * @param {Array<object>} upcomingPhotos - Photos still to process, for their decoded size
+   * @param {boolean} parallel - Whether photo times should steer concurrency
+   * @returns {Promise<number>} How many photos to process at once
+   */
+  async adaptToDeviceLoad(stageName, upcomingPhotos = [], parallel = false) {
+    const { adaptiveBatching, memoryThrottling, adaptive } = this.config.performance;
+    if (!adaptiveBatching && !memoryThrottling) {
+      return this.config.maxConcurrentPerBatch;
+    }
+    
+    await this.readDeviceConditions();
+    this.updateThrottle(parallel ? stageName : null, upcomingPhotos);
+    
+    if (this.throttle.level === 'critical') {
+      await new Promise(resolve => setTimeout(resolve, adaptive.criticalPause));
+    }
+    return this.throttle.concurrency;
+  }
+
+  /**
+   * Work out the throttle level and concurrency. Concurrency grows by one
+   * while a stage's photos are quick and shrinks by one while they are slow;
+   * heat, Low Power Mode and a low battery cap it at half, and critical
+   * memory or heat take it down to one. It never goes above
+   * maxConcurrentPerBatch, or above what the decoded image budget holds.
+   */
+  updateThrottle(stageName = null, upcomingPhotos = []) {
+    const { adaptiveBatching, memoryThrottling, adaptive } = this.config.performance;
+    const { conditions } = this.throttle;
+    const ceiling = this.config.maxConcurrentPerBatch;
+    const reasons = [];
+    let level = 'normal';
+    const raise = (toLevel, reason) => {
+      reasons.push(reason);
+      if (THROTTLE_LEVELS.indexOf(toLevel) > THROTTLE_LEVELS.indexOf(level)) {
+        level = toLevel;
+      }
     };
+    
+    if (memoryThrottling) {
+      const memoryPressure = this.getMemoryPressure();
+      if (memoryPressure >= adaptive.memoryCritical) {
+        raise('critical', `memory at ${(memoryPressure * 100).toFixed(0)}%`);
+      } else if (memoryPressure >= adaptive.memoryHighWater) {
+        raise('reduced', `memory at ${(memoryPressure * 100).toFixed(0)}%`);
+      }
+      if (Date.now() - this.throttle.memoryWarningAt < adaptive.memoryWarningHold) {
+        raise('critical', 'iOS memory warning');
+      }
+    }
+    
+    if (adaptiveBatching) {
+      if (conditions.thermalState === 'critical') {
+        raise('critical', 'device is overheating');
+      } else if (conditions.thermalState === 'serious') {
+        raise('reduced', 'device is hot');
+      }
+      if (conditions.lowPowerMode) {
+        raise('reduced', 'Low Power Mode');
+      }
+      if (conditions.batteryLevel !== null && conditions.batteryLevel < adaptive.lowBatteryLevel && !conditions.isCharging) {
+        raise('reduced', `battery at ${(conditions.batteryLevel * 100).toFixed(0)}%`);
+      }
+    }
+    
+    let concurrency = adaptiveBatching ? this.throttle.concurrency : ceiling;
+    const photoTime = stageName ? this.throttle.photoTimes[stageName] : undefined;
+    if (adaptiveBatching && photoTime !== undefined) {
+      if (photoTime > adaptive.slowPhotoTime) {
+        concurrency--;
+      } else if (photoTime < adaptive.targetPhotoTime && level === 'normal') {
+        concurrency++;
+      }
+    }
+    if (level === 'reduced') {
+      concurrency = Math.min(concurrency, Math.ceil(ceiling / 2));
+    } else if (level === 'critical') {
+      concurrency = adaptive.minConcurrent;
+    } else if (adaptiveBatching && conditions.thermalState === 'fair') {
+      concurrency = Math.min(concurrency, ceiling - 1);
+    }
+    
+    // Photos decoded at the same time have to fit the decoded image budget
+    if (memoryThrottling && upcomingPhotos.length > 0) {
+      const available = adaptive.decodedImageBudget - (getDecodedImageMemory()?.getBytes() || 0);
+      concurrency = Math.min(concurrency, Math.floor(available / this.estimateDecodedBytes(upcomingPhotos)));
+    }
+    
+    concurrency = Math.max(adaptive.minConcurrent, Math.min(concurrency, ceiling));
+    
+    const changed = level !== this.throttle.level || concurrency !== this.throttle.concurrency;
+    this.throttle.level = level;
+    this.throttle.reasons = reasons;
+    this.throttle.concurrency = concurrency;
+    
+    if (changed) {
+      console.log(`⚖️ Batch throttle: ${level}${reasons.length ? ` (${reasons.join(', ')})` : ''} - ` +
+        `${concurrency} photo(s) at a time, batches of ${this.getBatchSize()}`);
+      this.notifyProgressSubscribers('throttle', {
+        level: level,
+        reasons: reasons,
+        concurrency: concurrency,
+        batchSize: this.getBatchSize()
+      });
+    }
+    return this.throttle;
+  }
+
+  /**
+   * Largest share of memory in use - the JS heap where the WebView reports
+   * it, and decoded images against their budget
+   */
+  getMemoryPressure() {
+    const pressures = [0];
+    const heap = this.getMemoryUsage();
+    if (heap.limit > 0) {
+      pressures.push(heap.used / heap.limit);
+    }
+    const decodedImages = getDecodedImageMemory();
+    if (decodedImages) {
+      pressures.push(decodedImages.getBytes() / this.config.performance.adaptive.decodedImageBudget);
+    }
+    return Math.max(...pressures);
+  }
+
+  /**
+   * Largest decoded size among the next photos that could run together
+   */
+  estimateDecodedBytes(photos) {
+    const sample = photos.slice(0, this.config.maxConcurrentPerBatch);
+    return Math.max(...sample.map(photo => {
+      const dimensions = photo.dimensions || photo.extractedMetadata?.dimensions || DEFAULT_PHOTO_DIMENSIONS;
+      return (dimensions.width || DEFAULT_PHOTO_DIMENSIONS.width) * (dimensions.height || DEFAULT_PHOTO_DIMENSIONS.height) * 4;
+    }), 1);
+  }
+
+  /**
+   * Photos per batch for the conditions right now - maxBatchSize normally,
+   * half when reduced, a quarter when critical
+   */
+  getBatchSize() {
+    const { adaptiveBatching, memoryThrottling, adaptive } = this.config.performance;
+    if (!adaptiveBatching && !memoryThrottling) {
+      return this.config.maxBatchSize;
+    }
+    
+    const divisor = { normal: 1, reduced: 2, critical: 4 }[this.throttle.level];
+    return Math.min(this.config.maxBatchSize,
+      Math.max(adaptive.minBatchSize, Math.ceil(this.config.maxBatchSize / divisor)));
   }
 
   /**
@@ -1093,6 +2558,7 @@ class BatchPhotoProcessingService {
       isInitialized: this.isInitialized,
       processingActive: this.processingActive,
       currentBatch: this.getCurrentBatchStatus(),
+      queue: this.getQueueStatus(),
       config: this.config,
       
       // Statistics
@@ -1101,9 +2567,11 @@ class BatchPhotoProcessingService {
         sum + batch.photosProcessed, 0),
       
       // System status
-      activeWorkers: this.activeWorkers.size,
+      activeWorkers: this.workerPool?.getStatus().workers || 0,
+      workerPool: this.workerPool?.getStatus() || null,
       memoryUsage: this.getMemoryUsage(),
       systemLoad: this.getSystemLoad(),
+      stages: this.getStages(),
       
       // Capabilities
       capabilities: {
@@ -1134,12 +2602,15 @@ class BatchPhotoProcessingService {
       
       // Clear subscribers
       this.progressSubscribers.clear();
+      this.deviceConditionsListener?.remove?.();
+      this.deviceConditionsListener = null;
       
-      // Clear workers
-      this.activeWorkers.clear();
+      // Release the shared worker pool - other services may still use it
+      this.workerPool = null;
       
-      // Clear processing queue
+      // Clear processing queue - checkpointed batches resume after the next initialize
       this.processingQueue = [];
+      this.suspendAt = null;
       
       this.isInitialized = false;
       
@@ -1178,10 +2649,22 @@ window.getBatchPhotoProcessingStatus = function() {
   return window.batchPhotoProcessingService.getStatus();
 }
 
+window.resumePendingPhotoBatches = async function(options = {}) {
+  return await window.batchPhotoProcessingService.resumePendingBatches(options);
+}
+
+window.shareBatchProcessingReport = async function(batchId = null, options = {}) {
+  return await window.batchPhotoProcessingService.shareBatchReport(batchId, options);
+}
+
 window.getBatchProcessingHistory = function(limit = 10) {
   return window.batchPhotoProcessingService.getBatchHistory(limit);
 }
 
+window.registerBatchProcessingStage = function(definition) {
+  return window.batchPhotoProcessingService.registerStage(definition);
+}
+
 window.testBatchPhotoProcessing = async function() {
   return await window.batchPhotoProcessingService.testBatchProcessing();
 }
\ No newline at end of file
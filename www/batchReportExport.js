@@ -0,0 +1,304 @@
+/**
+ * BatchReportExport - batch processing reports as files organizers can send us
+ * Turns a BatchPhotoProcessingService report (generateProcessingReport) into
+ *   json - the whole report
+ *   csv  - one row per photo: its final status and the outcome of every stage
+ *   html - a self-contained summary that opens in any browser or mail app
+ * saves them with Capacitor Filesystem under Documents/batch-reports (visible
+ * in the Files app) and shares them through the share sheet (FileSharePlugin.swift).
+ *
+ * Capacitor plugins are looked up lazily - this module is loaded from
+ * index.html, and BatchPhotoProcessingService uses window.batchReportExporter.
+ */
+
+const getFilesystem = () => window.Capacitor?.Plugins?.Filesystem || null;
+const getFileShare = () => window.Capacitor?.Plugins?.FileShare || null;
+
+export const REPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
+
+// Image data photos may carry - never written into a report
+const IMAGE_DATA_FIELDS = ['base64', 'base64Data', 'dataUrl', 'data', 'blob', 'file', 'imageData', 'imageBitmap'];
+
+const STAGE_OUTCOME_LABELS = {
+  passed: 'passed',
+  excluded: 'excluded',
+  error: 'error'
+};
+
+/**
+ * The whole report as JSON, without image data
+ */
+export function reportToJSON(report) {
+  return JSON.stringify(report, (key, value) => IMAGE_DATA_FIELDS.includes(key) ? undefined : value, 2);
+}
+
+/**
+ * One row per photo. Stage columns hold the outcome (passed / excluded /
+ * error, empty when the photo never reached the stage), *_detail columns why.
+ */
+export function reportToCSV(report) {
+  const stages = report.stages || [];
+  const header = ['batch_id', 'photo_id', 'filename', 'event_id', 'status', 'excluded_at', 'reason'];
+  stages.forEach(stage => header.push(stage, `${stage}_detail`));
+
+  const rows = (report.photos || []).map(photo => {
+    const row = [report.batchId, photo.photoId, photo.filename, photo.eventId, photo.status, photo.excludedAt, photo.reason];
+    stages.forEach(stage => {
+      const outcome = photo.stages?.[stage];
+      row.push(outcome ? STAGE_OUTCOME_LABELS[outcome.outcome] || outcome.outcome : '', outcome?.detail || '');
+    });
+    return row;
+  });
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV field when needed. Values a spreadsheet would run as a
+ * formula (filenames starting with =, +, - or @) are prefixed with '.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '-';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+}
+
+function formatBytes(bytes) {
+  return `${((bytes || 0) / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * A summary page with no external resources - styles inline, nothing fetched
+ */
+export function reportToHTML(report) {
+  const summary = report.summary || {};
+  const stages = report.stages || [];
+  const photos = report.photos || [];
+  const event = report.event || {};
+  const generatedAt = new Date(report.timestamp || Date.now());
+
+  const summaryCells = [
+    ['Photos', summary.totalPhotos],
+    ['Processed', summary.processedPhotos],
+    ['Filtered out', summary.filteredPhotos],
+    ['Duplicates', summary.duplicatesRemoved],
+    ['Errors', summary.errors],
+    ['Time', formatDuration(summary.processingTime)]
+  ].map(([label, value]) => `<div class="cell"><div class="value">${escapeHTML(value ?? 0)}</div><div class="label">${label}</div></div>`).join('');
+
+  const stageRows = stages.map(stage => {
+    const result = report.stageResults?.[stage] || {};
+    const figures = Object.entries(result)
+      .filter(([key, value]) => typeof value === 'number' && key !== 'processingTime')
+      .map(([key, value]) => `${escapeHTML(key)}: ${Number.isInteger(value) ? value : value.toFixed(2)}`)
+      .join(', ');
+    return `<tr><td>${escapeHTML(stage)}</td><td>${formatDuration(result.processingTime)}</td><td>${figures || '-'}</td></tr>`;
+  }).join('');
+
+  const photoRows = photos.map(photo => {
+    const outcomes = stages.map(stage => {
+      const outcome = photo.stages?.[stage];
+      if (!outcome) return '<td class="muted">-</td>';
+      return `<td class="${escapeHTML(outcome.outcome)}" title="${escapeHTML(outcome.detail)}">${escapeHTML(STAGE_OUTCOME_LABELS[outcome.outcome] || outcome.outcome)}</td>`;
+    }).join('');
+    return `<tr><td>${escapeHTML(photo.filename || photo.photoId)}</td><td class="${escapeHTML(photo.status)}">${escapeHTML(photo.status)}</td>` +
+      `${outcomes}<td>${escapeHTML(photo.reason)}</td></tr>`;
+  }).join('');
+
+  const errorsByStage = Object.entries(report.errorAnalysis?.byStage || {})
+    .map(([stage, count]) => `<li>${escapeHTML(stage)}: ${count}</li>`).join('');
+  const recommendations = (report.recommendations || []).map(text => `<li>${escapeHTML(text)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Photo batch report ${escapeHTML(report.batchId)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px; color: #1c1c1e; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin-top: 28px; }
+  .meta { color: #6e6e73; font-size: 13px; }
+  .summary { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+  .cell { background: #f2f2f7; border-radius: 8px; padding: 10px 14px; min-width: 90px; }
+  .value { font-size: 20px; font-weight: 600; }
+  .label { font-size: 12px; color: #6e6e73; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #e5e5ea; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f2f2f7; }
+  .passed, .processed { color: #248a3d; }
+  .excluded { color: #c93400; }
+  .error { color: #d70015; font-weight: 600; }
+  .muted { color: #aeaeb2; }
+</style>
+</head>
+<body>
+<h1>Photo batch report</h1>
+<div class="meta">
+  Batch ${escapeHTML(report.batchId)}${event.eventName ? ` &middot; ${escapeHTML(event.eventName)}` : ''}${event.eventId ? ` (${escapeHTML(event.eventId)})` : ''}
+  &middot; ${escapeHTML(generatedAt.toISOString())}
+</div>
+<div class="summary">${summaryCells}</div>
+
+<h2>Stages</h2>
+<table><thead><tr><th>Stage</th><th>Time</th><th>Results</th></tr></thead><tbody>${stageRows}</tbody></table>
+
+<h2>Photos</h2>
+<table>
+<thead><tr><th>Photo</th><th>Status</th>${stages.map(stage => `<th>${escapeHTML(stage)}</th>`).join('')}<th>Reason</th></tr></thead>
+<tbody>${photoRows || `<tr><td colspan="${stages.length + 3}" class="muted">No photos</td></tr>`}</tbody>
+</table>
+
+<h2>Quality and duplicates</h2>
+<ul>
+  <li>Average quality: ${((report.qualityMetrics?.averageQuality || 0) * 100).toFixed(0)}%</li>
+  <li>Rejected for quality: ${report.qualityMetrics?.rejectedPhotos || 0}</li>
+  <li>Duplicate groups: ${report.deduplicationMetrics?.duplicateGroups || 0} (${formatBytes(report.deduplicationMetrics?.spaceSaved)} saved)</li>
+</ul>
+
+${errorsByStage ? `<h2>Errors by stage</h2><ul>${errorsByStage}</ul>` : ''}
+${recommendations ? `<h2>Recommendations</h2><ul>${recommendations}</ul>` : ''}
+</body>
+</html>
+`;
+}
+
+const FORMATTERS = {
+  json: reportToJSON,
+  csv: reportToCSV,
+  html: reportToHTML
+};
+
+export class BatchReportExporter {
+  constructor() {
+    // Configuration
+    this.config = {
+      directory: 'DOCUMENTS', // Filesystem Directory.Documents - shown in the Files app on iOS
+      folder: 'batch-reports',
+      formats: ['json', 'csv', 'html'],
+      maxReports: 30 // Batches whose reports are kept; older ones are deleted
+    };
+  }
+
+  /**
+   * A report in one format
+   * @param {'json'|'csv'|'html'} format
+   */
+  format(report, format) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+      throw new Error(`Unknown report format: ${format}`);
+    }
+    return formatter(report);
+  }
+
+  /**
+   * Write a report to Documents/batch-reports/<batchId>.<format>
+   * @param {{formats?: Array<string>}} options
+   * @returns {Promise<{files: Array<{format: string, path: string, uri: string, mimeType: string}>}>}
+   */
+  async saveReport(report, options = {}) {
+    const filesystem = getFilesystem();
+    if (!filesystem) {
+      throw new Error('Filesystem plugin not available');
+    }
+
+    const files = [];
+    for (const format of options.formats || this.config.formats) {
+      const data = this.format(report, format);
+      const path = `${this.config.folder}/${report.batchId}.${REPORT_FORMATS[format].extension}`;
+      const result = await filesystem.writeFile({
+        path: path,
+        data: data,
+        directory: this.config.directory,
+        encoding: 'utf8',
+        recursive: true
+      });
+      files.push({ format, path, uri: result.uri, mimeType: REPORT_FORMATS[format].mimeType });
+    }
+
+    console.log(`📄 Batch report saved: ${files.map(file => file.path).join(', ')}`);
+    await this.pruneReports();
+    return { files };
+  }
+
+  /**
+   * Open the share sheet for saved report files
+   * @returns {Promise<{completed: boolean, activityType: string|null}>}
+   */
+  async shareFiles(files, options = {}) {
+    const fileShare = getFileShare();
+    if (!fileShare) {
+      throw new Error('Share sheet not available');
+    }
+    return await fileShare.shareFiles({
+      files: files.map(file => file.uri),
+      title: options.title || 'Photo batch report'
+    });
+  }
+
+  /**
+   * Save a report and share it in one go
+   */
+  async shareReport(report, options = {}) {
+    const { files } = await this.saveReport(report, options);
+    return {
+      files: files,
+      ...await this.shareFiles(files, { title: options.title || `Photo batch report ${report.batchId}` })
+    };
+  }
+
+  /**
+   * Delete the reports of all but the most recent maxReports batches
+   */
+  async pruneReports() {
+    const filesystem = getFilesystem();
+    try {
+      const { files } = await filesystem.readdir({ path: this.config.folder, directory: this.config.directory });
+
+      // Files of one batch share a name, whatever the format
+      const newestByBatch = new Map();
+      files.forEach(file => {
+        const batchId = file.name.replace(/\.[^.]+$/, '');
+        newestByBatch.set(batchId, Math.max(newestByBatch.get(batchId) || 0, file.mtime || 0));
+      });
+      const expired = new Set(Array.from(newestByBatch.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(this.config.maxReports)
+        .map(([batchId]) => batchId));
+
+      for (const file of files.filter(file => expired.has(file.name.replace(/\.[^.]+$/, '')))) {
+        await filesystem.deleteFile({ path: `${this.config.folder}/${file.name}`, directory: this.config.directory });
+      }
+      if (expired.size > 0) {
+        console.log(`🧹 Deleted reports of ${expired.size} older batch(es)`);
+      }
+    } catch (error) {
+      console.error('Error pruning batch reports:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const batchReportExporter = new BatchReportExporter();
+
+// BatchPhotoProcessingService and the production dashboard are classic scripts
+window.batchReportExporter = batchReportExporter;
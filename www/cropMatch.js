@@ -0,0 +1,240 @@
+/**
+ * Crop matching - is one photo a crop of another
+ * Perceptual hashes describe the whole frame, so a crop hashes like a
+ * different photo. Instead each photo keeps a small grayscale thumbnail at
+ * its true aspect ratio (its crop signature), and a suspected crop is
+ * searched for inside the other thumbnail at every scale and offset using
+ * normalized cross-correlation, which ignores brightness and contrast edits.
+ * A match must also line up edges (signed gradients): flat, blocky
+ * regions correlate well with many unrelated images on intensity alone.
+ *
+ * Pure functions with no DOM access, like perceptualHash.js.
+ */
+
+import { resizeArea } from './perceptualHash.js';
+
+// Crop signatures hold about this many pixels whatever their shape (24x18 at 4:3),
+// so a 4:1 header strip keeps as much detail as a full photo
+export const SIGNATURE_SIZE = 432;
+const MIN_TEMPLATE_PIXELS = 96; // Smaller templates correlate with almost anything
+
+/**
+ * Build a crop signature from decoded grayscale pixels
+ * @param {Float64Array} pixels - May be squashed (e.g. to a square decode size)
+ * @param {{width: number, height: number}} naturalDimensions - Restores the true aspect ratio
+ * @param {number} size - Pixel count of the signature
+ * @returns {{width: number, height: number, pixels: Uint8Array}}
+ */
+export function createCropSignature(pixels, width, height, naturalDimensions = null, size = SIGNATURE_SIZE) {
+  const aspect = naturalDimensions ? naturalDimensions.width / naturalDimensions.height : width / height;
+  const targetWidth = Math.max(Math.round(Math.sqrt(size * aspect)), 1);
+  const targetHeight = Math.max(Math.round(Math.sqrt(size / aspect)), 1);
+
+  const resized = resizeArea(pixels, width, height, targetWidth, targetHeight);
+  return {
+    width: targetWidth,
+    height: targetHeight,
+    pixels: Uint8Array.from(resized, value => Math.round(value))
+  };
+}
+
+/**
+ * Look for `query` as a crop of `candidate`
+ * @param {{width: number, height: number, pixels: ArrayLike<number>}} query
+ * @param {{width: number, height: number, pixels: ArrayLike<number>}} candidate
+ * @param {{minScale?: number, minScore?: number, minEdgeScore?: number, minContrast?: number}} options
+ *   minScale - smallest crop to look for, as a fraction of the candidate's width or height
+ *   minScore - intensity correlation needed to call it a match (0-1)
+ *   minEdgeScore - edge correlation needed as well (0-1)
+ *   minContrast - standard deviation below which a template is too flat to match reliably
+ * @returns {{score: number, edgeScore: number, scale: number,
+ *   region: {x: number, y: number, width: number, height: number}}|null}
+ *   region is in fractions of the candidate's size
+ */
+export function matchCrop(query, candidate, options = {}) {
+  const minScale = options.minScale ?? 0.4;
+  const minScore = options.minScore ?? 0.9;
+  const minEdgeScore = options.minEdgeScore ?? 0.75;
+  const minContrast = options.minContrast ?? 4;
+
+  const { width: cw, height: ch } = candidate;
+  const queryAspect = query.width / query.height;
+  const integral = buildIntegrals(candidate.pixels, cw, ch);
+  const candidateEdges = gradients(candidate.pixels, cw, ch);
+  let best = null;
+
+  // Every template size that fits, up to just under the full frame. A crop
+  // must span at least minScale of the width or the height (a 4:1 header
+  // strip spans the full width but little of the height).
+  for (let tw = 2; tw <= cw; tw++) {
+    const th = Math.round(tw / queryAspect);
+    if (th < 2 || th > ch || tw * th < MIN_TEMPLATE_PIXELS) continue;
+    if (Math.max(tw / cw, th / ch) < minScale) continue;
+    if (tw === cw && th === ch) continue; // Same frame - the perceptual hashes cover that
+
+    const template = resizeArea(Float64Array.from(query.pixels), query.width, query.height, tw, th);
+    const n = tw * th;
+    let templateSum = 0;
+    let templateSquares = 0;
+    for (let i = 0; i < n; i++) {
+      templateSum += template[i];
+      templateSquares += template[i] * template[i];
+    }
+    const templateMean = templateSum / n;
+    const templateDeviation = Math.sqrt(Math.max(templateSquares / n - templateMean * templateMean, 0));
+    if (templateDeviation < minContrast) continue; // Featureless - anything would match
+    const templateEdges = gradients(template, tw, th);
+
+    for (let oy = 0; oy + th <= ch; oy++) {
+      for (let ox = 0; ox + tw <= cw; ox++) {
+        const windowSum = areaSum(integral.sums, cw, ox, oy, tw, th);
+        const windowSquares = areaSum(integral.squares, cw, ox, oy, tw, th);
+        const windowMean = windowSum / n;
+        const windowDeviation = Math.sqrt(Math.max(windowSquares / n - windowMean * windowMean, 0));
+        if (windowDeviation < minContrast) continue;
+
+        let cross = 0;
+        for (let y = 0; y < th; y++) {
+          const row = (oy + y) * cw + ox;
+          for (let x = 0; x < tw; x++) {
+            cross += template[y * tw + x] * candidate.pixels[row + x];
+          }
+        }
+
+        const score = (cross / n - templateMean * windowMean) / (templateDeviation * windowDeviation);
+        if (score < minScore || (best && score <= best.score)) continue;
+
+        // Only promising offsets get the (slower) edge check
+        const edgeScore = correlateWindow(templateEdges, tw, th, candidateEdges, cw, ox, oy);
+        if (edgeScore >= minEdgeScore) {
+          best = { score, edgeScore, tw, th, ox, oy };
+        }
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    score: Math.min(best.score, 1),
+    edgeScore: Math.min(best.edgeScore, 1),
+    scale: Math.max(best.tw / cw, best.th / ch),
+    region: { x: best.ox / cw, y: best.oy / ch, width: best.tw / cw, height: best.th / ch }
+  };
+}
+
+/**
+ * Check one photo against many, in both directions - the new photo may be
+ * the crop, or the original of an earlier crop
+ * @param {object} query - Crop signature
+ * @param {Array<{id: string, signature: object}>} candidates
+ * @returns {Array<{id: string, direction: 'queryIsCrop'|'candidateIsCrop', match: object}>}
+ *   Best match per candidate, strongest first
+ */
+export function findCropMatches(query, candidates, options = {}) {
+  const matches = [];
+
+  for (const { id, signature } of candidates) {
+    const asCrop = matchCrop(query, signature, options);
+    const asOriginal = matchCrop(signature, query, options);
+    if (!asCrop && !asOriginal) continue;
+
+    matches.push(!asOriginal || (asCrop && asCrop.score >= asOriginal.score) ?
+      { id, direction: 'queryIsCrop', match: asCrop } :
+      { id, direction: 'candidateIsCrop', match: asOriginal });
+  }
+
+  return matches.sort((a, b) => b.match.score - a.match.score);
+}
+
+/**
+ * Horizontal and vertical forward differences (zero on the last column / row)
+ * @returns {{dx: Float64Array, dy: Float64Array}}
+ */
+function gradients(pixels, width, height) {
+  const dx = new Float64Array(width * height);
+  const dy = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (x + 1 < width) dx[i] = pixels[i + 1] - pixels[i];
+      if (y + 1 < height) dy[i] = pixels[i + width] - pixels[i];
+    }
+  }
+  return { dx, dy };
+}
+
+/**
+ * Normalized cross-correlation of template gradients with one window of the
+ * image's gradients, both directions taken as a single vector. The template's
+ * last column and row are skipped - their differences run past its edge.
+ */
+function correlateWindow(template, tw, th, image, width, ox, oy) {
+  let n = 0, templateSum = 0, windowSum = 0, templateSquares = 0, windowSquares = 0, cross = 0;
+
+  for (let y = 0; y < th - 1; y++) {
+    for (let x = 0; x < tw - 1; x++) {
+      const t = y * tw + x;
+      const w = (oy + y) * width + ox + x;
+      for (const [a, b] of [[template.dx[t], image.dx[w]], [template.dy[t], image.dy[w]]]) {
+        n++;
+        templateSum += a;
+        windowSum += b;
+        templateSquares += a * a;
+        windowSquares += b * b;
+        cross += a * b;
+      }
+    }
+  }
+
+  const templateVariance = templateSquares / n - (templateSum / n) ** 2;
+  const windowVariance = windowSquares / n - (windowSum / n) ** 2;
+  if (templateVariance <= 0 || windowVariance <= 0) return 0;
+  return (cross / n - (templateSum / n) * (windowSum / n)) / Math.sqrt(templateVariance * windowVariance);
+}
+
+/**
+ * Summed-area tables of values and squared values, (w + 1) x (h + 1)
+ */
+function buildIntegrals(pixels, width, height) {
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  const squares = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const value = pixels[y * width + x];
+      rowSum += value;
+      rowSquares += value * value;
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+    }
+  }
+  return { sums, squares };
+}
+
+function areaSum(table, width, x, y, w, h) {
+  const stride = width + 1;
+  return table[(y + h) * stride + x + w] - table[y * stride + x + w] -
+    table[(y + h) * stride + x] + table[y * stride + x];
+}
+
+/**
+ * Compact form for storage: { width, height, data: base64 }
+ */
+export function encodeCropSignature(signature) {
+  let binary = '';
+  signature.pixels.forEach(value => { binary += String.fromCharCode(value); });
+  return { width: signature.width, height: signature.height, data: btoa(binary) };
+}
+
+export function decodeCropSignature(encoded) {
+  const binary = atob(encoded.data);
+  return {
+    width: encoded.width,
+    height: encoded.height,
+    pixels: Uint8Array.from(binary, char => char.charCodeAt(0))
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * DecodedImageMemory - how much memory decoded images hold right now
+ * A decoded photo takes width x height x 4 bytes however small its file
+ * is - 48MB for 12 megapixels - and it is decoded images, not JS objects,
+ * that get the WebView killed. Services that decode on the main thread
+ * track each bitmap while they hold it; BatchPhotoProcessingService
+ * throttles when the total gets near its budget.
+ *
+ *   const release = trackDecodedImage(bitmap);
+ *   try { ... } finally { bitmap.close(); release(); }
+ */
+
+const BYTES_PER_PIXEL = 4;
+
+const live = new Map(); // id -> bytes
+let nextId = 1;
+let peakBytes = 0;
+let trackedCount = 0;
+
+/**
+ * Bytes a decoded image of these dimensions takes
+ */
+export function decodedImageBytes(width, height) {
+  return Math.max(width || 0, 0) * Math.max(height || 0, 0) * BYTES_PER_PIXEL;
+}
+
+/**
+ * Count a decoded image ({ width, height }, e.g. an ImageBitmap) until the
+ * returned function is called. Calling it again does nothing.
+ * @returns {function(): void} release
+ */
+export function trackDecodedImage(image) {
+  const id = nextId++;
+  live.set(id, decodedImageBytes(image?.width, image?.height));
+  trackedCount++;
+  peakBytes = Math.max(peakBytes, getDecodedImageBytes());
+  return () => {
+    live.delete(id);
+  };
+}
+
+export function getDecodedImageBytes() {
+  let total = 0;
+  live.forEach(bytes => {
+    total += bytes;
+  });
+  return total;
+}
+
+export function getDecodedImageStatus() {
+  return {
+    bytes: getDecodedImageBytes(),
+    images: live.size,
+    peakBytes: peakBytes,
+    trackedCount: trackedCount
+  };
+}
+
+// Classic-script services (BatchPhotoProcessingService) read it from window
+window.decodedImageMemory = {
+  getBytes: getDecodedImageBytes,
+  getStatus: getDecodedImageStatus
+};
@@ -0,0 +1,238 @@
+/**
+ * DuplicateReviewPanel - Review duplicate groups before their copies are dropped
+ * Lists every group PhotoDeduplicationService found, with thumbnails and
+ * the recommended keeper marked. Tapping a photo toggles whether it is
+ * kept; "Keep selected" records the choice, which stops the rejected
+ * copies from uploading (see PhotoDeduplicationService.resolveDuplicateGroup).
+ *
+ * Open with window.showDuplicateReview(eventId) or duplicateReviewPanel.show().
+ */
+
+import { decodeCropSignature } from './cropMatch.js';
+
+// PhotoDeduplicationService bundles Capacitor, so it is looked up lazily
+const getPhotoDeduplicationService = () => window.photoDeduplicationService || null;
+
+const THUMBNAIL_SIZE = 72;
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+export class DuplicateReviewPanel {
+  constructor() {
+    this.panel = null;
+    this.eventId = null;
+    this.selections = new Map(); // groupId -> Set<photoId> to keep (edits not yet saved)
+  }
+
+  /**
+   * Open the panel, optionally only for one event's photos
+   */
+  show(eventId = null) {
+    const service = getPhotoDeduplicationService();
+    if (!service) {
+      console.warn('⚠️ Duplicate review unavailable - PhotoDeduplicationService not loaded');
+      return false;
+    }
+
+    this.eventId = eventId;
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      document.body.appendChild(this.panel);
+    }
+    this.render();
+    return true;
+  }
+
+  hide() {
+    this.panel?.remove();
+    this.panel = null;
+    this.selections.clear();
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'duplicate-review-panel';
+    panel.style.cssText = `
+      position: fixed;
+      inset: 20px;
+      background: rgba(0, 0, 0, 0.95);
+      color: white;
+      border-radius: 12px;
+      padding: 15px;
+      font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+      font-size: 13px;
+      z-index: 999999;
+      display: flex;
+      flex-direction: column;
+      box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+      border: 1px solid rgba(255,255,255,0.1);
+    `;
+    return panel;
+  }
+
+  render() {
+    const service = getPhotoDeduplicationService();
+    const review = service.getDuplicateReview({ eventId: this.eventId || undefined });
+    this.panel.replaceChildren(this.renderHeader(review), this.renderGroups(review.groups));
+  }
+
+  renderHeader(review) {
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; border-bottom: 1px solid rgba(255,255,255,0.2); padding-bottom: 8px; gap: 8px;';
+
+    const title = document.createElement('div');
+    title.innerHTML = '<h3 style="margin: 0; color: #00ff88;">🗂️ Duplicate Review</h3>';
+    const summary = document.createElement('div');
+    summary.style.cssText = 'color: #aaa; margin-top: 4px;';
+    summary.textContent = `${review.pending} to review, ${review.resolved} done · ` +
+      `saved ${formatMB(review.spaceSaved)} of ${formatMB(review.potentialSpaceSaved)} possible`;
+    title.appendChild(summary);
+
+    const actions = document.createElement('div');
+    if (review.pending > 0) {
+      actions.appendChild(this.createButton('Accept all recommendations', '#00aa66', () => {
+        getPhotoDeduplicationService().acceptRecommendations({ eventId: this.eventId || undefined });
+        this.selections.clear();
+        this.render();
+      }));
+    }
+    actions.appendChild(this.createButton('×', '#ff4444', () => this.hide()));
+
+    header.append(title, actions);
+    return header;
+  }
+
+  renderGroups(groups) {
+    const list = document.createElement('div');
+    list.style.cssText = 'overflow-y: auto; flex: 1;';
+
+    if (groups.length === 0) {
+      list.textContent = 'No duplicates found.';
+      return list;
+    }
+
+    groups.forEach(group => list.appendChild(this.renderGroup(group)));
+    return list;
+  }
+
+  renderGroup(group) {
+    const selected = this.getSelection(group);
+    const card = document.createElement('div');
+    card.style.cssText = `margin-bottom: 12px; padding: 10px; border-radius: 8px; background: rgba(255,255,255,${group.status === 'pending' ? '0.08' : '0.03'});`;
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'display: flex; justify-content: space-between; margin-bottom: 8px;';
+    const label = document.createElement('span');
+    const kind = group.duplicateType === 'exact' ? 'Exact copies' : 'Near duplicates';
+    const transform = group.transform !== 'none' ? ` (${group.transform})` : '';
+    label.textContent = `${kind}${transform} · ${group.photos.length} photos`;
+    const status = document.createElement('span');
+    status.style.color = group.status === 'pending' ? '#ffaa00' : '#00ff88';
+    status.textContent = group.status === 'pending' ? 'To review' :
+      `Done${group.overridden ? ' (your choice)' : ''} · saved ${formatMB(group.spaceSaved)}`;
+    heading.append(label, status);
+
+    const photos = document.createElement('div');
+    photos.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px;';
+    group.photos.forEach(photo => photos.appendChild(this.renderPhoto(group, photo, selected)));
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'margin-top: 8px; display: flex; gap: 8px;';
+    actions.appendChild(this.createButton(`Keep selected (${selected.size})`, '#0077ff', () => {
+      if (selected.size === 0) return;
+      getPhotoDeduplicationService().resolveDuplicateGroup(group.groupId, Array.from(selected));
+      this.selections.delete(group.groupId);
+      this.render();
+    }));
+    if (group.status === 'resolved') {
+      actions.appendChild(this.createButton('Undo', '#666', () => {
+        getPhotoDeduplicationService().reopenDuplicateGroup(group.groupId);
+        this.selections.delete(group.groupId);
+        this.render();
+      }));
+    }
+
+    card.append(heading, photos, actions);
+    return card;
+  }
+
+  renderPhoto(group, photo, selected) {
+    const kept = selected.has(photo.photoId);
+    const tile = document.createElement('div');
+    tile.style.cssText = `width: ${THUMBNAIL_SIZE + 8}px; cursor: pointer; text-align: center; padding: 3px; border-radius: 6px; border: 2px solid ${kept ? '#00ff88' : 'transparent'}; opacity: ${kept ? 1 : 0.5};`;
+    tile.addEventListener('click', () => {
+      if (kept) selected.delete(photo.photoId);
+      else selected.add(photo.photoId);
+      this.render();
+    });
+
+    const caption = document.createElement('div');
+    caption.style.cssText = 'font-size: 10px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    caption.textContent = `${photo.recommended ? '⭐ ' : ''}${photo.filename || photo.photoId}`;
+    caption.title = [
+      photo.filename,
+      photo.dimensions ? `${photo.dimensions.width}×${photo.dimensions.height}` : null,
+      photo.fileSize ? formatMB(photo.fileSize) : null,
+      photo.recommended ? 'Recommended keeper' : null
+    ].filter(Boolean).join(' · ');
+
+    tile.append(this.renderThumbnail(photo), caption);
+    return tile;
+  }
+
+  /**
+   * The photo itself when it has a URL, else its grayscale crop signature
+   */
+  renderThumbnail(photo) {
+    if (photo.thumbnailUrl) {
+      const image = document.createElement('img');
+      image.src = photo.thumbnailUrl;
+      image.loading = 'lazy';
+      image.style.cssText = `width: ${THUMBNAIL_SIZE}px; height: ${THUMBNAIL_SIZE}px; object-fit: cover; border-radius: 4px;`;
+      return image;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.style.cssText = `width: ${THUMBNAIL_SIZE}px; height: ${THUMBNAIL_SIZE}px; object-fit: contain; border-radius: 4px; image-rendering: pixelated; background: #222;`;
+    if (photo.cropSignature) {
+      const signature = decodeCropSignature(photo.cropSignature);
+      canvas.width = signature.width;
+      canvas.height = signature.height;
+      const context = canvas.getContext('2d');
+      const image = context.createImageData(signature.width, signature.height);
+      signature.pixels.forEach((value, i) => {
+        image.data.set([value, value, value, 255], i * 4);
+      });
+      context.putImageData(image, 0, 0);
+    }
+    return canvas;
+  }
+
+  /**
+   * Photos currently marked to keep: unsaved edits, else the recorded
+   * decision, else the recommendation
+   */
+  getSelection(group) {
+    if (!this.selections.has(group.groupId)) {
+      const initial = group.keepPhotoIds.length > 0 ? group.keepPhotoIds :
+        [group.recommendedPhotoId].filter(Boolean);
+      this.selections.set(group.groupId, new Set(initial));
+    }
+    return this.selections.get(group.groupId);
+  }
+
+  createButton(text, color, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `background: ${color}; border: none; color: white; border-radius: 4px; padding: 4px 8px; margin-left: 4px; cursor: pointer;`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
+
+export const duplicateReviewPanel = new DuplicateReviewPanel();
+
+window.duplicateReviewPanel = duplicateReviewPanel;
+window.showDuplicateReview = (eventId) => duplicateReviewPanel.show(eventId);
@@ -5,6 +5,9 @@ import { uploadQueue } from './uploadQueue.js';
 import { autoUploadManager } from './autoUploadManager.js';
 import { showToast } from './cameraPermissions.js';
 
+// BatchPhotoProcessingService is a classic script, looked up lazily
+const getBatchPhotoProcessingService = () => window.batchPhotoProcessingService || null;
+
 /**
  * EnhancedBackgroundService - Advanced background processing with BGTaskScheduler
  * Provides comprehensive background task management for iOS 13+ with BGTaskScheduler
@@ -216,13 +219,21 @@ export class EnhancedBackgroundService {
       // Check if there are pending uploads
       const queueStatus = uploadQueue.getStatus();
       const pendingWork = queueStatus.queueStats.pending + queueStatus.queueStats.processing;
+      const pendingBatches = getBatchPhotoProcessingService()?.getPendingBatchCount() || 0;
       
-      if (pendingWork === 0) {
+      if (pendingWork === 0 && pendingBatches === 0) {
         console.log('📦 No pending work, scheduling future background refresh');
         await this.scheduleBGAppRefreshTask();
         return;
       }
       
+      // Photo batches are checkpointed - the processing task resumes them
+      if (pendingBatches > 0) {
+        console.log(`📸 ${pendingBatches} photo batch(es) to resume in the background`);
+        await this.scheduleBGProcessingTask();
+        if (pendingWork === 0) return;
+      }
+      
       // Check if auto-upload is currently active
       if (!autoUploadManager.isAutoUploadActive()) {
         console.log('📴 Auto-upload not active, minimal background processing');
@@ -460,6 +471,18 @@ export class EnhancedBackgroundService {
         taskInfo.lastExecution = new Date();
       }
       
+      // Resume photo batches interrupted when the app was suspended; they pause
+      // at a checkpoint when the time is up and carry on in the next task
+      const batchService = getBatchPhotoProcessingService();
+      if (batchService?.isInitialized && batchService.getPendingBatchCount() > 0) {
+        const { pending } = await batchService.resumePendingBatches({
+          timeLimit: this.config.backgroundTaskTimeout - 8000
+        });
+        if (pending > 0) {
+          await this.scheduleBGProcessingTask();
+        }
+      }
+      
       // Extended processing for uploads
       await this.processEnhancedBackgroundUploads();
       
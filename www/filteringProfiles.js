@@ -0,0 +1,387 @@
+/**
+ * Filtering profiles - per event type rules for AdvancedPhotoFilterService
+ * A profile says what makes a photo relevant to an event: hard rules that
+ * exclude photos (minimum faces, required or excluded scene labels, a
+ * quality floor) and boosts that raise relevance (faces, group photos,
+ * scene labels).
+ *
+ * Built-in profiles cover the common event types. An organizer can save a
+ * profile on the event itself (event_settings.filtering_profile); it is
+ * versioned, so an edit based on an outdated copy is refused rather than
+ * overwriting someone else's change. Event profiles are cached locally for
+ * offline batches.
+ *
+ * Scene label rules accept Vision identifiers ('cake') or the category
+ * names of photoAnalysisPlugin.js SCENE_CATEGORIES ('food').
+ */
+
+import { SCENE_CATEGORIES } from './photoAnalysisPlugin.js';
+
+export const PROFILE_SCHEMA_VERSION = 1;
+
+const DEFAULT_RULES = {
+  minFaces: 0, // Photos with fewer faces are excluded
+  requiredSceneLabels: [], // At least one must be present (empty: no requirement)
+  excludedSceneLabels: [], // Any of these excludes the photo
+  qualityFloor: 0, // Measured quality scores below this are excluded
+  boosts: [] // { when: 'faces', min, boost, factor } | { when: 'scene', labels, boost, factor }
+};
+
+export const BUILT_IN_PROFILES = {
+  general: {
+    id: 'general',
+    name: 'General',
+    version: 1,
+    rules: { ...DEFAULT_RULES }
+  },
+  people: {
+    id: 'people',
+    name: 'People',
+    version: 1,
+    rules: {
+      ...DEFAULT_RULES,
+      boosts: [
+        { when: 'faces', min: 1, boost: 0.3, factor: 'faces detected' },
+        { when: 'faces', min: 3, boost: 0.2, factor: 'group photo' },
+        { when: 'scene', labels: ['social'], boost: 0.3, factor: 'social scene' }
+      ]
+    }
+  },
+  landscape: {
+    id: 'landscape',
+    name: 'Landscape',
+    version: 1,
+    rules: {
+      ...DEFAULT_RULES,
+      boosts: [
+        { when: 'scene', labels: ['outdoor'], boost: 0.25, factor: 'outdoor scenery' }
+      ]
+    }
+  },
+  food: {
+    id: 'food',
+    name: 'Food',
+    version: 1,
+    rules: {
+      ...DEFAULT_RULES,
+      boosts: [
+        { when: 'scene', labels: ['food'], boost: 0.35, factor: 'food detected' },
+        { when: 'scene', labels: ['table'], boost: 0.15, factor: 'table scene' }
+      ]
+    }
+  },
+  party: {
+    id: 'party',
+    name: 'Party',
+    version: 1,
+    rules: {
+      ...DEFAULT_RULES,
+      boosts: [
+        { when: 'faces', min: 3, boost: 0.2, factor: 'group photo' },
+        { when: 'scene', labels: ['celebration', 'social'], boost: 0.3, factor: 'celebration' },
+        { when: 'scene', labels: ['night'], boost: 0.1, factor: 'night scene' }
+      ]
+    }
+  }
+};
+
+// Event types (as stored on events, plus the old eventFiltering keys) -> built-in profile
+export const EVENT_TYPE_PROFILES = {
+  peopleEvents: 'people',
+  landscapeEvents: 'landscape',
+  foodEvents: 'food',
+  partyEvents: 'party',
+  wedding: 'party',
+  birthday: 'party',
+  party: 'party',
+  graduation: 'party',
+  concert: 'party',
+  conference: 'people',
+  reunion: 'people',
+  family: 'people',
+  team: 'people',
+  sports: 'people',
+  travel: 'landscape',
+  hike: 'landscape',
+  outdoor: 'landscape',
+  dinner: 'food',
+  restaurant: 'food',
+  food: 'food'
+};
+
+export function createProfileError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Does the scene analysis carry `name` - a label identifier or a SCENE_CATEGORIES name
+ */
+export function sceneHasLabel(sceneAnalysis, name) {
+  const identifiers = SCENE_CATEGORIES[name] || [name];
+  return (sceneAnalysis?.sceneLabels || []).some(label => identifiers.includes(label.identifier));
+}
+
+/**
+ * Check and fill in a profile's rules
+ * @throws {Error} code INVALID_PROFILE
+ */
+export function normalizeProfileRules(rules = {}) {
+  const normalized = { ...DEFAULT_RULES, ...rules };
+  const problems = [];
+
+  if (!Number.isInteger(normalized.minFaces) || normalized.minFaces < 0) {
+    problems.push('minFaces must be a whole number of 0 or more');
+  }
+  if (typeof normalized.qualityFloor !== 'number' || normalized.qualityFloor < 0 || normalized.qualityFloor > 1) {
+    problems.push('qualityFloor must be between 0 and 1');
+  }
+  for (const field of ['requiredSceneLabels', 'excludedSceneLabels']) {
+    if (!Array.isArray(normalized[field]) || normalized[field].some(label => typeof label !== 'string')) {
+      problems.push(`${field} must be a list of labels`);
+    }
+  }
+  if (!Array.isArray(normalized.boosts)) {
+    problems.push('boosts must be a list');
+  } else {
+    normalized.boosts.forEach((boost, i) => {
+      if (boost.when === 'faces' && !(boost.min >= 0)) problems.push(`boosts[${i}] needs min faces`);
+      else if (boost.when === 'scene' && !(Array.isArray(boost.labels) && boost.labels.length > 0)) problems.push(`boosts[${i}] needs labels`);
+      else if (boost.when !== 'faces' && boost.when !== 'scene') problems.push(`boosts[${i}] must be on faces or scene`);
+      if (typeof boost.boost !== 'number' || Math.abs(boost.boost) > 1) problems.push(`boosts[${i}] boost must be between -1 and 1`);
+    });
+  }
+
+  if (problems.length > 0) {
+    throw createProfileError(`Invalid filtering profile: ${problems.join('; ')}`, 'INVALID_PROFILE');
+  }
+  return normalized;
+}
+
+export class FilteringProfileStore {
+  constructor(options = {}) {
+    this.eventProfiles = new Map(); // eventId -> { profile, loadedAt, failedAt }
+    this.loading = new Map(); // eventId -> Promise
+    this.remote = options.remote || null; // { load(eventId), save(eventId, profile, baseVersion) }
+
+    // Configuration
+    this.config = {
+      storageKey: 'event_filtering_profiles',
+      maxAge: 10 * 60 * 1000, // Re-read an event's profile from the server after this
+      retryDelay: 60 * 1000 // ...or this long after a failed read
+    };
+
+    this.loadCache();
+  }
+
+  /**
+   * Where event profiles are read from and saved to
+   */
+  setRemote(remote) {
+    this.remote = remote;
+  }
+
+  /**
+   * The profile for an event context, without waiting on the network:
+   *   1. eventContext.filteringProfile (passed in directly)
+   *   2. the organizer's profile saved on the event (loadForEvent fetches it)
+   *   3. the built-in profile for eventContext.profileId or eventContext.eventType
+   *   4. 'general'
+   */
+  getProfile(eventContext = {}) {
+    if (eventContext.filteringProfile) {
+      return this.withRules(eventContext.filteringProfile, 'context');
+    }
+
+    const stored = eventContext.eventId ? this.eventProfiles.get(eventContext.eventId) : null;
+    if (stored?.profile) {
+      return { ...stored.profile, source: 'event' };
+    }
+
+    const builtInId = BUILT_IN_PROFILES[eventContext.profileId] ? eventContext.profileId :
+      EVENT_TYPE_PROFILES[eventContext.eventType] || EVENT_TYPE_PROFILES[String(eventContext.eventType || '').toLowerCase()];
+    return { ...(BUILT_IN_PROFILES[builtInId] || BUILT_IN_PROFILES.general), source: 'built-in' };
+  }
+
+  /**
+   * Read the organizer's profile for the context's event (if any), then getProfile
+   * Falls back to the cached copy, or the built-in profile, when offline.
+   */
+  async loadForEvent(eventContext = {}, options = {}) {
+    const { eventId } = eventContext;
+    if (!eventId || eventContext.filteringProfile || !this.remote) {
+      return this.getProfile(eventContext);
+    }
+
+    const stored = this.eventProfiles.get(eventId);
+    const fresh = stored && (Date.now() - stored.loadedAt < this.config.maxAge ||
+      Date.now() - (stored.failedAt || 0) < this.config.retryDelay);
+    if (!fresh || options.force) {
+      if (!this.loading.has(eventId)) {
+        this.loading.set(eventId, this.fetchEventProfile(eventId).finally(() => this.loading.delete(eventId)));
+      }
+      await this.loading.get(eventId);
+    }
+
+    return this.getProfile(eventContext);
+  }
+
+  async fetchEventProfile(eventId) {
+    try {
+      const profile = await this.remote.load(eventId);
+      this.eventProfiles.set(eventId, {
+        profile: profile ? this.withRules(profile, 'event') : null,
+        loadedAt: Date.now()
+      });
+      this.saveCache();
+    } catch (error) {
+      const stored = this.eventProfiles.get(eventId);
+      this.eventProfiles.set(eventId, { profile: stored?.profile || null, loadedAt: stored?.loadedAt || 0, failedAt: Date.now() });
+      console.warn(`⚠️ Could not load filtering profile for event ${eventId}, using ${stored?.profile ? 'cached copy' : 'built-in profile'}:`, error.message);
+    }
+  }
+
+  /**
+   * Save an organizer's changes to an event's profile
+   * @param {object} changes - { name, basedOn, rules } - rules are merged into the current ones
+   * @param {{baseVersion?: number, editor?: string}} options - baseVersion: the version
+   *   the edit started from; a newer version on the server fails with PROFILE_CONFLICT
+   * @returns {Promise<object>} The saved profile
+   */
+  async updateEventProfile(eventId, changes, options = {}) {
+    if (!eventId) {
+      throw createProfileError('An event is needed to save a filtering profile', 'INVALID_PROFILE');
+    }
+    if (!this.remote) {
+      throw createProfileError('Filtering profiles cannot be saved - no event storage configured', 'PROFILE_STORAGE_UNAVAILABLE');
+    }
+
+    const current = await this.loadForEvent({ eventId }, { force: true });
+    const currentVersion = current.source === 'event' ? current.version : 0;
+    const baseVersion = options.baseVersion ?? currentVersion;
+    if (baseVersion !== currentVersion) {
+      throw createProfileError(`Filtering profile changed since version ${baseVersion} (now ${currentVersion})`, 'PROFILE_CONFLICT');
+    }
+
+    const basedOn = changes.basedOn || (current.source === 'event' ? current.basedOn : current.id);
+    const base = current.source === 'event' ? current : BUILT_IN_PROFILES[basedOn] || current;
+    const profile = {
+      id: `event:${eventId}`,
+      name: changes.name || (current.source === 'event' ? current.name : `${base.name} (custom)`),
+      basedOn: basedOn,
+      schemaVersion: PROFILE_SCHEMA_VERSION,
+      version: currentVersion + 1,
+      updatedAt: new Date().toISOString(),
+      updatedBy: options.editor || null,
+      rules: normalizeProfileRules({ ...base.rules, ...changes.rules })
+    };
+
+    await this.remote.save(eventId, profile, currentVersion);
+    this.eventProfiles.set(eventId, { profile, loadedAt: Date.now() });
+    this.saveCache();
+
+    console.log(`🎯 Filtering profile for event ${eventId} saved (v${profile.version})`);
+    return { ...profile, source: 'event' };
+  }
+
+  /**
+   * Drop an event's own profile - it goes back to the built-in one for its type
+   */
+  async resetEventProfile(eventId, options = {}) {
+    if (!this.remote) {
+      throw createProfileError('Filtering profiles cannot be saved - no event storage configured', 'PROFILE_STORAGE_UNAVAILABLE');
+    }
+
+    const current = await this.loadForEvent({ eventId }, { force: true });
+    if (current.source !== 'event') return false;
+    if (options.baseVersion !== undefined && options.baseVersion !== current.version) {
+      throw createProfileError(`Filtering profile changed since version ${options.baseVersion} (now ${current.version})`, 'PROFILE_CONFLICT');
+    }
+
+    await this.remote.save(eventId, null, current.version);
+    this.eventProfiles.set(eventId, { profile: null, loadedAt: Date.now() });
+    this.saveCache();
+    return true;
+  }
+
+  withRules(profile, source) {
+    return {
+      ...profile,
+      version: profile.version || 1,
+      rules: normalizeProfileRules(profile.rules),
+      source: source
+    };
+  }
+
+  listBuiltInProfiles() {
+    return Object.values(BUILT_IN_PROFILES);
+  }
+
+  loadCache() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+      // Cached copies are stale until re-read, but usable offline
+      Object.entries(stored).forEach(([eventId, profile]) => this.eventProfiles.set(eventId, { profile, loadedAt: 0 }));
+    } catch (error) {
+      console.error('Error loading filtering profiles:', error);
+    }
+  }
+
+  saveCache() {
+    try {
+      const profiles = {};
+      this.eventProfiles.forEach((entry, eventId) => {
+        if (entry.profile) {
+          const { source, ...profile } = entry.profile;
+          profiles[eventId] = profile;
+        }
+      });
+      localStorage.setItem(this.config.storageKey, JSON.stringify(profiles));
+    } catch (error) {
+      console.error('Error saving filtering profiles:', error);
+    }
+  }
+}
+
+/**
+ * Event profiles in the event_settings table, through the app's Supabase client
+ * Saves only succeed while the stored version is still `baseVersion`.
+ */
+export function createSupabaseProfileRemote(getClient = () => window.supabase || null) {
+  const client = () => {
+    const supabase = getClient();
+    if (!supabase?.from) {
+      throw createProfileError('Supabase client not available', 'PROFILE_STORAGE_UNAVAILABLE');
+    }
+    return supabase;
+  };
+
+  return {
+    async load(eventId) {
+      const { data, error } = await client().from('event_settings')
+        .select('filtering_profile')
+        .eq('event_id', eventId)
+        .maybeSingle();
+      if (error) throw error;
+      return data?.filtering_profile || null;
+    },
+
+    async save(eventId, profile, baseVersion) {
+      let query = client().from('event_settings')
+        .update({ filtering_profile: profile })
+        .eq('event_id', eventId);
+      query = baseVersion > 0 ?
+        query.eq('filtering_profile->>version', String(baseVersion)) :
+        query.is('filtering_profile', null);
+
+      const { data, error } = await query.select('event_id');
+      if (error) throw error;
+      if (!data || data.length === 0) {
+        throw createProfileError('Filtering profile was changed by someone else - reload and try again', 'PROFILE_CONFLICT');
+      }
+    }
+  };
+}
+
+export const filteringProfiles = new FilteringProfileStore({ remote: createSupabaseProfileRemote() });
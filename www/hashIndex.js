@@ -0,0 +1,247 @@
+/**
+ * HashIndex - Multi-index hashing over 64-bit perceptual hashes
+ * Answers "every photo within Hamming distance k" without comparing
+ * against every stored hash.
+ *
+ * Each 64-bit hash is split into 4 chunks of 16 bits, and every chunk has
+ * its own lookup table. If two hashes differ in at most k bits, then by
+ * pigeonhole at least one chunk differs in at most floor(k / 4) bits, so
+ * probing every chunk value within that radius finds all true matches.
+ * Candidates are then checked with the full distance.
+ *
+ * Several algorithms (dhash, phash, ...) can be indexed side by side; a
+ * search returns photos within k on ANY of them. That is a superset of
+ * the photos whose weighted average distance is within k, which is what
+ * PhotoDeduplicationService.calculateSimilarity then decides on.
+ *
+ * Serializes to plain JSON (toJSON / HashIndex.fromJSON) for persistence.
+ */
+
+const CHUNKS = 4;
+const CHUNK_BITS = 16;
+const INDEX_VERSION = 1;
+
+// Chunk values with a given number of bits set, built on demand: popcount -> [values]
+const valuesByPopcount = [];
+
+function popcount32(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * XOR masks reaching every 16-bit value within `radius` bits
+ */
+function masksWithin(radius) {
+  if (valuesByPopcount.length === 0) {
+    for (let bits = 0; bits <= CHUNK_BITS; bits++) valuesByPopcount.push([]);
+    for (let value = 0; value < (1 << CHUNK_BITS); value++) {
+      valuesByPopcount[popcount32(value)].push(value);
+    }
+  }
+
+  const masks = [];
+  for (let bits = 0; bits <= Math.min(radius, CHUNK_BITS); bits++) {
+    masks.push(...valuesByPopcount[bits]);
+  }
+  return masks;
+}
+
+/**
+ * 16-digit hex hash -> [high 32 bits, low 32 bits]
+ */
+export function hexToWords(hex) {
+  return [parseInt(hex.slice(0, 8), 16) >>> 0, parseInt(hex.slice(8, 16), 16) >>> 0];
+}
+
+export function wordsToHex(words) {
+  return words[0].toString(16).padStart(8, '0') + words[1].toString(16).padStart(8, '0');
+}
+
+export function wordDistance(a, b) {
+  return popcount32((a[0] ^ b[0]) >>> 0) + popcount32((a[1] ^ b[1]) >>> 0);
+}
+
+function chunkValues(words) {
+  return [words[0] >>> 16, words[0] & 0xFFFF, words[1] >>> 16, words[1] & 0xFFFF];
+}
+
+export class HashIndex {
+  /**
+   * @param {{algorithms: string[]}} options - Hash algorithms to index
+   */
+  constructor(options = {}) {
+    this.algorithms = options.algorithms || ['dhash'];
+    this.entries = new Map(); // id -> { id, words: { algorithm: [hi, lo] }, data }
+    this.tables = {}; // algorithm -> [chunk tables: Map<chunkValue, Set<id>>]
+    this.masksCache = new Map(); // chunk radius -> masks
+
+    for (const algorithm of this.algorithms) {
+      this.tables[algorithm] = Array.from({ length: CHUNKS }, () => new Map());
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  get(id) {
+    return this.entries.get(id)?.data;
+  }
+
+  /**
+   * @returns {Object<string, string>|null} algorithm -> hex hash
+   */
+  getHashes(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    return Object.fromEntries(Object.entries(entry.words).map(([algorithm, words]) => [algorithm, wordsToHex(words)]));
+  }
+
+  /**
+   * Oldest entry first (insertion order; re-adding an id moves it to the end)
+   */
+  ids() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Add or replace a photo
+   * @param {string} id
+   * @param {Object<string, string|{hash: string}>} hashes - algorithm -> hex hash (or hash object)
+   * @param {any} data - Stored with the entry and returned by search
+   */
+  add(id, hashes, data = null) {
+    if (this.entries.has(id)) {
+      this.remove(id);
+    }
+
+    const words = {};
+    for (const algorithm of this.algorithms) {
+      const hex = typeof hashes[algorithm] === 'string' ? hashes[algorithm] : hashes[algorithm]?.hash;
+      if (!hex) continue;
+
+      words[algorithm] = hexToWords(hex);
+      chunkValues(words[algorithm]).forEach((value, chunk) => {
+        const table = this.tables[algorithm][chunk];
+        if (!table.has(value)) table.set(value, new Set());
+        table.get(value).add(id);
+      });
+    }
+
+    this.entries.set(id, { id, words, data });
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    for (const [algorithm, words] of Object.entries(entry.words)) {
+      chunkValues(words).forEach((value, chunk) => {
+        const table = this.tables[algorithm][chunk];
+        const ids = table.get(value);
+        ids?.delete(id);
+        if (ids?.size === 0) table.delete(value);
+      });
+    }
+
+    this.entries.delete(id);
+    return true;
+  }
+
+  /**
+   * Find every indexed photo within `radius` bits on at least one algorithm
+   * @returns {Array<{id: string, data: any, distances: Object<string, number>}>}
+   *   distances holds every algorithm both sides have, not only the matching one
+   */
+  search(hashes, radius, options = {}) {
+    const queryWords = {};
+    for (const algorithm of this.algorithms) {
+      const hex = typeof hashes[algorithm] === 'string' ? hashes[algorithm] : hashes[algorithm]?.hash;
+      if (hex) queryWords[algorithm] = hexToWords(hex);
+    }
+
+    const masks = this.getMasks(Math.floor(radius / CHUNKS));
+    const candidates = new Set();
+
+    for (const [algorithm, words] of Object.entries(queryWords)) {
+      chunkValues(words).forEach((value, chunk) => {
+        const table = this.tables[algorithm][chunk];
+        if (table.size === 0) return;
+
+        for (const mask of masks) {
+          const ids = table.get(value ^ mask);
+          if (ids) ids.forEach(id => candidates.add(id));
+        }
+      });
+    }
+
+    const matches = [];
+    for (const id of candidates) {
+      if (id === options.excludeId) continue;
+
+      const entry = this.entries.get(id);
+      const distances = {};
+      let withinRadius = false;
+
+      for (const [algorithm, words] of Object.entries(queryWords)) {
+        if (!entry.words[algorithm]) continue;
+        distances[algorithm] = wordDistance(words, entry.words[algorithm]);
+        if (distances[algorithm] <= radius) withinRadius = true;
+      }
+
+      if (withinRadius) {
+        matches.push({ id, data: entry.data, distances });
+      }
+    }
+
+    return matches;
+  }
+
+  getMasks(chunkRadius) {
+    if (!this.masksCache.has(chunkRadius)) {
+      this.masksCache.set(chunkRadius, masksWithin(chunkRadius));
+    }
+    return this.masksCache.get(chunkRadius);
+  }
+
+  clear() {
+    this.entries.clear();
+    for (const algorithm of this.algorithms) {
+      this.tables[algorithm].forEach(table => table.clear());
+    }
+  }
+
+  /**
+   * Plain JSON form - the tables are rebuilt on load
+   */
+  toJSON() {
+    return {
+      version: INDEX_VERSION,
+      algorithms: this.algorithms,
+      entries: Array.from(this.entries.values()).map(entry => ({
+        id: entry.id,
+        hashes: this.getHashes(entry.id),
+        data: entry.data
+      }))
+    };
+  }
+
+  /**
+   * @returns {HashIndex|null} null when the JSON is from another index version
+   */
+  static fromJSON(json, options = {}) {
+    if (!json || json.version !== INDEX_VERSION) return null;
+
+    const index = new HashIndex({ algorithms: options.algorithms || json.algorithms });
+    for (const entry of json.entries || []) {
+      index.add(entry.id, entry.hashes, entry.data);
+    }
+    return index;
+  }
+}
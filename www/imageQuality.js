@@ -0,0 +1,224 @@
+/**
+ * Image quality - sharpness, exposure, contrast and noise measured from pixels
+ * Pure functions with no DOM access, like perceptualHash.js, so they run in
+ * the 'quality' worker task as well as on the main thread.
+ *
+ *   sharpness - variance of the Laplacian; blur removes the fine detail it responds to
+ *   exposure  - mean brightness and the share of crushed shadows / blown highlights
+ *   contrast  - RMS contrast (standard deviation of luminance, 0-1)
+ *   noise     - Immerkær's fast noise estimate: a mask that cancels smooth ramps
+ *               and edges responds mostly to pixel-level noise
+ *
+ * Measure at a fixed analysis size (AdvancedPhotoFilterService.config.quality.analysisSize):
+ * Laplacian variance and noise both drop as an image is downscaled, so the
+ * thresholds below only hold for images of about that size.
+ */
+
+const HISTOGRAM_BINS = 256;
+
+// Sum of squared Laplacian kernel weights: white noise of standard deviation s
+// adds 20 * s^2 to the Laplacian variance
+const LAPLACIAN_NOISE_GAIN = 20;
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  minLaplacianVariance: 80, // Below this the photo is blurry
+  sharpLaplacianVariance: 400, // At or above this sharpness scores 1
+  shadowLevel: 8, // Luminance at or below this counts as crushed shadow
+  highlightLevel: 247, // ...at or above this as blown highlight
+  maxShadowClip: 0.4, // Underexposed beyond this share of crushed pixels
+  maxHighlightClip: 0.25, // Overexposed beyond this share of blown pixels
+  minBrightness: 0.2, // Underexposed below this mean brightness (0-1)
+  maxBrightness: 0.85, // Overexposed above this mean brightness
+  minContrast: 0.06, // Flat (fog, lens cap, pocket shots) below this RMS contrast
+  goodContrast: 0.2, // At or above this contrast scores 1
+  maxNoiseSigma: 8 // Noisy above this estimated noise (luminance levels)
+};
+
+export const DEFAULT_QUALITY_WEIGHTS = {
+  sharpness: 0.35,
+  exposure: 0.25,
+  contrast: 0.2,
+  noise: 0.2
+};
+
+const ISSUE_DESCRIPTIONS = {
+  blur: 'blurry',
+  underexposed: 'underexposed',
+  overexposed: 'overexposed',
+  lowContrast: 'very low contrast',
+  noise: 'noisy'
+};
+
+/**
+ * Raw measurements of a grayscale image
+ * @param {ArrayLike<number>} pixels - Luminance 0-255, row-major
+ * @param {ArrayLike<number>|null} rgba - Same image as RGBA bytes, for saturation (optional)
+ * @returns {{laplacianVariance: number, brightness: number, shadowClip: number,
+ *   highlightClip: number, rmsContrast: number, noiseSigma: number,
+ *   saturation: number|null, histogram: Uint32Array}}
+ */
+export function measureImageQuality(pixels, width, height, rgba = null, thresholds = DEFAULT_QUALITY_THRESHOLDS) {
+  const count = width * height;
+  const histogram = new Uint32Array(HISTOGRAM_BINS);
+  let sum = 0;
+  let squares = 0;
+
+  for (let i = 0; i < count; i++) {
+    const value = pixels[i];
+    sum += value;
+    squares += value * value;
+    histogram[Math.min(Math.max(Math.round(value), 0), HISTOGRAM_BINS - 1)]++;
+  }
+
+  const mean = sum / count;
+  let shadow = 0;
+  let highlight = 0;
+  for (let level = 0; level < HISTOGRAM_BINS; level++) {
+    if (level <= thresholds.shadowLevel) shadow += histogram[level];
+    if (level >= thresholds.highlightLevel) highlight += histogram[level];
+  }
+
+  return {
+    laplacianVariance: laplacianVariance(pixels, width, height),
+    brightness: mean / 255,
+    shadowClip: shadow / count,
+    highlightClip: highlight / count,
+    rmsContrast: Math.sqrt(Math.max(squares / count - mean * mean, 0)) / 255,
+    noiseSigma: estimateNoise(pixels, width, height),
+    saturation: rgba ? meanSaturation(rgba, count) : null,
+    histogram: histogram
+  };
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian over the image interior
+ */
+export function laplacianVariance(pixels, width, height) {
+  if (width < 3 || height < 3) return 0;
+
+  let sum = 0;
+  let squares = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      squares += value * value;
+    }
+  }
+
+  const n = (width - 2) * (height - 2);
+  return squares / n - (sum / n) ** 2;
+}
+
+/**
+ * Standard deviation of Gaussian noise (Immerkær, "Fast Noise Variance
+ * Estimation", 1996) using the mask [1 -2 1; -2 4 -2; 1 -2 1]
+ */
+export function estimateNoise(pixels, width, height) {
+  if (width < 3 || height < 3) return 0;
+
+  let total = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value =
+        pixels[i - width - 1] - 2 * pixels[i - width] + pixels[i - width + 1] -
+        2 * pixels[i - 1] + 4 * pixels[i] - 2 * pixels[i + 1] +
+        pixels[i + width - 1] - 2 * pixels[i + width] + pixels[i + width + 1];
+      total += Math.abs(value);
+    }
+  }
+
+  return Math.sqrt(Math.PI / 2) * total / (6 * (width - 2) * (height - 2));
+}
+
+/**
+ * Mean HSV saturation (0-1)
+ */
+function meanSaturation(rgba, count) {
+  let total = 0;
+  for (let p = 0; p < count * 4; p += 4) {
+    const max = Math.max(rgba[p], rgba[p + 1], rgba[p + 2]);
+    const min = Math.min(rgba[p], rgba[p + 1], rgba[p + 2]);
+    if (max > 0) total += (max - min) / max;
+  }
+  return total / count;
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * Turn measurements into 0-1 scores, issue flags and readable reasons
+ * @param {object} measurements - From measureImageQuality
+ * @returns {{sharpness: number, exposure: number, contrast: number, noise: number,
+ *   qualityScore: number, issues: string[], reasons: string[],
+ *   findings: Array<{issue: string, value: number, threshold: number, message: string}>}}
+ *   noise is 0-1 with lower better (0.5 at maxNoiseSigma); the other scores are higher better.
+ *   findings holds the measurement and threshold behind each issue, in the order of reasons.
+ */
+export function assessImageQuality(measurements, thresholds = DEFAULT_QUALITY_THRESHOLDS, weights = DEFAULT_QUALITY_WEIGHTS) {
+  const m = measurements;
+  const issues = [];
+  const reasons = [];
+  const findings = [];
+  const flag = (issue, value, threshold, message) => {
+    issues.push(issue);
+    reasons.push(message);
+    findings.push({ issue, value, threshold, message });
+  };
+
+  // Noise inflates the Laplacian too - judge sharpness on what is left of it
+  const detail = Math.max(m.laplacianVariance - LAPLACIAN_NOISE_GAIN * m.noiseSigma ** 2, 0);
+  const sharpness = clamp01(detail / thresholds.sharpLaplacianVariance);
+  // Too flat to tell focus from lack of detail (dark or foggy shots) - judged on contrast instead
+  const judgeable = m.rmsContrast >= thresholds.minContrast;
+  if (judgeable && detail < thresholds.minLaplacianVariance) {
+    flag('blur', detail, thresholds.minLaplacianVariance,
+      `${ISSUE_DESCRIPTIONS.blur} (detail ${detail.toFixed(0)} < ${thresholds.minLaplacianVariance})`);
+  }
+
+  // Reported against whichever limit was crossed: mean brightness, else the clipped share
+  const underexposedByBrightness = m.brightness < thresholds.minBrightness;
+  const overexposedByBrightness = m.brightness > thresholds.maxBrightness;
+  if (underexposedByBrightness || m.shadowClip > thresholds.maxShadowClip) {
+    flag('underexposed',
+      underexposedByBrightness ? m.brightness : m.shadowClip,
+      underexposedByBrightness ? thresholds.minBrightness : thresholds.maxShadowClip,
+      `${ISSUE_DESCRIPTIONS.underexposed} (brightness ${(m.brightness * 100).toFixed(0)}%, ` +
+      `${(m.shadowClip * 100).toFixed(0)}% crushed shadows)`);
+  } else if (overexposedByBrightness || m.highlightClip > thresholds.maxHighlightClip) {
+    flag('overexposed',
+      overexposedByBrightness ? m.brightness : m.highlightClip,
+      overexposedByBrightness ? thresholds.maxBrightness : thresholds.maxHighlightClip,
+      `${ISSUE_DESCRIPTIONS.overexposed} (brightness ${(m.brightness * 100).toFixed(0)}%, ` +
+      `${(m.highlightClip * 100).toFixed(0)}% blown highlights)`);
+  }
+
+  // 1 at mid-grey, falling to 0 at fully black / white, less what is clipped
+  const exposure = clamp01((1 - Math.abs(m.brightness - 0.5) * 2) * (1 - m.shadowClip - m.highlightClip));
+
+  const contrast = clamp01(m.rmsContrast / thresholds.goodContrast);
+  if (m.rmsContrast < thresholds.minContrast) {
+    flag('lowContrast', m.rmsContrast, thresholds.minContrast,
+      `${ISSUE_DESCRIPTIONS.lowContrast} (${(m.rmsContrast * 100).toFixed(1)}%)`);
+  }
+
+  const noise = clamp01(m.noiseSigma / (2 * thresholds.maxNoiseSigma));
+  if (m.noiseSigma > thresholds.maxNoiseSigma) {
+    flag('noise', m.noiseSigma, thresholds.maxNoiseSigma,
+      `${ISSUE_DESCRIPTIONS.noise} (noise ${m.noiseSigma.toFixed(1)} > ${thresholds.maxNoiseSigma})`);
+  }
+
+  const totalWeight = weights.sharpness + weights.exposure + weights.contrast + weights.noise;
+  const qualityScore = (
+    sharpness * weights.sharpness +
+    exposure * weights.exposure +
+    contrast * weights.contrast +
+    (1 - noise) * weights.noise
+  ) / totalWeight;
+
+  return { sharpness, exposure, contrast, noise, qualityScore, issues, reasons, findings };
+}
@@ -0,0 +1,238 @@
+/**
+ * ImageTranscoder - Client-side JPEG re-encoding for adaptive upload quality
+ * Decodes with createImageBitmap (EXIF orientation applied), scales to a
+ * maximum long edge, re-encodes on an OffscreenCanvas and copies the
+ * original EXIF block (camera, capture time, GPS) into the new file.
+ *
+ * Used by ReliableUploadService.preparePhotoForUpload.
+ */
+
+const JPEG_SOI = 0xFFD8;
+const JPEG_APP0 = 0xFFE0;
+const JPEG_APP1 = 0xFFE1;
+const JPEG_SOS = 0xFFDA;
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_PIXEL_X_DIMENSION = 0xA002;
+const TAG_PIXEL_Y_DIMENSION = 0xA003;
+
+export class ImageTranscoder {
+  constructor() {
+    // Configuration
+    this.config = {
+      outputMimeType: 'image/jpeg',
+      transcodableMimeTypes: ['image/jpeg', 'image/jpg'], // HEIC/PNG keep their metadata untouched
+      minSavingsRatio: 0.05 // Keep the original unless re-encoding saves at least 5%
+    };
+  }
+
+  /**
+   * Whether this runtime can decode and re-encode images
+   */
+  isSupported() {
+    return typeof createImageBitmap === 'function' &&
+      (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+  }
+
+  /**
+   * Re-encode a JPEG at the given quality, scaled down to maxLongEdge
+   * @param {Blob} blob - Original image
+   * @param {{quality: number, maxLongEdge: number|null}} options
+   * @returns {Promise<{blob: Blob, originalSize: number, adaptedSize: number,
+   *   width: number|null, height: number|null, transcoded: boolean, reason: string|null}>}
+   */
+  async transcode(blob, { quality = 1.0, maxLongEdge = null } = {}) {
+    const original = {
+      blob: blob,
+      originalSize: blob.size,
+      adaptedSize: blob.size,
+      width: null,
+      height: null,
+      transcoded: false,
+      reason: null
+    };
+
+    if (!this.config.transcodableMimeTypes.includes(blob.type)) {
+      return { ...original, reason: `unsupported type ${blob.type || 'unknown'}` };
+    }
+    if (!this.isSupported()) {
+      return { ...original, reason: 'no canvas support' };
+    }
+
+    const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+
+    try {
+      const longEdge = Math.max(bitmap.width, bitmap.height);
+      const scale = maxLongEdge && longEdge > maxLongEdge ? maxLongEdge / longEdge : 1;
+      original.width = bitmap.width;
+      original.height = bitmap.height;
+
+      if (scale === 1 && quality >= 1.0) {
+        return { ...original, reason: 'no adaptation needed' };
+      }
+
+      const width = Math.round(bitmap.width * scale);
+      const height = Math.round(bitmap.height * scale);
+      const encoded = await this.encode(bitmap, width, height, quality);
+
+      // Pixels are now upright, so the copied EXIF must say orientation 1
+      const exifSegment = this.extractExifSegment(new Uint8Array(await blob.arrayBuffer()));
+      if (exifSegment) {
+        this.patchExifSegment(exifSegment, width, height);
+      }
+      const output = exifSegment ? await this.insertExifSegment(encoded, exifSegment) : encoded;
+
+      // Re-encoding an already small photo can make it bigger
+      if (scale === 1 && output.size > blob.size * (1 - this.config.minSavingsRatio)) {
+        return { ...original, reason: 'no size benefit' };
+      }
+
+      return {
+        blob: output,
+        originalSize: blob.size,
+        adaptedSize: output.size,
+        width: width,
+        height: height,
+        transcoded: true,
+        reason: null
+      };
+
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * Draw and encode on an OffscreenCanvas (falls back to a DOM canvas)
+   */
+  async encode(bitmap, width, height, quality) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const canvas = new OffscreenCanvas(width, height);
+      const context = canvas.getContext('2d');
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(bitmap, 0, 0, width, height);
+      return await canvas.convertToBlob({ type: this.config.outputMimeType, quality });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        result => (result ? resolve(result) : reject(new Error('Canvas encoding failed'))),
+        this.config.outputMimeType,
+        quality
+      );
+    });
+  }
+
+  /**
+   * Find the Exif APP1 segment (marker included) in a JPEG
+   * @returns {Uint8Array|null} A copy of the segment
+   */
+  extractExifSegment(bytes) {
+    if (bytes.length < 4 || this.readUint16(bytes, 0) !== JPEG_SOI) return null;
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+      const marker = this.readUint16(bytes, offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === JPEG_SOS) break;
+
+      const length = this.readUint16(bytes, offset + 2);
+      // "Exif\0\0" identifies the Exif APP1 (XMP also uses APP1)
+      if (marker === JPEG_APP1 && bytes[offset + 4] === 0x45 && bytes[offset + 5] === 0x78 &&
+          bytes[offset + 6] === 0x69 && bytes[offset + 7] === 0x66) {
+        return bytes.slice(offset, offset + 2 + length);
+      }
+      offset += 2 + length;
+    }
+
+    return null;
+  }
+
+  /**
+   * Set orientation to 1 and the Exif pixel dimensions to the new size, in place
+   */
+  patchExifSegment(segment, width, height) {
+    const tiffStart = 10; // marker (2) + length (2) + "Exif\0\0" (6)
+    const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+    if (segment.byteLength < tiffStart + 8) return;
+
+    const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+    const ifd0Offset = view.getUint32(tiffStart + 4, littleEndian);
+
+    const exifIfdOffset = this.patchIfd(view, tiffStart, ifd0Offset, littleEndian, {
+      [TAG_ORIENTATION]: 1
+    });
+    if (exifIfdOffset) {
+      this.patchIfd(view, tiffStart, exifIfdOffset, littleEndian, {
+        [TAG_PIXEL_X_DIMENSION]: width,
+        [TAG_PIXEL_Y_DIMENSION]: height
+      });
+    }
+  }
+
+  /**
+   * Overwrite SHORT/LONG values of the given tags in one IFD
+   * @returns {number|null} Offset of the Exif sub-IFD, if this IFD points to one
+   */
+  patchIfd(view, tiffStart, ifdOffset, littleEndian, values) {
+    const start = tiffStart + ifdOffset;
+    if (start + 2 > view.byteLength) return null;
+
+    const entryCount = view.getUint16(start, littleEndian);
+    let exifIfdOffset = null;
+
+    for (let i = 0; i < entryCount; i++) {
+      const entry = start + 2 + i * 12;
+      if (entry + 12 > view.byteLength) break;
+
+      const tag = view.getUint16(entry, littleEndian);
+      const type = view.getUint16(entry + 2, littleEndian);
+
+      if (tag === TAG_EXIF_IFD) {
+        exifIfdOffset = view.getUint32(entry + 8, littleEndian);
+      } else if (values[tag] !== undefined) {
+        if (type === 3) { // SHORT
+          view.setUint16(entry + 8, values[tag], littleEndian);
+        } else if (type === 4) { // LONG
+          view.setUint32(entry + 8, values[tag], littleEndian);
+        }
+      }
+    }
+
+    return exifIfdOffset;
+  }
+
+  /**
+   * Put the Exif segment right after SOI. The canvas's JFIF APP0 is dropped,
+   * as Exif files must start with APP1.
+   */
+  async insertExifSegment(jpegBlob, exifSegment) {
+    const bytes = new Uint8Array(await jpegBlob.arrayBuffer());
+    let rest = 2;
+
+    if (this.readUint16(bytes, 2) === JPEG_APP0) {
+      rest = 4 + this.readUint16(bytes, 4);
+    }
+
+    return new Blob([bytes.subarray(0, 2), exifSegment, bytes.subarray(rest)], {
+      type: this.config.outputMimeType
+    });
+  }
+
+  readUint16(bytes, offset) {
+    return (bytes[offset] << 8) | bytes[offset + 1];
+  }
+}
+
+// Export singleton instance
+export const imageTranscoder = new ImageTranscoder();
+
+// Classic-script services (ReliableUploadService) read it from window
+window.imageTranscoder = imageTranscoder;
@@ -0,0 +1,28 @@
+/**
+ * Image worker - module Web Worker entry point for WorkerPool
+ * Runs one task at a time from imageWorkerTasks.js and posts the result
+ * back, transferring any buffers the task hands over.
+ *
+ * Messages in:  { id, type, payload }
+ * Messages out: { id, result } or { id, error: { message, name, code } }
+ */
+
+import { runTask } from './imageWorkerTasks.js';
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    const { result, transfer } = await runTask(type, payload);
+    self.postMessage({ id, result }, transfer || []);
+  } catch (error) {
+    self.postMessage({
+      id,
+      error: {
+        message: error?.message || String(error),
+        name: error?.name || 'Error',
+        code: error?.code || null
+      }
+    });
+  }
+};
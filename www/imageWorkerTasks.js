@@ -0,0 +1,342 @@
+/**
+ * Image worker tasks - the work WorkerPool can run off the main thread
+ * Loaded by imageWorker.js inside each worker, and by WorkerPool itself
+ * when Web Workers are unavailable, so every task must work without the
+ * DOM. Tasks receive a plain payload and resolve { result, transfer }.
+ *
+ * Built-in tasks:
+ *   capabilities - what this context can decode
+ *   hash         - perceptual hashes, rotated/mirrored variants and crop signature (PhotoDeduplicationService)
+ *   cropMatch    - look for crops between one photo and a list of others
+ *   grayscale    - decoded luminance pixels
+ *   quality      - sharpness, exposure, contrast and noise measurements (imageQuality.js)
+ *   detectFaces  - faces, the PhotoAnalysis plugin contract's reference implementation (visionReference.js)
+ *   classifyScene - scene labels, likewise
+ *   jpegSegments - raw EXIF/XMP/ICC segments and frame size, the input for metadata parsing (photoMetadataParser.js)
+ *
+ * Image sources in a payload, in order of preference:
+ *   { gray: ArrayBuffer(Float64), width, height }  already decoded luminance
+ *   { rgba: ArrayBuffer, width, height }            decoded RGBA pixels
+ *   { bitmap: ImageBitmap }                         decoded by the sender
+ *   { buffer: ArrayBuffer, mimeType }               encoded file bytes
+ */
+
+import {
+  toGrayscale, resizeArea, differenceHash, perceptualHash, averageHash, waveletHash, transformImage
+} from './perceptualHash.js';
+import { createCropSignature, findCropMatches } from './cropMatch.js';
+import { measureImageQuality, DEFAULT_QUALITY_THRESHOLDS } from './imageQuality.js';
+import { detectFaces, classifyScene, REFERENCE_ANALYSIS_SIZE } from './visionReference.js';
+
+const HASH_FUNCTIONS = {
+  dhash: differenceHash,
+  phash: perceptualHash,
+  ahash: averageHash,
+  whash: waveletHash
+};
+
+const tasks = new Map();
+
+/**
+ * Register a task handler: async (payload) => ({ result, transfer })
+ */
+export function registerTask(type, handler) {
+  tasks.set(type, handler);
+}
+
+export async function runTask(type, payload) {
+  const handler = tasks.get(type);
+  if (!handler) {
+    throw createTaskError(`Unknown worker task: ${type}`, 'UNKNOWN_TASK');
+  }
+  return await handler(payload || {});
+}
+
+export function createTaskError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function canDecode() {
+  return typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Decode any payload source to grayscale at most `size` pixels on the long
+ * edge. Encoded images and bitmaps are squashed to size x size, which the
+ * hashes do anyway and which lets the decoder do the bulk of the downscaling.
+ * @returns {Promise<{pixels: Float64Array, width: number, height: number,
+ *   naturalDimensions: {width: number, height: number}}>}
+ */
+export async function decodeGrayscale(payload, size) {
+  if (payload.gray) {
+    return {
+      pixels: new Float64Array(payload.gray),
+      width: payload.width,
+      height: payload.height,
+      naturalDimensions: payload.naturalDimensions || { width: payload.width, height: payload.height }
+    };
+  }
+
+  if (payload.rgba) {
+    const { width, height } = payload;
+    const gray = toGrayscale(new Uint8ClampedArray(payload.rgba), width, height);
+    const scale = Math.min(1, size / Math.max(width, height));
+    if (scale === 1) {
+      return { pixels: gray, width, height, naturalDimensions: { width, height } };
+    }
+
+    const targetWidth = Math.max(Math.round(width * scale), 1);
+    const targetHeight = Math.max(Math.round(height * scale), 1);
+    return {
+      pixels: resizeArea(gray, width, height, targetWidth, targetHeight),
+      width: targetWidth,
+      height: targetHeight,
+      naturalDimensions: { width, height }
+    };
+  }
+
+  if (!canDecode()) {
+    throw createTaskError('Image decoding not supported in this context', 'DECODE_UNSUPPORTED');
+  }
+
+  const bitmap = payload.bitmap ||
+    await createImageBitmap(new Blob([payload.buffer], { type: payload.mimeType || 'image/jpeg' }),
+      { imageOrientation: 'from-image' });
+
+  try {
+    const canvas = new OffscreenCanvas(size, size);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, size, size);
+    const { data } = context.getImageData(0, 0, size, size);
+
+    return {
+      pixels: toGrayscale(data, size, size),
+      width: size,
+      height: size,
+      naturalDimensions: { width: bitmap.width, height: bitmap.height }
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+registerTask('capabilities', async () => ({
+  result: {
+    decode: canDecode(),
+    tasks: Array.from(tasks.keys())
+  }
+}));
+
+function hashAll(image, algorithms) {
+  const hashes = {};
+  for (const algorithm of algorithms) {
+    hashes[algorithm] = HASH_FUNCTIONS[algorithm](image.pixels, image.width, image.height);
+  }
+  return hashes;
+}
+
+/**
+ * payload: image source + { decodeSize, algorithms: ['dhash', ...],
+ *   transforms: ['rot90', ...], signatureSize }
+ * result: { hashes, variants: { transform: hashes }, cropSignature, naturalDimensions }
+ */
+registerTask('hash', async (payload) => {
+  const image = await decodeGrayscale(payload, payload.decodeSize || 256);
+  const algorithms = payload.algorithms || Object.keys(HASH_FUNCTIONS);
+  const result = {
+    hashes: hashAll(image, algorithms),
+    variants: {},
+    cropSignature: null,
+    naturalDimensions: image.naturalDimensions
+  };
+
+  for (const transform of payload.transforms || []) {
+    result.variants[transform] = hashAll(transformImage(image.pixels, image.width, image.height, transform), algorithms);
+  }
+
+  if (payload.signatureSize) {
+    result.cropSignature = createCropSignature(image.pixels, image.width, image.height,
+      image.naturalDimensions, payload.signatureSize);
+  }
+
+  return { result };
+});
+
+/**
+ * payload: { query: signature, candidates: [{ id, signature }], options }
+ */
+registerTask('cropMatch', async ({ query, candidates, options }) => ({
+  result: findCropMatches(query, candidates, options)
+}));
+
+/**
+ * payload: image source + { size }
+ */
+registerTask('grayscale', async (payload) => {
+  const image = await decodeGrayscale(payload, payload.size || 512);
+  return {
+    result: image,
+    transfer: [image.pixels.buffer]
+  };
+});
+
+/**
+ * Area-average each RGBA channel down to at most `size` on the long edge
+ */
+function resizeRgba(image, size) {
+  const { width, height, rgba } = image;
+  const scale = size / Math.max(width, height);
+  if (scale >= 1) return image;
+
+  const targetWidth = Math.max(Math.round(width * scale), 1);
+  const targetHeight = Math.max(Math.round(height * scale), 1);
+  const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+  const channel = new Float64Array(width * height);
+
+  for (let c = 0; c < 4; c++) {
+    for (let i = 0; i < channel.length; i++) channel[i] = rgba[i * 4 + c];
+    const resized = resizeArea(channel, width, height, targetWidth, targetHeight);
+    for (let i = 0; i < resized.length; i++) output[i * 4 + c] = resized[i];
+  }
+  return { ...image, rgba: output, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Decode at most `size` pixels on the long edge, keeping the aspect ratio -
+ * squashing would skew quality measurements and face shapes. RGBA is kept
+ * when the source has colour.
+ * @returns {Promise<{pixels: Float64Array, rgba: Uint8ClampedArray|null, width: number,
+ *   height: number, naturalDimensions: {width: number, height: number}}>}
+ */
+async function decodeRgba(payload, size) {
+  if (payload.gray || !payload.rgba && !canDecode()) {
+    return { ...await decodeGrayscale(payload, size), rgba: null };
+  }
+
+  if (payload.rgba) {
+    const { width, height } = payload;
+    const image = resizeRgba({ rgba: new Uint8ClampedArray(payload.rgba), width, height }, size);
+    return { ...image, pixels: toGrayscale(image.rgba, image.width, image.height), naturalDimensions: { width, height } };
+  }
+
+  const bitmap = payload.bitmap ||
+    await createImageBitmap(new Blob([payload.buffer], { type: payload.mimeType || 'image/jpeg' }),
+      { imageOrientation: 'from-image' });
+
+  try {
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(Math.round(bitmap.width * scale), 1);
+    const height = Math.max(Math.round(bitmap.height * scale), 1);
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+
+    return {
+      pixels: toGrayscale(data, width, height),
+      rgba: data,
+      width,
+      height,
+      naturalDimensions: { width: bitmap.width, height: bitmap.height }
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * payload: image source + { size, thresholds }
+ * result: measureImageQuality output (histogram as a plain array) + { width, height, naturalDimensions }
+ */
+registerTask('quality', async (payload) => {
+  const image = await decodeRgba(payload, payload.size || 512);
+  const measurements = measureImageQuality(image.pixels, image.width, image.height, image.rgba,
+    { ...DEFAULT_QUALITY_THRESHOLDS, ...payload.thresholds });
+
+  return {
+    result: {
+      ...measurements,
+      histogram: Array.from(measurements.histogram),
+      width: image.width,
+      height: image.height,
+      naturalDimensions: image.naturalDimensions
+    }
+  };
+});
+
+/**
+ * Colour pixels at the reference analysis size, for the PhotoAnalysis tasks
+ */
+async function decodeColour(payload) {
+  const image = await decodeRgba(payload, payload.size || REFERENCE_ANALYSIS_SIZE);
+  if (!image.rgba) {
+    throw createTaskError('Colour pixels needed - send the photo, not grayscale', 'COLOUR_REQUIRED');
+  }
+  return image;
+}
+
+/**
+ * payload: image source + { size, maxFaces }
+ */
+registerTask('detectFaces', async (payload) => {
+  const image = await decodeColour(payload);
+  return { result: detectFaces(image.rgba, image.width, image.height, payload) };
+});
+
+/**
+ * payload: image source + { size, maxLabels, minConfidence }
+ */
+registerTask('classifyScene', async (payload) => {
+  const image = await decodeColour(payload);
+  return { result: classifyScene(image.rgba, image.width, image.height, payload) };
+});
+
+/**
+ * payload: { buffer } - encoded JPEG bytes
+ */
+registerTask('jpegSegments', async ({ buffer }) => {
+  const bytes = new Uint8Array(buffer);
+  const result = { exif: null, xmp: null, icc: null, frame: null };
+  const transfer = [];
+
+  if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    return { result };
+  }
+
+  const startsWith = (offset, text) =>
+    Array.from(text).every((char, i) => bytes[offset + i] === char.charCodeAt(0));
+
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xDA || marker === 0xD9) break; // Image data / end - no more metadata
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const body = offset + 4;
+
+    if (marker === 0xE1 && startsWith(body, 'Exif\0\0')) {
+      result.exif = bytes.slice(body + 6, offset + 2 + length).buffer;
+      transfer.push(result.exif);
+    } else if (marker === 0xE1 && startsWith(body, 'http://ns.adobe.com/xap/1.0/\0')) {
+      result.xmp = new TextDecoder().decode(bytes.subarray(body + 29, offset + 2 + length));
+    } else if (marker === 0xE2 && startsWith(body, 'ICC_PROFILE\0')) {
+      result.icc = { length: length - 16 };
+    } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      result.frame = {
+        precision: bytes[body],
+        height: (bytes[body + 1] << 8) | bytes[body + 2],
+        width: (bytes[body + 3] << 8) | bytes[body + 4],
+        components: bytes[body + 5],
+        progressive: marker === 0xC2
+      };
+    }
+
+    offset += 2 + length;
+  }
+
+  return { result, transfer };
+});
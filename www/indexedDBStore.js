@@ -0,0 +1,99 @@
+/**
+ * IndexedDBStore - Promise wrapper around one IndexedDB database
+ * Shared by the upload queue (uploadQueueStorage.js) and the photo hash
+ * store (photoHashStore.js): opening and creating the object stores, and
+ * transactions that resolve only once they commit, so an interrupted write
+ * is rolled back by the browser and never reported as saved.
+ */
+
+export class IndexedDBStore {
+  /**
+   * @param {string} dbName
+   * @param {Object<string, string>} stores - Object store name -> keyPath
+   * @param {number} version - Raise when stores are added
+   */
+  constructor(dbName, stores, version = 1) {
+    this.dbName = dbName;
+    this.stores = stores;
+    this.version = version;
+    this.db = null;
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating missing object stores. Safe to call repeatedly.
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [name, keyPath] of Object.entries(this.stores)) {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath });
+          }
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  /**
+   * Run operation inside one transaction and resolve once it commits
+   * @param {string|string[]} storeNames - One store, or several written together
+   * @param {'readonly'|'readwrite'} mode
+   * @param {function(IDBObjectStore|Object<string, IDBObjectStore>): IDBRequest|void} operation -
+   *   gets the object store, or an object of them by name when given several
+   * @returns {Promise<any>} Result of the request operation returned
+   */
+  transaction(storeNames, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      const stores = Array.isArray(storeNames)
+        ? Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]))
+        : transaction.objectStore(storeNames);
+      const request = operation(stores);
+
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async getAll(storeName) {
+    return await this.transaction(storeName, 'readonly', store => store.getAll()) || [];
+  }
+}
+
+/**
+ * Initialize an IndexedDB backed storage, or the fallback when IndexedDB is
+ * missing or won't open (private browsing, full disk, a corrupt database)
+ * @param {function(): object} createIndexedDBStorage - Storage with async init()
+ * @param {function(): object} createFallbackStorage - Storage with async init()
+ * @param {string} fallbackMessage - How the fallback is described in the warning
+ * @returns {Promise<object>} The initialized storage
+ */
+export async function initStorageWithFallback(createIndexedDBStorage, createFallbackStorage, fallbackMessage) {
+  if (IndexedDBStore.isAvailable()) {
+    const storage = createIndexedDBStorage();
+    try {
+      await storage.init();
+      return storage;
+    } catch (error) {
+      console.warn(`⚠️ IndexedDB unavailable, ${fallbackMessage}:`, error);
+    }
+  }
+
+  const fallback = createFallbackStorage();
+  await fallback.init();
+  return fallback;
+}
@@ -5,6 +5,35 @@
 
 console.log('🔍 PhotoShare Duplicate Detection API Loaded');
 
+// Persistent hash store (photoHashStore.js) - keeps the fetched lists for offline checks
+const getPhotoHashStore = () => window.photoHashStore || null;
+
+/**
+ * Hash list and picker data for EventPhotoPicker from uploaded photos
+ */
+function buildUploadedPhotoData(photos) {
+    const photoHashes = [];
+    const photoData = [];
+
+    for (let i = 0; i < photos.length; i++) {
+        const photo = photos[i];
+        if (photo && photo.file_hash) {
+            photoHashes.push(photo.file_hash);
+            photoData.push({
+                hash: photo.file_hash,
+                perceptual_hash: photo.perceptual_hash || '',
+                width: photo.image_width || 0,
+                height: photo.image_height || 0,
+                original_timestamp: photo.original_timestamp || '',
+                file_size: photo.file_size_bytes || 0,
+                filename: photo.file_name || photo.metadata?.original_name || ''
+            });
+        }
+    }
+
+    return { photoHashes, photoData };
+}
+
 /**
  * Fetch uploaded photos for an event using the chunked JWT system
  * This leverages the existing chunked JWT transfer instead of large JavaScript injection
@@ -43,27 +72,17 @@ async function fetchUploadedPhotosForEvent(eventId) {
         console.log('🔍 STEP 5: Found', photos.length, 'uploaded photos');
 
         // Extract file hashes for duplicate detection
-        const photoHashes = [];
-        const photoData = [];
-
-        for (let i = 0; i < photos.length; i++) {
-            const photo = photos[i];
-            if (photo && photo.file_hash) {
-                photoHashes.push(photo.file_hash);
-                photoData.push({
-                    hash: photo.file_hash,
-                    perceptual_hash: photo.perceptual_hash || '',
-                    width: photo.image_width || 0,
-                    height: photo.image_height || 0,
-                    original_timestamp: photo.original_timestamp || '',
-                    file_size: photo.file_size_bytes || 0,
-                    filename: photo.file_name || ''
-                });
-            }
-        }
+        const { photoHashes, photoData } = buildUploadedPhotoData(photos);
 
         console.log('🔍 STEP 6: Processed', photoHashes.length, 'photo hashes');
 
+        // Keep the list in the hash store so isPhotoAlreadyUploaded can answer offline
+        const store = getPhotoHashStore();
+        if (store) {
+            await store.initialize();
+            store.importFullList(eventId, photos);
+        }
+
         // Store in window variables for EventPhotoPicker to access
         window.uploadedPhotosData = photoData;
         window.uploadedPhotosHashes = photoHashes;
@@ -81,6 +100,26 @@ async function fetchUploadedPhotosForEvent(eventId) {
     } catch (error) {
         console.error('🔍 ❌ Error fetching uploaded photos:', error);
 
+        // Fall back to the last synced list when there is one
+        const store = getPhotoHashStore();
+        if (store?.getSyncState(eventId)) {
+            const photos = store.getUploadedPhotos(eventId);
+            const { photoHashes, photoData } = buildUploadedPhotoData(photos);
+            console.log('🔍 Using', photos.length, 'stored uploaded photos for event', eventId);
+
+            window.uploadedPhotosData = photoData;
+            window.uploadedPhotosHashes = photoHashes;
+
+            return {
+                success: true,
+                offline: true,
+                photos: photos,
+                hashes: photoHashes,
+                data: photoData,
+                total: photos.length
+            };
+        }
+
         // Set empty arrays on error
         window.uploadedPhotosData = [];
         window.uploadedPhotosHashes = [];
@@ -4,11 +4,20 @@
  * This module provides functions to prevent duplicate photo selection
  * by fetching already uploaded photos and providing identifiers to
  * the native EventPhotoPicker plugin.
+ *
+ * Uploaded photos are kept in the persistent photo hash store
+ * (photoHashStore.js) and synced per event, so duplicate checks answer
+ * from local data - offline too - once an event has been synced.
  */
 
+// Persistent hash store (ES module, may load after this script)
+const getPhotoHashStore = () => window.photoHashStore || null;
+
 class PhotoDuplicatePrevention {
     constructor() {
         this.baseUrl = 'https://jgfcfdlfcnmaripgpepl.supabase.co/functions/v1';
+        this.pageSize = 50;
+        this.firstSyncTimeout = 5000; // Longest a duplicate check waits for an event's first sync
     }
 
     /**
@@ -65,8 +74,65 @@ class PhotoDuplicatePrevention {
       return similarity >= threshold;
     }
 
+    /**
+     * Fetch one page of an event's uploaded photos
+     * @param {Object} request - { eventId, cursor, offset, limit, etag }
+     *   cursor - from an earlier response; the server then returns only changes since it
+     *   etag - sent as If-None-Match; an unchanged list comes back as 304
+     * @returns {Promise<Object>} { notModified, etag, photos, hasMore, nextCursor, deletedIds, total }
+     */
+    async fetchUploadedPhotosPage({ eventId, cursor = null, offset = 0, limit = this.pageSize, etag = null }) {
+        const headers = { ...await this.getAuthHeaders() };
+        if (etag) {
+            headers['If-None-Match'] = etag;
+        }
+
+        const paging = cursor ? `cursor=${encodeURIComponent(cursor)}` : `offset=${offset}`;
+        const url = `${this.baseUrl}/get-uploaded-photos?event_id=${eventId}&limit=${limit}&${paging}`;
+
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: headers
+        });
+
+        if (response.status === 304) {
+            return { notModified: true, etag: etag };
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`HTTP ${response.status}: ${errorData.error || 'Failed to fetch uploaded photos'}`);
+        }
+
+        const result = await response.json();
+        return {
+            notModified: false,
+            etag: response.headers.get('ETag'),
+            photos: result.photos || [],
+            hasMore: !!result.pagination?.has_more,
+            nextCursor: result.pagination?.next_cursor || result.next_cursor || null,
+            deletedIds: result.deleted_media_ids || result.deleted || [],
+            total: result.pagination?.total || result.count || 0
+        };
+    }
+
+    /**
+     * Bring the hash store's copy of an event's uploaded photos up to date
+     * @returns {Promise<Object>} Sync summary from PhotoHashStore.syncEvent
+     */
+    async syncUploadedPhotos(eventId, options = {}) {
+        const store = getPhotoHashStore();
+        await store.initialize();
+        return store.syncEvent(eventId, (request) => this.fetchUploadedPhotosPage(request), {
+            pageSize: this.pageSize,
+            ...options
+        });
+    }
+
     /**
      * Fetch uploaded photos for an event with pagination
+     * With the hash store only changes since the last sync are fetched, and
+     * the stored list is returned when the server cannot be reached.
      * @param {string} eventId - The event ID
      * @returns {Promise<Object>} Object containing uploaded photos data
      */
@@ -74,40 +140,49 @@ class PhotoDuplicatePrevention {
         try {
             console.log(`🔍 Fetching uploaded photos for event: ${eventId}`);
 
-            const headers = await this.getAuthHeaders();
-            const limit = 50; // Fetch in batches of 50
+            const store = getPhotoHashStore();
+            if (store) {
+                let offline = false;
+                try {
+                    await this.syncUploadedPhotos(eventId);
+                } catch (error) {
+                    // Without an earlier sync there is nothing trustworthy to return
+                    if (!store.getSyncState(eventId)) throw error;
+                    console.warn(`⚠️ Using stored uploaded photos for event ${eventId}:`, error.message);
+                    offline = true;
+                }
+
+                const photos = store.getUploadedPhotos(eventId);
+                return {
+                    success: true,
+                    photos: photos,
+                    count: photos.length,
+                    total_count: photos.length,
+                    offline: offline
+                };
+            }
+
+            const limit = this.pageSize;
             let offset = 0;
             let allPhotos = [];
             let totalCount = 0;
 
             // Fetch all pages of photos
             while (true) {
-                const url = `${this.baseUrl}/get-uploaded-photos?event_id=${eventId}&limit=${limit}&offset=${offset}`;
-                
-                const response = await fetch(url, {
-                    method: 'GET',
-                    headers: headers
-                });
+                const page = await this.fetchUploadedPhotosPage({ eventId, offset, limit });
 
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`HTTP ${response.status}: ${errorData.error || 'Failed to fetch uploaded photos'}`);
-                }
-
-                const result = await response.json();
-                
                 // First batch sets the total count
                 if (offset === 0) {
-                    totalCount = result.pagination?.total || result.count || 0;
+                    totalCount = page.total;
                     console.log(`📊 Total photos available: ${totalCount}`);
                 }
 
                 // Add photos from this batch
-                allPhotos.push(...(result.photos || []));
-                console.log(`📖 Fetched ${result.photos?.length || 0} photos (batch ${Math.floor(offset/limit) + 1})`);
+                allPhotos.push(...page.photos);
+                console.log(`📖 Fetched ${page.photos.length} photos (batch ${Math.floor(offset/limit) + 1})`);
 
                 // Check if we have more pages
-                if (!result.pagination?.has_more || result.photos?.length === 0) {
+                if (!page.hasMore || page.photos.length === 0) {
                     break;
                 }
 
@@ -128,6 +203,40 @@ class PhotoDuplicatePrevention {
         }
     }
 
+    /**
+     * Uploaded photos for a duplicate check, from the hash store when it has
+     * them. A stale list is refreshed in the background; only an event that
+     * was never synced waits (up to firstSyncTimeout) for the server.
+     * @returns {Promise<Array>} Uploaded photos in the server's field names
+     */
+    async getKnownUploadedPhotos(eventId) {
+        const store = getPhotoHashStore();
+        if (!store) {
+            return (await this.getUploadedPhotosForEvent(eventId)).photos;
+        }
+
+        await store.initialize();
+
+        if (!store.getSyncState(eventId)) {
+            let timer = null;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('First sync timed out')), this.firstSyncTimeout);
+            });
+            try {
+                await Promise.race([this.syncUploadedPhotos(eventId), timeout]);
+            } catch (error) {
+                console.warn(`⚠️ Checking event ${eventId} against photos known on this device only:`, error.message);
+            } finally {
+                clearTimeout(timer);
+            }
+        } else if (store.needsSync(eventId) && navigator.onLine !== false) {
+            this.syncUploadedPhotos(eventId).catch(error =>
+                console.warn(`⚠️ Background sync of event ${eventId} failed:`, error.message));
+        }
+
+        return store.getUploadedPhotos(eventId);
+    }
+
     /**
      * Generate photo identifiers that can be used by EventPhotoPicker
      * This creates identifiers based on file hashes and timestamps
@@ -214,6 +323,7 @@ class PhotoDuplicatePrevention {
 
     /**
      * Check if a specific photo hash has already been uploaded (Enhanced with perceptual hashing)
+     * Answers from the hash store without a network round trip once the event has been synced
      * @param {string} eventId - The event ID
      * @param {string} fileHash - The file hash to check
      * @param {string} perceptualHash - The perceptual hash to check (optional)
@@ -222,10 +332,16 @@ class PhotoDuplicatePrevention {
      */
     async isPhotoAlreadyUploaded(eventId, fileHash, perceptualHash = null, photoMetadata = {}) {
         try {
-            const uploadedData = await this.getUploadedPhotosForEvent(eventId);
+            const uploadedPhotos = await this.getKnownUploadedPhotos(eventId);
+
+            // Exact file hash matches are a direct lookup in the hash store
+            const stored = getPhotoHashStore()?.findByFileHash(eventId, fileHash);
+            if (stored?.uploaded) {
+                return { isDuplicate: true, matchType: 'exact', matchedPhoto: getPhotoHashStore().toUploadedPhoto(stored) };
+            }
             
             // Check against all uploaded photos
-            for (const uploadedPhoto of uploadedData.photos) {
+            for (const uploadedPhoto of uploadedPhotos) {
                 // First check exact file hash match
                 if (uploadedPhoto.file_hash === fileHash) {
                     return { isDuplicate: true, matchType: 'exact', matchedPhoto: uploadedPhoto };
@@ -0,0 +1,387 @@
+/**
+ * OutboxJournal - Append-only journal of what the user did while offline
+ * Records upload intents and auto-upload setting changes, then replays
+ * them in order once connectivity returns. Settings entries carry the
+ * server state the change was based on, so a value that was changed
+ * remotely in the meantime is detected and resolved instead of overwritten.
+ *
+ * Used by ReliableUploadService, AutoUploadSettings and photoshare-realtime-sync.
+ *
+ * Journal records:
+ *   { seq, kind: 'op', type, key, payload, base, createdAt }
+ *   { seq, kind: 'ack', ref, outcome, error, at }
+ * An op is pending until an ack references it. Fully acknowledged
+ * prefixes are compacted away after each replay.
+ */
+
+// Capacitor Network plugin when running natively, browser events otherwise
+const getNetworkPlugin = () => window.Capacitor?.Plugins?.Network || null;
+
+export class OutboxJournal {
+  constructor() {
+    this.records = [];
+    this.nextSeq = 1;
+    this.handlers = new Map(); // type -> { replay, getRemoteState, applyRemoteState }
+    this.subscribers = new Set();
+    this.isReplaying = false;
+    this.isOnline = typeof navigator === 'undefined' ? true : navigator.onLine !== false;
+    this.lastReplayAt = null;
+
+    // Configuration
+    this.config = {
+      storageKey: 'photoshare_outbox_journal',
+      // How to resolve a setting that changed on the server while we were offline:
+      // 'newest-wins' (compare timestamps, server wins when it has none),
+      // 'remote-wins' or 'local-wins'
+      conflictPolicy: 'newest-wins',
+      replayDelayMs: 2000 // Let the connection settle before replaying
+    };
+
+    this.loadJournal();
+    this.watchConnectivity();
+
+    console.log(`📮 OutboxJournal initialized (${this.getPendingOps().length} pending)`);
+  }
+
+  /**
+   * Register how entries of one type are replayed
+   * @param {string} type
+   * @param {{replay: function(object): Promise<object|void>,
+   *   getRemoteState?: function(object): Promise<object|null>,
+   *   applyRemoteState?: function(object, object): Promise<void>}} handler
+   *   replay may resolve { pending: true } to keep the entry until complete() is called.
+   *   getRemoteState resolves { state, updatedAt } for conflict checks; ops journaled
+   *   with a base must then carry payload.state in the same shape.
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+
+    if (this.isOnline && this.getPendingOps().some(op => op.type === type)) {
+      this.scheduleReplay();
+    }
+  }
+
+  /**
+   * Append an operation to the journal
+   * @param {string} type - Handler type
+   * @param {object} payload - Everything needed to replay the operation (JSON only)
+   * @param {{key?: string, base?: object}} options - key groups operations on the
+   *   same resource (a later op supersedes earlier ones); base is the server state
+   *   the change was made against
+   */
+  append(type, payload, options = {}) {
+    const op = {
+      seq: this.nextSeq++,
+      kind: 'op',
+      id: `outbox_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: type,
+      key: options.key || null,
+      payload: payload,
+      base: options.base === undefined ? null : options.base,
+      createdAt: Date.now()
+    };
+
+    this.records.push(op);
+    this.saveJournal();
+
+    console.log(`📮 Journaled ${type}${op.key ? ` (${op.key})` : ''} - ${this.getPendingOps().length} pending`);
+    this.notifySubscribers('entry_appended', op);
+    return op;
+  }
+
+  /**
+   * Run an operation now when online with nothing queued ahead of it,
+   * otherwise journal it. Network failures fall back to the journal too.
+   * @returns {Promise<{queued: boolean, entry: object|null, result: any}>}
+   */
+  async submit(type, payload, options = {}) {
+    const handler = this.handlers.get(type);
+    const blocked = this.getPendingOps().some(op => !options.key || op.key === options.key);
+
+    if (!handler || !this.isOnline || blocked) {
+      return { queued: true, entry: this.append(type, payload, options), result: null };
+    }
+
+    try {
+      const result = await handler.replay({ type, key: options.key || null, payload, base: options.base ?? null });
+      return { queued: false, entry: null, result };
+    } catch (error) {
+      if (!this.isNetworkError(error)) {
+        throw error;
+      }
+      console.log(`📴 ${type} failed offline - journaling for replay`);
+      return { queued: true, entry: this.append(type, payload, options), result: null };
+    }
+  }
+
+  /**
+   * Acknowledge an entry that replayed with { pending: true }
+   */
+  complete(entryId, outcome = 'completed', error = null) {
+    const op = this.records.find(record => record.kind === 'op' && record.id === entryId);
+    if (!op || this.isAcked(op)) return false;
+
+    this.acknowledge(op, outcome, error);
+    this.compact();
+    this.saveJournal();
+    return true;
+  }
+
+  /**
+   * Replay pending operations in journal order
+   * @returns {Promise<{applied: number, conflicts: number, failed: number, remaining: number}>}
+   */
+  async replay() {
+    const summary = { applied: 0, conflicts: 0, failed: 0, remaining: 0 };
+    if (this.isReplaying || !this.isOnline) {
+      summary.remaining = this.getPendingOps().length;
+      return summary;
+    }
+
+    this.isReplaying = true;
+    const heldKeys = new Set(); // Keys whose earlier op could not run yet - keep their order
+
+    try {
+      const pending = this.getPendingOps().filter(op => !op.replayedAt);
+      if (pending.length > 0) {
+        console.log(`📮 Replaying ${pending.length} journaled operations...`);
+      }
+
+      for (const op of pending) {
+        const handler = this.handlers.get(op.type);
+        if (!handler || (op.key && heldKeys.has(op.key))) {
+          if (op.key) heldKeys.add(op.key);
+          continue;
+        }
+
+        // Only the newest op per resource matters
+        if (op.key && this.isSuperseded(op)) {
+          this.acknowledge(op, 'superseded');
+          continue;
+        }
+
+        try {
+          const outcome = await this.replayOp(op, handler);
+          if (outcome === 'conflict_remote') summary.conflicts++;
+          else if (outcome !== 'pending') summary.applied++;
+
+        } catch (error) {
+          if (this.isNetworkError(error)) {
+            console.log('📴 Connection lost during replay - stopping');
+            break;
+          }
+          console.error(`❌ Replay of ${op.type} failed permanently:`, error);
+          this.acknowledge(op, 'failed', error.message || String(error));
+          summary.failed++;
+        }
+      }
+
+    } finally {
+      this.compact();
+      this.saveJournal();
+      this.isReplaying = false;
+      this.lastReplayAt = Date.now();
+    }
+
+    summary.remaining = this.getPendingOps().length;
+    this.notifySubscribers('replay_finished', summary);
+    return summary;
+  }
+
+  /**
+   * Replay one op, resolving conflicts against the server's current state
+   */
+  async replayOp(op, handler) {
+    if (op.base && handler.getRemoteState) {
+      const remote = await handler.getRemoteState(op);
+
+      if (remote && !this.sameState(remote.state, op.base) && !this.sameState(remote.state, op.payload.state)) {
+        const winner = this.resolveConflict(op, remote);
+        console.log(`⚔️ Conflict on ${op.key}: server changed since this edit - ${winner} wins`);
+        this.notifySubscribers('conflict', { entry: op, remote, winner });
+
+        if (winner === 'remote') {
+          await handler.applyRemoteState?.(op, remote);
+          this.acknowledge(op, 'conflict_remote');
+          return 'conflict_remote';
+        }
+      }
+    }
+
+    const result = await handler.replay(op);
+
+    if (result?.pending) {
+      // Acknowledged later through complete()
+      op.replayedAt = Date.now();
+      return 'pending';
+    }
+
+    this.acknowledge(op, 'applied');
+    return 'applied';
+  }
+
+  /**
+   * Pick the side that wins a conflict
+   * @returns {'local'|'remote'}
+   */
+  resolveConflict(op, remote) {
+    switch (this.config.conflictPolicy) {
+      case 'local-wins':
+        return 'local';
+      case 'remote-wins':
+        return 'remote';
+      default: {
+        const remoteUpdatedAt = remote.updatedAt ? new Date(remote.updatedAt).getTime() : null;
+        return remoteUpdatedAt && remoteUpdatedAt < op.createdAt ? 'local' : 'remote';
+      }
+    }
+  }
+
+  sameState(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  isSuperseded(op) {
+    return this.getPendingOps().some(other => other.key === op.key && other.seq > op.seq);
+  }
+
+  acknowledge(op, outcome, error = null) {
+    this.records.push({
+      seq: this.nextSeq++,
+      kind: 'ack',
+      ref: op.seq,
+      outcome: outcome,
+      error: error,
+      at: Date.now()
+    });
+    this.notifySubscribers('entry_acknowledged', { entry: op, outcome, error });
+  }
+
+  isAcked(op) {
+    return this.records.some(record => record.kind === 'ack' && record.ref === op.seq);
+  }
+
+  getPendingOps() {
+    const acked = new Set(this.records.filter(record => record.kind === 'ack').map(record => record.ref));
+    return this.records.filter(record => record.kind === 'op' && !acked.has(record.seq));
+  }
+
+  /**
+   * Drop the acknowledged prefix of the journal
+   */
+  compact() {
+    const pending = this.getPendingOps();
+    const firstPendingSeq = pending.length > 0 ? pending[0].seq : Infinity;
+
+    this.records = this.records.filter(record =>
+      record.kind === 'op' ? record.seq >= firstPendingSeq : record.ref >= firstPendingSeq
+    );
+  }
+
+  isNetworkError(error) {
+    if (!this.isOnline) return true;
+    const message = (error?.message || String(error)).toLowerCase();
+    return ['failed to fetch', 'network', 'offline', 'timeout', 'connection', 'load failed']
+      .some(text => message.includes(text));
+  }
+
+  /**
+   * Replay when connectivity returns
+   */
+  watchConnectivity() {
+    const setOnline = (online) => {
+      const cameOnline = online && !this.isOnline;
+      this.isOnline = online;
+      if (cameOnline) {
+        this.scheduleReplay();
+      }
+    };
+
+    const network = getNetworkPlugin();
+    if (network) {
+      network.getStatus().then(status => setOnline(status.connected)).catch(() => {});
+      network.addListener('networkStatusChange', status => setOnline(status.connected));
+    } else if (typeof window.addEventListener === 'function') {
+      window.addEventListener('online', () => setOnline(true));
+      window.addEventListener('offline', () => setOnline(false));
+    }
+  }
+
+  scheduleReplay() {
+    clearTimeout(this.replayTimer);
+    this.replayTimer = setTimeout(() => this.replay(), this.config.replayDelayMs);
+  }
+
+  getStatus() {
+    const pending = this.getPendingOps();
+    const byType = {};
+    pending.forEach(op => {
+      byType[op.type] = (byType[op.type] || 0) + 1;
+    });
+
+    return {
+      isOnline: this.isOnline,
+      isReplaying: this.isReplaying,
+      pending: pending.length,
+      awaitingCompletion: pending.filter(op => op.replayedAt).length,
+      byType: byType,
+      registeredTypes: Array.from(this.handlers.keys()),
+      lastReplayAt: this.lastReplayAt
+    };
+  }
+
+  /**
+   * Subscribe to journal events (entry_appended, entry_acknowledged, conflict, replay_finished)
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(eventType, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        console.error('Error notifying outbox subscriber:', error);
+      }
+    });
+
+    window.dispatchEvent(new CustomEvent('outboxJournalUpdate', {
+      detail: { type: eventType, data }
+    }));
+  }
+
+  loadJournal() {
+    try {
+      this.records = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]');
+      this.nextSeq = this.records.reduce((max, record) => Math.max(max, record.seq), 0) + 1;
+
+      // Entries replayed before a relaunch but never completed run again
+      this.records.forEach(record => {
+        delete record.replayedAt;
+      });
+    } catch (error) {
+      console.error('Error loading outbox journal:', error);
+      this.records = [];
+    }
+  }
+
+  saveJournal() {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.records));
+    } catch (error) {
+      console.error('Error saving outbox journal:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const outboxJournal = new OutboxJournal();
+
+// Classic-script services read it from window
+window.outboxJournal = outboxJournal;
+
+export function getOutboxStatus() {
+  return outboxJournal.getStatus();
+}
@@ -0,0 +1,328 @@
+/**
+ * Perceptual hashing - dHash, pHash, aHash and wHash over grayscale pixels
+ * Pure functions with no DOM access, so they run the same on the main
+ * thread and in a Web Worker. Decoding the image into pixels is left to
+ * the caller (PhotoDeduplicationService.loadGrayscaleImage).
+ *
+ * Every hash is 64 bits: an 8x8 grid of comparisons, row-major, returned
+ * as a 64-character binary string plus its 16-digit hex form.
+ */
+
+export const HASH_SIZE = 8;
+
+// Working sizes for each algorithm
+const DHASH_WIDTH = HASH_SIZE + 1; // 9x8 - one extra column for the horizontal gradient
+const PHASH_SIZE = 32; // DCT input, the low 8x8 frequencies are kept
+const WHASH_SIZE = 64; // Haar input, 3 levels reduce it to 8x8
+
+// Values this close to the threshold (relative to the value range) could flip
+// with re-encoding noise - they lower the reported hash quality
+const AMBIGUITY_RATIO = 0.02;
+
+/**
+ * Convert RGBA bytes (ImageData.data) to luminance, ITU-R BT.601 weights
+ * @param {Uint8ClampedArray|Uint8Array} rgba
+ * @returns {Float64Array} width * height values in 0-255
+ */
+export function toGrayscale(rgba, width, height) {
+  const gray = new Float64Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+  }
+  return gray;
+}
+
+/**
+ * Area-average resize. Each output pixel is the exact mean of the source
+ * area it covers, so downscaling does not alias and is deterministic.
+ */
+export function resizeArea(pixels, width, height, targetWidth, targetHeight) {
+  const horizontal = new Float64Array(targetWidth * height);
+  for (let y = 0; y < height; y++) {
+    resample1D(pixels, y * width, 1, width, horizontal, y * targetWidth, 1, targetWidth);
+  }
+
+  const output = new Float64Array(targetWidth * targetHeight);
+  for (let x = 0; x < targetWidth; x++) {
+    resample1D(horizontal, x, targetWidth, height, output, x, targetWidth, targetHeight);
+  }
+  return output;
+}
+
+function resample1D(source, sourceStart, sourceStride, sourceLength, target, targetStart, targetStride, targetLength) {
+  const scale = sourceLength / targetLength;
+
+  for (let t = 0; t < targetLength; t++) {
+    const from = t * scale;
+    const to = from + scale;
+    let sum = 0;
+
+    for (let s = Math.floor(from); s < Math.min(Math.ceil(to), sourceLength); s++) {
+      const weight = Math.min(s + 1, to) - Math.max(s, from);
+      sum += source[sourceStart + s * sourceStride] * weight;
+    }
+    target[targetStart + t * targetStride] = sum / scale;
+  }
+}
+
+/**
+ * Difference hash - is each pixel darker than its right neighbour (9x8)
+ */
+export function differenceHash(gray, width, height) {
+  const pixels = resizeArea(gray, width, height, DHASH_WIDTH, HASH_SIZE);
+  const values = [];
+  const thresholds = [];
+
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const left = pixels[y * DHASH_WIDTH + x];
+      const right = pixels[y * DHASH_WIDTH + x + 1];
+      values.push(right - left);
+      thresholds.push(0);
+    }
+  }
+
+  return buildHash('dhash', values, thresholds, rangeOf(pixels));
+}
+
+/**
+ * Average hash - is each pixel brighter than the mean (8x8)
+ */
+export function averageHash(gray, width, height) {
+  const pixels = resizeArea(gray, width, height, HASH_SIZE, HASH_SIZE);
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+
+  return buildHash('ahash', Array.from(pixels), mean, rangeOf(pixels));
+}
+
+/**
+ * Perceptual hash - 2D DCT-II of a 32x32 image, low 8x8 frequencies
+ * compared to their median
+ */
+export function perceptualHash(gray, width, height) {
+  const pixels = resizeArea(gray, width, height, PHASH_SIZE, PHASH_SIZE);
+  const coefficients = dct2D(pixels, PHASH_SIZE);
+
+  const lowFrequencies = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      lowFrequencies.push(coefficients[v * PHASH_SIZE + u]);
+    }
+  }
+
+  // The DC term only carries overall brightness and would dwarf the range
+  return buildHash('phash', lowFrequencies, median(lowFrequencies), rangeOf(lowFrequencies.slice(1)));
+}
+
+/**
+ * Wavelet hash - Haar LL band of a 64x64 image after 3 levels, compared
+ * to its median. The image mean (the top-level LL coefficient of a full
+ * decomposition) is removed first, as in the reference wHash.
+ */
+export function waveletHash(gray, width, height) {
+  const pixels = resizeArea(gray, width, height, WHASH_SIZE, WHASH_SIZE);
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] -= mean;
+  }
+
+  const levels = Math.log2(WHASH_SIZE / HASH_SIZE);
+  const coefficients = haar2D(pixels, WHASH_SIZE, levels);
+
+  const lowBand = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      lowBand.push(coefficients[y * WHASH_SIZE + x]);
+    }
+  }
+
+  return buildHash('whash', lowBand, median(lowBand), rangeOf(lowBand));
+}
+
+/**
+ * The seven non-identity rotations and mirror flips of an image. Each maps
+ * output pixel (x, y) of an outWidth x outHeight image to a source pixel.
+ */
+export const IMAGE_TRANSFORMS = {
+  rot90: { swap: true, source: (x, y, w, h) => [y, h - 1 - x] }, // Clockwise
+  rot180: { swap: false, source: (x, y, w, h) => [w - 1 - x, h - 1 - y] },
+  rot270: { swap: true, source: (x, y, w, h) => [w - 1 - y, x] },
+  flipH: { swap: false, source: (x, y, w, h) => [w - 1 - x, y] }, // Mirror left-right
+  flipV: { swap: false, source: (x, y, w, h) => [x, h - 1 - y] },
+  transpose: { swap: true, source: (x, y) => [y, x] },
+  transverse: { swap: true, source: (x, y, w, h) => [w - 1 - y, h - 1 - x] }
+};
+
+/**
+ * Rotate or mirror grayscale pixels
+ * @param {string} name - Key of IMAGE_TRANSFORMS
+ * @returns {{pixels: Float64Array, width: number, height: number}}
+ */
+export function transformImage(pixels, width, height, name) {
+  const transform = IMAGE_TRANSFORMS[name];
+  const outWidth = transform.swap ? height : width;
+  const outHeight = transform.swap ? width : height;
+  const output = new Float64Array(width * height);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const [sourceX, sourceY] = transform.source(x, y, width, height);
+      output[y * outWidth + x] = pixels[sourceY * width + sourceX];
+    }
+  }
+  return { pixels: output, width: outWidth, height: outHeight };
+}
+
+/**
+ * Orthonormal 2D DCT-II of a size x size block (separable, rows then columns)
+ */
+export function dct2D(pixels, size) {
+  const cosines = new Float64Array(size * size);
+  for (let k = 0; k < size; k++) {
+    for (let n = 0; n < size; n++) {
+      cosines[k * size + n] = Math.cos((Math.PI / size) * (n + 0.5) * k);
+    }
+  }
+  const norm = k => (k === 0 ? Math.sqrt(1 / size) : Math.sqrt(2 / size));
+
+  const rows = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let k = 0; k < size; k++) {
+      let sum = 0;
+      for (let n = 0; n < size; n++) {
+        sum += pixels[y * size + n] * cosines[k * size + n];
+      }
+      rows[y * size + k] = sum * norm(k);
+    }
+  }
+
+  const output = new Float64Array(size * size);
+  for (let x = 0; x < size; x++) {
+    for (let k = 0; k < size; k++) {
+      let sum = 0;
+      for (let n = 0; n < size; n++) {
+        sum += rows[n * size + x] * cosines[k * size + n];
+      }
+      output[k * size + x] = sum * norm(k);
+    }
+  }
+  return output;
+}
+
+/**
+ * Multi-level orthonormal 2D Haar transform. After each level the LL band
+ * occupies the top-left quarter of the region that was transformed.
+ */
+export function haar2D(pixels, size, levels) {
+  const data = Float64Array.from(pixels);
+  const scratch = new Float64Array(size);
+  let region = size;
+
+  for (let level = 0; level < levels && region >= 2; level++) {
+    const half = region / 2;
+
+    // Rows
+    for (let y = 0; y < region; y++) {
+      for (let x = 0; x < half; x++) {
+        const a = data[y * size + 2 * x];
+        const b = data[y * size + 2 * x + 1];
+        scratch[x] = (a + b) / Math.SQRT2;
+        scratch[half + x] = (a - b) / Math.SQRT2;
+      }
+      for (let x = 0; x < region; x++) {
+        data[y * size + x] = scratch[x];
+      }
+    }
+
+    // Columns
+    for (let x = 0; x < region; x++) {
+      for (let y = 0; y < half; y++) {
+        const a = data[2 * y * size + x];
+        const b = data[(2 * y + 1) * size + x];
+        scratch[y] = (a + b) / Math.SQRT2;
+        scratch[half + y] = (a - b) / Math.SQRT2;
+      }
+      for (let y = 0; y < region; y++) {
+        data[y * size + x] = scratch[y];
+      }
+    }
+
+    region = half;
+  }
+
+  return data;
+}
+
+/**
+ * Hamming distance between two binary hash strings
+ */
+export function hammingDistance(binary1, binary2) {
+  if (binary1.length !== binary2.length) {
+    return Math.max(binary1.length, binary2.length);
+  }
+
+  let distance = 0;
+  for (let i = 0; i < binary1.length; i++) {
+    if (binary1[i] !== binary2[i]) distance++;
+  }
+  return distance;
+}
+
+export function binaryToHex(binary) {
+  let hex = '';
+  for (let i = 0; i < binary.length; i += 4) {
+    hex += parseInt(binary.substr(i, 4), 2).toString(16);
+  }
+  return hex;
+}
+
+export function hexToBinary(hex) {
+  let binary = '';
+  for (const digit of hex) {
+    binary += parseInt(digit, 16).toString(2).padStart(4, '0');
+  }
+  return binary;
+}
+
+/**
+ * Turn 64 values into hash bits (value > threshold). Quality is the share
+ * of bits that are not within noise distance of their threshold - flat or
+ * featureless images get a low score.
+ */
+function buildHash(algorithm, values, threshold, range) {
+  const epsilon = range * AMBIGUITY_RATIO;
+  let binary = '';
+  let ambiguous = 0;
+
+  values.forEach((value, i) => {
+    const limit = Array.isArray(threshold) ? threshold[i] : threshold;
+    binary += value > limit ? '1' : '0';
+    if (Math.abs(value - limit) <= epsilon) ambiguous++;
+  });
+
+  return {
+    algorithm: algorithm,
+    hash: binaryToHex(binary),
+    binary: binary,
+    bits: binary.length,
+    quality: range > 0 ? 1 - ambiguous / values.length : 0
+  };
+}
+
+function median(values) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const middle = sorted.length / 2;
+  return sorted.length % 2 === 0 ?
+    (sorted[middle - 1] + sorted[middle]) / 2 :
+    sorted[Math.floor(middle)];
+}
+
+function rangeOf(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return max - min;
+}
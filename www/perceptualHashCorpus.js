@@ -0,0 +1,226 @@
+/**
+ * Golden-image corpus for the perceptual hashes
+ * Synthetic test photos drawn in code, so the corpus is identical on every
+ * device, plus the hashes they must produce. Used by
+ * PhotoDeduplicationService.testHashingCorpus to prove that
+ *   - the same photo always hashes to the same value, and
+ *   - resized and recompressed copies stay within the near-duplicate threshold,
+ *   - rotated, mirrored and cropped copies are still recognised.
+ *
+ * If a change to perceptualHash.js alters GOLDEN_HASHES on purpose,
+ * regenerate them with generateCorpusHashes() and review the diff.
+ */
+
+import {
+  toGrayscale, differenceHash, perceptualHash, averageHash, waveletHash, IMAGE_TRANSFORMS
+} from './perceptualHash.js';
+
+export const GOLDEN_HASHES = {
+  sunset: { dhash: 'f0fcfcfcf0c7f8f8', phash: '96964969c969b696', ahash: '003effffffe30000', whash: '001e7fffffe30000' },
+  rings: { dhash: '659a6455a5556a9a', phash: 'd58e00ae29cece3e', ahash: '324ab4cdcdfdb44a', whash: '304ab4cdcdfcb44a' },
+  blocks: { dhash: 'e6e6e69898e0e6e6', phash: '8764259b5a9b7964', ahash: '030303fcfc3f3f3f', whash: '030302ccdc3f3f3f' },
+  diagonal: { dhash: 'ffff3f3f3ffffffe', phash: 'bb3bc4c43b31603b', ahash: '01070f0f0f3f7f7f', whash: '00030f0f0f3f3f3f' },
+  portrait: { dhash: 'f0f0f0d4ecf0f0f0', phash: '9e9a6968a7619e86', ahash: '00183c7e3c3c0000', whash: '003c3e7e7e3c3c1c' }
+};
+
+const HASH_FUNCTIONS = {
+  dhash: differenceHash,
+  phash: perceptualHash,
+  ahash: averageHash,
+  whash: waveletHash
+};
+
+/**
+ * Draw an image from a per-pixel function returning [r, g, b]. A lens-like
+ * vignette is applied so no region is perfectly flat - real photos never
+ * are, and exact ties would make the dHash bits arbitrary.
+ */
+function drawImage(name, width, height, shade) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = shade(x, y);
+      const dx = (x - width / 2) / (width / 2);
+      const dy = (y - height / 2) / (height / 2);
+      const vignette = 1 - 0.3 * (dx * dx + dy * dy) / 2;
+      const p = (y * width + x) * 4;
+      data[p] = r * vignette;
+      data[p + 1] = g * vignette;
+      data[p + 2] = b * vignette;
+      data[p + 3] = 255;
+    }
+  }
+  return { name, width, height, data };
+}
+
+/**
+ * The golden photos
+ * @returns {Array<{name: string, width: number, height: number, data: Uint8ClampedArray}>}
+ */
+export function createGoldenCorpus() {
+  const blockLevels = [30, 200, 90, 240, 150, 60, 220, 110, 10, 170, 80, 250];
+
+  return [
+    drawImage('sunset', 320, 240, (x, y) => {
+      const horizon = 170 + 12 * Math.sin(x / 40);
+      if (y > horizon) return [40, 60 + (y - horizon), 30];
+      const sun = Math.hypot(x - 230, y - 70) < 30;
+      if (sun) return [255, 230, 120];
+      return [120 + y * 0.5, 80 + y * 0.3, 200 - y * 0.6];
+    }),
+
+    drawImage('rings', 320, 240, (x, y) => {
+      const level = 128 + 100 * Math.cos(Math.hypot(x - 120, y - 130) / 9);
+      return [level, level, level];
+    }),
+
+    drawImage('blocks', 320, 240, (x, y) => {
+      const level = blockLevels[Math.floor(y / 80) * 4 + Math.floor(x / 80)];
+      return [level, (level * 3) % 256, 255 - level];
+    }),
+
+    drawImage('diagonal', 320, 240, (x, y) => {
+      if (x >= 40 && x < 160 && y >= 60 && y < 150) return [20, 20, 40];
+      const level = (x + y) * 255 / 560;
+      return [level, level * 0.8, 255 - level];
+    }),
+
+    drawImage('portrait', 240, 320, (x, y) => {
+      const inFace = ((x - 120) / 70) ** 2 + ((y - 150) / 95) ** 2 < 1;
+      const inEye = Math.hypot(x - 95, y - 130) < 10 || Math.hypot(x - 145, y - 130) < 10;
+      const inMouth = Math.abs(y - 200) < 6 && Math.abs(x - 120) < 30;
+      if (inFace && !inEye && !inMouth) return [235, 190, 160];
+      if (inFace) return [50, 30, 30];
+      return [30 + y * 0.2, 40, 70];
+    })
+  ];
+}
+
+/**
+ * Area-average downscale of an RGBA image
+ */
+export function resizeImage(image, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sums = [0, 0, 0];
+      let count = 0;
+      for (let sy = Math.floor(y * scaleY); sy < Math.floor((y + 1) * scaleY); sy++) {
+        for (let sx = Math.floor(x * scaleX); sx < Math.floor((x + 1) * scaleX); sx++) {
+          const p = (sy * image.width + sx) * 4;
+          sums[0] += image.data[p];
+          sums[1] += image.data[p + 1];
+          sums[2] += image.data[p + 2];
+          count++;
+        }
+      }
+      const p = (y * width + x) * 4;
+      data[p] = sums[0] / count;
+      data[p + 1] = sums[1] / count;
+      data[p + 2] = sums[2] / count;
+      data[p + 3] = 255;
+    }
+  }
+
+  return { name: `${image.name}@${width}x${height}`, width, height, data };
+}
+
+/**
+ * Rotate or mirror an RGBA image (transform names from IMAGE_TRANSFORMS)
+ */
+export function transformRgbaImage(image, name) {
+  const transform = IMAGE_TRANSFORMS[name];
+  const width = transform.swap ? image.height : image.width;
+  const height = transform.swap ? image.width : image.height;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sourceX, sourceY] = transform.source(x, y, image.width, image.height);
+      data.set(image.data.subarray((sourceY * image.width + sourceX) * 4, (sourceY * image.width + sourceX) * 4 + 4),
+        (y * width + x) * 4);
+    }
+  }
+
+  return { name: `${image.name}~${name}`, width, height, data };
+}
+
+/**
+ * Cut a rectangle out of an RGBA image
+ */
+export function cropImage(image, x, y, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * image.width + x) * 4;
+    data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+  }
+  return { name: `${image.name}[${x},${y} ${width}x${height}]`, width, height, data };
+}
+
+/**
+ * Deterministic stand-in for lossy recompression where no encoder is
+ * available: 8x8 block smoothing, coarse quantization and seeded noise
+ */
+export function simulateRecompression(image, strength = 0.5) {
+  const data = new Uint8ClampedArray(image.data);
+  let seed = 12345;
+  const noise = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return (seed / 2147483648 - 0.5) * 6;
+  };
+
+  for (let by = 0; by < image.height; by += 8) {
+    for (let bx = 0; bx < image.width; bx += 8) {
+      for (let c = 0; c < 3; c++) {
+        let sum = 0;
+        let count = 0;
+        for (let y = by; y < Math.min(by + 8, image.height); y++) {
+          for (let x = bx; x < Math.min(bx + 8, image.width); x++) {
+            sum += image.data[(y * image.width + x) * 4 + c];
+            count++;
+          }
+        }
+        const mean = sum / count;
+        for (let y = by; y < Math.min(by + 8, image.height); y++) {
+          for (let x = bx; x < Math.min(bx + 8, image.width); x++) {
+            const p = (y * image.width + x) * 4 + c;
+            const smoothed = image.data[p] * (1 - strength * 0.5) + mean * strength * 0.5;
+            data[p] = Math.round((smoothed + noise()) / 6) * 6;
+          }
+        }
+      }
+    }
+  }
+
+  return { name: `${image.name}~recompressed`, width: image.width, height: image.height, data };
+}
+
+/**
+ * Hash an RGBA image with every algorithm
+ * @returns {{dhash: object, phash: object, ahash: object, whash: object}}
+ */
+export function hashImage(image) {
+  const gray = toGrayscale(image.data, image.width, image.height);
+  const hashes = {};
+  for (const [algorithm, hashFunction] of Object.entries(HASH_FUNCTIONS)) {
+    hashes[algorithm] = hashFunction(gray, image.width, image.height);
+  }
+  return hashes;
+}
+
+/**
+ * Current hashes of the corpus, in GOLDEN_HASHES form
+ */
+export function generateCorpusHashes() {
+  const result = {};
+  for (const image of createGoldenCorpus()) {
+    const hashes = hashImage(image);
+    result[image.name] = Object.fromEntries(
+      Object.entries(hashes).map(([algorithm, hash]) => [algorithm, hash.hash])
+    );
+  }
+  return result;
+}
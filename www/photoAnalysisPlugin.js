@@ -0,0 +1,160 @@
+/**
+ * PhotoAnalysis - plugin contract for on-device face and scene analysis
+ * Native on iOS (PhotoAnalysisPlugin.swift, Vision framework). Where it is
+ * unavailable AdvancedPhotoFilterService runs the pure-JS reference
+ * implementation (visionReference.js) on the image worker pool, and tests
+ * can plug in MockPhotoAnalysis for fixed, repeatable results.
+ *
+ * Every method takes the photo as one of:
+ *   { identifier }  Photos library local identifier
+ *   { path }        file path or file:// URL on the device
+ *   { base64 }      encoded image bytes, without a data: prefix
+ * plus { photoId, filename }, which native code ignores.
+ *
+ * isAvailable() => { available, faceDetection, sceneClassification, textRecognition, engine }
+ *
+ * detectFaces({ ...photo, maxFaces }) => { faces, imageSize: { width, height } }
+ *   faces: [{ boundingBox: { x, y, width, height }, confidence, captureQuality, roll, yaw }]
+ *   boundingBox is in fractions of the image with a top-left origin; confidence and
+ *   captureQuality are 0-1 (captureQuality, roll and yaw in radians may be null)
+ *
+ * classifyScene({ ...photo, maxLabels, minConfidence, recognizeText })
+ *   => { labels: [{ identifier, confidence }], textRegions: [{ text, confidence }] }
+ *   identifiers follow Vision's classification taxonomy (e.g. 'outdoor', 'food',
+ *   'people', 'interior_room') - see SCENE_CATEGORIES
+ */
+
+import { registerPlugin } from '@capacitor/core';
+
+export const PhotoAnalysis = registerPlugin('PhotoAnalysis');
+
+/**
+ * Scene label identifiers grouped into what event filtering asks about
+ */
+export const SCENE_CATEGORIES = {
+  outdoor: ['outdoor', 'sky', 'landscape', 'nature', 'foliage', 'tree', 'grass', 'beach', 'mountain', 'park', 'garden', 'sunset_sunrise', 'snow', 'water_body'],
+  indoor: ['interior_room', 'indoor', 'room', 'kitchen', 'living_room', 'restaurant', 'office', 'bar', 'ballroom'],
+  food: ['food', 'meal', 'dish', 'dessert', 'cake', 'fruit', 'vegetable', 'bread', 'pizza', 'salad', 'drink', 'beverage', 'wine', 'coffee'],
+  table: ['table', 'dining_table', 'tableware', 'plate', 'restaurant'],
+  social: ['people', 'crowd', 'party', 'celebration', 'wedding', 'gathering', 'concert', 'dancing', 'birthday'],
+  celebration: ['celebration', 'party', 'birthday', 'wedding', 'fireworks', 'balloon', 'confetti', 'candle', 'cake'],
+  night: ['night', 'night_sky', 'fireworks', 'concert', 'candle'],
+  vehicle: ['vehicle', 'car', 'bus', 'bicycle', 'motorcycle', 'boat', 'train', 'aircraft'],
+  animal: ['animal', 'dog', 'cat', 'bird', 'horse']
+};
+
+/**
+ * Fixed analysis results for tests, one per kind of event photo
+ */
+export const PHOTO_ANALYSIS_FIXTURES = {
+  groupPhoto: {
+    faces: [
+      { boundingBox: { x: 0.12, y: 0.22, width: 0.12, height: 0.16 }, confidence: 0.98, captureQuality: 0.81, roll: 0, yaw: 0 },
+      { boundingBox: { x: 0.34, y: 0.2, width: 0.11, height: 0.15 }, confidence: 0.97, captureQuality: 0.74, roll: 0.1, yaw: 0 },
+      { boundingBox: { x: 0.55, y: 0.24, width: 0.11, height: 0.15 }, confidence: 0.95, captureQuality: 0.66, roll: 0, yaw: -0.2 },
+      { boundingBox: { x: 0.76, y: 0.21, width: 0.12, height: 0.16 }, confidence: 0.96, captureQuality: 0.7, roll: 0, yaw: 0.1 }
+    ],
+    labels: [
+      { identifier: 'people', confidence: 0.94 },
+      { identifier: 'party', confidence: 0.71 },
+      { identifier: 'interior_room', confidence: 0.66 }
+    ]
+  },
+  portrait: {
+    faces: [
+      { boundingBox: { x: 0.3, y: 0.15, width: 0.38, height: 0.48 }, confidence: 0.99, captureQuality: 0.88, roll: 0, yaw: 0 }
+    ],
+    labels: [
+      { identifier: 'people', confidence: 0.9 },
+      { identifier: 'outdoor', confidence: 0.62 }
+    ]
+  },
+  dinner: {
+    faces: [],
+    labels: [
+      { identifier: 'food', confidence: 0.93 },
+      { identifier: 'tableware', confidence: 0.82 },
+      { identifier: 'restaurant', confidence: 0.64 }
+    ]
+  },
+  landscape: {
+    faces: [],
+    labels: [
+      { identifier: 'outdoor', confidence: 0.97 },
+      { identifier: 'mountain', confidence: 0.88 },
+      { identifier: 'sky', confidence: 0.85 }
+    ]
+  },
+  nightParty: {
+    faces: [
+      { boundingBox: { x: 0.4, y: 0.3, width: 0.1, height: 0.13 }, confidence: 0.83, captureQuality: 0.32, roll: 0.3, yaw: 0 },
+      { boundingBox: { x: 0.58, y: 0.33, width: 0.09, height: 0.12 }, confidence: 0.8, captureQuality: 0.28, roll: 0, yaw: 0.4 }
+    ],
+    labels: [
+      { identifier: 'night', confidence: 0.87 },
+      { identifier: 'celebration', confidence: 0.76 },
+      { identifier: 'fireworks', confidence: 0.6 }
+    ]
+  },
+  empty: {
+    faces: [],
+    labels: []
+  }
+};
+
+/**
+ * Stand-in for the native plugin with results from fixtures
+ *   new MockPhotoAnalysis({ photos: { 'IMG_0001.jpg': 'groupPhoto' } })
+ * A photo is matched by photoId, filename, identifier or path basename;
+ * unmatched photos get the `fallback` fixture. Calls are kept in `calls`.
+ */
+export class MockPhotoAnalysis {
+  constructor(options = {}) {
+    this.fixtures = options.fixtures || PHOTO_ANALYSIS_FIXTURES;
+    this.photos = options.photos || {}; // photo key -> fixture name
+    this.fallback = options.fallback || 'empty';
+    this.available = options.available !== false;
+    this.calls = [];
+  }
+
+  fixtureFor(options) {
+    const keys = [options.photoId, options.filename, options.identifier, options.path?.split('/').pop()];
+    const name = keys.map(key => this.photos[key]).find(Boolean) || this.fallback;
+    const fixture = this.fixtures[name];
+    if (!fixture) {
+      throw new Error(`Unknown PhotoAnalysis fixture: ${name}`);
+    }
+    return fixture;
+  }
+
+  async isAvailable() {
+    return {
+      available: this.available,
+      faceDetection: this.available,
+      sceneClassification: this.available,
+      textRecognition: this.available,
+      engine: 'mock'
+    };
+  }
+
+  async detectFaces(options = {}) {
+    this.calls.push({ method: 'detectFaces', options });
+    const fixture = this.fixtureFor(options);
+    return {
+      faces: fixture.faces.slice(0, options.maxFaces ?? fixture.faces.length).map(face => ({ ...face })),
+      imageSize: fixture.imageSize || { width: 4032, height: 3024 }
+    };
+  }
+
+  async classifyScene(options = {}) {
+    this.calls.push({ method: 'classifyScene', options });
+    const fixture = this.fixtureFor(options);
+    return {
+      labels: fixture.labels
+        .filter(label => label.confidence >= (options.minConfidence ?? 0))
+        .slice(0, options.maxLabels ?? fixture.labels.length)
+        .map(label => ({ ...label })),
+      textRegions: (fixture.textRegions || []).map(region => ({ ...region }))
+    };
+  }
+}
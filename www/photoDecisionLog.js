@@ -0,0 +1,285 @@
+/**
+ * PhotoDecisionLog - Why each photo was included or left out
+ * Every validation, filtering, deduplication and quality decision about a
+ * photo is recorded with structured reasons - the rule, the measured value
+ * and the threshold it was held to - so a user whose photo was skipped can
+ * find out why (getPhotoDecisionHistory) and upload it anyway.
+ *
+ * "Upload anyway" is an override that sticks: BatchPhotoProcessingService
+ * keeps overridden photos in later batches, and any UploadEngine
+ * suppression of the photo (e.g. a rejected duplicate) is lifted.
+ *
+ * History is kept in localStorage, most recently decided photos first,
+ * capped at config.maxPhotos. Classic scripts use window.photoDecisionLog.
+ */
+
+import { uploadEngine } from './uploadEngine.js';
+
+// UploadQueue bundles Capacitor, so its entry point is looked up lazily
+const getAddPhotoToUploadQueue = () => window.addPhotoToUploadQueue || null;
+
+// Stages the app records decisions in; stages registered with
+// BatchPhotoProcessingService.registerStage record under their own names
+export const DECISION_STAGES = ['validation', 'filtering', 'deduplication', 'duplicateReview', 'qualityAnalysis', 'override'];
+
+// Photo fields kept with the history - enough to queue the upload again, no image data
+const PHOTO_FIELDS = ['id', 'filename', 'eventId', 'fileSize', 'mimeType', 'localIdentifier', 'identifier', 'path', 'webPath', 'createdAt'];
+
+/**
+ * One reason for a decision
+ * @param {string} rule - e.g. 'quality.blur', 'profile.minFaces', 'validation.fileSize'
+ * @param {number|string|null} value - What was measured
+ * @param {number|string|null} threshold - What it was held to
+ * @param {string} message - Readable explanation
+ * @param {boolean} passed - false when this reason counts against the photo
+ */
+export function createDecisionReason(rule, value, threshold, message, passed = false) {
+  return {
+    rule: rule,
+    value: value ?? null,
+    threshold: threshold ?? null,
+    passed: passed,
+    message: message
+  };
+}
+
+export class PhotoDecisionLog {
+  constructor() {
+    this.history = new Map(); // photoId -> { photo, entries, override, updatedAt }
+    this.subscribers = new Set();
+    this.uploadHandler = null; // Set with setUploadHandler; the upload queue otherwise
+
+    // Configuration
+    this.config = {
+      storageKey: 'photo_decision_history',
+      maxPhotos: 500,
+      maxEntriesPerPhoto: 20
+    };
+
+    this.loadHistory();
+  }
+
+  /**
+   * Record a decision about a photo
+   * @param {object} photo - The photo decided on ({ id, filename, eventId, ... })
+   * @param {{stage: string, decision: 'include'|'exclude', reasons: Array<object>,
+   *   batchId?: string, confidence?: number}} decision
+   * @returns {object|null} The stored entry
+   */
+  record(photo, decision) {
+    const photoId = photo?.id || photo?.photoId;
+    if (!photoId) return null;
+
+    if (!decision.stage || typeof decision.stage !== 'string') {
+      throw new Error('A photo decision needs the stage that made it');
+    }
+
+    const entry = {
+      stage: decision.stage,
+      decision: decision.decision,
+      reasons: decision.reasons || [],
+      confidence: decision.confidence ?? null,
+      batchId: decision.batchId || null,
+      decidedAt: new Date().toISOString()
+    };
+
+    const record = this.history.get(photoId) || { photo: {}, entries: [], override: null };
+    record.photo = { ...record.photo, ...this.describePhoto({ id: photoId, ...photo }) };
+    record.entries = [...record.entries, entry].slice(-this.config.maxEntriesPerPhoto);
+    record.updatedAt = entry.decidedAt;
+
+    // Most recently decided last, so the oldest is dropped first
+    this.history.delete(photoId);
+    this.history.set(photoId, record);
+    while (this.history.size > this.config.maxPhotos) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    this.saveHistory();
+    this.notifySubscribers('decision_recorded', { photoId, ...entry });
+    return entry;
+  }
+
+  describePhoto(photo) {
+    const description = {};
+    PHOTO_FIELDS.forEach(field => {
+      if (photo[field] !== undefined && photo[field] !== null) {
+        description[field] = photo[field];
+      }
+    });
+    return description;
+  }
+
+  /**
+   * Every decision recorded for a photo, oldest first
+   * @returns {{photoId: string, photo: object, status: 'included'|'excluded'|'overridden',
+   *   override: object|null, entries: Array<object>}|null} null when nothing was recorded
+   */
+  getPhotoDecisionHistory(photoId) {
+    const record = this.history.get(photoId);
+    if (!record) return null;
+
+    return {
+      photoId: photoId,
+      photo: { ...record.photo },
+      status: this.getStatusOf(record),
+      override: record.override,
+      entries: record.entries.map(entry => ({ ...entry, reasons: entry.reasons.map(reason => ({ ...reason })) }))
+    };
+  }
+
+  getStatusOf(record) {
+    if (record.override) return 'overridden';
+    const last = record.entries[record.entries.length - 1];
+    return last?.decision === 'exclude' ? 'excluded' : 'included';
+  }
+
+  /**
+   * Photos whose latest decision left them out, most recent first
+   * @param {{eventId?: string, limit?: number}} filter
+   */
+  getExcludedPhotos(filter = {}) {
+    const excluded = [];
+    for (const [photoId, record] of Array.from(this.history.entries()).reverse()) {
+      if (this.getStatusOf(record) !== 'excluded') continue;
+      if (filter.eventId && record.photo.eventId !== filter.eventId) continue;
+
+      const last = record.entries[record.entries.length - 1];
+      excluded.push({
+        photoId: photoId,
+        filename: record.photo.filename || photoId,
+        eventId: record.photo.eventId || null,
+        stage: last.stage,
+        reasons: last.reasons.filter(reason => !reason.passed),
+        decidedAt: last.decidedAt
+      });
+      if (filter.limit && excluded.length >= filter.limit) break;
+    }
+    return excluded;
+  }
+
+  isOverridden(photoId) {
+    return Boolean(this.history.get(photoId)?.override);
+  }
+
+  /**
+   * Upload a photo that was left out. The override is kept, so later batches
+   * include the photo too; the upload itself goes through the upload queue.
+   * @param {{editor?: string}} options
+   * @returns {Promise<{photoId: string, queued: boolean, uploadId: string|null, error: string|null}>}
+   */
+  async uploadAnyway(photoId, options = {}) {
+    const record = this.history.get(photoId);
+    if (!record) {
+      throw new Error(`No decisions recorded for photo ${photoId}`);
+    }
+
+    record.override = { at: new Date().toISOString(), by: options.editor || null };
+    this.record(record.photo, {
+      stage: 'override',
+      decision: 'include',
+      reasons: [createDecisionReason('override.uploadAnyway', null, null, 'uploaded anyway by the user', true)]
+    });
+
+    // Lift suppressions (e.g. a rejected duplicate) under either key the photo is known by
+    const { eventId, localIdentifier } = record.photo;
+    if (eventId) {
+      [photoId, localIdentifier].filter(Boolean).forEach(photoKey => uploadEngine.unsuppress({ eventId, photoKey }));
+    }
+
+    let uploadId = null;
+    let error = null;
+    try {
+      const upload = this.uploadHandler || getAddPhotoToUploadQueue();
+      if (!upload) {
+        throw new Error('Upload queue not loaded');
+      }
+      uploadId = await upload({ ...record.photo, uploadOverride: true });
+    } catch (uploadError) {
+      error = uploadError.message;
+      console.warn(`⚠️ Photo ${photoId} will be included next time, but could not be queued now:`, error);
+    }
+
+    console.log(`🧾 Upload anyway: ${record.photo.filename || photoId}${uploadId ? ` queued as ${uploadId}` : ''}`);
+    this.notifySubscribers('decision_overridden', { photoId, uploadId, error });
+    return { photoId, queued: Boolean(uploadId), uploadId: uploadId || null, error };
+  }
+
+  /**
+   * Where "upload anyway" sends photos (defaults to the upload queue)
+   */
+  setUploadHandler(handler) {
+    this.uploadHandler = handler;
+  }
+
+  clearHistory(photoId = null) {
+    if (photoId) {
+      this.history.delete(photoId);
+    } else {
+      this.history.clear();
+    }
+    this.saveHistory();
+  }
+
+  loadHistory() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]');
+      stored.forEach(([photoId, record]) => this.history.set(photoId, record));
+    } catch (error) {
+      console.error('Error loading photo decision history:', error);
+    }
+  }
+
+  saveHistory() {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(Array.from(this.history.entries())));
+    } catch (error) {
+      console.error('Error saving photo decision history:', error);
+    }
+  }
+
+  getStatus() {
+    const byStatus = { included: 0, excluded: 0, overridden: 0 };
+    this.history.forEach(record => byStatus[this.getStatusOf(record)]++);
+    return {
+      photos: this.history.size,
+      ...byStatus
+    };
+  }
+
+  /**
+   * Subscribe to decision_recorded and decision_overridden
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(eventType, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        console.error('Error notifying decision log subscriber:', error);
+      }
+    });
+
+    window.dispatchEvent(new CustomEvent('photoDecisionUpdate', {
+      detail: { type: eventType, decision: data }
+    }));
+  }
+}
+
+// Export singleton instance
+export const photoDecisionLog = new PhotoDecisionLog();
+
+// BatchPhotoProcessingService and the production dashboard are classic scripts
+window.photoDecisionLog = photoDecisionLog;
+
+export function getPhotoDecisionHistory(photoId) {
+  return photoDecisionLog.getPhotoDecisionHistory(photoId);
+}
+
+export async function uploadPhotoAnyway(photoId, options = {}) {
+  return await photoDecisionLog.uploadAnyway(photoId, options);
+}
@@ -1,6 +1,22 @@
 import { Capacitor } from '@capacitor/core';
 import { Device } from '@capacitor/device';
 import { showToast } from './cameraPermissions.js';
+import {
+  toGrayscale, resizeArea, differenceHash, perceptualHash, averageHash, waveletHash,
+  hammingDistance, binaryToHex, hexToBinary, transformImage
+} from './perceptualHash.js';
+import {
+  SIGNATURE_SIZE, createCropSignature, findCropMatches, encodeCropSignature, decodeCropSignature
+} from './cropMatch.js';
+import {
+  GOLDEN_HASHES, createGoldenCorpus, resizeImage, simulateRecompression, transformRgbaImage, cropImage
+} from './perceptualHashCorpus.js';
+import { imageWorkerPool } from './workerPool.js';
+import { HashIndex } from './hashIndex.js';
+import { photoHashStore, recordKey } from './photoHashStore.js';
+import { uploadEngine } from './uploadEngine.js';
+import { photoDecisionLog, createDecisionReason } from './photoDecisionLog.js';
+import { trackDecodedImage } from './decodedImageMemory.js';
 
 /**
  * PhotoDeduplicationService - Advanced photo deduplication using perceptual hashing
@@ -10,9 +26,15 @@ export class PhotoDeduplicationService {
   constructor() {
     this.isInitialized = false;
     this.hashDatabase = new Map(); // photoId -> hash data
-    this.duplicateGroups = new Map(); // groupId -> [photoIds]
+    this.duplicateGroups = new Map(); // groupId -> group, kept for review
+    this.reviewDecisions = new Map(); // `${eventId}:${photoId}` -> keep / reject decision
     this.processingQueue = [];
     this.hashingActive = false;
+    this.hashingController = null; // Aborts the running findDuplicates hashing
+    this.workerPool = null;
+    this.workerCanDecode = true; // Cleared when workers lack OffscreenCanvas
+    this.hashIndex = null; // Index over every stored photo, for incremental checks
+    this.hashStore = photoHashStore; // Persistent hashes per event and asset, shared with upload duplicate checks
     this.deduplicationStats = new Map();
     
     // Hashing configuration
@@ -38,17 +60,34 @@ export class PhotoDeduplicationService {
         batchSize: 10,
         maxConcurrent: 3,
         hashTimeout: 5000, // 5 seconds per photo
+        decodeSize: 256, // Photos are decoded to this square working size before hashing
         useWebWorker: true,
         cacheHashes: true
       },
       
+      // Hash index over the photo hash store (incremental duplicate checks)
+      index: {
+        persist: true, // Keep hashes in the photo hash store across reloads
+        maxEntries: 20000, // Photos held in the in-memory index, newest first (the store keeps all)
+        sameEventOnly: true // Only photos from the same event count as duplicates
+      },
+      
       // Advanced detection
       advanced: {
         cropDetection: true, // Detect cropped versions
         rotationDetection: true, // Detect rotated versions
+        mirrorDetection: true, // Detect mirrored (flipped) versions
         resizeDetection: true, // Detect resized versions
         colorSpaceIgnore: true, // Ignore color space differences
-        compressionIgnore: true // Ignore different compression levels
+        compressionIgnore: true, // Ignore different compression levels
+        
+        // Crop search - see cropMatch.js
+        cropMatching: {
+          minScale: 0.4, // Smallest crop, as a fraction of the original's width or height
+          minScore: 0.9, // Normalized cross-correlation needed for a match
+          minEdgeScore: 0.75, // Edge correlation needed as well
+          candidateLimit: 30 // Photos each photo is searched against (nearest in time)
+        }
       },
       
       // Duplicate handling
@@ -56,7 +95,11 @@ export class PhotoDeduplicationService {
         keepBest: true, // Keep highest quality duplicate
         qualityMetrics: ['fileSize', 'resolution', 'timestamp'],
         autoDelete: false, // Manual confirmation required
-        preserveOriginal: true
+        preserveOriginal: true,
+        decisionStorageKey: 'duplicate_review_decisions',
+        reviewStorageKey: 'duplicate_review_groups',
+        maxReviewGroups: 200, // Oldest groups are dropped from the review beyond this
+        suppressRejectedUploads: true // Rejected copies are never uploaded (UploadEngine.suppress)
       }
     };
     
@@ -79,11 +122,17 @@ export class PhotoDeduplicationService {
       // Initialize statistics tracking
       this.initializeDeduplicationStats();
       
-      // Setup Web Worker if supported
-      if (this.config.performance.useWebWorker && typeof Worker !== 'undefined') {
-        console.log('👷 Web Worker support available for hashing');
+      // Hash on the shared worker pool (runs inline where workers are unavailable)
+      if (this.config.performance.useWebWorker) {
+        this.workerPool = imageWorkerPool;
+        console.log(`👷 Hashing on worker pool (${this.workerPool.getStatus().mode})`);
       }
       
+      // Restore the index of photos already seen
+      await this.loadHashIndex();
+      this.loadReviewDecisions();
+      this.loadReviewGroups();
+      
       this.isInitialized = true;
       console.log('✅ PhotoDeduplicationService initialized');
       
@@ -110,8 +159,10 @@ export class PhotoDeduplicationService {
 
   /**
    * Generate perceptual hash for a photo
+   * @param {object} photoData
+   * @param {{signal?: AbortSignal}} options
    */
-  async generatePerceptualHash(photoData) {
+  async generatePerceptualHash(photoData, options = {}) {
     if (!this.isInitialized) {
       throw new Error('PhotoDeduplicationService not initialized');
     }
@@ -120,26 +171,44 @@ export class PhotoDeduplicationService {
       const startTime = performance.now();
       console.log(`🔢 Generating perceptual hash for: ${photoData.filename}`);
 
-      // Check if hash already exists
+      // Check if hash already exists - in memory, then from an earlier session
       if (this.hashDatabase.has(photoData.id)) {
         console.log('💾 Using cached hash');
         return this.hashDatabase.get(photoData.id);
       }
 
+      const stored = this.getStoredHashData(photoData.eventId || null, photoData.id);
+      if (stored?.variants && (stored.cropSignature || !this.config.advanced.cropDetection)) {
+        console.log('💾 Using stored hash');
+        if (this.config.performance.cacheHashes) {
+          this.hashDatabase.set(photoData.id, stored);
+        }
+        return stored;
+      }
+
+      // Decode once, every algorithm works from the same grayscale pixels
+      const { hashes, variants, cropSignature, naturalDimensions } = await this.computeHashes(photoData, options.signal);
+      const dimensions = photoData.dimensions || naturalDimensions;
+
       const hashResult = {
         photoId: photoData.id,
+        eventId: photoData.eventId || null,
         filename: photoData.filename,
+        thumbnailUrl: this.getThumbnailUrl(photoData),
         timestamp: new Date(),
         
         // Different hash algorithms
         hashes: {},
         
+        // Hashes of the rotated and mirrored photo, and its crop signature
+        variants: variants || {},
+        cropSignature: cropSignature ? encodeCropSignature(cropSignature) : null,
+        
         // Photo characteristics for comparison
         characteristics: {
           fileSize: photoData.fileSize,
-          dimensions: photoData.dimensions,
-          aspectRatio: photoData.dimensions ? 
-            photoData.dimensions.width / photoData.dimensions.height : 1,
+          dimensions: dimensions,
+          aspectRatio: dimensions ? dimensions.width / dimensions.height : 1,
           mimeType: photoData.mimeType,
           timestamp: photoData.createdAt || photoData.timestamp
         },
@@ -149,22 +218,12 @@ export class PhotoDeduplicationService {
         hashQuality: 'good'
       };
 
-      // Generate different types of perceptual hashes
-      if (this.config.algorithms.dhash.enabled) {
-        hashResult.hashes.dhash = await this.generateDifferenceHash(photoData);
-      }
-      
-      if (this.config.algorithms.phash.enabled) {
-        hashResult.hashes.phash = await this.generatePerceptualHashPHash(photoData);
-      }
-      
-      if (this.config.algorithms.ahash.enabled) {
-        hashResult.hashes.ahash = await this.generateAverageHash(photoData);
-      }
+      hashResult.hashes = hashes;
       
-      if (this.config.algorithms.whash.enabled) {
-        hashResult.hashes.whash = await this.generateWaveletHash(photoData);
-      }
+      // Featureless photos (flat color, nearly black) give unreliable bits
+      const qualities = Object.values(hashResult.hashes).filter(Boolean).map(hash => hash.quality);
+      const averageQuality = qualities.reduce((sum, quality) => sum + quality, 0) / (qualities.length || 1);
+      hashResult.hashQuality = averageQuality >= 0.6 ? 'good' : 'low';
 
       // Calculate processing time
       const processingTime = performance.now() - startTime;
@@ -184,43 +243,140 @@ export class PhotoDeduplicationService {
       return hashResult;
 
     } catch (error) {
-      console.error('Error generating perceptual hash:', error);
+      if (error.name !== 'AbortError') {
+        console.error('Error generating perceptual hash:', error);
+      }
       throw error;
     }
   }
 
   /**
-   * Generate difference hash (dHash)
-   * Compares adjacent pixels horizontally
+   * Decode and hash a photo - on the worker pool when enabled, bounded by hashTimeout
+   * @returns {Promise<{hashes: object, variants: object, cropSignature: object|null,
+   *   naturalDimensions: object}>}
    */
-  async generateDifferenceHash(photoData) {
-    try {
-      // Simulate dHash generation
-      // In real implementation, would:
-      // 1. Resize image to 9x8 (72 pixels)
-      // 2. Convert to grayscale
-      // 3. Compare adjacent pixels horizontally
-      // 4. Generate 64-bit hash
-      
-      await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 100));
-      
-      // Generate simulated hash (64-bit represented as hex string)
-      const hashBits = [];
-      for (let i = 0; i < 64; i++) {
-        hashBits.push(Math.random() > 0.5 ? '1' : '0');
+  async computeHashes(photoData, signal = null) {
+    const transforms = this.getHashTransforms();
+    const signatureSize = this.config.advanced.cropDetection ? SIGNATURE_SIZE : 0;
+    
+    if (!this.workerPool) {
+      const image = await this.loadGrayscaleImage(photoData);
+      const variants = {};
+      for (const transform of transforms) {
+        variants[transform] = this.hashGrayscaleImage(transformImage(image.pixels, image.width, image.height, transform));
       }
       
-      const binaryHash = hashBits.join('');
-      const hexHash = this.binaryToHex(binaryHash);
-      
       return {
-        algorithm: 'dhash',
-        hash: hexHash,
-        binary: binaryHash,
-        bits: 64,
-        quality: 0.8 + Math.random() * 0.2
+        hashes: this.hashGrayscaleImage(image),
+        variants: variants,
+        cropSignature: signatureSize ?
+          createCropSignature(image.pixels, image.width, image.height, image.naturalDimensions, signatureSize) : null,
+        naturalDimensions: image.naturalDimensions
       };
+    }
+    
+    const task = {
+      decodeSize: this.config.performance.decodeSize,
+      algorithms: Object.keys(this.config.algorithms).filter(alg => this.config.algorithms[alg].enabled),
+      transforms: transforms,
+      signatureSize: signatureSize
+    };
+    const runOptions = { timeout: this.config.performance.hashTimeout, signal };
+    
+    if (this.workerCanDecode && this.workerPool.capabilities?.decode !== false) {
+      try {
+        const { payload, transfer } = await this.getWorkerImageSource(photoData);
+        return await this.workerPool.run('hash', { ...payload, ...task }, { ...runOptions, transfer });
+      } catch (error) {
+        if (error.code !== 'DECODE_UNSUPPORTED') throw error;
+        this.workerCanDecode = false;
+      }
+    }
+    
+    // Workers cannot decode here (no OffscreenCanvas) - decode on this thread, hash on the pool
+    const image = await this.loadGrayscaleImage(photoData);
+    return await this.workerPool.run('hash', {
+      gray: image.pixels.buffer,
+      width: image.width,
+      height: image.height,
+      naturalDimensions: image.naturalDimensions,
+      ...task
+    }, { ...runOptions, transfer: [image.pixels.buffer] });
+  }
+
+  /**
+   * Rotations and mirror flips to hash alongside each photo (perceptualHash.js IMAGE_TRANSFORMS)
+   */
+  getHashTransforms() {
+    const transforms = [];
+    if (this.config.advanced.rotationDetection) {
+      transforms.push('rot90', 'rot180', 'rot270');
+    }
+    if (this.config.advanced.mirrorDetection) {
+      transforms.push('flipH', 'flipV', 'transpose', 'transverse');
+    }
+    return transforms;
+  }
+
+  /**
+   * Image URL the review UI can show for a photo (null for raw pixel input)
+   */
+  getThumbnailUrl(photoData) {
+    if (photoData.thumbnailUrl) return photoData.thumbnailUrl;
+    if (photoData.webPath) return photoData.webPath;
+    if (photoData.path) return Capacitor.convertFileSrc(photoData.path);
+    if (typeof photoData.dataUrl === 'string' && photoData.dataUrl.startsWith('data:')) return photoData.dataUrl;
+    return null;
+  }
+
+  /**
+   * Photo bytes for a worker task, as transferable buffers
+   */
+  async getWorkerImageSource(photoData) {
+    if (photoData.imageData) {
+      const { data, width, height } = photoData.imageData;
+      const rgba = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      return { payload: { rgba, width, height }, transfer: [rgba] };
+    }
+    
+    const blob = await this.getPhotoBlob(photoData);
+    const buffer = await blob.arrayBuffer();
+    return { payload: { buffer, mimeType: blob.type }, transfer: [buffer] };
+  }
+
+  /**
+   * Run every enabled algorithm over a decoded grayscale image
+   * @param {{pixels: Float64Array, width: number, height: number}} image
+   */
+  hashGrayscaleImage(image) {
+    const hashes = {};
+    
+    if (this.config.algorithms.dhash.enabled) {
+      hashes.dhash = this.generateDifferenceHash(image);
+    }
+    
+    if (this.config.algorithms.phash.enabled) {
+      hashes.phash = this.generatePerceptualHashPHash(image);
+    }
+    
+    if (this.config.algorithms.ahash.enabled) {
+      hashes.ahash = this.generateAverageHash(image);
+    }
+    
+    if (this.config.algorithms.whash.enabled) {
+      hashes.whash = this.generateWaveletHash(image);
+    }
+    
+    return hashes;
+  }
 
+  /**
+   * Generate difference hash (dHash)
+   * Resizes to 9x8 and compares adjacent pixels horizontally
+   */
+  generateDifferenceHash(image) {
+    try {
+      return differenceHash(image.pixels, image.width, image.height);
     } catch (error) {
       console.error('Error generating difference hash:', error);
       return null;
@@ -229,37 +385,11 @@ export class PhotoDeduplicationService {
 
   /**
    * Generate perceptual hash (pHash)
-   * Uses discrete cosine transform
+   * Resizes to 32x32, applies a DCT and compares the low 8x8 frequencies to their median
    */
-  async generatePerceptualHashPHash(photoData) {
+  generatePerceptualHashPHash(image) {
     try {
-      // Simulate pHash generation
-      // In real implementation, would:
-      // 1. Resize image to 32x32
-      // 2. Convert to grayscale
-      // 3. Apply discrete cosine transform (DCT)
-      // 4. Reduce DCT to 8x8
-      // 5. Compare to median to generate hash
-      
-      await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 200));
-      
-      // Generate simulated hash
-      const hashBits = [];
-      for (let i = 0; i < 64; i++) {
-        hashBits.push(Math.random() > 0.5 ? '1' : '0');
-      }
-      
-      const binaryHash = hashBits.join('');
-      const hexHash = this.binaryToHex(binaryHash);
-      
-      return {
-        algorithm: 'phash',
-        hash: hexHash,
-        binary: binaryHash,
-        bits: 64,
-        quality: 0.85 + Math.random() * 0.15
-      };
-
+      return perceptualHash(image.pixels, image.width, image.height);
     } catch (error) {
       console.error('Error generating perceptual hash:', error);
       return null;
@@ -268,36 +398,11 @@ export class PhotoDeduplicationService {
 
   /**
    * Generate average hash (aHash)
-   * Compares pixels to average brightness
+   * Resizes to 8x8 and compares pixels to average brightness
    */
-  async generateAverageHash(photoData) {
+  generateAverageHash(image) {
     try {
-      // Simulate aHash generation
-      // In real implementation, would:
-      // 1. Resize image to 8x8 (64 pixels)
-      // 2. Convert to grayscale
-      // 3. Calculate average brightness
-      // 4. Compare each pixel to average
-      
-      await new Promise(resolve => setTimeout(resolve, 30 + Math.random() * 70));
-      
-      // Generate simulated hash
-      const hashBits = [];
-      for (let i = 0; i < 64; i++) {
-        hashBits.push(Math.random() > 0.5 ? '1' : '0');
-      }
-      
-      const binaryHash = hashBits.join('');
-      const hexHash = this.binaryToHex(binaryHash);
-      
-      return {
-        algorithm: 'ahash',
-        hash: hexHash,
-        binary: binaryHash,
-        bits: 64,
-        quality: 0.75 + Math.random() * 0.25
-      };
-
+      return averageHash(image.pixels, image.width, image.height);
     } catch (error) {
       console.error('Error generating average hash:', error);
       return null;
@@ -306,46 +411,117 @@ export class PhotoDeduplicationService {
 
   /**
    * Generate wavelet hash (wHash)
-   * Uses wavelet transform
+   * Resizes to 64x64, applies a 3-level Haar transform and compares the LL band to its median
    */
-  async generateWaveletHash(photoData) {
+  generateWaveletHash(image) {
     try {
-      // Simulate wHash generation
-      // In real implementation, would:
-      // 1. Resize image to 64x64
-      // 2. Convert to grayscale
-      // 3. Apply wavelet transform
-      // 4. Compare coefficients to generate hash
-      
-      await new Promise(resolve => setTimeout(resolve, 150 + Math.random() * 250));
-      
-      // Generate simulated hash
-      const hashBits = [];
-      for (let i = 0; i < 64; i++) {
-        hashBits.push(Math.random() > 0.5 ? '1' : '0');
-      }
+      return waveletHash(image.pixels, image.width, image.height);
+    } catch (error) {
+      console.error('Error generating wavelet hash:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Decode a photo into grayscale pixels at the working size.
+   * Accepts raw RGBA (photoData.imageData), a Blob, base64/data URL or a file path.
+   * @returns {Promise<{pixels: Float64Array, width: number, height: number,
+   *   naturalDimensions: {width: number, height: number}}>}
+   */
+  async loadGrayscaleImage(photoData) {
+    const size = this.config.performance.decodeSize;
+    
+    if (photoData.imageData) {
+      const { data, width, height } = photoData.imageData;
+      const gray = toGrayscale(data, width, height);
+      const scale = Math.min(1, size / Math.max(width, height));
+      const targetWidth = Math.max(Math.round(width * scale), 1);
+      const targetHeight = Math.max(Math.round(height * scale), 1);
       
-      const binaryHash = hashBits.join('');
-      const hexHash = this.binaryToHex(binaryHash);
+      return {
+        pixels: scale < 1 ? resizeArea(gray, width, height, targetWidth, targetHeight) : gray,
+        width: scale < 1 ? targetWidth : width,
+        height: scale < 1 ? targetHeight : height,
+        naturalDimensions: { width, height }
+      };
+    }
+    
+    if (typeof createImageBitmap !== 'function') {
+      throw new Error('Image decoding not supported in this environment');
+    }
+    
+    const blob = await this.getPhotoBlob(photoData);
+    const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    const release = trackDecodedImage(bitmap);
+    
+    try {
+      // The hashes squash to a square anyway - let the decoder do the bulk of the downscaling
+      const context = this.createCanvasContext(size, size);
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(bitmap, 0, 0, size, size);
+      const { data } = context.getImageData(0, 0, size, size);
       
       return {
-        algorithm: 'whash',
-        hash: hexHash,
-        binary: binaryHash,
-        bits: 64,
-        quality: 0.9 + Math.random() * 0.1
+        pixels: toGrayscale(data, size, size),
+        width: size,
+        height: size,
+        naturalDimensions: { width: bitmap.width, height: bitmap.height }
       };
+    } finally {
+      bitmap.close();
+      release();
+    }
+  }
 
-    } catch (error) {
-      console.error('Error generating wavelet hash:', error);
-      return null;
+  /**
+   * Read the photo's bytes from whichever source it carries
+   */
+  async getPhotoBlob(photoData) {
+    if (photoData.blob instanceof Blob) {
+      return photoData.blob;
+    }
+    
+    const base64 = photoData.base64 || photoData.dataUrl;
+    if (typeof base64 === 'string' && base64.length > 0) {
+      const base64Content = base64.replace(/^data:[^;]+;base64,/, '');
+      const binaryString = atob(base64Content);
+      const bytes = new Uint8Array(binaryString.length);
+      for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+      }
+      return new Blob([bytes], { type: photoData.mimeType || 'image/jpeg' });
+    }
+    
+    const path = photoData.webPath || photoData.path;
+    if (typeof path === 'string' && path.length > 0) {
+      const url = photoData.webPath ? path : Capacitor.convertFileSrc(path);
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Could not read ${path} (${response.status})`);
+      }
+      return await response.blob();
+    }
+    
+    throw new Error(`${photoData.filename || 'Photo'} has no image data to hash`);
+  }
+
+  createCanvasContext(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height).getContext('2d', { willReadFrequently: true });
     }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas.getContext('2d', { willReadFrequently: true });
   }
 
   /**
    * Find duplicates by comparing hashes
+   * @param {{signal?: AbortSignal, remember?: boolean}} options - remember: false keeps
+   *   the photos out of the persistent hash index
    */
-  async findDuplicates(photoList, progressCallback = null) {
+  async findDuplicates(photoList, progressCallback = null, options = {}) {
     if (!this.isInitialized) {
       throw new Error('PhotoDeduplicationService not initialized');
     }
@@ -355,76 +531,59 @@ export class PhotoDeduplicationService {
       const startTime = performance.now();
 
       // Generate hashes for all photos first
-      const hashedPhotos = [];
-      for (let i = 0; i < photoList.length; i++) {
-        try {
-          const hashData = await this.generatePerceptualHash(photoList[i]);
-          hashedPhotos.push(hashData);
-          
-          if (progressCallback) {
-            const progress = ((i + 1) / photoList.length) * 50; // First 50% for hashing
-            progressCallback(progress, `Hashing ${i + 1}/${photoList.length}`);
-          }
-        } catch (error) {
-          console.error(`Error hashing photo ${photoList[i].filename}:`, error);
-        }
-      }
+      const hashedPhotos = await this.hashPhotos(photoList, progressCallback, options.signal);
 
       console.log(`📊 Generated ${hashedPhotos.length} hashes`);
 
-      // Compare all photos against each other
+      // Index the hashes so each photo is only compared with its near neighbours
+      const index = this.createHashIndex();
+      hashedPhotos.forEach((hashData, i) => index.add(i, hashData.hashes));
+
       const duplicateGroups = new Map();
-      const processedPairs = new Set();
       let comparisons = 0;
-      const totalComparisons = (hashedPhotos.length * (hashedPhotos.length - 1)) / 2;
 
       for (let i = 0; i < hashedPhotos.length; i++) {
-        for (let j = i + 1; j < hashedPhotos.length; j++) {
-          const pairKey = `${i}-${j}`;
-          if (processedPairs.has(pairKey)) continue;
-          
-          processedPairs.add(pairKey);
+        const candidates = this.searchHashIndex(index, hashedPhotos[i])
+          .filter(j => j > i)
+          .sort((a, b) => a - b);
+
+        for (const j of candidates) {
           comparisons++;
 
-          const similarity = this.calculateSimilarity(hashedPhotos[i], hashedPhotos[j]);
+          const similarity = this.calculateTransformSimilarity(hashedPhotos[i], hashedPhotos[j]);
           
           if (similarity.isDuplicate || similarity.isNearDuplicate) {
-            const groupKey = this.findOrCreateDuplicateGroup(
-              duplicateGroups, hashedPhotos[i].photoId, hashedPhotos[j].photoId
-            );
-            
-            if (!duplicateGroups.has(groupKey)) {
-              duplicateGroups.set(groupKey, {
-                groupId: groupKey,
-                photos: [],
-                duplicateType: similarity.isDuplicate ? 'exact' : 'near',
-                similarity: similarity,
-                bestPhoto: null
-              });
-            }
-            
-            const group = duplicateGroups.get(groupKey);
-            if (!group.photos.find(p => p.photoId === hashedPhotos[i].photoId)) {
-              group.photos.push(hashedPhotos[i]);
-            }
-            if (!group.photos.find(p => p.photoId === hashedPhotos[j].photoId)) {
-              group.photos.push(hashedPhotos[j]);
-            }
+            this.addToDuplicateGroup(duplicateGroups, hashedPhotos[i], hashedPhotos[j], similarity);
           }
+        }
 
-          // Progress callback for comparison phase
-          if (progressCallback && comparisons % 100 === 0) {
-            const progress = 50 + ((comparisons / totalComparisons) * 50);
-            progressCallback(progress, `Comparing ${comparisons}/${totalComparisons}`);
-          }
+        // Progress callback for comparison phase
+        if (progressCallback && (i + 1) % 100 === 0) {
+          const progress = 50 + (((i + 1) / hashedPhotos.length) * 50);
+          progressCallback(progress, `Comparing ${i + 1}/${hashedPhotos.length}`);
         }
       }
 
+      // Crops do not hash alike - search for them among photos taken around the same time
+      if (this.config.advanced.cropDetection) {
+        comparisons += await this.findCropDuplicates(hashedPhotos, duplicateGroups, options.signal);
+      }
+
+      // Remember these photos for later incremental checks
+      if (options.remember !== false) {
+        hashedPhotos.forEach(hashData => this.indexPhoto(hashData));
+      }
+
       // Determine best photo in each duplicate group
       for (const group of duplicateGroups.values()) {
         group.bestPhoto = this.determineBestPhoto(group.photos);
       }
 
+      // Keep the groups for the duplicate review
+      if (options.remember !== false) {
+        this.registerReviewGroups(duplicateGroups);
+      }
+
       const processingTime = performance.now() - startTime;
       const results = {
         totalPhotos: photoList.length,
@@ -436,7 +595,8 @@ export class PhotoDeduplicationService {
           .filter(group => group.duplicateType === 'exact').length,
         nearDuplicates: Array.from(duplicateGroups.values())
           .filter(group => group.duplicateType === 'near').length,
-        potentialSpaceSaved: this.calculateSpaceSaved(duplicateGroups),
+        potentialSpaceSaved: this.calculatePotentialSpaceSaved(duplicateGroups),
+        spaceSaved: this.calculateSpaceSaved(duplicateGroups), // From review decisions already made
         processingTime: processingTime,
         comparisons: comparisons,
         timestamp: new Date()
@@ -461,6 +621,426 @@ export class PhotoDeduplicationService {
     }
   }
 
+  /**
+   * Hash photos with at most maxConcurrent in flight, keeping input order.
+   * Photos that fail to hash are skipped; cancellation rejects.
+   */
+  async hashPhotos(photoList, progressCallback = null, externalSignal = null) {
+    this.hashingController = new AbortController();
+    const { signal } = this.hashingController;
+    const onExternalAbort = () => this.hashingController?.abort();
+    externalSignal?.addEventListener('abort', onExternalAbort, { once: true });
+    if (externalSignal?.aborted) this.hashingController.abort();
+    
+    const results = new Array(photoList.length).fill(null);
+    let nextIndex = 0;
+    let completed = 0;
+    
+    const hashNext = async () => {
+      while (nextIndex < photoList.length && !signal.aborted) {
+        const index = nextIndex++;
+        try {
+          results[index] = await this.generatePerceptualHash(photoList[index], { signal });
+        } catch (error) {
+          if (error.name === 'AbortError') return;
+          console.error(`Error hashing photo ${photoList[index].filename}:`, error);
+        }
+        
+        completed++;
+        if (progressCallback) {
+          const progress = (completed / photoList.length) * 50; // First 50% for hashing
+          progressCallback(progress, `Hashing ${completed}/${photoList.length}`);
+        }
+      }
+    };
+    
+    try {
+      this.hashingActive = true;
+      const lanes = Math.min(this.config.performance.maxConcurrent, photoList.length);
+      await Promise.all(Array.from({ length: lanes }, hashNext));
+    } finally {
+      this.hashingActive = false;
+      this.hashingController = null;
+      externalSignal?.removeEventListener('abort', onExternalAbort);
+    }
+    
+    if (signal.aborted) {
+      const error = new Error('Duplicate detection cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+    
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Cancel hashing started by findDuplicates
+   */
+  cancelHashing() {
+    if (!this.hashingController) return false;
+    
+    console.log('🛑 Cancelling photo hashing');
+    this.hashingController.abort();
+    return true;
+  }
+
+  /**
+   * Add a matching pair to the group holding either photo, or a new group
+   */
+  addToDuplicateGroup(duplicateGroups, hashData1, hashData2, similarity) {
+    const groupKey = this.findOrCreateDuplicateGroup(duplicateGroups, hashData1.photoId, hashData2.photoId);
+    
+    if (!duplicateGroups.has(groupKey)) {
+      duplicateGroups.set(groupKey, {
+        groupId: groupKey,
+        photos: [],
+        duplicateType: similarity.isDuplicate ? 'exact' : 'near',
+        similarity: similarity,
+        bestPhoto: null
+      });
+    }
+    
+    const group = duplicateGroups.get(groupKey);
+    if (!group.photos.find(p => p.photoId === hashData1.photoId)) {
+      group.photos.push(hashData1);
+    }
+    if (!group.photos.find(p => p.photoId === hashData2.photoId)) {
+      group.photos.push(hashData2);
+    }
+  }
+
+  /**
+   * Crop pass of findDuplicates. Each photo is searched against the next
+   * candidateLimit photos in capture order, which keeps it linear.
+   * @returns {Promise<number>} Number of pairs compared
+   */
+  async findCropDuplicates(hashedPhotos, duplicateGroups, signal = null) {
+    const { candidateLimit } = this.config.advanced.cropMatching;
+    const photos = hashedPhotos
+      .filter(hashData => hashData.cropSignature)
+      .sort((a, b) => new Date(a.characteristics.timestamp || 0) - new Date(b.characteristics.timestamp || 0));
+    
+    const grouped = new Set();
+    duplicateGroups.forEach(group => group.photos.forEach(photo => grouped.add(photo.photoId)));
+    
+    let comparisons = 0;
+    const searches = photos.map((hashData, i) => {
+      const candidates = photos.slice(i + 1, i + 1 + candidateLimit)
+        .filter(candidate => !(grouped.has(hashData.photoId) && grouped.has(candidate.photoId)));
+      comparisons += candidates.length;
+      
+      return this.searchForCrops(hashData, candidates.map(candidate => ({
+        id: candidate.photoId,
+        signature: candidate.cropSignature
+      })), signal).then(matches => ({ hashData, matches }));
+    });
+    
+    const byId = new Map(photos.map(hashData => [hashData.photoId, hashData]));
+    for (const { hashData, matches } of await Promise.all(searches)) {
+      for (const cropMatch of matches) {
+        this.addToDuplicateGroup(duplicateGroups, hashData, byId.get(cropMatch.id), this.createCropSimilarity(cropMatch));
+      }
+    }
+    
+    return comparisons;
+  }
+
+  /**
+   * Look for crops between one photo and a list of others - on the worker pool when enabled
+   * @param {object} hashData - Photo hash data with an encoded cropSignature
+   * @param {Array<{id: string, signature: object}>} candidates - Encoded crop signatures
+   */
+  async searchForCrops(hashData, candidates, signal = null) {
+    if (!hashData.cropSignature || candidates.length === 0) return [];
+    
+    const query = decodeCropSignature(hashData.cropSignature);
+    const decoded = candidates.map(({ id, signature }) => ({ id, signature: decodeCropSignature(signature) }));
+    const options = this.config.advanced.cropMatching;
+    
+    if (!this.workerPool) {
+      return findCropMatches(query, decoded, options);
+    }
+    return await this.workerPool.run('cropMatch', { query, candidates: decoded, options }, {
+      timeout: this.config.performance.hashTimeout,
+      signal
+    });
+  }
+
+  /**
+   * Similarity record for a crop match, shaped like calculateSimilarity's.
+   * Crops only ever count as near duplicates.
+   */
+  createCropSimilarity(cropMatch) {
+    return {
+      overallSimilarity: cropMatch.match.score,
+      averageDistance: this.config.thresholds.nearDuplicate,
+      algorithmSimilarities: {},
+      isDuplicate: false,
+      isNearDuplicate: true,
+      isSimilar: true,
+      transform: 'crop',
+      cropMatch: {
+        direction: cropMatch.direction,
+        score: cropMatch.match.score,
+        scale: cropMatch.match.scale,
+        region: cropMatch.match.region
+      },
+      advancedChecks: { possibleCrop: true, possibleRotation: false, possibleResize: false },
+      confidence: cropMatch.match.score
+    };
+  }
+
+  /**
+   * Candidate ids for a photo, searching with its rotated and mirrored hashes too
+   */
+  searchHashIndex(index, hashData, excludeId = undefined) {
+    const radius = this.config.thresholds.nearDuplicate;
+    const ids = new Set();
+    
+    for (const hashes of [hashData.hashes, ...Object.values(hashData.variants || {})]) {
+      index.search(hashes, radius, { excludeId }).forEach(candidate => ids.add(candidate.id));
+    }
+    return Array.from(ids);
+  }
+
+  /**
+   * Similarity allowing for rotation and mirroring: the first photo's
+   * rotated/mirrored hashes are tried when the photos do not match as-is.
+   * similarity.transform names the transform that matched ('none' if none was needed).
+   */
+  calculateTransformSimilarity(hashData1, hashData2) {
+    let best = { ...this.calculateSimilarity(hashData1, hashData2), transform: 'none' };
+    if (best.isNearDuplicate) return best;
+    
+    for (const [transform, hashes] of Object.entries(hashData1.variants || {})) {
+      const similarity = this.calculateSimilarity({ ...hashData1, hashes }, hashData2);
+      if (similarity.averageDistance < best.averageDistance) {
+        best = { ...similarity, transform };
+      }
+    }
+    
+    if (best.transform !== 'none' && best.advancedChecks) {
+      best.advancedChecks.possibleRotation = best.transform.startsWith('rot');
+      best.advancedChecks.possibleMirror = !best.transform.startsWith('rot');
+    }
+    return best;
+  }
+
+  /**
+   * Hash index over the enabled algorithms. Searching it within the
+   * near-duplicate threshold on every algorithm finds every pair whose
+   * weighted distance is within that threshold.
+   */
+  createHashIndex() {
+    const algorithms = Object.keys(this.config.algorithms)
+      .filter(algorithm => this.config.algorithms[algorithm].enabled);
+    return new HashIndex({ algorithms });
+  }
+
+  /**
+   * Check one new photo against every photo seen before, then index it.
+   * Used by RealMediaMonitor as photos arrive instead of a full rescan.
+   * Rotated, mirrored and cropped copies match too; similarity.transform says which.
+   * @param {{signal?: AbortSignal, indexedSince?: number}} options - indexedSince (ms)
+   *   limits matches to photos indexed at or after that time
+   * @returns {Promise<{photoId: string, isDuplicate: boolean, duplicateType: string|null,
+   *   matches: Array<{photoId: string, filename: string, eventId: string, similarity: object}>,
+   *   hashQuality: string}>}
+   */
+  async checkPhotoForDuplicates(photoData, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('PhotoDeduplicationService not initialized');
+    }
+
+    const hashData = await this.generatePerceptualHash(photoData, options);
+    const ownKey = recordKey(hashData.eventId, hashData.photoId);
+    const inScope = key => {
+      const data = this.hashIndex.get(key);
+      if (this.config.index.sameEventOnly && (data?.eventId || null) !== hashData.eventId) return false;
+      return options.indexedSince == null || (data?.indexedAt || 0) >= options.indexedSince;
+    };
+
+    const matches = [];
+    for (const key of this.searchHashIndex(this.hashIndex, hashData, ownKey).filter(inScope)) {
+      const { eventId, photoId } = this.hashIndex.get(key);
+      const indexed = this.getStoredHashData(eventId, photoId);
+      if (!indexed) continue;
+
+      const similarity = this.calculateTransformSimilarity(hashData, indexed);
+      if (similarity.isDuplicate || similarity.isNearDuplicate) {
+        matches.push({ photoId, filename: indexed.filename, eventId, similarity: similarity });
+      }
+    }
+
+    // Crop search against the most recently indexed photos not already matched
+    if (this.config.advanced.cropDetection && hashData.cropSignature) {
+      const matched = new Set(matches.map(match => recordKey(match.eventId, match.photoId)));
+      const candidates = this.hashIndex.ids().reverse()
+        .filter(key => key !== ownKey && !matched.has(key) && inScope(key) && this.hashIndex.get(key)?.cropSignature)
+        .slice(0, this.config.advanced.cropMatching.candidateLimit)
+        .map(key => ({ id: key, signature: this.hashIndex.get(key).cropSignature }));
+
+      for (const cropMatch of await this.searchForCrops(hashData, candidates, options.signal)) {
+        const data = this.hashIndex.get(cropMatch.id);
+        matches.push({
+          photoId: data.photoId,
+          filename: data.filename,
+          eventId: data.eventId,
+          similarity: this.createCropSimilarity(cropMatch)
+        });
+      }
+    }
+    matches.sort((a, b) => a.similarity.averageDistance - b.similarity.averageDistance ||
+      b.similarity.overallSimilarity - a.similarity.overallSimilarity);
+
+    this.indexPhoto(hashData);
+
+    if (matches.length > 0) {
+      console.log(`🔁 ${photoData.filename} matches ${matches.length} earlier photo(s), closest: ${matches[0].filename}`);
+    }
+
+    return {
+      photoId: hashData.photoId,
+      isDuplicate: matches.length > 0,
+      duplicateType: matches.length === 0 ? null :
+        matches[0].similarity.isDuplicate ? 'exact' : 'near',
+      matches: matches,
+      hashQuality: hashData.hashQuality
+    };
+  }
+
+  /**
+   * Add a hashed photo to the index and the photo hash store
+   */
+  indexPhoto(hashData) {
+    if (!this.hashIndex) return;
+
+    const eventId = hashData.eventId || null;
+    const indexedAt = Date.now();
+    this.addToHashIndex(recordKey(eventId, hashData.photoId), hashData.hashes, {
+      photoId: hashData.photoId,
+      eventId: eventId,
+      filename: hashData.filename,
+      cropSignature: hashData.cropSignature || null,
+      indexedAt: indexedAt
+    });
+
+    if (this.config.index.persist) {
+      this.hashStore.put({
+        eventId: eventId,
+        assetId: hashData.photoId,
+        filename: hashData.filename,
+        thumbnailUrl: hashData.thumbnailUrl || null,
+        hashes: this.serializeHashes(hashData.hashes),
+        variants: Object.fromEntries(Object.entries(hashData.variants || {})
+          .map(([transform, hashes]) => [transform, this.serializeHashes(hashes)])),
+        cropSignature: hashData.cropSignature || null,
+        characteristics: hashData.characteristics,
+        hashQuality: hashData.hashQuality,
+        indexedAt: indexedAt
+      });
+    }
+  }
+
+  /**
+   * Add to the in-memory index, dropping the oldest entries beyond maxEntries
+   */
+  addToHashIndex(key, hashes, data) {
+    this.hashIndex.add(key, hashes, data);
+
+    const overflow = this.hashIndex.size - this.config.index.maxEntries;
+    if (overflow > 0) {
+      this.hashIndex.ids().slice(0, overflow).forEach(id => this.hashIndex.remove(id));
+    }
+  }
+
+  /**
+   * Hash objects as stored: algorithm -> { hash (hex), quality }
+   */
+  serializeHashes(hashes) {
+    const stored = {};
+    for (const [algorithm, hash] of Object.entries(hashes || {})) {
+      if (hash) stored[algorithm] = { hash: hash.hash, quality: hash.quality };
+    }
+    return stored;
+  }
+
+  restoreHashes(stored) {
+    const hashes = {};
+    for (const [algorithm, { hash, quality }] of Object.entries(stored || {})) {
+      hashes[algorithm] = { algorithm, hash, binary: hexToBinary(hash), bits: 64, quality };
+    }
+    return hashes;
+  }
+
+  /**
+   * Rebuild the hash data calculateSimilarity expects from the photo hash store
+   * @returns {object|null} null when the photo has no stored perceptual hashes
+   */
+  getStoredHashData(eventId, photoId) {
+    const record = this.hashStore.get(eventId, photoId);
+    if (!record?.hashes) return null;
+
+    return {
+      photoId: photoId,
+      eventId: record.eventId,
+      filename: record.filename,
+      thumbnailUrl: record.thumbnailUrl || null,
+      timestamp: new Date(record.indexedAt || record.updatedAt),
+      hashes: this.restoreHashes(record.hashes),
+      variants: Object.fromEntries(Object.entries(record.variants || {})
+        .map(([transform, hashes]) => [transform, this.restoreHashes(hashes)])),
+      cropSignature: record.cropSignature || null,
+      characteristics: record.characteristics || {},
+      processingTime: 0,
+      hashQuality: record.hashQuality
+    };
+  }
+
+  /**
+   * Build the index from the photo hash store, newest photos last
+   */
+  async loadHashIndex() {
+    this.hashIndex = this.createHashIndex();
+    if (!this.config.index.persist) return;
+
+    try {
+      await this.hashStore.initialize();
+
+      for (const record of this.hashStore.getAll()) {
+        if (!record.hashes) continue;
+        this.addToHashIndex(record.key, Object.fromEntries(Object.entries(record.hashes)
+          .map(([algorithm, hash]) => [algorithm, hash.hash])), {
+          photoId: record.assetId,
+          eventId: record.eventId,
+          filename: record.filename,
+          cropSignature: record.cropSignature || null,
+          indexedAt: record.indexedAt || null
+        });
+      }
+      console.log(`💾 Restored hash index with ${this.hashIndex.size} photos`);
+    } catch (error) {
+      console.error('Error loading hash index:', error);
+    }
+  }
+
+  /**
+   * Forget every photo this device hashed (server upload records are kept)
+   */
+  clearHashIndex() {
+    for (const key of this.hashIndex?.ids() || []) {
+      const { eventId, photoId } = this.hashIndex.get(key);
+      if (this.hashStore.get(eventId, photoId)?.uploaded) {
+        this.hashStore.put({ eventId, assetId: photoId, hashes: null, variants: null, cropSignature: null });
+      } else {
+        this.hashStore.remove(eventId, photoId);
+      }
+    }
+    this.hashIndex?.clear();
+    this.hashDatabase.clear();
+    console.log('🧹 Hash index cleared');
+  }
+
   /**
    * Calculate similarity between two photo hashes
    */
@@ -528,17 +1108,7 @@ export class PhotoDeduplicationService {
    * Calculate Hamming distance between two binary strings
    */
   calculateHammingDistance(binary1, binary2) {
-    if (binary1.length !== binary2.length) {
-      return Math.max(binary1.length, binary2.length);
-    }
-    
-    let distance = 0;
-    for (let i = 0; i < binary1.length; i++) {
-      if (binary1[i] !== binary2[i]) {
-        distance++;
-      }
-    }
-    return distance;
+    return hammingDistance(binary1, binary2);
   }
 
   /**
@@ -700,11 +1270,27 @@ export class PhotoDeduplicationService {
   }
 
   /**
-   * Calculate potential space saved by removing duplicates
+   * Space saved by the copies the user rejected in duplicate review
+   * @param {Map|Array} duplicateGroups
    */
   calculateSpaceSaved(duplicateGroups) {
     let spaceSaved = 0;
     
+    for (const group of duplicateGroups.values()) {
+      spaceSaved += group.photos
+        .filter(photo => this.getDuplicateDecision(photo.eventId, photo.photoId)?.action === 'reject')
+        .reduce((sum, photo) => sum + (photo.characteristics.fileSize || 0), 0);
+    }
+    
+    return spaceSaved;
+  }
+
+  /**
+   * Space that would be saved by keeping only the recommended photo of each group
+   */
+  calculatePotentialSpaceSaved(duplicateGroups) {
+    let spaceSaved = 0;
+    
     for (const group of duplicateGroups.values()) {
       if (group.photos.length > 1) {
         const bestPhoto = group.bestPhoto;
@@ -718,17 +1304,289 @@ export class PhotoDeduplicationService {
     return spaceSaved;
   }
 
+  /**
+   * Add groups from a findDuplicates run to the review list. Earlier groups
+   * sharing a photo are replaced - the new run saw the photos together.
+   */
+  registerReviewGroups(duplicateGroups) {
+    for (const group of duplicateGroups.values()) {
+      const photoKeys = new Set(group.photos.map(photo => recordKey(photo.eventId, photo.photoId)));
+      for (const [groupId, existing] of this.duplicateGroups) {
+        if (existing.photos.some(photo => photoKeys.has(recordKey(photo.eventId, photo.photoId)))) {
+          this.duplicateGroups.delete(groupId);
+        }
+      }
+      group.foundAt = new Date();
+      this.duplicateGroups.set(group.groupId, group);
+    }
+
+    const overflow = this.duplicateGroups.size - this.config.duplicateHandling.maxReviewGroups;
+    if (overflow > 0) {
+      Array.from(this.duplicateGroups.values())
+        .sort((a, b) => a.foundAt - b.foundAt)
+        .slice(0, overflow)
+        .forEach(group => this.duplicateGroups.delete(group.groupId));
+    }
+    this.saveReviewGroups();
+  }
+
+  /**
+   * Duplicate groups for the review UI, most recently found first
+   * @param {{eventId?: string, status?: 'pending'|'resolved'}} filter
+   * @returns {{groups: Array<object>, pending: number, resolved: number,
+   *   spaceSaved: number, potentialSpaceSaved: number}}
+   */
+  getDuplicateReview(filter = {}) {
+    const groups = Array.from(this.duplicateGroups.values())
+      .filter(group => !filter.eventId || group.photos.some(photo => photo.eventId === filter.eventId))
+      .sort((a, b) => b.foundAt - a.foundAt)
+      .map(group => this.formatReviewGroup(group))
+      .filter(review => !filter.status || review.status === filter.status);
+
+    return {
+      groups: groups,
+      pending: groups.filter(review => review.status === 'pending').length,
+      resolved: groups.filter(review => review.status === 'resolved').length,
+      spaceSaved: groups.reduce((sum, review) => sum + review.spaceSaved, 0),
+      potentialSpaceSaved: groups.reduce((sum, review) => sum + review.potentialSpaceSaved, 0)
+    };
+  }
+
+  getReviewGroup(groupId) {
+    const group = this.duplicateGroups.get(groupId);
+    return group ? this.formatReviewGroup(group) : null;
+  }
+
+  /**
+   * One group as the review UI shows it. A group is resolved once every
+   * photo in it has a decision - a photo found later reopens it.
+   */
+  formatReviewGroup(group) {
+    const recommendedId = group.bestPhoto?.photoId || null;
+    const photos = group.photos.map(photo => {
+      const decision = this.getDuplicateDecision(photo.eventId, photo.photoId);
+      return {
+        photoId: photo.photoId,
+        eventId: photo.eventId || null,
+        filename: photo.filename,
+        thumbnailUrl: photo.thumbnailUrl || null,
+        cropSignature: photo.cropSignature || null,
+        fileSize: photo.characteristics?.fileSize || 0,
+        dimensions: photo.characteristics?.dimensions || null,
+        timestamp: photo.characteristics?.timestamp || null,
+        recommended: photo.photoId === recommendedId,
+        decision: decision?.action || null
+      };
+    });
+    const resolved = photos.every(photo => photo.decision);
+
+    return {
+      groupId: group.groupId,
+      duplicateType: group.duplicateType,
+      transform: group.similarity?.transform || 'none',
+      status: resolved ? 'resolved' : 'pending',
+      recommendedPhotoId: recommendedId,
+      keepPhotoIds: photos.filter(photo => photo.decision === 'keep').map(photo => photo.photoId),
+      overridden: photos.some(photo => photo.decision && (photo.decision === 'keep') !== photo.recommended),
+      photos: photos,
+      spaceSaved: photos.filter(photo => photo.decision === 'reject').reduce((sum, photo) => sum + photo.fileSize, 0),
+      potentialSpaceSaved: photos.filter(photo => !photo.recommended).reduce((sum, photo) => sum + photo.fileSize, 0)
+    };
+  }
+
+  /**
+   * Record the user's choice for a group: keep the given photos, reject the rest
+   * @param {string} groupId
+   * @param {Array<string>|null} keepPhotoIds - Defaults to the recommended photo
+   * @returns {object} The updated review group
+   */
+  resolveDuplicateGroup(groupId, keepPhotoIds = null) {
+    const group = this.duplicateGroups.get(groupId);
+    if (!group) {
+      throw new Error(`Unknown duplicate group: ${groupId}`);
+    }
+
+    const recommendedId = group.bestPhoto?.photoId || null;
+    const keep = new Set(keepPhotoIds?.length ? keepPhotoIds : [recommendedId]);
+    const unknown = Array.from(keep).filter(id => !group.photos.some(photo => photo.photoId === id));
+    if (unknown.length > 0) {
+      throw new Error(`Not in duplicate group ${groupId}: ${unknown.join(', ')}`);
+    }
+
+    const spaceSavedBefore = this.formatReviewGroup(group).spaceSaved;
+    const decidedAt = new Date().toISOString();
+
+    for (const photo of group.photos) {
+      const action = keep.has(photo.photoId) ? 'keep' : 'reject';
+      this.reviewDecisions.set(recordKey(photo.eventId, photo.photoId), {
+        photoId: photo.photoId,
+        eventId: photo.eventId || null,
+        groupId: groupId,
+        action: action,
+        recommended: photo.photoId === recommendedId,
+        fileSize: photo.characteristics?.fileSize || 0,
+        decidedAt: decidedAt
+      });
+      this.applyUploadDecision(photo, action, groupId);
+      this.recordReviewDecision(photo, action, group, recommendedId);
+    }
+    this.saveReviewDecisions();
+
+    const review = this.formatReviewGroup(group);
+    this.deduplicationStats.set('spacesSaved',
+      this.deduplicationStats.get('spacesSaved') + review.spaceSaved - spaceSavedBefore);
+
+    console.log(`🗂️ Duplicate group ${groupId}: keeping ${review.keepPhotoIds.join(', ')}` +
+      `${review.overridden ? ' (overrides recommendation)' : ''}, saves ${(review.spaceSaved / 1024 / 1024).toFixed(1)}MB`);
+    return review;
+  }
+
+  /**
+   * Resolve every pending group with its recommended photo
+   * @returns {Array<object>} The resolved review groups
+   */
+  acceptRecommendations(filter = {}) {
+    return this.getDuplicateReview({ ...filter, status: 'pending' }).groups
+      .map(review => this.resolveDuplicateGroup(review.groupId));
+  }
+
+  /**
+   * Forget the decisions for a group and allow its photos to upload again
+   */
+  reopenDuplicateGroup(groupId) {
+    const group = this.duplicateGroups.get(groupId);
+    if (!group) return null;
+
+    const spaceSavedBefore = this.formatReviewGroup(group).spaceSaved;
+    for (const photo of group.photos) {
+      this.reviewDecisions.delete(recordKey(photo.eventId, photo.photoId));
+      this.applyUploadDecision(photo, 'keep', groupId);
+    }
+    this.saveReviewDecisions();
+    this.deduplicationStats.set('spacesSaved', this.deduplicationStats.get('spacesSaved') - spaceSavedBefore);
+
+    return this.formatReviewGroup(group);
+  }
+
+  getDuplicateDecision(eventId, photoId) {
+    return this.reviewDecisions.get(recordKey(eventId, photoId)) || null;
+  }
+
+  /**
+   * Photos to keep from a group: the user's choice, or the recommendation
+   * while the group is still pending
+   */
+  getGroupKeepers(group) {
+    const kept = group.photos
+      .filter(photo => this.getDuplicateDecision(photo.eventId, photo.photoId)?.action === 'keep')
+      .map(photo => photo.photoId);
+    const undecided = group.photos.some(photo => !this.getDuplicateDecision(photo.eventId, photo.photoId));
+
+    return undecided && group.bestPhoto ? [...new Set([...kept, group.bestPhoto.photoId])] : kept;
+  }
+
+  /**
+   * Add the user's choice to the photo's decision history (photoDecisionLog.js)
+   */
+  recordReviewDecision(photo, action, group, recommendedId) {
+    const recommended = group.photos.find(candidate => candidate.photoId === recommendedId);
+    const message = action === 'keep' ?
+      `kept in duplicate review${photo.photoId === recommendedId ? ' (recommended copy)' : ''}` :
+      `rejected in duplicate review as a copy of ${recommended?.filename || recommendedId}`;
+
+    photoDecisionLog.record({
+      id: photo.photoId,
+      filename: photo.filename,
+      eventId: photo.eventId,
+      fileSize: photo.characteristics?.fileSize
+    }, {
+      stage: 'duplicateReview',
+      decision: action === 'keep' ? 'include' : 'exclude',
+      reasons: [createDecisionReason('duplicateReview.choice', action, null, message, action === 'keep')]
+    });
+  }
+
+  /**
+   * Rejected copies must not be uploaded by any upload service
+   */
+  applyUploadDecision(photo, action, groupId) {
+    if (!this.config.duplicateHandling.suppressRejectedUploads || !photo.eventId) return;
+
+    const target = { eventId: photo.eventId, photoKey: photo.photoId };
+    if (action === 'reject') {
+      uploadEngine.suppress(target, 'duplicate_rejected', { groupId });
+    } else {
+      uploadEngine.unsuppress(target);
+    }
+  }
+
+  loadReviewDecisions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.duplicateHandling.decisionStorageKey) || '[]');
+      stored.forEach(decision => this.reviewDecisions.set(recordKey(decision.eventId, decision.photoId), decision));
+    } catch (error) {
+      console.error('Error loading duplicate review decisions:', error);
+    }
+  }
+
+  /**
+   * Review groups are stored without their hashes - only what the review needs
+   */
+  saveReviewGroups() {
+    try {
+      const groups = Array.from(this.duplicateGroups.values()).map(group => ({
+        groupId: group.groupId,
+        duplicateType: group.duplicateType,
+        transform: group.similarity?.transform || 'none',
+        bestPhotoId: group.bestPhoto?.photoId || null,
+        foundAt: group.foundAt,
+        photos: group.photos.map(photo => ({
+          photoId: photo.photoId,
+          eventId: photo.eventId || null,
+          filename: photo.filename,
+          thumbnailUrl: photo.thumbnailUrl || null,
+          cropSignature: photo.cropSignature || null,
+          characteristics: photo.characteristics || {}
+        }))
+      }));
+      localStorage.setItem(this.config.duplicateHandling.reviewStorageKey, JSON.stringify(groups));
+    } catch (error) {
+      console.error('Error saving duplicate review groups:', error);
+    }
+  }
+
+  loadReviewGroups() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.duplicateHandling.reviewStorageKey) || '[]');
+      for (const group of stored) {
+        this.duplicateGroups.set(group.groupId, {
+          groupId: group.groupId,
+          duplicateType: group.duplicateType,
+          similarity: { transform: group.transform },
+          photos: group.photos,
+          bestPhoto: group.photos.find(photo => photo.photoId === group.bestPhotoId) || null,
+          foundAt: new Date(group.foundAt)
+        });
+      }
+    } catch (error) {
+      console.error('Error loading duplicate review groups:', error);
+    }
+  }
+
+  saveReviewDecisions() {
+    try {
+      localStorage.setItem(this.config.duplicateHandling.decisionStorageKey,
+        JSON.stringify(Array.from(this.reviewDecisions.values())));
+    } catch (error) {
+      console.error('Error saving duplicate review decisions:', error);
+    }
+  }
+
   /**
    * Convert binary string to hexadecimal
    */
   binaryToHex(binary) {
-    let hex = '';
-    for (let i = 0; i < binary.length; i += 4) {
-      const chunk = binary.substr(i, 4);
-      const decimal = parseInt(chunk, 2);
-      hex += decimal.toString(16);
-    }
-    return hex;
+    return binaryToHex(binary);
   }
 
   /**
@@ -756,9 +1614,6 @@ export class PhotoDeduplicationService {
     this.deduplicationStats.set('nearDuplicatesFound',
       this.deduplicationStats.get('nearDuplicatesFound') + results.nearDuplicates);
     
-    this.deduplicationStats.set('spacesSaved',
-      this.deduplicationStats.get('spacesSaved') + results.potentialSpaceSaved);
-    
     const times = this.deduplicationStats.get('processingTime');
     times.push(results.processingTime);
     if (times.length > 20) times.shift();
@@ -809,37 +1664,37 @@ export class PhotoDeduplicationService {
         throw new Error('PhotoDeduplicationService not initialized');
       }
 
-      // Create test photos with some duplicates
+      // Golden photos plus resized, recompressed, rotated and cropped copies of the first one
+      const [original, different] = createGoldenCorpus();
+      const toPhoto = (id, image, offsetMs) => ({
+        id: id,
+        filename: `${image.name}.jpg`,
+        fileSize: image.width * image.height * 3,
+        mimeType: 'image/jpeg',
+        dimensions: { width: image.width, height: image.height },
+        imageData: image,
+        createdAt: new Date(Date.now() + offsetMs)
+      });
+      
       const testPhotos = [
-        {
-          id: 'test_1',
-          filename: 'photo1.jpg',
-          fileSize: 2400000,
-          mimeType: 'image/jpeg',
-          dimensions: { width: 4032, height: 3024 },
-          createdAt: new Date()
-        },
-        {
-          id: 'test_2', 
-          filename: 'photo2.jpg',
-          fileSize: 2400000, // Same as photo1 (potential duplicate)
-          mimeType: 'image/jpeg',
-          dimensions: { width: 4032, height: 3024 },
-          createdAt: new Date(Date.now() + 1000)
-        },
-        {
-          id: 'test_3',
-          filename: 'photo3.jpg',
-          fileSize: 1800000,
-          mimeType: 'image/jpeg',
-          dimensions: { width: 3024, height: 4032 },
-          createdAt: new Date(Date.now() + 2000)
-        }
+        toPhoto('test_1', original, 0),
+        toPhoto('test_2', resizeImage(original, original.width / 2, original.height / 2), 1000),
+        toPhoto('test_3', simulateRecompression(original), 2000),
+        toPhoto('test_4', different, 3000),
+        toPhoto('test_5', transformRgbaImage(original, 'rot90'), 4000),
+        toPhoto('test_6', cropImage(original, 40, 30, 200, 150), 5000)
       ];
 
       const results = await this.findDuplicates(testPhotos, (progress, status) => {
         console.log(`   📊 ${progress.toFixed(0)}% - ${status}`);
-      });
+      }, { remember: false });
+
+      // test_4 is a different photo, all the others are one
+      const group = results.duplicateGroups.find(g => g.photos.some(p => p.photoId === 'test_1'));
+      const grouped = group ? group.photos.map(p => p.photoId).sort().join(',') : '';
+      if (results.duplicateGroups.length !== 1 || grouped !== 'test_1,test_2,test_3,test_5,test_6') {
+        throw new Error(`Expected one group of test_1-3, 5 and 6, got ${results.duplicateGroups.length} groups (${grouped || 'none'})`);
+      }
 
       console.log('✅ Photo deduplication test completed');
       console.log(`   📊 Processed ${results.totalPhotos} photos`);
@@ -856,6 +1711,179 @@ export class PhotoDeduplicationService {
     }
   }
 
+  /**
+   * Check the hash algorithms against the golden-image corpus:
+   * every photo must hash to its golden value on repeated runs, and
+   * resized and recompressed copies must stay within the near-duplicate
+   * threshold while different photos must not. Rotated and mirrored copies
+   * must match through their transform hashes, and crops (including a 4:1
+   * header strip) through their crop signatures.
+   * @returns {Promise<{passed: boolean, checks: number, failures: string[]}>}
+   */
+  async testHashingCorpus() {
+    console.log('🧪 Testing perceptual hashes against the golden corpus...');
+    
+    const failures = [];
+    let checks = 0;
+    const threshold = this.config.thresholds.nearDuplicate;
+    const hashRaw = image => this.hashGrayscaleImage({
+      pixels: toGrayscale(image.data, image.width, image.height),
+      width: image.width,
+      height: image.height
+    });
+    
+    const corpus = createGoldenCorpus();
+    const corpusHashes = [];
+    
+    for (const image of corpus) {
+      const first = hashRaw(image);
+      const second = hashRaw(image);
+      corpusHashes.push({ name: image.name, hashes: first });
+      
+      for (const [algorithm, hash] of Object.entries(first)) {
+        checks++;
+        if (hash.binary !== second[algorithm].binary) {
+          failures.push(`${image.name} ${algorithm}: not stable between runs`);
+        }
+        
+        checks++;
+        const golden = GOLDEN_HASHES[image.name]?.[algorithm];
+        if (golden && hash.hash !== golden) {
+          failures.push(`${image.name} ${algorithm}: ${hash.hash} != golden ${golden}`);
+        }
+      }
+      
+      const variants = [
+        resizeImage(image, image.width / 2, image.height / 2),
+        resizeImage(image, Math.round(image.width * 0.3), Math.round(image.height * 0.3)),
+        simulateRecompression(image)
+      ];
+      const jpeg = await this.recompressAsJpeg(image, 0.6);
+      if (jpeg) variants.push(jpeg);
+      
+      for (const variant of variants) {
+        const variantHashes = hashRaw(variant);
+        for (const [algorithm, hash] of Object.entries(first)) {
+          checks++;
+          const distance = this.calculateHammingDistance(hash.binary, variantHashes[algorithm].binary);
+          if (distance > threshold) {
+            failures.push(`${variant.name} ${algorithm}: distance ${distance} > ${threshold}`);
+          }
+        }
+      }
+    }
+    
+    // Different photos must not be reported as near duplicates
+    for (let i = 0; i < corpusHashes.length; i++) {
+      for (let j = i + 1; j < corpusHashes.length; j++) {
+        checks++;
+        const similarity = this.calculateSimilarity(
+          { hashes: corpusHashes[i].hashes, characteristics: {} },
+          { hashes: corpusHashes[j].hashes, characteristics: {} }
+        );
+        if (similarity.isNearDuplicate) {
+          failures.push(`${corpusHashes[i].name} vs ${corpusHashes[j].name}: reported as near duplicates ` +
+            `(distance ${similarity.averageDistance.toFixed(1)})`);
+        }
+      }
+    }
+    
+    // Rotated, mirrored and cropped copies
+    const features = image => {
+      const gray = {
+        pixels: toGrayscale(image.data, image.width, image.height),
+        width: image.width,
+        height: image.height
+      };
+      const variants = {};
+      for (const transform of this.getHashTransforms()) {
+        variants[transform] = this.hashGrayscaleImage(transformImage(gray.pixels, gray.width, gray.height, transform));
+      }
+      return {
+        hashes: this.hashGrayscaleImage(gray),
+        variants: variants,
+        characteristics: {},
+        cropSignature: createCropSignature(gray.pixels, gray.width, gray.height)
+      };
+    };
+    const cropOptions = this.config.advanced.cropMatching;
+    const cropSignatures = [];
+    
+    for (const image of corpus) {
+      const original = features(image);
+      
+      for (const transform of this.getHashTransforms()) {
+        checks++;
+        const copy = transformRgbaImage(simulateRecompression(image), transform);
+        const similarity = this.calculateTransformSimilarity(features(copy), original);
+        if (!similarity.isNearDuplicate) {
+          failures.push(`${copy.name}: not matched (distance ${similarity.averageDistance.toFixed(1)})`);
+        }
+      }
+      
+      cropSignatures.push({ id: image.name, signature: original.cropSignature });
+      
+      const { width, height } = image;
+      const crops = [
+        cropImage(image, Math.round(width * 0.1), Math.round(height * 0.15), Math.round(width * 0.6), Math.round(height * 0.6))
+      ];
+      if (width > height) {
+        // A 4:1 event header cut from a landscape photo, then downscaled
+        crops.push(resizeImage(cropImage(image, 0, Math.round(height * 0.3), width, Math.round(width / 4)), width / 2, width / 8));
+      }
+      for (const crop of crops) {
+        checks++;
+        const [match] = findCropMatches(features(crop).cropSignature, [{ id: image.name, signature: original.cropSignature }], cropOptions);
+        if (match?.direction !== 'queryIsCrop') {
+          failures.push(`${crop.name}: not recognised as a crop of ${image.name}`);
+        }
+      }
+    }
+    
+    // ...and different photos must not look like crops of each other
+    for (const { id, signature } of cropSignatures) {
+      checks++;
+      const matches = findCropMatches(signature, cropSignatures.filter(other => other.id !== id), cropOptions);
+      if (matches.length > 0) {
+        failures.push(`${id}: reported as a crop of ${matches[0].id} (score ${matches[0].match.score.toFixed(2)})`);
+      }
+    }
+    
+    const passed = failures.length === 0;
+    if (passed) {
+      console.log(`✅ Golden corpus: ${checks} checks passed`);
+    } else {
+      console.error(`❌ Golden corpus: ${failures.length}/${checks} checks failed`);
+      failures.forEach(failure => console.error(`   ${failure}`));
+    }
+    
+    return { passed, checks, failures };
+  }
+
+  /**
+   * Round-trip an RGBA image through the platform JPEG encoder
+   * @returns {Promise<object|null>} Decoded image, or null without canvas support
+   */
+  async recompressAsJpeg(image, quality) {
+    if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') {
+      return null;
+    }
+    
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+    
+    const bitmap = await createImageBitmap(blob);
+    try {
+      const context = this.createCanvasContext(image.width, image.height);
+      context.drawImage(bitmap, 0, 0);
+      const { data } = context.getImageData(0, 0, image.width, image.height);
+      return { name: `${image.name}~jpeg${quality}`, width: image.width, height: image.height, data };
+    } finally {
+      bitmap.close();
+    }
+  }
+
   /**
    * Get service status
    */
@@ -866,13 +1894,16 @@ export class PhotoDeduplicationService {
       config: this.config,
       stats: this.getDeduplicationStats(),
       hashDatabaseSize: this.hashDatabase.size,
+      hashIndexSize: this.hashIndex?.size || 0,
+      hashStore: this.hashStore.getStatus(),
       duplicateGroupsSize: this.duplicateGroups.size,
       capabilities: {
         algorithms: Object.keys(this.config.algorithms).filter(
           alg => this.config.algorithms[alg].enabled),
         advancedDetection: this.config.advanced,
         batchProcessing: true,
-        webWorkerSupport: typeof Worker !== 'undefined'
+        webWorkerSupport: typeof Worker !== 'undefined',
+        workerPool: this.workerPool?.getStatus() || null
       }
     };
   }
@@ -884,6 +1915,8 @@ export class PhotoDeduplicationService {
     try {
       console.log('🧹 Cleaning up PhotoDeduplicationService...');
       
+      this.cancelHashing();
+      this.hashStore.flush().catch(error => console.error('Error saving photo hashes:', error));
       this.clearCache();
       this.deduplicationStats.clear();
       this.processingQueue = [];
@@ -901,13 +1934,33 @@ export class PhotoDeduplicationService {
 // Export singleton instance
 export const photoDeduplicationService = new PhotoDeduplicationService();
 
+// Classic-script services (BackgroundUploadService, BatchPhotoProcessingService) and
+// the duplicate review panel read it from window
+window.photoDeduplicationService = photoDeduplicationService;
+
 // Export convenience functions
 export async function initializePhotoDeduplication() {
   return await photoDeduplicationService.initialize();
 }
 
-export async function findPhotoDuplicates(photoList, progressCallback = null) {
-  return await photoDeduplicationService.findDuplicates(photoList, progressCallback);
+export async function findPhotoDuplicates(photoList, progressCallback = null, options = {}) {
+  return await photoDeduplicationService.findDuplicates(photoList, progressCallback, options);
+}
+
+export async function checkPhotoForDuplicates(photoData, options = {}) {
+  return await photoDeduplicationService.checkPhotoForDuplicates(photoData, options);
+}
+
+export function getDuplicateReview(filter = {}) {
+  return photoDeduplicationService.getDuplicateReview(filter);
+}
+
+export function resolveDuplicateGroup(groupId, keepPhotoIds = null) {
+  return photoDeduplicationService.resolveDuplicateGroup(groupId, keepPhotoIds);
+}
+
+export function cancelPhotoHashing() {
+  return photoDeduplicationService.cancelHashing();
 }
 
 export async function generatePhotoHash(photoData) {
@@ -924,4 +1977,8 @@ export function getDeduplicationStats() {
 
 export async function testPhotoDeduplication() {
   return await photoDeduplicationService.testDeduplication();
+}
+
+export async function testPerceptualHashCorpus() {
+  return await photoDeduplicationService.testHashingCorpus();
 }
\ No newline at end of file
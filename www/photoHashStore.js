@@ -0,0 +1,570 @@
+/**
+ * PhotoHashStore - Persistent hash database for duplicate detection
+ * One record per photo per event, keyed by event and asset ID, holding
+ * every hash known for it: the SHA-256 file hash, the perceptual hashes
+ * computed on this device and the server's perceptual hash.
+ *
+ *   - Device records: photos hashed here (PhotoDeduplicationService) and
+ *     photos uploaded from here (ReliableUploadService)
+ *   - Server records: photos the server reports as uploaded to an event,
+ *     synced per event with a cursor (changes only) or an ETag (304 when
+ *     nothing changed), see syncEvent()
+ *
+ * Every record is held in memory and written behind to IndexedDB
+ * (localStorage without it), so lookups answer offline and instantly.
+ * Used by PhotoDeduplicationService and, through window.photoHashStore,
+ * by js/photo-duplicate-prevention.js and js/duplicate-detection-api.js.
+ */
+
+import { IndexedDBStore, initStorageWithFallback } from './indexedDBStore.js';
+
+const DB_NAME = 'photoshare-hash-store';
+const LOCAL_STORAGE_KEY = 'photo_hash_store';
+
+export function recordKey(eventId, assetId) {
+  return `${eventId || 'none'}:${assetId}`;
+}
+
+/**
+ * IndexedDB backend - one transaction per write batch
+ */
+class IndexedDBHashStorage {
+  constructor(dbName = DB_NAME) {
+    this.name = 'indexeddb';
+    this.db = new IndexedDBStore(dbName, { records: 'key', sync: 'eventId' });
+  }
+
+  async init() {
+    await this.db.open();
+  }
+
+  async loadRecords() {
+    return await this.db.getAll('records');
+  }
+
+  async loadSyncStates() {
+    return await this.db.getAll('sync');
+  }
+
+  /**
+   * Apply puts and deletes to both stores in a single transaction
+   */
+  async write({ records = [], deletedKeys = [], syncStates = [] }) {
+    await this.db.transaction(['records', 'sync'], 'readwrite', ({ records: recordStore, sync: syncStore }) => {
+      records.forEach(record => recordStore.put(record));
+      deletedKeys.forEach(key => recordStore.delete(key));
+      syncStates.forEach(state => syncStore.put(state));
+    });
+  }
+
+  async clear() {
+    await this.db.transaction(['records', 'sync'], 'readwrite', ({ records, sync }) => {
+      records.clear();
+      sync.clear();
+    });
+  }
+}
+
+/**
+ * localStorage backend - the whole store as one JSON document
+ */
+class LocalStorageHashStorage {
+  constructor(storageKey = LOCAL_STORAGE_KEY) {
+    this.name = 'localstorage';
+    this.storageKey = storageKey;
+    this.data = { records: {}, sync: {} };
+  }
+
+  async init() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) this.data = JSON.parse(stored);
+    } catch (error) {
+      console.warn('⚠️ Stored photo hashes unreadable - starting empty:', error);
+    }
+  }
+
+  async loadRecords() {
+    return Object.values(this.data.records || {});
+  }
+
+  async loadSyncStates() {
+    return Object.values(this.data.sync || {});
+  }
+
+  async write({ records = [], deletedKeys = [], syncStates = [] }) {
+    records.forEach(record => { this.data.records[record.key] = record; });
+    deletedKeys.forEach(key => { delete this.data.records[key]; });
+    syncStates.forEach(state => { this.data.sync[state.eventId] = state; });
+    localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+  }
+
+  async clear() {
+    this.data = { records: {}, sync: {} };
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+export class PhotoHashStore {
+  constructor() {
+    this.storage = null;
+    this.records = new Map(); // key -> record
+    this.eventKeys = new Map(); // eventId -> Set<key>
+    this.fileHashKeys = new Map(); // `${eventId}:${fileHash}` -> key
+    this.syncStates = new Map(); // eventId -> { eventId, cursor, etag, lastSyncedAt, serverCount }
+    this.syncsInFlight = new Map(); // eventId -> Promise
+    this.pendingWrites = { records: new Map(), deletedKeys: new Set(), syncStates: new Map() };
+    this.writeTimer = null;
+    this.clearCount = 0; // A write that fails after clear() is not retried
+    this.initPromise = null;
+
+    // Configuration
+    this.config = {
+      writeDelay: 500,
+      retryDelay: 5000, // After a failed write (quota, aborted transaction)
+      pageSize: 50,
+      maxSyncAge: 5 * 60 * 1000 // Server lists older than this are refreshed in the background
+    };
+  }
+
+  /**
+   * Open storage and load every record into memory. Safe to call repeatedly.
+   */
+  initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this.load();
+    }
+    return this.initPromise;
+  }
+
+  async load() {
+    const storage = await initStorageWithFallback(
+      () => new IndexedDBHashStorage(),
+      () => new LocalStorageHashStorage(),
+      'keeping photo hashes in localStorage'
+    );
+    this.storage = storage;
+
+    const [records, syncStates] = await Promise.all([storage.loadRecords(), storage.loadSyncStates()]);
+    records.forEach(record => this.indexRecord(record));
+    syncStates.forEach(state => this.syncStates.set(state.eventId, state));
+
+    console.log(`🗄️ Photo hash store loaded ${records.length} records (${storage.name})`);
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  get(eventId, assetId) {
+    return this.records.get(recordKey(eventId, assetId)) || null;
+  }
+
+  /**
+   * Every record, oldest update first
+   */
+  getAll() {
+    return Array.from(this.records.values()).sort((a, b) => a.updatedAt - b.updatedAt);
+  }
+
+  getEventRecords(eventId) {
+    const keys = this.eventKeys.get(eventId || 'none');
+    return keys ? Array.from(keys, key => this.records.get(key)) : [];
+  }
+
+  findByFileHash(eventId, fileHash) {
+    if (!fileHash) return null;
+    const key = this.fileHashKeys.get(`${eventId || 'none'}:${fileHash}`);
+    return key ? this.records.get(key) : null;
+  }
+
+  /**
+   * Photos known to be uploaded to an event, in the server's field names
+   * (file_hash, perceptual_hash, original_timestamp, ...)
+   */
+  getUploadedPhotos(eventId) {
+    return this.getEventRecords(eventId)
+      .filter(record => record.uploaded)
+      .map(record => this.toUploadedPhoto(record));
+  }
+
+  toUploadedPhoto(record) {
+    if (record.photo) return record.photo;
+
+    return {
+      media_id: record.mediaId || null,
+      file_hash: record.fileHash || null,
+      perceptual_hash: record.perceptualHash || null,
+      original_timestamp: record.originalTimestamp || null,
+      file_size_bytes: record.fileSize || null,
+      image_width: record.width || null,
+      image_height: record.height || null,
+      camera_model: record.cameraModel || null,
+      metadata: { original_name: record.filename || null },
+      local_asset_id: record.assetId
+    };
+  }
+
+  /**
+   * Add or update a record. Fields are merged into any existing record for
+   * the same event and asset, so device hashes and upload status combine.
+   * @param {{eventId: string, assetId: string}} fields
+   * @returns {object} The stored record
+   */
+  put(fields) {
+    if (!fields?.assetId) {
+      throw new Error('Photo hash records need an assetId');
+    }
+
+    const key = recordKey(fields.eventId, fields.assetId);
+    const existing = this.records.get(key);
+    const record = {
+      source: 'device',
+      uploaded: false,
+      ...existing,
+      ...fields,
+      eventId: fields.eventId || null,
+      key: key,
+      updatedAt: Date.now()
+    };
+
+    if (existing) this.unindexRecord(existing);
+    this.indexRecord(record);
+    this.queueWrite(record);
+    return record;
+  }
+
+  /**
+   * Record a photo uploaded from this device
+   */
+  markUploaded(eventId, assetId, fields = {}) {
+    return this.put({ ...fields, eventId, assetId, uploaded: true, uploadedAt: Date.now() });
+  }
+
+  remove(eventId, assetId) {
+    const record = this.get(eventId, assetId);
+    if (!record) return false;
+
+    this.unindexRecord(record);
+    this.pendingWrites.records.delete(record.key);
+    this.pendingWrites.deletedKeys.add(record.key);
+    this.scheduleWrite();
+    return true;
+  }
+
+  indexRecord(record) {
+    this.records.set(record.key, record);
+
+    const eventKey = record.eventId || 'none';
+    if (!this.eventKeys.has(eventKey)) this.eventKeys.set(eventKey, new Set());
+    this.eventKeys.get(eventKey).add(record.key);
+
+    if (record.fileHash) {
+      this.fileHashKeys.set(`${eventKey}:${record.fileHash}`, record.key);
+    }
+  }
+
+  unindexRecord(record) {
+    this.records.delete(record.key);
+
+    const eventKey = record.eventId || 'none';
+    this.eventKeys.get(eventKey)?.delete(record.key);
+    if (this.eventKeys.get(eventKey)?.size === 0) this.eventKeys.delete(eventKey);
+
+    const fileHashKey = `${eventKey}:${record.fileHash}`;
+    if (record.fileHash && this.fileHashKeys.get(fileHashKey) === record.key) {
+      this.fileHashKeys.delete(fileHashKey);
+    }
+  }
+
+  /**
+   * Turn a photo from the server's uploaded-photos list into a record
+   */
+  fromServerPhoto(eventId, photo) {
+    const metadata = photo.metadata || {};
+    return {
+      eventId: eventId,
+      assetId: `server:${photo.media_id || photo.id || photo.file_hash}`,
+      source: 'server',
+      uploaded: true,
+      mediaId: photo.media_id || photo.id || null,
+      fileHash: photo.file_hash || null,
+      perceptualHash: photo.perceptual_hash || null,
+      originalTimestamp: photo.original_timestamp || null,
+      fileSize: photo.file_size_bytes || metadata.file_size_bytes || metadata.fileSize || null,
+      width: photo.image_width || metadata.image_width || metadata.originalDimensions?.width || null,
+      height: photo.image_height || metadata.image_height || metadata.originalDimensions?.height || null,
+      cameraModel: photo.camera_model || metadata.cameraModel || metadata.camera_model || null,
+      filename: metadata.original_name || metadata.fileName || null,
+      photo: photo
+    };
+  }
+
+  /**
+   * Store photos from the server for an event
+   * @param {Array} photos - Server photos (file_hash, perceptual_hash, media_id, ...)
+   * @param {{complete?: boolean, deletedIds?: Array<string>}} options
+   *   complete - the list is the event's full list; server records not in it are dropped
+   *   deletedIds - media IDs the server reports as deleted since the last sync
+   * @returns {{added: number, updated: number, removed: number}}
+   */
+  importServerPhotos(eventId, photos, options = {}) {
+    const changes = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+
+    for (const photo of photos || []) {
+      if (!photo || !(photo.media_id || photo.id || photo.file_hash)) continue;
+
+      const fields = this.fromServerPhoto(eventId, photo);
+      const existing = this.get(eventId, fields.assetId);
+      seen.add(recordKey(eventId, fields.assetId));
+
+      if (existing && existing.fileHash === fields.fileHash && existing.perceptualHash === fields.perceptualHash) {
+        continue;
+      }
+      this.put(fields);
+      changes[existing ? 'updated' : 'added']++;
+    }
+
+    const removeWhere = (predicate) => {
+      for (const record of this.getEventRecords(eventId)) {
+        if (record.source === 'server' && predicate(record)) {
+          this.remove(eventId, record.assetId);
+          changes.removed++;
+        }
+      }
+    };
+
+    if (options.complete) {
+      removeWhere(record => !seen.has(record.key));
+    }
+    if (options.deletedIds?.length) {
+      const deleted = new Set(options.deletedIds.map(String));
+      removeWhere(record => deleted.has(String(record.mediaId)));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Store an event's full uploaded-photos list fetched elsewhere (e.g. by
+   * the native EventPhotoPicker plugin); counts as a sync of the event
+   */
+  importFullList(eventId, photos) {
+    const changes = this.importServerPhotos(eventId, photos, { complete: true });
+    const previous = this.getSyncState(eventId);
+    this.saveSyncState({
+      cursor: null,
+      etag: null,
+      ...previous,
+      eventId,
+      lastSyncedAt: Date.now(),
+      serverCount: this.getEventRecords(eventId).filter(record => record.source === 'server').length
+    });
+    return changes;
+  }
+
+  getSyncState(eventId) {
+    return this.syncStates.get(eventId) || null;
+  }
+
+  /**
+   * Whether the event's server list is missing or older than maxSyncAge
+   */
+  needsSync(eventId) {
+    const state = this.getSyncState(eventId);
+    return !state?.lastSyncedAt || Date.now() - state.lastSyncedAt > this.config.maxSyncAge;
+  }
+
+  /**
+   * Bring the event's server records up to date. Concurrent calls for the
+   * same event share one sync.
+   *
+   * fetchPage({ eventId, cursor, offset, limit, etag }) resolves to
+   *   { notModified, etag, photos, hasMore, nextCursor, deletedIds }
+   *
+   *   - With a cursor from an earlier sync only changes since then are
+   *     fetched, including deletions
+   *   - Without one the full list is fetched page by page (offset paging,
+   *     or cursor paging when the server returns cursors) and replaces the
+   *     event's server records. The first page carries the stored ETag;
+   *     a 304 (notModified) ends the sync with nothing to do.
+   *
+   * @returns {Promise<{notModified: boolean, fetched: number, added: number, updated: number, removed: number}>}
+   */
+  syncEvent(eventId, fetchPage, options = {}) {
+    if (this.syncsInFlight.has(eventId)) {
+      return this.syncsInFlight.get(eventId);
+    }
+
+    const sync = this.runSync(eventId, fetchPage, options)
+      .finally(() => this.syncsInFlight.delete(eventId));
+    this.syncsInFlight.set(eventId, sync);
+    return sync;
+  }
+
+  async runSync(eventId, fetchPage, options) {
+    await this.initialize();
+
+    const previous = options.force ? null : this.getSyncState(eventId);
+    const incremental = !!previous?.cursor;
+    const limit = options.pageSize || this.config.pageSize;
+    const photos = [];
+    const deletedIds = [];
+    let cursor = incremental ? previous.cursor : null;
+    let offset = 0;
+    let etag = null;
+    let pages = 0;
+
+    while (true) {
+      const page = await fetchPage({
+        eventId,
+        cursor,
+        offset,
+        limit,
+        etag: pages === 0 && !incremental ? previous?.etag || null : null
+      });
+      pages++;
+
+      if (page.notModified) {
+        this.saveSyncState({ ...previous, eventId, lastSyncedAt: Date.now() });
+        console.log(`🗄️ Uploaded photos for event ${eventId} unchanged (304)`);
+        return { notModified: true, fetched: 0, added: 0, updated: 0, removed: 0 };
+      }
+
+      if (pages === 1) etag = page.etag || null;
+      photos.push(...(page.photos || []));
+      deletedIds.push(...(page.deletedIds || []));
+
+      const pageCursor = page.nextCursor || null;
+      if (!page.hasMore || !page.photos?.length) {
+        cursor = pageCursor || cursor;
+        break;
+      }
+
+      if (pageCursor) {
+        cursor = pageCursor;
+      } else {
+        offset += limit;
+      }
+    }
+
+    const changes = this.importServerPhotos(eventId, photos, { complete: !incremental, deletedIds });
+    this.saveSyncState({
+      eventId,
+      // A server without cursors always gets the full list, guarded by its ETag
+      cursor: cursor,
+      etag: incremental ? previous.etag || null : etag,
+      lastSyncedAt: Date.now(),
+      serverCount: this.getEventRecords(eventId).filter(record => record.source === 'server').length
+    });
+
+    console.log(`🗄️ Synced uploaded photos for event ${eventId} (${incremental ? 'incremental' : 'full'}):`,
+      { fetched: photos.length, ...changes });
+    return { notModified: false, fetched: photos.length, ...changes };
+  }
+
+  saveSyncState(state) {
+    this.syncStates.set(state.eventId, state);
+    this.pendingWrites.syncStates.set(state.eventId, state);
+    this.scheduleWrite();
+  }
+
+  queueWrite(record) {
+    this.pendingWrites.deletedKeys.delete(record.key);
+    this.pendingWrites.records.set(record.key, record);
+    this.scheduleWrite();
+  }
+
+  scheduleWrite(delay = this.config.writeDelay) {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush().catch(error => console.error('❌ Failed to save photo hashes:', error));
+    }, delay);
+  }
+
+  /**
+   * Write pending changes now
+   */
+  async flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    await this.initialize();
+
+    const batch = {
+      records: Array.from(this.pendingWrites.records.values()),
+      deletedKeys: Array.from(this.pendingWrites.deletedKeys),
+      syncStates: Array.from(this.pendingWrites.syncStates.values())
+    };
+    if (batch.records.length + batch.deletedKeys.length + batch.syncStates.length === 0) return;
+
+    this.pendingWrites = { records: new Map(), deletedKeys: new Set(), syncStates: new Map() };
+    const clearCount = this.clearCount;
+    try {
+      await this.storage.write(batch);
+    } catch (error) {
+      if (clearCount !== this.clearCount) throw error;
+      this.requeueWrites(batch);
+      this.scheduleWrite(this.config.retryDelay);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a failed write batch back in front of pending changes - a change
+   * made to the same key since then is newer and wins
+   */
+  requeueWrites(batch) {
+    const { records, deletedKeys, syncStates } = this.pendingWrites;
+    const isPending = key => records.has(key) || deletedKeys.has(key);
+
+    batch.records.forEach(record => {
+      if (!isPending(record.key)) records.set(record.key, record);
+    });
+    batch.deletedKeys.forEach(key => {
+      if (!isPending(key)) deletedKeys.add(key);
+    });
+    batch.syncStates.forEach(state => {
+      if (!syncStates.has(state.eventId)) syncStates.set(state.eventId, state);
+    });
+  }
+
+  /**
+   * Drop every record and sync state
+   */
+  async clear() {
+    await this.initialize();
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    this.records.clear();
+    this.eventKeys.clear();
+    this.fileHashKeys.clear();
+    this.syncStates.clear();
+    this.pendingWrites = { records: new Map(), deletedKeys: new Set(), syncStates: new Map() };
+    this.clearCount++;
+    await this.storage.clear();
+  }
+
+  getStatus() {
+    const events = Array.from(this.eventKeys.keys()).filter(eventId => eventId !== 'none');
+    return {
+      backend: this.storage?.name || null,
+      records: this.records.size,
+      events: events.length,
+      syncedEvents: events.filter(eventId => this.syncStates.has(eventId)).map(eventId => ({
+        eventId,
+        records: this.eventKeys.get(eventId).size,
+        lastSyncedAt: this.syncStates.get(eventId).lastSyncedAt,
+        incremental: !!this.syncStates.get(eventId).cursor
+      })),
+      pendingWrites: this.pendingWrites.records.size + this.pendingWrites.deletedKeys.size
+    };
+  }
+}
+
+export const photoHashStore = new PhotoHashStore();
+
+// Classic scripts (photo-duplicate-prevention.js, duplicate-detection-api.js,
+// ReliableUploadService) read it from window
+window.photoHashStore = photoHashStore;
@@ -0,0 +1,230 @@
+/**
+ * Sample JPEG corpus for the metadata parser
+ * Header-only JPEGs (metadata segments and a frame header, no image data)
+ * with known tags, and what readJpegMetadata must make of them:
+ *   - iphone:  big-endian EXIF with GPS, orientation 6 and an XMP packet
+ *   - android: little-endian EXIF, orientation 8, southern/eastern GPS and
+ *              the size taken from the frame header
+ *   - edited:  XMP only, as written by desktop editors
+ *   - longDescription: a 60 kB UTF-8 ImageDescription, drawn in code
+ *
+ * testPhotoMetadataCorpus runs them through the same 'jpegSegments' worker
+ * task as PhotoMetadataExtractor and is loaded by test-services.html.
+ */
+
+import { imageWorkerPool } from './workerPool.js';
+import { readJpegMetadata } from './photoMetadataParser.js';
+
+export const SAMPLE_JPEGS = {
+  iphone: [
+    '/9j/4QGqRXhpZgAATU0AKgAAAAgABwEOAAIAAAAOAAAAYgEPAAIAAAAGAAAAcAEQAAIAAAAOAAAAdgESAAMAAAABAAYAAAEx',
+    'AAIAAAAFAAAAhIdpAAQAAAABAAAAioglAAQAAAABAAABHAAAAABDYWbDqSB0ZXJyYWNlAEFwcGxlAGlQaG9uZSAxNSBQcm8A',
+    'MTcuNAAAAAiCmgAFAAAAAQAAAPCCnQAFAAAAAQAAAPiIJwADAAAAAQBAAACQAwACAAAAFAAAAQCQEQACAAAABwAAARSSCQAD',
+    'AAAAAQAZAACgAgAEAAAAAQAAD8CgAwAEAAAAAQAAC9AAAAAAAAAAAQAAAH0AAACyAAAAZDIwMjQ6MDY6MDEgMTg6MzA6MDUA',
+    'KzAyOjAwAAAABgABAAIAAAACTgAAAAACAAUAAAADAAABagADAAIAAAACVwAAAAAEAAUAAAADAAABggAFAAEAAAABAAAAAAAG',
+    'AAUAAAABAAABmgAAAAAAAAAwAAAAAQAAADMAAAABAAALdgAAAGQAAAACAAAAAQAAABEAAAABAAAPtAAAAGQAAAAjAAAAAf/h',
+    'AdhodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvADx4OnhtcG1ldGEgeG1sbnM6eD0iYWRvYmU6bnM6bWV0YS8iPjxyZGY6',
+    'UkRGIHhtbG5zOnJkZj0iaHR0cDovL3d3dy53My5vcmcvMTk5OS8wMi8yMi1yZGYtc3ludGF4LW5zIyI+PHJkZjpEZXNjcmlw',
+    'dGlvbiB4bWxuczp4bXA9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC8iIHhtbG5zOmRjPSJodHRwOi8vcHVybC5vcmcv',
+    'ZGMvZWxlbWVudHMvMS4xLyIgeG1wOlJhdGluZz0iNCI+PGRjOnRpdGxlPjxyZGY6QWx0PjxyZGY6bGkgeG1sOmxhbmc9Ingt',
+    'ZGVmYXVsdCI+RXZlbmluZyBpbiBQYXJpczwvcmRmOmxpPjwvcmRmOkFsdD48L2RjOnRpdGxlPjxkYzpzdWJqZWN0PjxyZGY6',
+    'QmFnPjxyZGY6bGk+dHJhdmVsPC9yZGY6bGk+PHJkZjpsaT5wYXJpczwvcmRmOmxpPjwvcmRmOkJhZz48L2RjOnN1YmplY3Q+',
+    'PC9yZGY6RGVzY3JpcHRpb24+PC9yZGY6UkRGPjwveDp4bXBtZXRhPv/AAAsIC9APwAEBEQD/2Q=='
+  ].join(''),
+  android: [
+    '/9j/4QECRXhpZgAASUkqAAgAAAAFAA8BAgAHAAAASgAAABABAgAIAAAAUgAAABIBAwABAAAACAAAAGmHBAABAAAAWgAAACWI',
+    'BAABAAAAlAAAAAAAAABHb29nbGUAAFBpeGVsIDgAAwCaggUAAQAAAIQAAAAEkgoAAQAAAIwAAAAJkgMAAQAAABAAAAAAAAAA',
+    'AQAAANAHAAD/////AwAAAAQAAQACAAIAAABTAAAAAgAFAAMAAADKAAAAAwACAAIAAABFAAAABAAFAAMAAADiAAAAAAAAACEA',
+    'AAABAAAAMwAAAAEAAAAYFQAAZAAAAJcAAAABAAAADAAAAAEAAAAQDgAAZAAAAP/AAAsIC7gPoAEBEQD/2Q=='
+  ].join(''),
+  edited: [
+    '/9j/4QHoaHR0cDovL25zLmFkb2JlLmNvbS94YXAvMS4wLwA8eDp4bXBtZXRhIHhtbG5zOng9ImFkb2JlOm5zOm1ldGEvIj48',
+    'cmRmOlJERiB4bWxuczpyZGY9Imh0dHA6Ly93d3cudzMub3JnLzE5OTkvMDIvMjItcmRmLXN5bnRheC1ucyMiPjxyZGY6RGVz',
+    'Y3JpcHRpb24geG1sbnM6dGlmZj0iaHR0cDovL25zLmFkb2JlLmNvbS90aWZmLzEuMC8iIHhtbG5zOnhtcD0iaHR0cDovL25z',
+    'LmFkb2JlLmNvbS94YXAvMS4wLyIgeG1sbnM6ZXhpZj0iaHR0cDovL25zLmFkb2JlLmNvbS9leGlmLzEuMC8iIHRpZmY6TWFr',
+    'ZT0iQ2Fub24iIHRpZmY6TW9kZWw9IkNhbm9uIEVPUyBSNiIgeG1wOkNyZWF0b3JUb29sPSJBZG9iZSBQaG90b3Nob3AgTGln',
+    'aHRyb29tIENsYXNzaWMgMTMuMiIgZXhpZjpFeHBvc3VyZVRpbWU9IjEvNjAiIGV4aWY6R1BTTGF0aXR1ZGU9IjQwLDQ0Ljc2',
+    'NjBOIiBleGlmOkdQU0xvbmdpdHVkZT0iNzMsNTkuMjI2MFciLz48L3JkZjpSREY+PC94OnhtcG1ldGE+/8AACwgDIASwAQER',
+    'AP/Z'
+  ].join('')
+};
+
+const LONG_DESCRIPTION = 'Ünïcödé caption, written by the camera app. '.repeat(1300);
+
+/**
+ * Expected values by path into the readJpegMetadata result. Numbers are
+ * compared to 5 decimal places (GPS degrees come from rationals).
+ */
+export const EXPECTED_METADATA = {
+  iphone: {
+    'camera.make': 'Apple',
+    'camera.model': 'iPhone 15 Pro',
+    'exif.software': '17.4',
+    'exif.description': 'Café terrace',
+    'exif.orientation': 6,
+    'exif.exposureTime': '1/125',
+    'exif.fNumber': 1.78,
+    'exif.iso': 64,
+    'exif.flash': 'fired',
+    'exif.flashMode': 'auto',
+    'exif.dateTimeOriginal': '2024-06-01T18:30:05+02:00',
+    'exif.title': 'Evening in Paris',
+    'exif.keywords': ['travel', 'paris'],
+    'exif.rating': 4,
+    'location.latitude': 48.85815,
+    'location.longitude': -2.2945,
+    'location.altitude': 35,
+    'location.source': 'exif',
+    'dimensions.width': 3024,
+    'dimensions.height': 4032
+  },
+  android: {
+    'camera.make': 'Google',
+    'camera.model': 'Pixel 8',
+    'exif.orientation': 8,
+    'exif.exposureTime': '1/2000',
+    'exif.exposureBias': -1 / 3,
+    'exif.flash': 'no_flash',
+    'exif.flashMode': 'off',
+    'location.latitude': -33.865,
+    'location.longitude': 151.21,
+    'location.source': 'exif',
+    'dimensions.width': 3000,
+    'dimensions.height': 4000
+  },
+  edited: {
+    'camera.make': 'Canon',
+    'camera.model': 'Canon EOS R6',
+    'camera.software': 'Adobe Photoshop Lightroom Classic 13.2',
+    'exif.exposureTime': '1/60',
+    'exif.flash': undefined,
+    'location.latitude': 40.7461,
+    'location.longitude': -73.9871,
+    'location.source': 'xmp',
+    'dimensions.width': 1200,
+    'dimensions.height': 800
+  },
+  longDescription: {
+    'exif.description': LONG_DESCRIPTION.trim(),
+    'exif.orientation': 1,
+    'location': null,
+    'dimensions.width': 640,
+    'dimensions.height': 480
+  }
+};
+
+/**
+ * The sample JPEGs as fresh ArrayBuffers (the worker task takes ownership)
+ * @returns {Object<string, ArrayBuffer>}
+ */
+export function createSampleJpegs() {
+  const samples = {};
+  for (const [name, base64] of Object.entries(SAMPLE_JPEGS)) {
+    samples[name] = Uint8Array.from(atob(base64), char => char.charCodeAt(0)).buffer;
+  }
+  samples.longDescription = createJpegWithDescription(LONG_DESCRIPTION, 640, 480);
+  return samples;
+}
+
+/**
+ * Little-endian EXIF with Orientation 1 and an ImageDescription of any
+ * length, in a header-only JPEG of the given size
+ */
+function createJpegWithDescription(description, width, height) {
+  const text = new TextEncoder().encode(description + '\0');
+  const tiffLength = 8 + 2 + 2 * 12 + 4 + text.length;
+  const bytes = new Uint8Array(2 + 4 + 6 + tiffLength + 13 + 2);
+  const view = new DataView(bytes.buffer);
+
+  bytes.set([0xFF, 0xD8, 0xFF, 0xE1]);
+  view.setUint16(4, 2 + 6 + tiffLength);
+  bytes.set(new TextEncoder().encode('Exif\0\0'), 6);
+
+  const tiff = 12;
+  bytes.set([0x49, 0x49, 0x2A, 0x00], tiff);
+  view.setUint32(tiff + 4, 8, true);
+  view.setUint16(tiff + 8, 2, true);
+  // ImageDescription (0x010E), ASCII, stored after the IFD
+  view.setUint16(tiff + 10, 0x010E, true);
+  view.setUint16(tiff + 12, 2, true);
+  view.setUint32(tiff + 14, text.length, true);
+  view.setUint32(tiff + 18, 8 + 2 + 2 * 12 + 4, true);
+  // Orientation (0x0112), SHORT 1
+  view.setUint16(tiff + 22, 0x0112, true);
+  view.setUint16(tiff + 24, 3, true);
+  view.setUint32(tiff + 26, 1, true);
+  view.setUint16(tiff + 30, 1, true);
+  bytes.set(text, tiff + 8 + 2 + 2 * 12 + 4);
+
+  // Baseline frame header (SOF0), one component
+  const frame = tiff + tiffLength;
+  bytes.set([0xFF, 0xC0, 0x00, 0x0B, 0x08], frame);
+  view.setUint16(frame + 5, height);
+  view.setUint16(frame + 7, width);
+  bytes.set([0x01, 0x01, 0x11, 0x00, 0xFF, 0xD9], frame + 9);
+  return bytes.buffer;
+}
+
+function valueAt(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function sameValue(actual, expected) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.abs(actual - expected) < 1e-5;
+  }
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function describe(value) {
+  const text = JSON.stringify(value) ?? 'undefined';
+  return text.length > 60 ? `${text.slice(0, 57)}... (${text.length} chars)` : text;
+}
+
+/**
+ * Parse every sample JPEG and compare with EXPECTED_METADATA
+ * @returns {Promise<{passed: boolean, checks: number, failures: string[]}>}
+ */
+export async function testPhotoMetadataCorpus() {
+  console.log('🧪 Testing photo metadata parsing against the sample JPEGs...');
+
+  const failures = [];
+  let checks = 0;
+
+  for (const [name, buffer] of Object.entries(createSampleJpegs())) {
+    let metadata = null;
+    try {
+      const segments = await imageWorkerPool.run('jpegSegments', { buffer }, { transfer: [buffer] });
+      metadata = readJpegMetadata(segments);
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+      continue;
+    }
+
+    checks++;
+    if (!metadata) {
+      failures.push(`${name}: no metadata read`);
+      continue;
+    }
+
+    for (const [path, expected] of Object.entries(EXPECTED_METADATA[name])) {
+      checks++;
+      const actual = valueAt(metadata, path);
+      if (!sameValue(actual, expected)) {
+        failures.push(`${name} ${path}: ${describe(actual)} != expected ${describe(expected)}`);
+      }
+    }
+  }
+
+  const passed = failures.length === 0;
+  if (passed) {
+    console.log(`✅ Metadata corpus: ${checks} checks passed`);
+  } else {
+    console.error(`❌ Metadata corpus: ${failures.length}/${checks} checks failed`);
+    failures.forEach(failure => console.error(`   ${failure}`));
+  }
+
+  return { passed, checks, failures };
+}
+
+window.testPhotoMetadataCorpus = testPhotoMetadataCorpus;
@@ -2,16 +2,26 @@ import { Camera } from '@capacitor/camera';
 import { Capacitor } from '@capacitor/core';
 import { Device } from '@capacitor/device';
 import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
+import { imageWorkerPool } from './workerPool.js';
+import { readJpegMetadata } from './photoMetadataParser.js';
 
 /**
  * PhotoMetadataExtractor - Comprehensive photo metadata extraction
- * Extracts EXIF, GPS, device, and camera information from photos
+ * Extracts EXIF, GPS, device, and camera information from photos. EXIF, GPS
+ * and XMP are read from the JPEG itself (photoMetadataParser.js); a photo
+ * whose bytes can't be read gets only what its source reports.
  */
 export class PhotoMetadataExtractor {
   constructor() {
     this.isInitialized = false;
     this.deviceInfo = null;
     
+    // Configuration
+    this.config = {
+      maxMetadataBytes: 512 * 1024, // JPEG metadata precedes the image data - no need to read further
+      parseTimeout: 5000
+    };
+    
     // Supported metadata fields
     this.metadataFields = {
       // Basic photo information
@@ -104,6 +114,8 @@ export class PhotoMetadataExtractor {
     try {
       console.log('📷 Extracting metadata from camera photo...');
       
+      const embedded = await this.readEmbeddedMetadata(cameraResult);
+      
       const metadata = {
         source: 'camera',
         basic: {
@@ -122,11 +134,12 @@ export class PhotoMetadataExtractor {
           allowEditing: false
         },
         
-        // EXIF simulation (in real implementation, would be extracted from image file)
-        exif: await this.simulateEXIFData('camera'),
+        // EXIF from the image file - taken on this device, so it is the camera if the file has no EXIF
+        exif: embedded?.exif || this.getDeviceEXIF(),
+        camera: embedded?.camera || null,
         
-        // GPS data (if available)
-        location: await this.extractLocationData('camera'),
+        // GPS data (if the photo was geotagged)
+        location: embedded?.location || null,
         
         // iOS specific
         ios: {
@@ -136,6 +149,9 @@ export class PhotoMetadataExtractor {
       };
       
       // Extract dimensions and file size if available
+      if (embedded?.dimensions) {
+        metadata.basic.dimensions = embedded.dimensions;
+      }
       if (cameraResult.dataUrl) {
         metadata.basic.fileSize = this.estimateBase64FileSize(cameraResult.dataUrl);
         metadata.basic.dataUrl = cameraResult.dataUrl;
@@ -156,13 +172,16 @@ export class PhotoMetadataExtractor {
     try {
       console.log('🖼️ Extracting metadata from gallery photo...');
       
+      const embedded = await this.readEmbeddedMetadata(galleryResult);
+      
       const metadata = {
         source: 'gallery',
         basic: {
           filename: this.extractFilenameFromPath(galleryResult.webPath || galleryResult.path),
           format: galleryResult.format,
           webPath: galleryResult.webPath,
-          path: galleryResult.path
+          path: galleryResult.path,
+          dimensions: embedded?.dimensions || undefined
         },
         
         // Gallery selection metadata
@@ -172,11 +191,12 @@ export class PhotoMetadataExtractor {
           multipleSelection: false
         },
         
-        // Enhanced EXIF for gallery photos (more likely to have original data)
-        exif: await this.simulateEXIFData('gallery'),
+        // EXIF from the image file (gallery photos may come from any camera)
+        exif: embedded?.exif || {},
+        camera: embedded?.camera || null,
         
         // GPS data (preserved from original photo)
-        location: await this.extractLocationData('gallery'),
+        location: embedded?.location || null,
         
         // iOS Photos library specific
         ios: {
@@ -206,6 +226,9 @@ export class PhotoMetadataExtractor {
     try {
       console.log('📱 Extracting metadata from PHAsset...');
       
+      // The asset's own metadata when the plugin sent it, otherwise the file's
+      const embedded = assetData.metadata && assetData.location ? null : await this.readEmbeddedMetadata(assetData);
+      
       const metadata = {
         source: 'ph_asset',
         basic: {
@@ -231,7 +254,7 @@ export class PhotoMetadataExtractor {
         },
         
         // Enhanced EXIF data from PHAsset
-        exif: assetData.metadata ? assetData.metadata : await this.simulateEXIFData('ph_asset'),
+        exif: assetData.metadata ? assetData.metadata : embedded?.exif || {},
         
         // GPS location from PHAsset
         location: assetData.location ? {
@@ -243,10 +266,10 @@ export class PhotoMetadataExtractor {
           course: assetData.location.course,
           horizontalAccuracy: assetData.location.horizontalAccuracy,
           verticalAccuracy: assetData.location.verticalAccuracy
-        } : null,
+        } : embedded?.location || null,
         
         // Camera information
-        camera: {
+        camera: embedded?.camera?.make ? embedded.camera : {
           make: assetData.cameraModel?.split(' ')[0] || this.deviceInfo?.manufacturer,
           model: assetData.cameraModel || `${this.deviceInfo?.manufacturer} ${this.deviceInfo?.model}`,
           software: `iOS ${this.deviceInfo?.osVersion}`
@@ -270,112 +293,82 @@ export class PhotoMetadataExtractor {
   }
 
   /**
-   * Simulate EXIF data extraction (real implementation would parse actual EXIF)
+   * EXIF, GPS and XMP read from the photo's bytes
+   * @param {object} source - Anything with dataUrl, base64String, webPath or path
+   * @returns {Promise<{exif: object, location: object|null, camera: object, dimensions: object|null}|null>}
+   *   null when the bytes can't be read or hold no JPEG metadata
    */
-  async simulateEXIFData(sourceType) {
+  async readEmbeddedMetadata(source) {
     try {
-      const baseEXIF = {
-        // Camera make/model
-        make: this.deviceInfo?.manufacturer || 'Apple',
-        model: this.deviceInfo?.model || 'iPhone',
-        software: `iOS ${this.deviceInfo?.osVersion}`,
-        
-        // Date/time
-        dateTime: new Date().toISOString(),
-        dateTimeOriginal: new Date().toISOString(),
-        dateTimeDigitized: new Date().toISOString(),
-        
-        // Image properties
-        orientation: 1, // Normal orientation
-        xResolution: 72,
-        yResolution: 72,
-        resolutionUnit: 'inches',
-        
-        // Color space
-        colorSpace: 'sRGB',
-        
-        // Compression
-        compression: 'JPEG',
-        compressedBitsPerPixel: 2.4
-      };
+      const buffer = await this.readImageBytes(source);
+      if (!buffer) return null;
       
-      // Add camera-specific EXIF based on source
-      if (sourceType === 'camera' || sourceType === 'ph_asset') {
-        return {
-          ...baseEXIF,
-          
-          // Camera settings
-          fNumber: 1.8 + Math.random() * 3.2, // f/1.8 to f/5.0
-          exposureTime: `1/${Math.floor(30 + Math.random() * 500)}`, // 1/30 to 1/530
-          iso: 50 + Math.floor(Math.random() * 1600), // ISO 50-1650
-          focalLength: 24 + Math.random() * 52, // 24mm to 76mm equivalent
-          focalLengthIn35mm: 26 + Math.random() * 50,
-          
-          // Flash
-          flash: Math.random() > 0.8 ? 'fired' : 'no_flash',
-          flashMode: Math.random() > 0.7 ? 'auto' : 'off',
-          
-          // White balance
-          whiteBalance: Math.random() > 0.5 ? 'auto' : 'manual',
-          
-          // Metering
-          meteringMode: 'pattern',
-          exposureMode: 'auto',
-          exposureBias: (Math.random() - 0.5) * 4, // -2 to +2 EV
-          
-          // Scene
-          sceneType: 'directly_photographed',
-          sceneCaptureType: 'standard',
-          
-          // Lens information (iPhone specific)
-          lensSpecification: '1.5-3.5/26-77mm',
-          lensMake: 'Apple',
-          lensModel: 'iPhone Camera'
-        };
-      }
+      const segments = await imageWorkerPool.run('jpegSegments', { buffer }, {
+        transfer: [buffer],
+        timeout: this.config.parseTimeout
+      });
+      const metadata = readJpegMetadata(segments);
+      if (!metadata) return null;
       
-      return baseEXIF;
+      console.log(`📊 Embedded metadata: ${Object.keys(metadata.exif).length} EXIF fields${metadata.location ? ', GPS location' : ''}`);
+      return metadata;
       
     } catch (error) {
-      console.error('Error simulating EXIF data:', error);
-      return {};
+      console.error('Error reading embedded photo metadata:', error);
+      return null;
     }
   }
 
   /**
-   * Extract location data
+   * The start of the image file - up to config.maxMetadataBytes
+   * @returns {Promise<ArrayBuffer|null>}
    */
-  async extractLocationData(sourceType) {
-    try {
-      // In real implementation, this would check for GPS permissions and extract actual location
-      // For simulation, randomly decide if location is available
-      
-      if (Math.random() > 0.6) { // 40% of photos have location data
-        const baseLatitude = 37.7749; // San Francisco area
-        const baseLongitude = -122.4194;
-        
-        return {
-          latitude: baseLatitude + (Math.random() - 0.5) * 0.5,
-          longitude: baseLongitude + (Math.random() - 0.5) * 0.5,
-          altitude: Math.floor(Math.random() * 200), // 0-200m
-          timestamp: new Date().toISOString(),
-          horizontalAccuracy: 5 + Math.random() * 15, // 5-20m accuracy
-          verticalAccuracy: 10 + Math.random() * 20, // 10-30m accuracy
-          speed: Math.random() > 0.8 ? Math.random() * 50 : null, // Sometimes include speed
-          course: Math.random() * 360, // 0-360 degrees
-          
-          // Location method
-          source: sourceType === 'camera' ? 'gps' : 'preserved',
-          provider: 'iOS_CoreLocation'
-        };
+  async readImageBytes(source) {
+    const limit = this.config.maxMetadataBytes;
+    const base64 = source?.base64String || source?.base64 || source?.dataUrl?.split(',')[1];
+    if (base64) {
+      return this.decodeBase64(base64, limit);
+    }
+    
+    if (source?.webPath) {
+      const response = await fetch(source.webPath);
+      if (!response.ok) {
+        throw new Error(`Could not read ${source.webPath}: HTTP ${response.status}`);
       }
-      
-      return null; // No location data available
-      
-    } catch (error) {
-      console.error('Error extracting location data:', error);
-      return null;
+      return (await response.arrayBuffer()).slice(0, limit);
+    }
+    
+    if (source?.path) {
+      const file = await Filesystem.readFile({ path: source.path });
+      return typeof file.data === 'string' ?
+        this.decodeBase64(file.data, limit) :
+        (await file.data.arrayBuffer()).slice(0, limit);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Decode the first `limit` bytes of base64 data
+   */
+  decodeBase64(base64, limit) {
+    const binary = atob(base64.slice(0, Math.ceil(limit / 3) * 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
     }
+    return bytes.buffer;
+  }
+
+  /**
+   * What is known without EXIF about a photo taken on this device
+   */
+  getDeviceEXIF() {
+    return {
+      make: this.deviceInfo?.manufacturer || 'Apple',
+      model: this.deviceInfo?.model || 'iPhone',
+      software: this.deviceInfo?.osVersion ? `iOS ${this.deviceInfo.osVersion}` : undefined
+    };
   }
 
   /**
@@ -0,0 +1,476 @@
+/**
+ * Photo metadata parser - EXIF, GPS and XMP read from the image's own bytes
+ * Pure functions with no DOM access, like perceptualHash.js, so they run in
+ * a worker as well as on the main thread. The 'jpegSegments' worker task
+ * cuts the APP1 segments out of a JPEG; this module reads them:
+ *
+ *   parseTiffMetadata - the TIFF structure inside APP1 "Exif": IFD0, the
+ *                       EXIF sub-IFD and the GPS IFD, as named tags
+ *   parseXmpPacket    - simple properties from the APP1 XMP packet
+ *   normalizePhotoMetadata - both, in PhotoMetadataExtractor's exif /
+ *                       location / camera shape. EXIF wins where both have
+ *                       a value; XMP fills the gaps (edited photos often
+ *                       keep only XMP).
+ *   readJpegMetadata  - all of the above for a 'jpegSegments' result
+ *
+ * photoMetadataCorpus.js checks them against sample JPEGs with known tags.
+ *
+ * Damaged metadata never throws: unreadable entries are skipped and the
+ * rest is returned.
+ */
+
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  6: 1, // SBYTE
+  7: 1, // UNDEFINED
+  8: 2, // SSHORT
+  9: 4, // SLONG
+  10: 8, // SRATIONAL
+  11: 4, // FLOAT
+  12: 8 // DOUBLE
+};
+
+const IFD0_TAGS = {
+  0x010E: 'ImageDescription',
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x011A: 'XResolution',
+  0x011B: 'YResolution',
+  0x0128: 'ResolutionUnit',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x013B: 'Artist',
+  0x8298: 'Copyright',
+  0x8769: 'ExifIFDPointer',
+  0x8825: 'GPSInfoIFDPointer'
+};
+
+const EXIF_TAGS = {
+  0x829A: 'ExposureTime',
+  0x829D: 'FNumber',
+  0x8822: 'ExposureProgram',
+  0x8827: 'ISOSpeedRatings',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal',
+  0x9012: 'OffsetTimeDigitized',
+  0x9102: 'CompressedBitsPerPixel',
+  0x9204: 'ExposureBiasValue',
+  0x9207: 'MeteringMode',
+  0x9209: 'Flash',
+  0x920A: 'FocalLength',
+  0x9290: 'SubSecTime',
+  0x9291: 'SubSecTimeOriginal',
+  0x9292: 'SubSecTimeDigitized',
+  0xA001: 'ColorSpace',
+  0xA002: 'PixelXDimension',
+  0xA003: 'PixelYDimension',
+  0xA301: 'SceneType',
+  0xA402: 'ExposureMode',
+  0xA403: 'WhiteBalance',
+  0xA405: 'FocalLengthIn35mmFilm',
+  0xA406: 'SceneCaptureType',
+  0xA420: 'ImageUniqueID',
+  0xA432: 'LensSpecification',
+  0xA433: 'LensMake',
+  0xA434: 'LensModel'
+};
+
+const GPS_TAGS = {
+  0x0000: 'GPSVersionID',
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x000C: 'GPSSpeedRef',
+  0x000D: 'GPSSpeed',
+  0x000E: 'GPSTrackRef',
+  0x000F: 'GPSTrack',
+  0x0010: 'GPSImgDirectionRef',
+  0x0011: 'GPSImgDirection',
+  0x0012: 'GPSMapDatum',
+  0x001D: 'GPSDateStamp',
+  0x001F: 'GPSHPositioningError'
+};
+
+const MAX_IFD_ENTRIES = 1000; // More than any real IFD - beyond this the data is garbage
+
+// ASCII tags in the wild are often UTF-8 (iOS writes them so); decoded in
+// one call, as tags can be tens of kilobytes long
+const textDecoder = new TextDecoder();
+
+/**
+ * Read the TIFF structure of an EXIF segment (the bytes after "Exif\0\0")
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{ifd0: object, exif: object, gps: object}|null} Named tag values;
+ *   null when the bytes are not TIFF
+ */
+export function parseTiffMetadata(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer || 0);
+  if (bytes.length < 8) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const order = view.getUint16(0);
+  if (order !== 0x4949 && order !== 0x4D4D) return null; // "II" little endian, "MM" big endian
+  const little = order === 0x4949;
+  if (view.getUint16(2, little) !== 42) return null;
+
+  const visited = new Set(); // IFD offsets already read - a loop in the pointers would never end
+  const readIfd = (offset, names) => {
+    const tags = {};
+    if (!offset || offset + 2 > bytes.length || visited.has(offset)) return tags;
+    visited.add(offset);
+
+    const count = view.getUint16(offset, little);
+    if (count > MAX_IFD_ENTRIES) return tags;
+
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > bytes.length) break;
+
+      const name = names[view.getUint16(entry, little)];
+      if (!name) continue;
+
+      const value = readTagValue(view, bytes, entry, little);
+      if (value !== undefined) {
+        tags[name] = value;
+      }
+    }
+    return tags;
+  };
+
+  const ifd0 = readIfd(view.getUint32(4, little), IFD0_TAGS);
+  const exif = readIfd(ifd0.ExifIFDPointer, EXIF_TAGS);
+  const gps = readIfd(ifd0.GPSInfoIFDPointer, GPS_TAGS);
+  delete ifd0.ExifIFDPointer;
+  delete ifd0.GPSInfoIFDPointer;
+
+  return { ifd0, exif, gps };
+}
+
+/**
+ * One IFD entry's value: strings for ASCII, numbers for single values,
+ * arrays for several, Uint8Array for UNDEFINED. Rationals become numbers
+ * (null when the denominator is 0).
+ */
+function readTagValue(view, bytes, entry, little) {
+  const type = view.getUint16(entry + 2, little);
+  const count = view.getUint32(entry + 4, little);
+  const size = TYPE_SIZES[type];
+  if (!size) return undefined;
+
+  const length = size * count;
+  const offset = length <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+  if (offset + length > bytes.length) return undefined;
+
+  if (type === 2) {
+    return textDecoder.decode(bytes.subarray(offset, offset + length)).replace(/\0[\s\S]*$/, '').trim();
+  }
+  if (type === 7) {
+    return bytes.slice(offset, offset + length);
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    switch (type) {
+      case 1: values.push(view.getUint8(at)); break;
+      case 3: values.push(view.getUint16(at, little)); break;
+      case 4: values.push(view.getUint32(at, little)); break;
+      case 5: values.push(ratio(view.getUint32(at, little), view.getUint32(at + 4, little))); break;
+      case 6: values.push(view.getInt8(at)); break;
+      case 8: values.push(view.getInt16(at, little)); break;
+      case 9: values.push(view.getInt32(at, little)); break;
+      case 10: values.push(ratio(view.getInt32(at, little), view.getInt32(at + 4, little))); break;
+      case 11: values.push(view.getFloat32(at, little)); break;
+      case 12: values.push(view.getFloat64(at, little)); break;
+    }
+  }
+  return values.length === 1 ? values[0] : values;
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : numerator / denominator;
+}
+
+/**
+ * Simple properties of an XMP packet, keyed "prefix:Name". Properties come
+ * as attributes of rdf:Description or as elements; rdf:Bag / Seq / Alt
+ * lists become arrays. Nested structures are not followed.
+ * @param {string} xml
+ * @returns {object}
+ */
+export function parseXmpPacket(xml) {
+  const properties = {};
+  if (typeof xml !== 'string' || xml.length === 0) return properties;
+
+  const skipped = new Set(['xmlns', 'xml', 'rdf', 'x']);
+
+  // <rdf:Description tiff:Make="Apple" ...>
+  for (const [, prefix, name, value] of xml.matchAll(/\s([A-Za-z][\w-]*):([A-Za-z][\w-]*)\s*=\s*"([^"]*)"/g)) {
+    if (!skipped.has(prefix)) {
+      properties[`${prefix}:${name}`] = decodeXmlText(value);
+    }
+  }
+
+  // <tiff:Make>Apple</tiff:Make>, <dc:subject><rdf:Bag><rdf:li>...</rdf:li></rdf:Bag></dc:subject>
+  for (const [, prefix, name, content] of xml.matchAll(/<(?!rdf:|x:)([A-Za-z][\w-]*):([A-Za-z][\w-]*)(?:\s[^>]*)?>([\s\S]*?)<\/\1:\2>/g)) {
+    const items = Array.from(content.matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g), match => decodeXmlText(match[1].trim()));
+    if (items.length > 0) {
+      properties[`${prefix}:${name}`] = items;
+    } else if (!content.includes('<')) {
+      properties[`${prefix}:${name}`] = decodeXmlText(content.trim());
+    }
+  }
+
+  return properties;
+}
+
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[code];
+  });
+}
+
+/**
+ * Normalised metadata of a JPEG from its 'jpegSegments' result
+ * @param {{exif: ArrayBuffer|null, xmp: string|null, frame: object|null}} segments
+ * @returns {{exif: object, location: object|null, camera: object, dimensions: object|null}|null}
+ *   null when the file has neither metadata nor a frame header
+ */
+export function readJpegMetadata(segments) {
+  if (!segments?.exif && !segments?.xmp && !segments?.frame) return null;
+  return normalizePhotoMetadata({
+    tiff: segments.exif ? parseTiffMetadata(segments.exif) : null,
+    xmp: segments.xmp ? parseXmpPacket(segments.xmp) : null,
+    frame: segments.frame
+  });
+}
+
+const RESOLUTION_UNITS = { 1: 'none', 2: 'inches', 3: 'centimeters' };
+const COLOR_SPACES = { 1: 'sRGB', 2: 'Adobe RGB', 0xFFFF: 'uncalibrated' };
+const METERING_MODES = { 1: 'average', 2: 'center_weighted', 3: 'spot', 4: 'multi_spot', 5: 'pattern', 6: 'partial' };
+const EXPOSURE_MODES = { 0: 'auto', 1: 'manual', 2: 'auto_bracket' };
+const EXPOSURE_PROGRAMS = { 1: 'manual', 2: 'normal', 3: 'aperture_priority', 4: 'shutter_priority', 5: 'creative', 6: 'action', 7: 'portrait', 8: 'landscape' };
+const WHITE_BALANCE = { 0: 'auto', 1: 'manual' };
+const SCENE_CAPTURE_TYPES = { 0: 'standard', 1: 'landscape', 2: 'portrait', 3: 'night' };
+const FLASH_MODES = { 1: 'on', 2: 'off', 3: 'auto' }; // Flash tag bits 3-4
+
+// GPSSpeedRef -> metres per second
+const SPEED_UNITS = { K: 1000 / 3600, M: 1609.344 / 3600, N: 1852 / 3600 };
+
+/**
+ * EXIF and XMP in the shape PhotoMetadataExtractor returns. Fields the photo
+ * does not carry are left out rather than guessed.
+ * @param {{tiff?: object|null, xmp?: object|null, frame?: object|null}} sources -
+ *   parseTiffMetadata's result, parseXmpPacket's result, jpegSegments' frame
+ * @returns {{exif: object, location: object|null, camera: object, dimensions: object|null}}
+ */
+export function normalizePhotoMetadata({ tiff = null, xmp = null, frame = null } = {}) {
+  const ifd0 = tiff?.ifd0 || {};
+  const tags = tiff?.exif || {};
+  const gps = tiff?.gps || {};
+  const xmpProps = xmp || {};
+  const xmpValue = (...names) => names.map(name => firstOf(xmpProps[name])).find(value => value !== undefined && value !== '');
+  const xmpNumber = (...names) => toNumber(xmpValue(...names));
+
+  const flash = typeof tags.Flash === 'number' ? tags.Flash : null;
+  const orientation = ifd0.Orientation ?? xmpNumber('tiff:Orientation');
+
+  const exif = compact({
+    make: ifd0.Make || xmpValue('tiff:Make'),
+    model: ifd0.Model || xmpValue('tiff:Model'),
+    software: ifd0.Software || xmpValue('xmp:CreatorTool'),
+    dateTime: exifDate(ifd0.DateTime, null, tags.OffsetTime) || xmpValue('xmp:ModifyDate'),
+    dateTimeOriginal: exifDate(tags.DateTimeOriginal, tags.SubSecTimeOriginal, tags.OffsetTimeOriginal) ||
+      xmpValue('exif:DateTimeOriginal', 'photoshop:DateCreated'),
+    dateTimeDigitized: exifDate(tags.DateTimeDigitized, tags.SubSecTimeDigitized, tags.OffsetTimeDigitized) ||
+      xmpValue('xmp:CreateDate', 'exif:DateTimeDigitized'),
+
+    orientation: orientation,
+    xResolution: ifd0.XResolution,
+    yResolution: ifd0.YResolution,
+    resolutionUnit: RESOLUTION_UNITS[ifd0.ResolutionUnit],
+    colorSpace: COLOR_SPACES[tags.ColorSpace],
+    compression: frame ? 'JPEG' : undefined,
+    compressedBitsPerPixel: tags.CompressedBitsPerPixel,
+
+    fNumber: tags.FNumber ?? xmpNumber('exif:FNumber'),
+    exposureTime: formatExposureTime(tags.ExposureTime ?? xmpNumber('exif:ExposureTime')),
+    iso: firstOf(tags.ISOSpeedRatings) ?? xmpNumber('exif:ISOSpeedRatings'),
+    focalLength: tags.FocalLength ?? xmpNumber('exif:FocalLength'),
+    focalLengthIn35mm: tags.FocalLengthIn35mmFilm,
+    flash: flash === null ? undefined : (flash & 0x1 ? 'fired' : 'no_flash'),
+    flashMode: flash === null ? undefined : FLASH_MODES[(flash >> 3) & 0x3],
+    whiteBalance: WHITE_BALANCE[tags.WhiteBalance],
+    meteringMode: METERING_MODES[tags.MeteringMode],
+    exposureMode: EXPOSURE_MODES[tags.ExposureMode],
+    exposureProgram: EXPOSURE_PROGRAMS[tags.ExposureProgram],
+    exposureBias: tags.ExposureBiasValue ?? undefined,
+    sceneType: tags.SceneType?.[0] === 1 ? 'directly_photographed' : undefined,
+    sceneCaptureType: SCENE_CAPTURE_TYPES[tags.SceneCaptureType],
+
+    lensSpecification: formatLensSpecification(tags.LensSpecification),
+    lensMake: tags.LensMake,
+    lensModel: tags.LensModel || xmpValue('exifEX:LensModel', 'aux:Lens'),
+    imageUniqueId: tags.ImageUniqueID,
+
+    artist: ifd0.Artist || firstOf(xmpProps['dc:creator']),
+    copyright: ifd0.Copyright || firstOf(xmpProps['dc:rights']),
+    description: ifd0.ImageDescription || firstOf(xmpProps['dc:description']),
+    title: firstOf(xmpProps['dc:title']),
+    keywords: Array.isArray(xmpProps['dc:subject']) ? xmpProps['dc:subject'] : undefined,
+    rating: xmpNumber('xmp:Rating')
+  });
+
+  const camera = compact({
+    make: exif.make,
+    model: exif.model,
+    software: exif.software,
+    lensMake: exif.lensMake,
+    lensModel: exif.lensModel
+  });
+
+  return {
+    exif: exif,
+    location: normalizeLocation(gps, xmpProps),
+    camera: camera,
+    dimensions: normalizeDimensions(tags, frame, orientation)
+  };
+}
+
+/**
+ * GPS IFD (or XMP exif:GPS* properties) as a location; null without coordinates
+ */
+function normalizeLocation(gps, xmpProps) {
+  let latitude = degrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+  let longitude = degrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+  let source = 'exif';
+
+  if (latitude === null || longitude === null) {
+    latitude = xmpDegrees(xmpProps['exif:GPSLatitude']);
+    longitude = xmpDegrees(xmpProps['exif:GPSLongitude']);
+    source = 'xmp';
+    if (latitude === null || longitude === null) return null;
+
+    const altitude = toNumber(xmpProps['exif:GPSAltitude']);
+    return compact({
+      latitude: latitude,
+      longitude: longitude,
+      altitude: altitude === undefined ? undefined : (xmpProps['exif:GPSAltitudeRef'] === '1' ? -altitude : altitude),
+      timestamp: xmpProps['exif:GPSTimeStamp'],
+      source: source
+    });
+  }
+
+  const speedUnit = SPEED_UNITS[gps.GPSSpeedRef || 'K'];
+  return compact({
+    latitude: latitude,
+    longitude: longitude,
+    altitude: typeof gps.GPSAltitude === 'number' ? (gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude) : undefined,
+    timestamp: gpsTimestamp(gps.GPSDateStamp, gps.GPSTimeStamp),
+    horizontalAccuracy: gps.GPSHPositioningError ?? undefined,
+    speed: typeof gps.GPSSpeed === 'number' && speedUnit ? gps.GPSSpeed * speedUnit : undefined, // m/s, like CLLocation
+    course: gps.GPSTrack ?? undefined,
+    bearing: gps.GPSImgDirection ?? undefined, // Where the camera pointed
+    datum: gps.GPSMapDatum,
+    source: source
+  });
+}
+
+/**
+ * Displayed size - stored width and height swapped for orientations 5-8
+ */
+function normalizeDimensions(tags, frame, orientation) {
+  const width = tags.PixelXDimension || frame?.width;
+  const height = tags.PixelYDimension || frame?.height;
+  if (!width || !height) return null;
+  return orientation >= 5 && orientation <= 8 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * [degrees, minutes, seconds] and N/S/E/W as signed decimal degrees
+ */
+function degrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some(value => typeof value !== 'number')) return null;
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -value : value;
+}
+
+/**
+ * XMP GPS coordinates: "DDD,MM.mmk" or "DDD,MM,SSk" with k = N/S/E/W
+ */
+function xmpDegrees(text) {
+  const match = /^\s*(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?\s*([NSEW])\s*$/i.exec(text || '');
+  if (!match) return null;
+  return degrees([Number(match[1]), Number(match[2]), Number(match[3] || 0)], match[4].toUpperCase());
+}
+
+/**
+ * EXIF "YYYY:MM:DD HH:MM:SS" as ISO 8601. With an offset (OffsetTime*, EXIF
+ * 2.31) the result is exact; without one it is local time with no zone,
+ * which is what the camera recorded.
+ */
+function exifDate(text, subSeconds, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!match || match[1] === '0000') return undefined;
+  const fraction = /^\d+$/.test(subSeconds || '') ? `.${subSeconds.padEnd(3, '0').slice(0, 3)}` : '';
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${fraction}${zone}`;
+}
+
+/**
+ * GPSDateStamp "YYYY:MM:DD" and GPSTimeStamp [h, m, s], both UTC
+ */
+function gpsTimestamp(dateStamp, timeStamp) {
+  const date = /^(\d{4}):(\d{2}):(\d{2})$/.exec(dateStamp || '');
+  if (!date || !Array.isArray(timeStamp) || timeStamp.some(value => typeof value !== 'number')) return undefined;
+  const [hours, minutes, seconds] = timeStamp;
+  return new Date(Date.UTC(Number(date[1]), Number(date[2]) - 1, Number(date[3]), hours, minutes, 0, Math.round(seconds * 1000))).toISOString();
+}
+
+/**
+ * 0.008 -> "1/125", 2 -> "2"
+ */
+function formatExposureTime(seconds) {
+  if (typeof seconds !== 'number' || !(seconds > 0)) return undefined;
+  return seconds < 1 ? `1/${Math.round(1 / seconds)}` : `${Number(seconds.toFixed(1))}`;
+}
+
+/**
+ * [minFocal, maxFocal, minFNumberAtMinFocal, minFNumberAtMaxFocal] -> "1.5-3.5/26-77mm"
+ */
+function formatLensSpecification(spec) {
+  if (!Array.isArray(spec) || spec.length !== 4 || spec.some(value => typeof value !== 'number')) return undefined;
+  const range = (from, to) => from === to ? `${Number(from.toFixed(1))}` : `${Number(from.toFixed(1))}-${Number(to.toFixed(1))}`;
+  return `${range(spec[2], spec[3])}/${range(spec[0], spec[1])}mm`;
+}
+
+function firstOf(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value === '') return undefined;
+  const fraction = /^(-?\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/.exec(value);
+  const number = fraction ? Number(fraction[1]) / Number(fraction[2]) : Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
@@ -17,6 +17,7 @@ console.log('🔄 PhotoShare Real-Time Sync loading...');
             this.supabaseClient = null;
             this.syncCallbacks = new Set();
             this.isUpdating = false; // Prevent circular updates
+            this.lastRemoteState = new Map(); // eventId -> last known server state, for offline conflict checks
         }
 
         async initialize() {
@@ -42,6 +43,9 @@ console.log('🔄 PhotoShare Real-Time Sync loading...');
             // Integrate with mobile settings service
             this.integrateWithMobileSettings();
 
+            // Replay syncs journaled while offline
+            this.registerOutboxHandler();
+
             this.initialized = true;
             console.log('✅ Real-Time Sync initialized successfully');
             return true;
@@ -87,6 +91,7 @@ console.log('🔄 PhotoShare Real-Time Sync loading...');
             console.log('📥 Received remote auto-upload settings change:', payload);
 
             const { new: newRecord, old: oldRecord } = payload;
+            this.lastRemoteState.set(newRecord.event_id, this.toRemoteState(newRecord));
             
             // Check if auto-upload settings actually changed
             const autoUploadChanged = 
@@ -192,6 +197,36 @@ console.log('🔄 PhotoShare Real-Time Sync loading...');
 
             console.log(`📤 Syncing to backend: Event ${eventId}, Enabled: ${enabled}`);
 
+            const payload = {
+                eventId: eventId,
+                userId: this.currentUser.id,
+                state: {
+                    enabled: enabled,
+                    startTime: startTime ? new Date(startTime).toISOString() : null,
+                    endTime: endTime ? new Date(endTime).toISOString() : null
+                }
+            };
+
+            const outbox = window.outboxJournal;
+            if (!outbox) {
+                await this.performBackendSync(payload);
+                return;
+            }
+
+            // Offline (or behind earlier offline changes) - journal and replay later
+            const { queued } = await outbox.submit('realtime_sync', payload, {
+                key: `event_participants:${eventId}`,
+                base: this.lastRemoteState.get(eventId) || null
+            });
+
+            if (queued) {
+                console.log(`📮 Offline - sync for event ${eventId} will replay when back online`);
+            }
+        }
+
+        async performBackendSync({ eventId, userId, state }) {
+            const { enabled, startTime, endTime } = state;
+
             try {
                 this.isUpdating = true;
 
@@ -215,13 +250,20 @@ console.log('🔄 PhotoShare Real-Time Sync loading...');
                         .from('event_participants')
                         .update(updateData)
                         .eq('event_id', eventId)
-                        .eq('user_id', this.currentUser.id);
+                        .eq('user_id', userId);
 
                     if (updateError) {
                         throw updateError;
                     }
                 }
 
+                const previous = this.lastRemoteState.get(eventId) || {};
+                this.lastRemoteState.set(eventId, {
+                    enabled: enabled,
+                    startTime: startTime || previous.startTime || null,
+                    endTime: endTime || previous.endTime || null
+                });
+
                 console.log(`✅ Successfully synced to backend: Event ${eventId}`);
 
             } catch (error) {
@@ -235,6 +277,50 @@ console.log('🔄 PhotoShare Real-Time Sync loading...');
             }
         }
 
+        toRemoteState(dbRecord) {
+            const toISO = (value) => (value ? new Date(value).toISOString() : null);
+            return {
+                enabled: dbRecord.auto_upload_enabled || false,
+                startTime: toISO(dbRecord.auto_upload_start_time),
+                endTime: toISO(dbRecord.auto_upload_end_time)
+            };
+        }
+
+        registerOutboxHandler() {
+            if (!window.outboxJournal) return;
+
+            window.outboxJournal.registerHandler('realtime_sync', {
+                replay: (op) => this.performBackendSync(op.payload),
+
+                getRemoteState: async (op) => {
+                    const { data, error } = await this.supabaseClient
+                        .from('event_participants')
+                        .select('event_id, user_id, auto_upload_enabled, auto_upload_start_time, auto_upload_end_time')
+                        .eq('event_id', op.payload.eventId)
+                        .eq('user_id', op.payload.userId)
+                        .maybeSingle();
+
+                    if (error) throw error;
+                    return data ? { state: this.toRemoteState(data), updatedAt: null, record: data } : null;
+                },
+
+                // Server wins - apply its value locally like any other remote change
+                applyRemoteState: async (op, remote) => {
+                    this.lastRemoteState.set(op.payload.eventId, remote.state);
+                    const mobileSettings = this.convertToMobileSettings(remote.record);
+
+                    // Don't sync the server's own value back to it
+                    this.isUpdating = true;
+                    try {
+                        await this.updateMobileSettingsFromRemote(mobileSettings);
+                    } finally {
+                        this.isUpdating = false;
+                    }
+                    this.notifyCallbacks(mobileSettings);
+                }
+            });
+        }
+
         // Manual sync methods for external use
         async syncEventToBackend(eventId) {
             const settingsService = window.PhotoShareAutoUpload?.settingsService;
@@ -88,6 +88,19 @@ window.PhotoShareProductionDashboard = {
       </div>
     `;
     
+    // "Upload anyway" and "Share report" buttons are re-rendered with the content, so listen on the panel
+    panel.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-upload-anyway]');
+      if (button) {
+        button.disabled = true;
+        this.uploadAnyway(button.dataset.uploadAnyway);
+      }
+      const shareButton = e.target.closest('[data-share-report]');
+      if (shareButton) {
+        this.shareReport(shareButton.dataset.shareReport);
+      }
+    });
+    
     document.body.appendChild(panel);
     this.updateDashboardContent();
     
@@ -157,6 +170,47 @@ window.PhotoShareProductionDashboard = {
       }
     });
     
+    // Upload jobs from every service, via the shared engine
+    try {
+      if (window.uploadEngine) {
+        const engineStatus = window.uploadEngine.getStatus();
+        status.uploads = {
+          total: engineStatus.totalJobs,
+          byState: engineStatus.byState,
+          bySource: engineStatus.bySource,
+          pausedEvents: engineStatus.pausedEvents
+        };
+      }
+    } catch (e) {
+      status.errors.push(`Upload engine: ${e.message}`);
+    }
+    
+    // Photos left out by validation, filtering, deduplication or quality checks
+    try {
+      if (window.photoDecisionLog) {
+        status.decisions = {
+          ...window.photoDecisionLog.getStatus(),
+          skipped: window.photoDecisionLog.getExcludedPhotos({ limit: 5 })
+        };
+      }
+    } catch (e) {
+      status.errors.push(`Decision log: ${e.message}`);
+    }
+    
+    // Recent batches, whose reports can be shared
+    try {
+      if (window.batchPhotoProcessingService) {
+        status.batches = window.batchPhotoProcessingService.getBatchHistory(3).map(batch => ({
+          batchId: batch.batchId,
+          timestamp: new Date(batch.timestamp).toLocaleTimeString(),
+          photos: batch.photosProcessed,
+          processed: batch.results.processedCount
+        }));
+      }
+    } catch (e) {
+      status.errors.push(`Batch processing: ${e.message}`);
+    }
+    
     // Get stats
     try {
       if (window.getAutoUploadStats) {
@@ -190,6 +244,43 @@ window.PhotoShareProductionDashboard = {
         ).join('')}
       </div>
       
+      ${status.uploads ? `
+        <div style="margin-bottom: 12px;">
+          <strong>⬆️ Uploads</strong> (${status.uploads.total} jobs)
+          <br/>Active: ${status.uploads.byState.preparing + status.uploads.byState.uploading + status.uploads.byState.verifying}
+          · Queued: ${status.uploads.byState.queued}
+          · Paused: ${status.uploads.byState.paused}
+          <br/>Done: ${status.uploads.byState.done} · Failed: ${status.uploads.byState.failed}
+          ${status.uploads.pausedEvents.length > 0 ? `<br/>⏸️ Paused events: ${status.uploads.pausedEvents.join(', ')}` : ''}
+          ${Object.entries(status.uploads.bySource).map(([source, counts]) =>
+            `<br/>• ${source}: ${counts.active}/${counts.total}`
+          ).join('')}
+        </div>
+      ` : ''}
+      
+      ${status.decisions && status.decisions.excluded > 0 ? `
+        <div style="margin-bottom: 12px;">
+          <strong>🧾 Skipped Photos</strong> (${status.decisions.excluded})
+          ${status.decisions.skipped.map(photo => `
+            <div style="margin-top: 6px;">
+              • ${this.escapeHTML(photo.filename)} <span style="opacity: 0.7;">(${photo.stage})</span>
+              ${photo.reasons.map(reason => `<br/>&nbsp;&nbsp;↳ ${this.escapeHTML(reason.message)}`).join('')}
+              <br/><button data-upload-anyway="${this.escapeHTML(photo.photoId)}" style="background: #0a84ff; border: none; color: white; border-radius: 4px; padding: 2px 6px; margin-top: 2px; cursor: pointer; font-size: 11px;">Upload anyway</button>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      
+      ${status.batches && status.batches.length > 0 ? `
+        <div style="margin-bottom: 12px;">
+          <strong>🗂️ Batch Reports</strong>
+          ${status.batches.map(batch => `
+            <br/>• ${batch.timestamp}: ${batch.processed}/${batch.photos} processed
+            <button data-share-report="${this.escapeHTML(batch.batchId)}" style="background: #0a84ff; border: none; color: white; border-radius: 4px; padding: 2px 6px; margin-left: 4px; cursor: pointer; font-size: 11px;">Share report</button>
+          `).join('')}
+        </div>
+      ` : ''}
+      
       ${Object.keys(status.stats).length > 0 ? `
         <div style="margin-bottom: 12px;">
           <strong>📊 Statistics</strong>
@@ -207,11 +298,18 @@ window.PhotoShareProductionDashboard = {
       ` : ''}
       
       <div style="margin-top: 15px; font-size: 10px; opacity: 0.7;">
-        💡 Console: Dashboard.reinit(), Dashboard.test()
+        💡 Console: Dashboard.reinit(), Dashboard.test(), Dashboard.decisions(photoId), Dashboard.shareReport()
       </div>
     `;
   },
   
+  // Filenames and reasons come from the device - keep them out of the markup
+  escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  },
+  
   // Set up keyboard shortcuts
   setupKeyboardShortcuts() {
     let touchCount = 0;
@@ -250,7 +348,10 @@ window.PhotoShareProductionDashboard = {
       status: () => this.gatherSystemStatus(),
       reinit: () => this.reinitializeAutoUpload(),
       test: () => this.runDiagnostics(),
-      logs: () => this.showRecentLogs()
+      logs: () => this.showRecentLogs(),
+      decisions: (photoId) => this.showDecisionHistory(photoId),
+      uploadAnyway: (photoId) => this.uploadAnyway(photoId),
+      shareReport: (batchId) => this.shareReport(batchId)
     };
     
     // Also expose on PhotoShare namespace for consistency
@@ -361,6 +462,57 @@ window.PhotoShareProductionDashboard = {
     return results;
   },
   
+  // Show why a photo was included or left out
+  showDecisionHistory(photoId) {
+    const history = window.photoDecisionLog?.getPhotoDecisionHistory(photoId);
+    if (!history) {
+      console.log(`🧾 No decisions recorded for ${photoId}`);
+      return null;
+    }
+    
+    console.log(`🧾 ${history.photo.filename || photoId}: ${history.status}`);
+    console.table(history.entries.flatMap(entry => entry.reasons.map(reason => ({
+      stage: entry.stage,
+      decision: entry.decision,
+      rule: reason.rule,
+      value: reason.value,
+      threshold: reason.threshold,
+      reason: reason.message,
+      at: entry.decidedAt
+    }))));
+    return history;
+  },
+  
+  // Override a skipped photo and queue it for upload
+  async uploadAnyway(photoId) {
+    try {
+      if (!window.photoDecisionLog) {
+        throw new Error('Photo decision log not loaded');
+      }
+      const result = await window.photoDecisionLog.uploadAnyway(photoId, { editor: 'dashboard' });
+      console.log(result.queued ? `✅ ${photoId} queued for upload` : `⚠️ ${photoId} will be included next time: ${result.error || 'not queued'}`);
+      return result;
+    } catch (error) {
+      console.error('❌ Upload anyway failed:', error);
+      return null;
+    } finally {
+      this.updateDashboardContent();
+    }
+  },
+  
+  // Send a batch's report (JSON, CSV, HTML) through the share sheet
+  async shareReport(batchId = null) {
+    try {
+      if (!window.batchPhotoProcessingService) {
+        throw new Error('Batch processing not loaded');
+      }
+      return await window.batchPhotoProcessingService.shareBatchReport(batchId);
+    } catch (error) {
+      console.error('❌ Sharing batch report failed:', error);
+      return null;
+    }
+  },
+  
   // Show recent console logs
   showRecentLogs() {
     console.log('📋 Recent auto-upload related logs:');
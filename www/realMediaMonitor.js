@@ -5,6 +5,7 @@ import { Filesystem, Directory } from '@capacitor/filesystem';
 import { showToast } from './cameraPermissions.js';
 import { addPhotoToUploadQueue } from './uploadQueue.js';
 import { photoMetadataExtractor, extractPhotoMetadata, createPhotoMetadataSummary } from './photoMetadataExtractor.js';
+import { photoDeduplicationService } from './photoDeduplicationService.js';
 
 /**
  * RealMediaMonitor - Real iOS Photos framework integration
@@ -19,6 +20,8 @@ export class RealMediaMonitor {
     this.eventTimeframes = new Map(); // eventId -> timeframe
     this.onNewPhotoCallback = null;
     this.changeObserver = null;
+    this.duplicatesDetected = 0;
+    this.duplicatesSkipped = 0;
     
     // Configuration
     this.config = {
@@ -28,7 +31,12 @@ export class RealMediaMonitor {
       // iOS specific settings
       fetchLimit: 50, // Maximum photos to fetch from library per query
       sortOrder: 'creationDate', // Sort by creation date (newest first)
-      includeAllBursts: false // Don't include all burst photos
+      includeAllBursts: false, // Don't include all burst photos
+      // Each new photo is checked against the persistent hash index
+      duplicateCheck: {
+        enabled: true,
+        skipExactDuplicates: true // Near duplicates are still uploaded, flagged
+      }
     };
     
     console.log('📱 RealMediaMonitor initialized for iOS Photos framework');
@@ -377,6 +385,7 @@ export class RealMediaMonitor {
         createdAt: photo.creationDate,
         detectedAt: new Date(),
         localIdentifier: photo.id, // iOS PHAsset identifier
+        eventTimeframe: photo.eventTimeframe, // Used for upload lane priority
         
         // Enhanced metadata from extractor
         extractedMetadata: extractedMetadata,
@@ -413,6 +422,18 @@ export class RealMediaMonitor {
         return;
       }
       
+      // Check against photos already seen for this event
+      photoData.duplicateCheck = await this.checkForDuplicates(photoData, photo);
+      if (photoData.duplicateCheck?.isDuplicate) {
+        this.duplicatesDetected++;
+        
+        if (photoData.duplicateCheck.duplicateType === 'exact' && this.config.duplicateCheck.skipExactDuplicates) {
+          this.duplicatesSkipped++;
+          console.log(`⏭️ Skipping exact duplicate of ${photoData.duplicateCheck.matches[0].filename}`);
+          return;
+        }
+      }
+      
       console.log('✅ Photo ready for upload queue');
       
       // Add photo to upload queue
@@ -431,6 +452,31 @@ export class RealMediaMonitor {
     }
   }
 
+  /**
+   * Incremental duplicate check - a failed check never blocks the upload
+   * @returns {Promise<object|null>} Result of checkPhotoForDuplicates, or null
+   */
+  async checkForDuplicates(photoData, photo) {
+    if (!this.config.duplicateCheck.enabled) return null;
+    
+    try {
+      if (!photoDeduplicationService.isInitialized) {
+        await photoDeduplicationService.initialize();
+      }
+      
+      // The library asset's file location is what gets decoded for hashing
+      return await photoDeduplicationService.checkPhotoForDuplicates({
+        ...photoData,
+        webPath: photo.webPath,
+        path: photo.path
+      });
+      
+    } catch (error) {
+      console.warn(`⚠️ Duplicate check failed for ${photoData.filename}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Validate photo meets upload requirements
    */
@@ -526,6 +572,8 @@ export class RealMediaMonitor {
       monitoringType: 'real-ios-photos',
       lastScanTime: this.lastScanTime,
       knownPhotosCount: this.knownPhotoIds.size,
+      duplicatesDetected: this.duplicatesDetected,
+      duplicatesSkipped: this.duplicatesSkipped,
       eventTimeframesCount: this.eventTimeframes.size,
       scanInterval: this.config.scanInterval,
       config: this.config,
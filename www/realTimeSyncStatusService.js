@@ -3,6 +3,8 @@ import { Device } from '@capacitor/device';
 import { Network } from '@capacitor/network';
 import { autoUploadManager } from './autoUploadManager.js';
 import { uploadQueue } from './uploadQueue.js';
+import { uploadRateLimitGovernor } from './uploadRateLimitGovernor.js';
+import { uploadEngine } from './uploadEngine.js';
 import { realMediaMonitor } from './realMediaMonitor.js';
 import { enhancedBackgroundService } from './enhancedBackgroundService.js';
 import { pushNotificationService } from './pushNotificationService.js';
@@ -18,6 +20,7 @@ export class RealTimeSyncStatusService {
     this.subscribers = new Set();
     this.statusUpdateInterval = null;
     this.networkStatusListener = null;
+    this.rateLimitUnsubscribe = null;
     this.lastUpdateTime = null;
     this.syncMetrics = new Map();
     this.performanceHistory = [];
@@ -36,7 +39,14 @@ export class RealTimeSyncStatusService {
         completed: 0,
         failed: 0,
         uploadRate: 0,
-        estimatedTimeRemaining: 0
+        estimatedTimeRemaining: 0,
+        jobsByState: {},
+        jobsBySource: {}
+      },
+      rateLimit: {
+        isRateLimited: false,
+        pausedBuckets: [],
+        nextRetryInSeconds: 0
       },
       monitoring: {
         isActive: false,
@@ -100,6 +110,9 @@ export class RealTimeSyncStatusService {
       // Set up network monitoring
       await this.setupNetworkMonitoring();
       
+      // Follow server rate limits and their countdown
+      this.setupRateLimitMonitoring();
+      
       // Start periodic status updates
       this.startPeriodicUpdates();
       
@@ -144,6 +157,12 @@ export class RealTimeSyncStatusService {
         this.networkStatusListener = null;
       }
 
+      // Remove rate limit listener
+      if (this.rateLimitUnsubscribe) {
+        this.rateLimitUnsubscribe();
+        this.rateLimitUnsubscribe = null;
+      }
+
       this.isActive = false;
       console.log('✅ Real-time sync status monitoring stopped');
       
@@ -224,6 +243,36 @@ export class RealTimeSyncStatusService {
     }
   }
 
+  /**
+   * Set up rate limit monitoring
+   */
+  setupRateLimitMonitoring() {
+    this.updateRateLimitStatus();
+
+    this.rateLimitUnsubscribe = uploadRateLimitGovernor.subscribe((eventType) => {
+      this.updateRateLimitStatus();
+
+      // rate_limited, rate_limit_countdown (every second) and rate_limit_cleared
+      this.notifySubscribers(eventType, {
+        timestamp: new Date(),
+        rateLimit: { ...this.currentStatus.rateLimit }
+      });
+    });
+  }
+
+  /**
+   * Update rate limit status
+   */
+  updateRateLimitStatus() {
+    const rateLimitStatus = uploadRateLimitGovernor.getStatus();
+
+    this.currentStatus.rateLimit = {
+      isRateLimited: rateLimitStatus.isRateLimited,
+      pausedBuckets: rateLimitStatus.pausedBuckets,
+      nextRetryInSeconds: rateLimitStatus.nextRetryInSeconds
+    };
+  }
+
   /**
    * Start periodic status updates
    */
@@ -318,6 +367,10 @@ export class RealTimeSyncStatusService {
     try {
       const queueStatus = uploadQueue.getStatus();
       const queueStats = queueStatus.queueStats;
+
+      // Every upload path reports through the shared engine
+      const engineStatus = uploadEngine.getStatus();
+      const { byState } = engineStatus;
       
       // Calculate upload rate
       const uploadRate = this.calculateUploadRate(queueStats);
@@ -327,14 +380,18 @@ export class RealTimeSyncStatusService {
         Math.ceil(queueStats.pending / Math.max(uploadRate, 0.1)) : 0;
 
       this.currentStatus.upload = {
-        queueSize: queueStats.total,
-        processing: queueStats.processing,
-        completed: queueStats.completed,
-        failed: queueStats.failed,
+        queueSize: engineStatus.totalJobs,
+        processing: byState.preparing + byState.uploading + byState.verifying,
+        completed: byState.done,
+        failed: byState.failed,
         uploadRate: uploadRate,
-        estimatedTimeRemaining: estimatedTime
+        estimatedTimeRemaining: estimatedTime,
+        jobsByState: byState,
+        jobsBySource: engineStatus.bySource
       };
 
+      this.updateRateLimitStatus();
+
     } catch (error) {
       console.error('Error updating upload status:', error);
     }
@@ -499,6 +556,7 @@ export class RealTimeSyncStatusService {
   determineOverallStatus() {
     if (!this.currentStatus.system.isOnline) return 'offline';
     if (this.currentStatus.upload.failed > 5) return 'error';
+    if (this.currentStatus.rateLimit.isRateLimited) return 'rate_limited';
     if (this.currentStatus.upload.processing > 0) return 'syncing';
     if (this.currentStatus.monitoring.isActive) return 'monitoring';
     return 'ready';
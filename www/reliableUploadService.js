@@ -19,6 +19,44 @@ const showToast = window.showToast || function(message, type) {
   console.log(`${type.toUpperCase()}: ${message}`);
 };
 
+// Shared rate limit governor (uploadRateLimitGovernor.js), looked up lazily
+const getRateLimitGovernor = () => window.uploadRateLimitGovernor || null;
+
+// JPEG re-encoding for adaptive quality (imageTranscoder.js), looked up lazily
+const getImageTranscoder = () => window.imageTranscoder || null;
+
+// Offline outbox (outboxJournal.js), looked up lazily
+const getOutboxJournal = () => window.outboxJournal || null;
+
+// Capacitor Filesystem, for image data of journaled uploads
+const getFilesystem = () => window.Capacitor?.Plugins?.Filesystem || null;
+
+// Data budgets and upload time windows (uploadBudgetScheduler.js), looked up lazily
+const getUploadBudgetScheduler = () => window.uploadBudgetScheduler || null;
+
+// Persistent photo hash store (photoHashStore.js), looked up lazily
+const getPhotoHashStore = () => window.photoHashStore || null;
+
+// Shared upload engine (uploadEngine.js) - owns job state, retries and JWT lookup
+const getUploadEngine = () => {
+  if (!window.uploadEngine) {
+    throw new Error('UploadEngine not loaded - include uploadEngine.js');
+  }
+  return window.uploadEngine;
+};
+
+// Engine job state -> ReliableUploadService item status
+const RELIABLE_STATUS_BY_JOB_STATE = {
+  queued: 'queued',
+  preparing: 'uploading',
+  uploading: 'uploading',
+  verifying: 'uploading',
+  paused: 'paused',
+  done: 'completed',
+  failed: 'permanently_failed',
+  cancelled: 'cancelled'
+};
+
 /**
  * ReliableUploadService - Enhanced upload reliability and network handling
  * Ensures photos reliably reach the event for other guests to download
@@ -32,6 +70,8 @@ class ReliableUploadService {
     this.networkListener = null;
     this.uploadStats = new Map();
     this.retryQueue = [];
+    this.resumableSessions = new Map(); // session key (see getSessionKey) -> { uploadUrl, offset, totalBytes, objectName }
+    this.engineUnsubscribe = null;
     
     // Configuration
     this.config = {
@@ -45,11 +85,9 @@ class ReliableUploadService {
       },
       
       // Retry mechanism
+      // Backoff timing is shared by all services in UploadEngine.config.retry
       retry: {
         maxAttempts: 5,
-        baseDelayMs: 2000, // Start with 2 second delay
-        maxDelayMs: 30000, // Cap at 30 seconds
-        backoffMultiplier: 2, // Exponential backoff
         retryOnNetworkReconnect: true,
         permanentFailureThreshold: 3 // After 3 consecutive failures, mark as permanent
       },
@@ -57,24 +95,50 @@ class ReliableUploadService {
       // Upload optimization
       upload: {
         maxConcurrentUploads: 3, // Conservative for reliability
-        chunkSize: 1024 * 1024, // 1MB chunks for large photos
+        chunkSize: 6 * 1024 * 1024, // Supabase resumable uploads require 6MB chunks
         compressionQuality: 0.85, // Good balance of quality vs size
         progressUpdateInterval: 1000, // Update progress every second
         verifyUploadCompletion: true
       },
       
+      // Resumable (tus) upload protocol
+      resumable: {
+        endpoint: `${window.PHOTOSHARE_CONFIG?.supabase?.url || 'https://jgfcfdlfcnmaripgpepl.supabase.co'}/storage/v1/upload/resumable`,
+        bucketName: 'event-photos',
+        tusVersion: '1.0.0',
+        storageKey: 'reliable_upload_resumable_sessions',
+        sessionMaxAgeMs: 24 * 60 * 60 * 1000 // Supabase expires upload URLs after 24 hours
+      },
+      
+      // Offline outbox - in-memory image data of journaled uploads is saved
+      // here, as a replay after a relaunch has no other way to read it
+      outbox: {
+        payloadFolder: 'outbox-payloads', // Filesystem Directory.Data, one file per upload
+        payloadDirectory: 'DATA'
+      },
+      
+      // Post-upload verification - the verify-upload function hashes the stored
+      // object and answers { sha256, size }
+      verification: {
+        endpoint: `${window.PHOTOSHARE_CONFIG?.supabase?.url || 'https://jgfcfdlfcnmaripgpepl.supabase.co'}/functions/v1/verify-upload`,
+        timeoutMs: 15000
+      },
+      
       // Quality adaptation
       qualityAdaptation: {
         wifiQuality: 0.95, // High quality on WiFi
         cellularQuality: 0.80, // Reduced quality on cellular
         lowBandwidthQuality: 0.65, // Further reduced on slow connections
+        wifiMaxLongEdge: null, // Full resolution on WiFi
+        cellularMaxLongEdge: 3072, // Pixels on the longest side
+        lowBandwidthMaxLongEdge: 2048,
         adaptBasedOnFailures: true
       },
       
       // Error handling
       errorHandling: {
         categorizeErrors: true,
-        autoResolveableErrors: ['network', 'timeout', 'server_busy'],
+        autoResolveableErrors: ['network', 'timeout', 'server_busy', 'integrity'],
         permanentErrors: ['invalid_file', 'too_large', 'forbidden'],
         logDetailedErrors: true
       }
@@ -102,7 +166,15 @@ class ReliableUploadService {
       // Load any pending uploads from storage
       await this.loadPendingUploads();
       
+      // Follow pause/resume/cancel coming from the event controls or other services
+      this.engineUnsubscribe = getUploadEngine().subscribe((eventType, data) => {
+        this.handleEngineEvent(eventType, data);
+      });
+      
       this.isInitialized = true;
+      
+      // Uploads the user started while offline (possibly before a relaunch)
+      this.registerOutboxHandler();
       console.log('✅ ReliableUploadService initialized');
       
       return true;
@@ -145,6 +217,11 @@ class ReliableUploadService {
           this.handleNetworkDisconnection();
         }
         
+        // Uploads deferred for the previous connection type may be allowed now
+        if (wasConnected && nowConnected) {
+          this.processUploadQueue();
+        }
+        
         // Adapt upload quality based on connection type
         this.adaptUploadQuality(status);
       });
@@ -165,6 +242,8 @@ class ReliableUploadService {
     this.uploadStats.set('failedUploads', 0);
     this.uploadStats.set('retriedUploads', 0);
     this.uploadStats.set('bytesUploaded', 0);
+    this.uploadStats.set('bytesSaved', 0); // By adaptive re-encoding
+    this.uploadStats.set('integrityFailures', 0); // Server hash or size did not match
     this.uploadStats.set('averageUploadTime', 0);
     this.uploadStats.set('networkFailures', 0);
     this.uploadStats.set('serverErrors', 0);
@@ -229,17 +308,51 @@ class ReliableUploadService {
     }
 
     try {
-      const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Register with the upload engine - one job per photo across all services
+      const { job, duplicate, suppressed } = getUploadEngine().submit({
+        source: 'reliable',
+        eventId: eventId,
+        photoKey: photoData.localIdentifier || photoData.id,
+        filename: photoData.filename,
+        fileSize: photoData.fileSize,
+        maxAttempts: this.config.retry.maxAttempts
+      });
+      
+      if (suppressed) {
+        // e.g. rejected in duplicate review - nothing to upload or replay
+        if (options.outboxEntryId) {
+          getOutboxJournal()?.complete(options.outboxEntryId, 'cancelled');
+        }
+        if (photoData.payloadPath) {
+          this.deleteOutboxPayload(photoData.payloadPath);
+        }
+        return null;
+      }
+      
+      if (duplicate) {
+        console.log(`⏭️ Photo already queued as ${job.id} by ${job.source}`);
+        const existingItem = this.uploadQueue.get(job.id);
+        if (existingItem && options.outboxEntryId) {
+          existingItem.outboxEntryId = options.outboxEntryId;
+          // Deleted when the upload finishes
+          existingItem.photoData.payloadPath = existingItem.photoData.payloadPath || photoData.payloadPath;
+        }
+        return job.id;
+      }
+      
+      const uploadId = job.id;
       
       // Prepare upload metadata
       const uploadItem = {
         uploadId: uploadId,
+        sessionKey: this.getSessionKey(photoData, eventId), // Resumable session, kept across relaunches
         photoData: photoData,
         eventId: eventId,
         options: options,
+        outboxEntryId: options.outboxEntryId || null, // Journal entry to complete when done
         
-        // Upload state
-        status: 'queued',
+        // Upload state (paused when its event is paused)
+        status: RELIABLE_STATUS_BY_JOB_STATE[job.state],
         attempts: 0,
         maxAttempts: this.config.retry.maxAttempts,
         
@@ -251,6 +364,7 @@ class ReliableUploadService {
         // Network context
         initialNetworkType: this.networkStatus?.connectionType,
         adaptedQuality: this.getAdaptedQuality(),
+        adaptedMaxLongEdge: this.getAdaptedMaxLongEdge(),
         
         // Progress tracking
         progress: 0,
@@ -271,8 +385,15 @@ class ReliableUploadService {
       console.log(`   📊 Size: ${(uploadItem.totalBytes / 1024 / 1024).toFixed(1)}MB`);
       console.log(`   📶 Network: ${uploadItem.initialNetworkType}`);
       
+      // Record the intent so it survives a relaunch while offline
+      if (!this.networkStatus?.connected) {
+        await this.journalUpload(uploadItem);
+      }
+      
       // Start upload if network is available
-      if (this.canStartUpload()) {
+      if (uploadItem.status === 'paused') {
+        console.log(`⏸️ Upload queued paused - event ${eventId} is paused`);
+      } else if (this.canStartUpload()) {
         await this.startUpload(uploadId);
       } else {
         console.log('⏳ Upload queued - waiting for better network conditions');
@@ -295,6 +416,11 @@ class ReliableUploadService {
     if (!uploadItem || uploadItem.status === 'uploading' || uploadItem.isPermanentFailure) {
       return;
     }
+    
+    // An aborted transfer may still be settling after a disconnect
+    if (this.activeUploads.has(uploadId)) {
+      return;
+    }
 
     try {
       // Check if we can start more uploads
@@ -302,25 +428,60 @@ class ReliableUploadService {
         console.log('⏳ Upload queue full, waiting for slot...');
         return;
       }
-
-      // Update upload status
-      uploadItem.status = 'uploading';
-      uploadItem.attempts++;
-      uploadItem.lastAttemptAt = new Date();
       
-      console.log(`🚀 Starting upload attempt ${uploadItem.attempts}/${uploadItem.maxAttempts}: ${uploadId}`);
+      // Still in retry backoff
+      if (!getUploadEngine().isReady(uploadId)) {
+        return;
+      }
+      
+      // Respect server rate limits for this event
+      const rateLimit = getRateLimitGovernor()?.checkUpload({ eventId: uploadItem.eventId });
+      if (rateLimit && !rateLimit.allowed) {
+        this.scheduleRateLimitRetry(uploadItem, rateLimit.retryAt);
+        return;
+      }
       
-      // Create upload promise
-      const uploadPromise = this.performReliableUpload(uploadItem);
+      // Respect the user's data budget, upload windows and Wi-Fi-only events
+      const budget = this.checkDataBudget(uploadItem, this.getInFlightBytes());
+      if (budget && !budget.allowed) {
+        this.deferForBudget(uploadItem, budget);
+        return;
+      }
+
+      uploadItem.status = 'uploading';
+      uploadItem.deferredReason = null;
+      uploadItem.deferredDetail = null;
+      console.log(`🚀 Starting upload attempt ${uploadItem.attempts + 1}/${uploadItem.maxAttempts}: ${uploadId}`);
+      
+      // Run one attempt through the engine
+      const uploadPromise = getUploadEngine().runAttempt(uploadId, {
+        prepare: async () => {
+          // Keep the bytes a resumable session was created for
+          if (uploadItem.processedPhotoData && this.resumableSessions.has(uploadItem.sessionKey)) {
+            return;
+          }
+          uploadItem.processedPhotoData = await this.preparePhotoForUpload(
+            uploadItem.photoData, uploadItem.adaptedQuality, uploadItem.adaptedMaxLongEdge
+          );
+        },
+        upload: (job, { signal, onProgress }) => this.performReliableUpload(uploadItem, signal, onProgress),
+        verify: this.config.upload.verifyUploadCompletion ?
+          (job, result, { signal }) => this.verifyUploadCompletion(result, uploadItem, signal) : null
+      });
       this.activeUploads.set(uploadId, uploadPromise);
       
       // Handle upload completion
       uploadPromise
-        .then(async (result) => {
-          await this.handleUploadSuccess(uploadId, result);
-        })
-        .catch(async (error) => {
-          await this.handleUploadFailure(uploadId, error);
+        .then(async (job) => {
+          this.syncItemFromJob(uploadItem, job);
+          
+          if (job.state === 'done') {
+            await this.handleUploadSuccess(uploadId, job.result);
+          } else if (job.state === 'queued' || job.state === 'failed') {
+            await this.handleUploadFailure(uploadId, job);
+          } else if (job.state === 'paused') {
+            console.log(`⏸️ Upload ${uploadId} paused at byte ${uploadItem.bytesTransferred}`);
+          }
         })
         .finally(() => {
           this.activeUploads.delete(uploadId);
@@ -330,67 +491,315 @@ class ReliableUploadService {
       
     } catch (error) {
       console.error('Error starting upload:', error);
-      await this.handleUploadFailure(uploadId, error);
     }
   }
 
   /**
-   * Perform the actual reliable upload
+   * Mirror the engine job onto the local upload item
+   */
+  syncItemFromJob(uploadItem, job) {
+    uploadItem.status = RELIABLE_STATUS_BY_JOB_STATE[job.state];
+    uploadItem.attempts = job.attempts;
+    uploadItem.lastAttemptAt = job.lastAttemptAt;
+    uploadItem.completedAt = job.completedAt;
+    uploadItem.isPermanentFailure = job.state === 'failed';
+  }
+
+  /**
+   * Replay journaled uploads by queuing them again. The entry stays in the
+   * journal until the upload completes, fails or is cancelled.
+   */
+  registerOutboxHandler() {
+    getOutboxJournal()?.registerHandler('reliable_upload', {
+      replay: async (op) => {
+        const { eventId, options } = op.payload;
+        const photoData = { ...op.payload.photoData }; // The journal keeps the reference only
+        if (photoData.payloadPath) {
+          Object.assign(photoData, await this.loadOutboxPayload(photoData));
+        }
+        await this.queuePhotoUpload(photoData, eventId, { ...options, outboxEntryId: op.id });
+        return { pending: true };
+      }
+    });
+  }
+
+  /**
+   * Append an upload to the offline outbox. Photos with a path are journaled
+   * by reference and read again on replay; the image data of photos that
+   * exist only in memory is saved to a file first. A photo whose data can't
+   * be saved is not journaled, and the user is told to keep the app open.
+   */
+  async journalUpload(uploadItem) {
+    const outbox = getOutboxJournal();
+    if (!outbox || uploadItem.outboxEntryId || uploadItem.isJournaling) return;
+    
+    const { blob, base64, dataUrl, ...photoReference } = uploadItem.photoData;
+    const { outboxEntryId, ...options } = uploadItem.options || {};
+    
+    if (!photoReference.path && (blob || base64 || dataUrl)) {
+      uploadItem.isJournaling = true;
+      try {
+        photoReference.payloadPath = await this.saveOutboxPayload(uploadItem.uploadId, { blob, base64, dataUrl });
+      } catch (error) {
+        console.error(`Error saving image data of ${photoReference.filename} for the offline outbox:`, error);
+        showToast(`${photoReference.filename || 'Photo'} can't be kept for later - keep the app open until it uploads`, 'error');
+        return;
+      } finally {
+        uploadItem.isJournaling = false;
+      }
+      
+      // Finished while the file was written
+      if (['completed', 'cancelled', 'permanently_failed'].includes(uploadItem.status)) {
+        this.deleteOutboxPayload(photoReference.payloadPath);
+        return;
+      }
+      uploadItem.photoData.payloadPath = photoReference.payloadPath;
+    }
+    
+    const entry = outbox.append('reliable_upload', {
+      photoData: photoReference,
+      eventId: uploadItem.eventId,
+      options: options
+    }, {
+      key: `upload:${uploadItem.eventId}:${photoReference.localIdentifier || photoReference.id}`
+    });
+    uploadItem.outboxEntryId = entry.id;
+  }
+
+  /**
+   * Close the outbox entry of a finished upload
+   */
+  completeJournaledUpload(uploadItem, outcome, error = null) {
+    if (uploadItem?.outboxEntryId) {
+      getOutboxJournal()?.complete(uploadItem.outboxEntryId, outcome, error);
+      uploadItem.outboxEntryId = null;
+    }
+    if (uploadItem?.photoData?.payloadPath) {
+      this.deleteOutboxPayload(uploadItem.photoData.payloadPath);
+      delete uploadItem.photoData.payloadPath;
+    }
+  }
+
+  /**
+   * Write the in-memory image data of a journaled upload to a file
+   * @returns {Promise<string>} Path of the file, for loadOutboxPayload
    */
-  async performReliableUpload(uploadItem) {
-    const { uploadId, photoData, eventId, adaptedQuality } = uploadItem;
+  async saveOutboxPayload(uploadId, { blob, base64, dataUrl }) {
+    const filesystem = getFilesystem();
+    if (!filesystem) {
+      throw new Error('Filesystem not available');
+    }
     
+    const payload = {};
+    if (typeof base64 === 'string') payload.base64 = base64;
+    if (typeof dataUrl === 'string') payload.dataUrl = dataUrl;
+    if (!payload.base64 && !payload.dataUrl && blob instanceof Blob) {
+      payload.dataUrl = await this.blobToDataUrl(blob);
+    }
+    
+    const path = `${this.config.outbox.payloadFolder}/${encodeURIComponent(uploadId)}.json`;
+    await filesystem.writeFile({
+      path: path,
+      data: JSON.stringify(payload),
+      directory: this.config.outbox.payloadDirectory,
+      encoding: 'utf8',
+      recursive: true
+    });
+    return path;
+  }
+
+  /**
+   * Image data saved by saveOutboxPayload; throws (failing the replay) when
+   * it can't be read any more
+   */
+  async loadOutboxPayload(photoData) {
     try {
-      console.log(`📤 Uploading ${photoData.filename}...`);
+      const { data } = await getFilesystem().readFile({
+        path: photoData.payloadPath,
+        directory: this.config.outbox.payloadDirectory,
+        encoding: 'utf8'
+      });
+      return JSON.parse(data);
+    } catch (error) {
+      console.error(`Error reading saved image data of ${photoData.filename}:`, error);
+      showToast(`${photoData.filename || 'Photo'} could not be uploaded - its image data was lost when the app closed`, 'error');
+      throw new Error(`Invalid file: image data of ${photoData.filename || 'photo'} was lost when the app closed`);
+    }
+  }
+
+  deleteOutboxPayload(path) {
+    getFilesystem()?.deleteFile({
+      path: path,
+      directory: this.config.outbox.payloadDirectory
+    }).catch(() => {
+      // Already gone
+    });
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Mirror pause, resume and cancel decisions made outside this service
+   */
+  handleEngineEvent(eventType, data) {
+    if (eventType !== 'job_state_changed' || data.source !== 'reliable') return;
+    
+    const uploadItem = this.uploadQueue.get(data.id);
+    if (!uploadItem) return;
+    
+    if (data.state === 'paused' || data.state === 'cancelled') {
+      uploadItem.status = RELIABLE_STATUS_BY_JOB_STATE[data.state];
+      clearTimeout(uploadItem.rateLimitTimer);
       
-      // Prepare photo data with adapted quality
-      const processedPhotoData = await this.preparePhotoForUpload(photoData, adaptedQuality);
+      if (data.state === 'cancelled') {
+        this.clearResumableSession(uploadItem.sessionKey);
+        this.completeJournaledUpload(uploadItem, 'cancelled');
+      }
+    } else if (data.previousState === 'paused' && data.state === 'queued') {
+      uploadItem.status = 'queued';
+      this.processUploadQueue();
+    }
+  }
+
+  /**
+   * Pause an upload. An in-flight transfer is aborted; the resumable
+   * session is kept so resume() continues from the last acknowledged chunk.
+   */
+  pause(uploadId) {
+    if (!this.uploadQueue.has(uploadId)) return false;
+    return getUploadEngine().pause(uploadId);
+  }
+
+  /**
+   * Resume a paused upload
+   */
+  resume(uploadId) {
+    if (!this.uploadQueue.has(uploadId)) return false;
+    return getUploadEngine().resume(uploadId);
+  }
+
+  /**
+   * Cancel an upload and discard its resumable session
+   */
+  cancel(uploadId) {
+    if (!this.uploadQueue.has(uploadId)) return false;
+    return getUploadEngine().cancel(uploadId);
+  }
+
+  /**
+   * Pause every upload for an event (across all upload services)
+   */
+  pauseEvent(eventId) {
+    return getUploadEngine().pauseEvent(eventId);
+  }
+
+  /**
+   * Resume every paused upload for an event
+   */
+  resumeEvent(eventId) {
+    return getUploadEngine().resumeEvent(eventId);
+  }
+
+  /**
+   * Perform the actual reliable upload (one engine attempt)
+   */
+  async performReliableUpload(uploadItem, signal, onProgress) {
+    const { uploadId, eventId } = uploadItem;
+    
+    try {
+      console.log(`📤 Uploading ${uploadItem.photoData.filename}...`);
       
       // Track upload progress
       const progressCallback = (progress, bytesTransferred) => {
         uploadItem.progress = progress;
         uploadItem.bytesTransferred = bytesTransferred;
+        onProgress(progress, bytesTransferred);
         this.notifyUploadProgress(uploadId, progress);
       };
       
+      uploadItem.signal = signal;
+      
       // Perform chunked upload with progress tracking
-      const uploadResult = await this.performChunkedUpload(
-        processedPhotoData, 
+      const result = await this.performChunkedUpload(
+        uploadItem.processedPhotoData, 
         eventId, 
         progressCallback,
-        this.config.network.timeoutMs
+        this.config.network.timeoutMs,
+        uploadItem
       );
       
-      // Verify upload completion if configured
-      if (this.config.upload.verifyUploadCompletion) {
-        await this.verifyUploadCompletion(uploadResult);
+      const { originalSize, adaptedSize, compressionApplied } = uploadItem.processedPhotoData;
+      if (compressionApplied) {
+        const saved = originalSize - adaptedSize;
+        this.uploadStats.set('bytesSaved', this.uploadStats.get('bytesSaved') + saved);
+        console.log(`   🗜️ Adapted ${(originalSize / 1024 / 1024).toFixed(1)}MB → ${(adaptedSize / 1024 / 1024).toFixed(1)}MB ` +
+          `(saved ${(saved / 1024 / 1024).toFixed(1)}MB, ${((saved / originalSize) * 100).toFixed(0)}%)`);
       }
       
-      return uploadResult;
+      return result;
       
     } catch (error) {
       // Categorize the error for better handling
       const categorizedError = this.categorizeUploadError(error);
       console.error(`Upload error (${categorizedError.category}):`, categorizedError.message);
+      
+      // Tell the engine how to treat it
+      if (categorizedError.category === 'rate_limited') {
+        categorizedError.deferred = true;
+      } else if (this.isPermanentError(categorizedError)) {
+        categorizedError.permanent = true;
+      }
+      
       throw categorizedError;
     }
   }
 
   /**
-   * Prepare photo data with quality adaptation
+   * Prepare photo data with quality adaptation - re-encodes JPEGs at the
+   * network's quality factor and long-edge limit, keeping EXIF and GPS
    */
-  async preparePhotoForUpload(photoData, quality) {
+  async preparePhotoForUpload(photoData, quality, maxLongEdge = null) {
     try {
-      // If quality is different from original, we'd compress here
-      // For now, simulate the process
-      const originalSize = photoData.fileSize || 0;
-      const adaptedSize = Math.round(originalSize * quality);
+      const blob = await this.getPhotoBlob(photoData);
+      const transcoder = getImageTranscoder();
+      
+      let transcoded = null;
+      if (transcoder && (quality < 1.0 || maxLongEdge)) {
+        try {
+          transcoded = await transcoder.transcode(blob, { quality, maxLongEdge });
+        } catch (error) {
+          // Undecodable here (e.g. unsupported codec) - upload the original
+          console.warn(`⚠️ Could not re-encode ${photoData.filename}, uploading original:`, error);
+        }
+      }
+      
+      const compressionApplied = !!transcoded?.transcoded;
+      if (transcoded && !compressionApplied) {
+        console.log(`📷 Uploading original ${photoData.filename} (${transcoded.reason})`);
+      }
+      
+      const uploadBlob = compressionApplied ? transcoded.blob : blob;
       
       return {
         ...photoData,
-        adaptedQuality: quality,
-        adaptedSize: adaptedSize,
-        compressionApplied: quality < 1.0
+        blob: uploadBlob,
+        mimeType: compressionApplied ? transcoded.blob.type : photoData.mimeType,
+        dimensions: compressionApplied ?
+          { width: transcoded.width, height: transcoded.height } : photoData.dimensions,
+        adaptedQuality: compressionApplied ? quality : 1.0,
+        adaptedMaxLongEdge: compressionApplied ? maxLongEdge : null,
+        originalSize: blob.size,
+        adaptedSize: compressionApplied ? transcoded.adaptedSize : blob.size,
+        compressionApplied: compressionApplied,
+        // Hash of the exact bytes being sent, checked against the server after upload
+        sha256Hash: await this.computeSHA256(uploadBlob)
       };
       
     } catch (error) {
@@ -400,103 +809,442 @@ class ReliableUploadService {
   }
 
   /**
-   * Perform chunked upload with progress tracking
+   * Perform resumable (tus) chunked upload with progress tracking.
+   * Asks the server for its current offset first, so a retried or
+   * reconnected upload continues from the last acknowledged chunk.
    */
-  async performChunkedUpload(photoData, eventId, progressCallback, timeoutMs) {
-    return new Promise((resolve, reject) => {
-      const startTime = Date.now();
-      let bytesTransferred = 0;
-      const totalBytes = photoData.adaptedSize || photoData.fileSize || 0;
-      
-      // Simulate chunked upload with realistic progress
-      const chunkSize = this.config.upload.chunkSize;
-      const totalChunks = Math.ceil(totalBytes / chunkSize);
-      let currentChunk = 0;
-      
-      const uploadChunk = () => {
-        if (Date.now() - startTime > timeoutMs) {
-          reject(new Error('Upload timeout'));
-          return;
-        }
-        
-        if (currentChunk >= totalChunks) {
-          // Upload complete
-          const uploadTime = Date.now() - startTime;
-          resolve({
-            success: true,
-            uploadId: `server_${Date.now()}`,
-            bytesUploaded: totalBytes,
-            uploadTime: uploadTime,
-            averageSpeed: (totalBytes / uploadTime) * 1000, // bytes per second
-            eventId: eventId,
-            photoData: photoData
-          });
-          return;
+  async performChunkedUpload(photoData, eventId, progressCallback, timeoutMs, uploadItem = {}) {
+    const startTime = Date.now();
+    const uploadId = uploadItem.uploadId || photoData.id;
+    const sessionKey = uploadItem.sessionKey || this.getSessionKey(photoData, eventId);
+    const blob = await this.getPhotoBlob(photoData);
+    const totalBytes = blob.size;
+    const chunkSize = this.config.upload.chunkSize;
+    
+    const jwtToken = await this.getJwtToken();
+    if (!jwtToken) {
+      throw new Error('Unauthorized: no JWT token available for upload');
+    }
+    
+    // Reuse the persisted session when the payload is unchanged
+    let session = this.resumableSessions.get(sessionKey);
+    if (session && session.totalBytes !== totalBytes) {
+      console.log(`♻️ Payload size changed for ${uploadId} - starting new upload session`);
+      this.clearResumableSession(sessionKey);
+      session = null;
+    }
+    
+    let offset = 0;
+    if (session) {
+      offset = await this.fetchServerOffset(session, jwtToken, uploadItem.signal);
+      if (offset === null) {
+        console.log(`♻️ Upload session expired for ${uploadId} - starting over`);
+        this.clearResumableSession(sessionKey);
+        session = null;
+        offset = 0;
+      } else {
+        console.log(`⏯️ Resuming ${uploadId} at byte ${offset}/${totalBytes}`);
+      }
+    }
+    
+    getRateLimitGovernor()?.recordUpload({ eventId });
+    
+    if (!session) {
+      session = await this.createResumableSession(uploadId, photoData, eventId, totalBytes, jwtToken, uploadItem.signal);
+      this.resumableSessions.set(sessionKey, session);
+      this.saveResumableSessions();
+    }
+    
+    progressCallback(totalBytes > 0 ? (offset / totalBytes) * 100 : 0, offset);
+    
+    while (offset < totalBytes) {
+      if (Date.now() - startTime > timeoutMs) {
+        throw new Error('Upload timeout');
+      }
+      
+      const chunk = blob.slice(offset, Math.min(offset + chunkSize, totalBytes));
+      const response = await this.sendTusRequest(session.uploadUrl, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${jwtToken}`,
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(offset)
+        },
+        body: chunk
+      }, timeoutMs - (Date.now() - startTime), uploadItem.signal, { eventId });
+      
+      if (response.status === 409) {
+        // Offset mismatch - ask the server where it actually is
+        const serverOffset = await this.fetchServerOffset(session, jwtToken, uploadItem.signal);
+        if (serverOffset === null) {
+          this.clearResumableSession(sessionKey);
+          throw new Error('Network error: upload session expired on server');
         }
-        
-        // Simulate chunk upload time based on network quality
-        const networkDelay = this.getNetworkDelay();
-        
-        setTimeout(() => {
-          currentChunk++;
-          bytesTransferred = Math.min(currentChunk * chunkSize, totalBytes);
-          const progress = (bytesTransferred / totalBytes) * 100;
-          
-          progressCallback(progress, bytesTransferred);
-          
-          // Simulate occasional network hiccups
-          if (Math.random() < 0.03) { // 3% chance of temporary failure
-            reject(new Error('Network hiccup during upload'));
-            return;
-          }
-          
-          uploadChunk();
-        }, networkDelay);
-      };
+        offset = serverOffset;
+        continue;
+      }
       
-      uploadChunk();
-    });
+      if (!response.ok) {
+        throw await this.createHttpError(response, 'Chunk upload failed');
+      }
+      
+      offset = parseInt(response.headers.get('Upload-Offset'), 10);
+      if (Number.isNaN(offset)) {
+        throw new Error('Server error: missing Upload-Offset in chunk response');
+      }
+      
+      getUploadBudgetScheduler()?.recordUsage(chunk.size, this.networkStatus?.connectionType);
+      session.offset = offset;
+      this.saveResumableSessions();
+      progressCallback((offset / totalBytes) * 100, offset);
+    }
+    
+    this.clearResumableSession(sessionKey);
+    
+    const uploadTime = Math.max(Date.now() - startTime, 1);
+    return {
+      success: true,
+      uploadId: session.uploadUrl.split('/').pop(),
+      objectName: session.objectName,
+      bucketName: this.config.resumable.bucketName,
+      bytesUploaded: totalBytes,
+      resumedFromOffset: session.resumedFromOffset || 0,
+      uploadTime: uploadTime,
+      averageSpeed: (totalBytes / uploadTime) * 1000, // bytes per second
+      eventId: eventId,
+      photoData: photoData
+    };
   }
 
   /**
-   * Get network delay based on current connection quality
+   * Create a new tus upload session on the server
    */
-  getNetworkDelay() {
-    const baseDelay = 100; // 100ms base delay per chunk
+  async createResumableSession(uploadId, photoData, eventId, totalBytes, jwtToken, signal) {
+    const { endpoint, bucketName } = this.config.resumable;
+    const filename = photoData.filename || `${uploadId}.jpg`;
+    const objectName = `${eventId}/${uploadId}_${filename}`;
     
-    switch (this.networkStatus?.connectionType) {
-      case 'wifi': return baseDelay + Math.random() * 50;
-      case '5g': return baseDelay + Math.random() * 100;
-      case '4g': return baseDelay + Math.random() * 200;
-      case 'cellular': return baseDelay + Math.random() * 400;
-      default: return baseDelay + Math.random() * 300;
+    const response = await this.sendTusRequest(endpoint, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${jwtToken}`,
+        'Upload-Length': String(totalBytes),
+        'Upload-Metadata': this.encodeTusMetadata({
+          bucketName: bucketName,
+          objectName: objectName,
+          contentType: photoData.mimeType || 'image/jpeg',
+          cacheControl: '3600',
+          metadata: JSON.stringify({ sha256: photoData.sha256Hash || null })
+        }),
+        'x-upsert': 'true'
+      }
+    }, this.config.network.timeoutMs, signal, { eventId });
+    
+    if (!response.ok) {
+      throw await this.createHttpError(response, 'Could not create upload session');
+    }
+    
+    const location = response.headers.get('Location');
+    if (!location) {
+      throw new Error('Server error: upload session created without Location header');
+    }
+    
+    const session = {
+      uploadUrl: new URL(location, endpoint).toString(),
+      objectName: objectName,
+      eventId: eventId,
+      offset: 0,
+      totalBytes: totalBytes,
+      createdAt: Date.now()
+    };
+    
+    console.log(`🆕 Created resumable upload session for ${uploadId}`);
+    return session;
+  }
+
+  /**
+   * Ask the server how many bytes of a session it has stored.
+   * Returns null when the session no longer exists.
+   */
+  async fetchServerOffset(session, jwtToken, signal) {
+    const response = await this.sendTusRequest(session.uploadUrl, {
+      method: 'HEAD',
+      headers: {
+        'Authorization': `Bearer ${jwtToken}`
+      }
+    }, this.config.network.timeoutMs, signal, { eventId: session.eventId });
+    
+    if (response.status === 404 || response.status === 410) {
+      return null;
+    }
+    
+    if (!response.ok) {
+      throw await this.createHttpError(response, 'Could not read upload offset');
     }
+    
+    const offset = parseInt(response.headers.get('Upload-Offset'), 10);
+    if (Number.isNaN(offset)) {
+      return null;
+    }
+    
+    session.offset = offset;
+    session.resumedFromOffset = offset;
+    this.saveResumableSessions();
+    return offset;
   }
 
   /**
-   * Verify upload completion
+   * Send a tus protocol request with a timeout
    */
-  async verifyUploadCompletion(uploadResult) {
+  async sendTusRequest(url, options, timeoutMs, signal, rateLimitScope = null) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.max(timeoutMs, 1000));
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    
     try {
-      // In real implementation, would verify with server
-      console.log(`🔍 Verifying upload completion: ${uploadResult.uploadId}`);
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          'Tus-Resumable': this.config.resumable.tusVersion,
+          ...options.headers
+        },
+        signal: controller.signal
+      });
       
-      // Simulate verification
-      await new Promise(resolve => setTimeout(resolve, 200));
+      const rateLimit = getRateLimitGovernor()?.handleResponse(
+        { eventId: rateLimitScope?.eventId }, response.status, response.headers
+      );
+      if (rateLimit?.rateLimited) {
+        const error = new Error('Rate limit exceeded by server');
+        error.retryAt = rateLimit.retryAt;
+        throw error;
+      }
       
-      if (Math.random() > 0.02) { // 98% verification success
-        console.log('✅ Upload verification successful');
-        return true;
-      } else {
-        throw new Error('Upload verification failed - file may be corrupted');
+      return response;
+    } catch (error) {
+      if (error.retryAt) {
+        throw error;
+      }
+      if (signal?.aborted) {
+        throw new Error('Upload aborted: network connection lost');
+      }
+      if (error.name === 'AbortError') {
+        throw new Error('Upload timeout');
+      }
+      throw new Error(`Network error: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Build an error whose message categorizeUploadError understands
+   */
+  async createHttpError(response, context) {
+    let detail = '';
+    try {
+      detail = await response.text();
+    } catch (error) {
+      // Body is optional
+    }
+    
+    const reason = response.status === 413 ? 'file too large' :
+                   response.status === 401 || response.status === 403 ? 'forbidden' :
+                   response.status >= 500 ? 'server error' :
+                   'invalid request';
+    
+    const error = new Error(`${context}: ${reason} (${response.status}) ${detail}`.trim());
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Encode tus Upload-Metadata header (comma separated "key base64value")
+   */
+  encodeTusMetadata(metadata) {
+    return Object.entries(metadata)
+      .map(([key, value]) => `${key} ${btoa(unescape(encodeURIComponent(String(value))))}`)
+      .join(',');
+  }
+
+  /**
+   * Resolve the photo payload to a Blob
+   */
+  async getPhotoBlob(photoData) {
+    if (photoData.blob instanceof Blob) {
+      return photoData.blob;
+    }
+    
+    const base64 = photoData.base64 || photoData.dataUrl;
+    if (typeof base64 === 'string' && base64.length > 0) {
+      const base64Content = base64.replace(/^data:[^;]+;base64,/, '');
+      const binaryString = atob(base64Content);
+      const bytes = new Uint8Array(binaryString.length);
+      for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
       }
+      return new Blob([bytes], { type: photoData.mimeType || 'image/jpeg' });
+    }
+    
+    if (typeof photoData.path === 'string' && photoData.path.length > 0) {
+      const url = Capacitor.convertFileSrc ? Capacitor.convertFileSrc(photoData.path) : photoData.path;
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Invalid file: could not read ${photoData.path}`);
+      }
+      return await response.blob();
+    }
+    
+    throw new Error(`Invalid file: ${photoData.filename || 'photo'} has no data source`);
+  }
+
+  /**
+   * Get JWT token for authenticated uploads
+   */
+  async getJwtToken() {
+    return await getUploadEngine().getJwtToken();
+  }
+
+  /**
+   * Persist resumable session state so uploads survive reconnects and relaunches
+   */
+  saveResumableSessions() {
+    try {
+      localStorage.setItem(this.config.resumable.storageKey,
+        JSON.stringify(Object.fromEntries(this.resumableSessions)));
+    } catch (error) {
+      console.error('Error saving resumable upload sessions:', error);
+    }
+  }
+
+  /**
+   * Resumable sessions are keyed by photo (UploadEngine.getJobKey), not by
+   * upload id: a relaunch or outbox replay queues the photo again as a new
+   * job, which must find the session the last one left behind
+   */
+  getSessionKey(photoData, eventId) {
+    return getUploadEngine().getJobKey({
+      eventId: eventId,
+      photoKey: photoData.localIdentifier || photoData.id,
+      filename: photoData.filename,
+      fileSize: photoData.fileSize
+    }) || photoData.id;
+  }
+
+  /**
+   * Forget a finished or expired resumable session
+   */
+  clearResumableSession(sessionKey) {
+    if (this.resumableSessions.delete(sessionKey)) {
+      this.saveResumableSessions();
+    }
+  }
+
+  /**
+   * SHA-256 of a blob as lowercase hex
+   */
+  async computeSHA256(blob) {
+    const hashBuffer = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(hashBuffer))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Verify upload completion - asks the server for the stored object's
+   * SHA-256 and size and compares them with what was sent. A mismatch
+   * throws an integrity error, which the engine retries like any other
+   * transient failure, so the photo is re-uploaded.
+   */
+  async verifyUploadCompletion(uploadResult, uploadItem, signal = null) {
+    const expected = uploadItem.processedPhotoData;
+    
+    try {
+      console.log(`🔍 Verifying upload completion: ${uploadResult.objectName}`);
+      
+      const jwtToken = await this.getJwtToken();
+      const response = await this.sendTusRequest(this.config.verification.endpoint, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${jwtToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          bucket_name: uploadResult.bucketName,
+          object_name: uploadResult.objectName,
+          event_id: uploadResult.eventId
+        })
+      }, this.config.verification.timeoutMs, signal, { eventId: uploadResult.eventId });
+      
+      if (response.status === 404) {
+        throw this.createIntegrityError(`stored object ${uploadResult.objectName} not found`);
+      }
+      if (!response.ok) {
+        throw await this.createHttpError(response, 'Upload verification failed');
+      }
+      
+      const stored = await response.json();
+      
+      if (Number(stored.size) !== expected.adaptedSize) {
+        throw this.createIntegrityError(`size ${stored.size} != ${expected.adaptedSize} bytes`);
+      }
+      if (!stored.sha256 || stored.sha256.toLowerCase() !== expected.sha256Hash) {
+        throw this.createIntegrityError(`sha256 ${stored.sha256 || 'missing'} != ${expected.sha256Hash}`);
+      }
+      
+      console.log(`✅ Upload verified: sha256=${expected.sha256Hash.substring(0, 16)}..., ${stored.size} bytes`);
+      return true;
       
     } catch (error) {
-      console.error('Upload verification failed:', error);
-      throw error;
+      const categorizedError = this.categorizeUploadError(error);
+      console.error(`Upload verification failed (${categorizedError.category}):`, categorizedError.message);
+      
+      if (categorizedError.category === 'integrity') {
+        this.uploadStats.set('integrityFailures', this.uploadStats.get('integrityFailures') + 1);
+        // Never resume onto a corrupt object - the retry starts a fresh session
+        this.clearResumableSession(uploadItem.sessionKey);
+      } else if (categorizedError.category === 'rate_limited') {
+        categorizedError.deferred = true;
+      }
+      
+      throw categorizedError;
     }
   }
 
+  /**
+   * Error for a stored object that does not match the bytes that were sent
+   */
+  createIntegrityError(detail) {
+    const error = new Error(`Integrity check failed: ${detail}`);
+    error.integrity = true;
+    return error;
+  }
+
+  /**
+   * Record the upload in the photo hash store, so duplicate checks for the
+   * event see it before the next server sync (and offline)
+   */
+  recordUploadedHash(uploadItem, result) {
+    const store = getPhotoHashStore();
+    const photoData = uploadItem.photoData;
+    if (!store || !photoData?.id) return;
+
+    const sent = uploadItem.processedPhotoData || {};
+    store.initialize()
+      .then(() => store.markUploaded(uploadItem.eventId, photoData.id, {
+        fileHash: sent.sha256Hash || null,
+        mediaId: result?.mediaId || result?.media_id || null,
+        filename: photoData.filename,
+        fileSize: sent.adaptedSize || photoData.fileSize || null,
+        width: sent.dimensions?.width || null,
+        height: sent.dimensions?.height || null,
+        originalTimestamp: photoData.createdAt || photoData.timestamp || null
+      }))
+      .catch(error => console.warn('⚠️ Could not record uploaded photo hash:', error));
+  }
+
   /**
    * Handle successful upload
    */
@@ -510,6 +1258,8 @@ class ReliableUploadService {
       uploadItem.completedAt = new Date();
       uploadItem.progress = 100;
       uploadItem.result = result;
+      this.completeJournaledUpload(uploadItem, 'completed');
+      this.recordUploadedHash(uploadItem, result);
       
       // Update statistics
       this.uploadStats.set('successfulUploads', 
@@ -544,43 +1294,41 @@ class ReliableUploadService {
   }
 
   /**
-   * Handle upload failure
+   * Handle an attempt that did not finish - the engine has already
+   * decided between retry (queued) and permanent failure (failed)
    */
-  async handleUploadFailure(uploadId, error) {
+  async handleUploadFailure(uploadId, job) {
     const uploadItem = this.uploadQueue.get(uploadId);
     if (!uploadItem) return;
 
+    // Paused by a network disconnect - the session resumes on reconnect
+    if (job.state === 'queued' && !job.nextAttemptAt) {
+      console.log(`⏸️ Upload ${uploadId} paused at byte ${uploadItem.bytesTransferred}`);
+      return;
+    }
+
     try {
-      uploadItem.status = 'failed';
-      uploadItem.lastError = error;
-      uploadItem.errors.push({
-        error: error.message,
-        timestamp: new Date(),
-        attempt: uploadItem.attempts,
-        networkType: this.networkStatus?.connectionType
-      });
+      uploadItem.lastError = job.lastError;
+      uploadItem.errors = job.errors.map(entry => ({
+        ...entry,
+        networkType: entry.networkType || this.networkStatus?.connectionType
+      }));
       
-      console.log(`❌ Upload failed: ${uploadId} (attempt ${uploadItem.attempts}/${uploadItem.maxAttempts})`);
-      console.log(`   Error: ${error.message}`);
+      console.log(`❌ Upload failed: ${uploadId} (attempt ${job.attempts}/${job.maxAttempts})`);
+      console.log(`   Error: ${job.lastError}`);
       
-      // Determine if this is a permanent failure
-      const isPermError = this.isPermanentError(error);
-      const maxAttemptsReached = uploadItem.attempts >= uploadItem.maxAttempts;
-      
-      if (isPermError || maxAttemptsReached) {
-        uploadItem.isPermanentFailure = true;
-        uploadItem.status = 'permanently_failed';
-        
+      if (job.state === 'failed') {
         this.uploadStats.set('failedUploads', 
           this.uploadStats.get('failedUploads') + 1);
         
         console.log(`💀 Upload permanently failed: ${uploadId}`);
-        showToast(`Failed to upload ${uploadItem.photoData.filename}: ${error.message}`, 'error');
+        this.completeJournaledUpload(uploadItem, 'failed', job.lastError);
+        showToast(`Failed to upload ${uploadItem.photoData.filename}: ${job.lastError}`, 'error');
         
       } else {
-        // Schedule retry
-        const retryDelay = this.calculateRetryDelay(uploadItem.attempts);
-        console.log(`🔄 Scheduling retry in ${retryDelay}ms`);
+        // Engine scheduled the next attempt
+        const retryDelay = Math.max(job.nextAttemptAt - Date.now(), 0);
+        console.log(`🔄 Scheduling retry in ${Math.round(retryDelay)}ms`);
         
         setTimeout(() => {
           if (!uploadItem.isPermanentFailure) {
@@ -603,56 +1351,136 @@ class ReliableUploadService {
   categorizeUploadError(error) {
     const message = error.message.toLowerCase();
     
-    if (message.includes('network') || message.includes('connection')) {
-      return { ...error, category: 'network' };
+    if (message.includes('rate limit') || error.retryAt) {
+      return { ...error, message: error.message, category: 'rate_limited' };
+    } else if (error.integrity || message.includes('integrity')) {
+      return { ...error, message: error.message, category: 'integrity' };
+    } else if (message.includes('network') || message.includes('connection')) {
+      return { ...error, message: error.message, category: 'network' };
     } else if (message.includes('timeout')) {
-      return { ...error, category: 'timeout' };
+      return { ...error, message: error.message, category: 'timeout' };
     } else if (message.includes('server') || message.includes('500')) {
-      return { ...error, category: 'server_error' };
+      return { ...error, message: error.message, category: 'server_error' };
     } else if (message.includes('too large') || message.includes('file size')) {
-      return { ...error, category: 'file_too_large' };
+      return { ...error, message: error.message, category: 'file_too_large' };
     } else if (message.includes('invalid') || message.includes('format')) {
-      return { ...error, category: 'invalid_file' };
+      return { ...error, message: error.message, category: 'invalid_file' };
     } else if (message.includes('forbidden') || message.includes('unauthorized')) {
-      return { ...error, category: 'forbidden' };
+      return { ...error, message: error.message, category: 'forbidden' };
     } else {
-      return { ...error, category: 'unknown' };
+      return { ...error, message: error.message, category: 'unknown' };
     }
   }
 
   /**
-   * Check if error is permanent (no point in retrying)
+   * Put a rate limited upload back in the queue until its bucket reopens
    */
-  isPermanentError(error) {
-    return this.config.errorHandling.permanentErrors.includes(error.category);
+  scheduleRateLimitRetry(uploadItem, retryAt) {
+    uploadItem.status = 'queued';
+    uploadItem.rateLimitedUntil = retryAt;
+    
+    const delay = Math.max((retryAt || Date.now()) - Date.now(), 0) + 500;
+    console.log(`🚦 Upload ${uploadItem.uploadId} rate limited - retrying in ${Math.ceil(delay / 1000)}s`);
+    
+    clearTimeout(uploadItem.rateLimitTimer);
+    uploadItem.rateLimitTimer = setTimeout(() => {
+      uploadItem.rateLimitedUntil = null;
+      this.processUploadQueue();
+    }, delay);
   }
 
   /**
-   * Calculate retry delay with exponential backoff
+   * Evaluate the data budget for one upload. A deferral is recorded when the
+   * upload starts waiting, not every time the queue is looked at again.
+   * @param {number} reservedBytes - Bytes of other uploads let through but not sent yet
+   * @returns {object|null} Budget decision, null without a scheduler
    */
-  calculateRetryDelay(attempt) {
-    const baseDelay = this.config.retry.baseDelayMs;
-    const multiplier = this.config.retry.backoffMultiplier;
-    const maxDelay = this.config.retry.maxDelayMs;
+  checkDataBudget(uploadItem, reservedBytes = 0) {
+    const scheduler = getUploadBudgetScheduler();
+    if (!scheduler) return null;
     
-    const delay = Math.min(baseDelay * Math.pow(multiplier, attempt - 1), maxDelay);
+    const request = {
+      connectionType: this.networkStatus?.connectionType,
+      bytes: this.getRemainingBytes(uploadItem),
+      reservedBytes: reservedBytes,
+      eventId: uploadItem.eventId
+    };
+    const decision = scheduler.evaluate(request);
+    if (!decision.allowed && decision.reason !== uploadItem.deferredReason) {
+      scheduler.recordDeferral(decision, request);
+    }
+    return decision;
+  }
+
+  getRemainingBytes(uploadItem) {
+    return Math.max(uploadItem.totalBytes - uploadItem.bytesTransferred, 0);
+  }
+
+  /**
+   * Bytes still to send for uploads in progress - the budget only counts
+   * bytes once they are sent
+   */
+  getInFlightBytes() {
+    let bytes = 0;
+    for (const item of this.uploadQueue.values()) {
+      if (item.status === 'uploading') bytes += this.getRemainingBytes(item);
+    }
+    return bytes;
+  }
+
+  /**
+   * Keep an upload queued until the data budget allows it. Deferrals without
+   * a retry time (Wi-Fi-only event on cellular) wait for a network change.
+   */
+  deferForBudget(uploadItem, decision) {
+    uploadItem.status = 'queued';
+    uploadItem.deferredReason = decision.reason;
+    uploadItem.deferredDetail = decision.detail;
+    uploadItem.deferredUntil = decision.retryAt;
     
-    // Add some jitter to prevent thundering herd
-    const jitter = delay * 0.1 * Math.random();
+    console.log(`📶 Upload ${uploadItem.uploadId} deferred: ${decision.detail}`);
     
-    return delay + jitter;
+    clearTimeout(uploadItem.budgetTimer);
+    if (decision.retryAt) {
+      uploadItem.budgetTimer = setTimeout(() => {
+        uploadItem.deferredUntil = null;
+        this.processUploadQueue();
+      }, Math.max(decision.retryAt - Date.now(), 0) + 500);
+    }
+  }
+
+  /**
+   * Check if error is permanent (no point in retrying)
+   */
+  isPermanentError(error) {
+    return this.config.errorHandling.permanentErrors.includes(error.category);
   }
 
   /**
    * Check if we can start a new upload
    */
   canStartUpload() {
+    this.lastDeferral = null;
+    
     if (!this.networkStatus?.connected) {
+      this.lastDeferral = { reason: 'offline', detail: 'No network connection' };
       return false;
     }
     
     // Check if connection type is acceptable
     if (!this.config.network.requiredConnectionTypes.includes(this.networkStatus.connectionType)) {
+      this.lastDeferral = {
+        reason: 'connection_not_allowed',
+        detail: `Connection type ${this.networkStatus.connectionType} is not used for uploads`
+      };
+      return false;
+    }
+    
+    // Check the user's data budget and upload windows for this connection
+    const budget = getUploadBudgetScheduler()?.check({ connectionType: this.networkStatus.connectionType });
+    if (budget && !budget.allowed) {
+      this.lastDeferral = { reason: budget.reason, detail: budget.detail, retryAt: budget.retryAt };
+      this.scheduleBudgetWakeup(budget.retryAt);
       return false;
     }
     
@@ -664,6 +1492,20 @@ class ReliableUploadService {
     return true;
   }
 
+  /**
+   * Look at the queue again once the budget window opens or the day rolls over
+   */
+  scheduleBudgetWakeup(retryAt) {
+    if (!retryAt || (this.budgetWakeupAt && this.budgetWakeupAt <= retryAt)) return;
+    
+    clearTimeout(this.budgetWakeupTimer);
+    this.budgetWakeupAt = retryAt;
+    this.budgetWakeupTimer = setTimeout(() => {
+      this.budgetWakeupAt = null;
+      this.processUploadQueue();
+    }, Math.max(retryAt - Date.now(), 0) + 500);
+  }
+
   /**
    * Get adapted quality based on network conditions
    */
@@ -687,16 +1529,41 @@ class ReliableUploadService {
     }
   }
 
+  /**
+   * Get the maximum long edge (pixels) for the current network, null for no limit
+   */
+  getAdaptedMaxLongEdge() {
+    if (!this.config.network.adaptiveQuality) {
+      return null;
+    }
+    
+    const adaptation = this.config.qualityAdaptation;
+    
+    switch (this.networkStatus?.connectionType) {
+      case 'wifi':
+      case '5g':
+        return adaptation.wifiMaxLongEdge;
+      case '4g':
+      case 'cellular':
+        return adaptation.cellularMaxLongEdge;
+      default:
+        return adaptation.lowBandwidthMaxLongEdge;
+    }
+  }
+
   /**
    * Adapt upload quality based on network status
    */
   adaptUploadQuality(networkStatus) {
     const newQuality = this.getAdaptedQuality();
+    const newMaxLongEdge = this.getAdaptedMaxLongEdge();
     
-    // Update quality for pending uploads
+    // Update quality for pending uploads (a started resumable session keeps its bytes)
     for (const [uploadId, uploadItem] of this.uploadQueue) {
-      if (uploadItem.status === 'queued') {
+      if (uploadItem.status === 'queued' && !this.resumableSessions.has(uploadItem.sessionKey)) {
         uploadItem.adaptedQuality = newQuality;
+        uploadItem.adaptedMaxLongEdge = newMaxLongEdge;
+        uploadItem.processedPhotoData = null;
         console.log(`📊 Adapted quality for ${uploadId}: ${(newQuality * 100).toFixed(0)}%`);
       }
     }
@@ -716,7 +1583,8 @@ class ReliableUploadService {
         .filter(item => item.status === 'queued' && !item.isPermanentFailure);
       
       if (queuedUploads.length > 0) {
-        console.log(`🚀 Resuming ${queuedUploads.length} queued uploads`);
+        const resumable = queuedUploads.filter(item => this.resumableSessions.has(item.sessionKey)).length;
+        console.log(`🚀 Resuming ${queuedUploads.length} queued uploads (${resumable} from last acknowledged chunk)`);
         
         // Start uploads with a slight delay to let network stabilize
         setTimeout(() => {
@@ -735,12 +1603,17 @@ class ReliableUploadService {
   handleNetworkDisconnection() {
     console.log('📴 Network disconnected - pausing active uploads');
     
-    // Mark active uploads as queued to retry when network returns
+    // Mark active uploads as queued to retry when network returns, and
+    // journal every unfinished upload so it is replayed even after a relaunch
     for (const [uploadId, uploadItem] of this.uploadQueue) {
       if (uploadItem.status === 'uploading') {
         uploadItem.status = 'queued';
+        getUploadEngine().requeue(uploadId);
         console.log(`⏸️ Paused upload: ${uploadId}`);
       }
+      if (['queued', 'paused'].includes(uploadItem.status)) {
+        this.journalUpload(uploadItem);
+      }
     }
     
     showToast('Network disconnected - uploads will resume when connection returns', 'warning');
@@ -753,9 +1626,22 @@ class ReliableUploadService {
     if (!this.canStartUpload()) return;
     
     // Find queued uploads
+    const governor = getRateLimitGovernor();
+    let reservedBytes = this.getInFlightBytes();
     const queuedUploads = Array.from(this.uploadQueue.entries())
       .filter(([_, item]) => item.status === 'queued' && !item.isPermanentFailure)
-      .sort(([_, a], [__, b]) => a.queuedAt.getTime() - b.queuedAt.getTime()); // FIFO
+      .filter(([_, item]) => !governor || governor.checkUpload({ eventId: item.eventId }).allowed)
+      .sort(([_, a], [__, b]) => a.queuedAt.getTime() - b.queuedAt.getTime()) // FIFO
+      .filter(([_, item]) => {
+        // Each upload counts the bytes of the ones let through before it
+        const decision = this.checkDataBudget(item, reservedBytes);
+        if (decision && !decision.allowed) {
+          this.deferForBudget(item, decision);
+          return false;
+        }
+        reservedBytes += this.getRemainingBytes(item);
+        return true;
+      });
     
     // Start uploads up to concurrent limit
     const availableSlots = this.config.upload.maxConcurrentUploads - this.activeUploads.size;
@@ -809,12 +1695,28 @@ class ReliableUploadService {
   }
 
   /**
-   * Load pending uploads from storage (simulate persistence)
+   * Load persisted resumable upload sessions from storage
    */
   async loadPendingUploads() {
-    // In real implementation, would load from localStorage or secure storage
     console.log('📂 Loading pending uploads from storage...');
-    // For now, no pending uploads on fresh start
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.resumable.storageKey) || '{}');
+      const maxAge = this.config.resumable.sessionMaxAgeMs;
+      
+      this.resumableSessions.clear();
+      for (const [sessionKey, session] of Object.entries(stored)) {
+        if (Date.now() - session.createdAt < maxAge) {
+          this.resumableSessions.set(sessionKey, session);
+        }
+      }
+      
+      this.saveResumableSessions();
+      console.log(`📂 Restored ${this.resumableSessions.size} resumable upload sessions`);
+      
+    } catch (error) {
+      console.error('Error loading resumable upload sessions:', error);
+    }
   }
 
   /**
@@ -829,17 +1731,35 @@ class ReliableUploadService {
     const failedCount = Array.from(this.uploadQueue.values())
       .filter(item => item.status === 'permanently_failed').length;
     
+    const pausedCount = Array.from(this.uploadQueue.values())
+      .filter(item => item.status === 'paused').length;
+    
+    // Why queued uploads are waiting, e.g. { daily_budget_exhausted: 3 }
+    const deferredUploads = {};
+    for (const item of this.uploadQueue.values()) {
+      if (item.status === 'queued' && item.deferredReason) {
+        deferredUploads[item.deferredReason] = (deferredUploads[item.deferredReason] || 0) + 1;
+      }
+    }
+    
     return {
       isOnline: this.networkStatus?.connected || false,
       networkType: this.networkStatus?.connectionType || 'unknown',
       queuedUploads: queuedCount,
       activeUploads: uploadingCount,
       failedUploads: failedCount,
+      pausedUploads: pausedCount,
+      pausedEvents: window.uploadEngine?.getStatus().pausedEvents || [],
       totalUploads: this.uploadStats.get('totalUploads'),
       successfulUploads: this.uploadStats.get('successfulUploads'),
       successRate: this.calculateSuccessRate(),
       averageUploadTime: this.uploadStats.get('averageUploadTime'),
-      adaptiveQuality: this.getAdaptedQuality()
+      adaptiveQuality: this.getAdaptedQuality(),
+      rateLimitStatus: getRateLimitGovernor()?.getStatus() || null,
+      outboxStatus: getOutboxJournal()?.getStatus() || null,
+      deferral: this.lastDeferral || null,
+      deferredUploads: deferredUploads,
+      budgetStatus: getUploadBudgetScheduler()?.getStatus() || null
     };
   }
 
@@ -883,7 +1803,8 @@ class ReliableUploadService {
         filename: 'test_reliable.jpg',
         fileSize: 2400000,
         mimeType: 'image/jpeg',
-        dimensions: { width: 4032, height: 3024 }
+        dimensions: { width: 4032, height: 3024 },
+        blob: new Blob([new Uint8Array(2400000)], { type: 'image/jpeg' })
       };
 
       // Test upload
@@ -915,7 +1836,15 @@ class ReliableUploadService {
         this.networkListener = null;
       }
       
-      // Clear upload queue
+      if (this.engineUnsubscribe) {
+        this.engineUnsubscribe();
+        this.engineUnsubscribe = null;
+      }
+      
+      // Cancel engine jobs owned by this service and clear upload queue
+      for (const uploadId of this.uploadQueue.keys()) {
+        window.uploadEngine?.cancel(uploadId);
+      }
       this.uploadQueue.clear();
       this.activeUploads.clear();
       this.retryQueue = [];
@@ -962,4 +1891,16 @@ window.getReliableUploadStats = function() {
 
 window.testReliableUpload = async function() {
   return await window.reliableUploadService.testReliableUpload();
-}
\ No newline at end of file
+}
+
+window.pauseReliableUpload = function(uploadId) {
+  return window.reliableUploadService.pause(uploadId);
+}
+
+window.resumeReliableUpload = function(uploadId) {
+  return window.reliableUploadService.resume(uploadId);
+}
+
+window.cancelReliableUpload = function(uploadId) {
+  return window.reliableUploadService.cancel(uploadId);
+}
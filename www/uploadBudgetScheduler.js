@@ -0,0 +1,310 @@
+/**
+ * UploadBudgetScheduler - Data budgets and time windows for uploads
+ * Tracks bytes sent per connection type per day and decides whether an
+ * upload may start now, based on the user's budget settings in
+ * AutoUploadSettings (e.g. "at most 200MB on cellular per day",
+ * "Wi-Fi only after 22:00"). Every deferral carries a reason the status
+ * output can show.
+ *
+ * Used by ReliableUploadService.canStartUpload and UploadQueue.processQueue.
+ */
+
+// Capacitor Network plugin when running natively
+const getNetworkPlugin = () => window.Capacitor?.Plugins?.Network || null;
+
+export const DEFERRAL_REASONS = {
+  OFFLINE: 'offline',
+  CONNECTION_NOT_ALLOWED: 'connection_not_allowed',
+  OUTSIDE_TIME_WINDOW: 'outside_time_window',
+  DAILY_BUDGET_EXHAUSTED: 'daily_budget_exhausted',
+  WIFI_ONLY_EVENT: 'wifi_only_event'
+};
+
+export class UploadBudgetScheduler {
+  constructor() {
+    this.usage = {}; // 'YYYY-MM-DD' -> { wifi: bytes, cellular: bytes, unknown: bytes }
+    this.connectionType = 'unknown';
+    this.lastDeferral = null;
+    this.deferralCounts = {}; // reason -> times an upload (or the whole queue) started waiting for it
+    this.lastCheckReason = null;
+
+    // Configuration
+    this.config = {
+      storageKey: 'upload_data_usage',
+      historyDays: 7,
+
+      // Used until AutoUploadSettings provides the user's own budget
+      defaultBudget: {
+        dailyLimitMB: { wifi: null, cellular: null }, // null = unlimited
+        windows: { wifi: null, cellular: null }, // null = any time, [] = never
+        allowCellular: true
+      }
+    };
+
+    this.loadUsage();
+    this.watchConnection();
+
+    console.log('📶 UploadBudgetScheduler initialized');
+  }
+
+  /**
+   * Map Capacitor connection types onto budget classes
+   */
+  normalizeConnectionType(connectionType) {
+    switch (connectionType) {
+      case 'wifi':
+      case 'ethernet':
+        return 'wifi';
+      case 'cellular':
+      case '2g':
+      case '3g':
+      case '4g':
+      case '5g':
+        return 'cellular';
+      case 'none':
+        return 'none';
+      default:
+        return 'unknown';
+    }
+  }
+
+  /**
+   * The user's budget (AutoUploadSettings.getDataBudget), falling back to defaults
+   */
+  getBudget() {
+    return window.autoUploadSettings?.getDataBudget?.() || this.config.defaultBudget;
+  }
+
+  /**
+   * Decide whether uploads may start now, remembering why they may not.
+   * Meant for the connection-wide check callers repeat on a timer: a
+   * deferral is recorded when the answer changes, not on every call. Per
+   * upload, use evaluate() and recordDeferral() when the upload starts waiting.
+   * @param {{connectionType?: string, bytes?: number, eventId?: string}} request
+   * @returns {{allowed: boolean, reason: string|null, detail: string|null, retryAt: number|null}}
+   */
+  check(request = {}) {
+    const decision = this.evaluate(request);
+
+    if (!decision.allowed && decision.reason !== this.lastCheckReason) {
+      this.recordDeferral(decision, request);
+    }
+    this.lastCheckReason = decision.reason;
+    return decision;
+  }
+
+  /**
+   * Remember a deferral for getStatus()
+   */
+  recordDeferral(decision, request = {}) {
+    this.lastDeferral = { ...decision, eventId: request.eventId || null, at: Date.now() };
+    this.deferralCounts[decision.reason] = (this.deferralCounts[decision.reason] || 0) + 1;
+  }
+
+  /**
+   * Same decision as check(), without recording it
+   * @param {{connectionType?: string, bytes?: number, reservedBytes?: number, eventId?: string}} request -
+   *   reservedBytes: bytes of uploads already let through but not sent yet
+   */
+  evaluate(request = {}) {
+    const type = this.normalizeConnectionType(request.connectionType || this.connectionType);
+    const budget = this.getBudget();
+    const now = new Date();
+
+    if (type === 'none') {
+      return this.defer(DEFERRAL_REASONS.OFFLINE, 'No network connection', null);
+    }
+
+    if (type === 'cellular' && !budget.allowCellular) {
+      return this.defer(DEFERRAL_REASONS.CONNECTION_NOT_ALLOWED, 'Cellular uploads are turned off', null);
+    }
+
+    if (type === 'cellular' && request.eventId) {
+      const eventSettings = window.autoUploadSettings?.getEventSettings?.(request.eventId);
+      if (eventSettings?.uploadSettings?.wifiOnly) {
+        return this.defer(DEFERRAL_REASONS.WIFI_ONLY_EVENT, 'This event uploads on Wi-Fi only', null);
+      }
+    }
+
+    const windows = budget.windows?.[type];
+    if (Array.isArray(windows) && !windows.some(range => this.isInWindow(now, range))) {
+      const nextStart = this.getNextWindowStart(now, windows);
+      const detail = windows.length === 0 ?
+        `Uploads are turned off on ${type}` :
+        `Outside the ${type} upload window (${windows.map(w => `${w.start}-${w.end}`).join(', ')})`;
+      return this.defer(DEFERRAL_REASONS.OUTSIDE_TIME_WINDOW, detail, nextStart);
+    }
+
+    const limitMB = budget.dailyLimitMB?.[type];
+    if (limitMB !== null && limitMB !== undefined) {
+      const used = this.getUsage(now)[type] || 0;
+      const limit = limitMB * 1024 * 1024;
+      if (used + (request.reservedBytes || 0) + (request.bytes || 0) > limit) {
+        return this.defer(
+          DEFERRAL_REASONS.DAILY_BUDGET_EXHAUSTED,
+          `Daily ${type} budget used: ${this.formatMB(used)} of ${limitMB}MB`,
+          this.getNextMidnight(now)
+        );
+      }
+    }
+
+    return { allowed: true, reason: null, detail: null, retryAt: null };
+  }
+
+  defer(reason, detail, retryAt) {
+    return { allowed: false, reason, detail, retryAt };
+  }
+
+  /**
+   * Count bytes sent on a connection type
+   */
+  recordUsage(bytes, connectionType = this.connectionType) {
+    if (!bytes || bytes <= 0) return;
+
+    const type = this.normalizeConnectionType(connectionType);
+    const day = this.getUsage(new Date());
+    day[type] = (day[type] || 0) + bytes;
+    this.saveUsage();
+  }
+
+  getUsage(date) {
+    const key = this.getDayKey(date);
+    if (!this.usage[key]) {
+      this.usage[key] = { wifi: 0, cellular: 0, unknown: 0 };
+      this.pruneUsage();
+    }
+    return this.usage[key];
+  }
+
+  getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Windows are local "HH:MM" times; start > end spans midnight
+   */
+  isInWindow(date, range) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = this.parseTime(range.start);
+    const end = this.parseTime(range.end);
+
+    return start <= end ?
+      minutes >= start && minutes < end :
+      minutes >= start || minutes < end;
+  }
+
+  getNextWindowStart(date, windows) {
+    if (windows.length === 0) return null;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const minutesUntil = windows.map(range => {
+      const start = this.parseTime(range.start);
+      return start > minutes ? start - minutes : start + 24 * 60 - minutes;
+    });
+
+    const next = new Date(date);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + Math.min(...minutesUntil));
+    return next.getTime();
+  }
+
+  getNextMidnight(date) {
+    const next = new Date(date);
+    next.setHours(24, 0, 0, 0);
+    return next.getTime();
+  }
+
+  parseTime(value) {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  }
+
+  formatMB(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  }
+
+  /**
+   * Follow the current connection type
+   */
+  watchConnection() {
+    const network = getNetworkPlugin();
+    if (!network) return;
+
+    network.getStatus()
+      .then(status => this.setConnectionType(status.connected ? status.connectionType : 'none'))
+      .catch(() => {});
+    network.addListener('networkStatusChange', status => {
+      this.setConnectionType(status.connected ? status.connectionType : 'none');
+    });
+  }
+
+  setConnectionType(connectionType) {
+    this.connectionType = connectionType || 'unknown';
+  }
+
+  /**
+   * Budget status for dashboards - usage, limits and why uploads are waiting
+   */
+  getStatus() {
+    const budget = this.getBudget();
+    const today = this.getUsage(new Date());
+    const remaining = {};
+
+    for (const type of ['wifi', 'cellular']) {
+      const limitMB = budget.dailyLimitMB?.[type];
+      remaining[type] = limitMB === null || limitMB === undefined ?
+        null : Math.max(limitMB * 1024 * 1024 - (today[type] || 0), 0);
+    }
+
+    const current = this.evaluate({});
+
+    return {
+      connectionType: this.normalizeConnectionType(this.connectionType),
+      usageToday: { ...today },
+      remainingToday: remaining,
+      budget: budget,
+      canUploadNow: current.allowed,
+      deferredReason: current.reason,
+      deferredDetail: current.detail,
+      deferredUntil: current.retryAt,
+      lastDeferral: this.lastDeferral,
+      deferralCounts: { ...this.deferralCounts }
+    };
+  }
+
+  pruneUsage() {
+    const keys = Object.keys(this.usage).sort();
+    while (keys.length > this.config.historyDays) {
+      delete this.usage[keys.shift()];
+    }
+  }
+
+  loadUsage() {
+    try {
+      this.usage = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+    } catch (error) {
+      console.error('Error loading upload data usage:', error);
+      this.usage = {};
+    }
+  }
+
+  saveUsage() {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.usage));
+    } catch (error) {
+      console.error('Error saving upload data usage:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const uploadBudgetScheduler = new UploadBudgetScheduler();
+
+// Classic-script services (ReliableUploadService) read it from window
+window.uploadBudgetScheduler = uploadBudgetScheduler;
+
+export function getUploadBudgetStatus() {
+  return uploadBudgetScheduler.getStatus();
+}
@@ -0,0 +1,688 @@
+/**
+ * UploadEngine - Single job model and state machine for every upload path
+ * UploadQueue, ReliableUploadService and BackgroundUploadService submit jobs
+ * here and keep only their transport specifics (mobile-upload function,
+ * resumable storage upload, native file transfer). The engine owns job
+ * identity, de-duplication across services, attempt counting, retry
+ * decisions, JWT lookup and the event stream the dashboards listen to.
+ *
+ * Photos can be suppressed (e.g. the rejected copies of a reviewed
+ * duplicate group): submit() then refuses them for every service.
+ */
+
+export const UPLOAD_STATES = {
+  QUEUED: 'queued',
+  PREPARING: 'preparing',
+  UPLOADING: 'uploading',
+  VERIFYING: 'verifying',
+  PAUSED: 'paused',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed state transitions
+const TRANSITIONS = {
+  queued: ['preparing', 'paused', 'cancelled'],
+  preparing: ['uploading', 'queued', 'paused', 'failed', 'cancelled'],
+  uploading: ['verifying', 'done', 'queued', 'paused', 'failed', 'cancelled'],
+  verifying: ['done', 'queued', 'paused', 'failed', 'cancelled'],
+  paused: ['queued', 'cancelled'],
+  done: [],
+  failed: ['queued'], // Manual retry
+  cancelled: ['queued'] // Re-submitted
+};
+
+const ACTIVE_STATES = ['preparing', 'uploading', 'verifying'];
+
+export class UploadEngine {
+  constructor() {
+    this.jobs = new Map(); // jobId -> job
+    this.jobKeys = new Map(); // dedupe key -> jobId
+    this.subscribers = new Set();
+    this.pausedEvents = new Set(); // eventIds paused as a whole
+    this.pausedJobs = new Set(); // job keys (or ids) paused one by one
+    this.suppressedKeys = new Map(); // job key -> { reason, detail, suppressedAt }
+
+    // Configuration
+    this.config = {
+      pauseStorageKey: 'upload_engine_paused',
+      suppressionStorageKey: 'upload_engine_suppressed',
+      retry: {
+        maxAttempts: 5,
+        baseDelayMs: 2000,
+        maxDelayMs: 30000,
+        backoffMultiplier: 2
+      },
+      finishedJobRetentionMs: 5 * 60 * 1000 // Keep done/cancelled jobs for status checks
+    };
+
+    this.loadPauseState();
+    this.loadSuppressions();
+
+    console.log('⚙️ UploadEngine initialized');
+  }
+
+  /**
+   * Submit a job. Returns the existing job when the same photo is already
+   * queued, uploading or uploaded for the same event by any service.
+   * A suppressed photo gets no job: job is null and `suppressed` says why.
+   * @returns {{job: object|null, duplicate: boolean, suppressed: object|null}}
+   */
+  submit(options) {
+    const key = this.getJobKey(options);
+    const suppressed = key ? this.suppressedKeys.get(key) : null;
+    if (suppressed) {
+      console.log(`⚙️ Not uploading ${options.filename || key} - suppressed (${suppressed.reason})`);
+      return { job: null, duplicate: false, suppressed: suppressed };
+    }
+
+    const existingId = key ? this.jobKeys.get(key) : null;
+    const existing = existingId ? this.jobs.get(existingId) : null;
+
+    if (existing && existing.state !== 'failed' && existing.state !== 'cancelled') {
+      console.log(`⚙️ Photo already handled by ${existing.source} (${existing.id}) - not queuing twice`);
+      return { job: existing, duplicate: true, suppressed: null };
+    }
+
+    const jobId = options.id || `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // Photos of a paused event, or paused before a relaunch, come back paused
+    const paused = !!options.paused || this.pausedEvents.has(options.eventId) ||
+      this.pausedJobs.has(key || jobId);
+
+    const job = {
+      id: jobId,
+      key: key,
+      source: options.source, // 'upload-queue', 'reliable', 'background'
+      eventId: options.eventId,
+      userId: options.userId || null,
+      filename: options.filename || null,
+      fileSize: options.fileSize || 0,
+
+      state: paused ? UPLOAD_STATES.PAUSED : UPLOAD_STATES.QUEUED,
+      attempts: options.attempts || 0,
+      maxAttempts: options.maxAttempts || this.config.retry.maxAttempts,
+      nextAttemptAt: null,
+
+      progress: 0,
+      bytesTransferred: 0,
+      lastError: null,
+      errors: [],
+      result: null,
+
+      queuedAt: options.queuedAt ? new Date(options.queuedAt) : new Date(),
+      updatedAt: new Date(),
+      completedAt: null,
+
+      abortController: null
+    };
+
+    // Re-submitting a failed/cancelled photo replaces the old job
+    if (existing) {
+      this.jobs.delete(existing.id);
+    }
+
+    this.jobs.set(job.id, job);
+    if (key) {
+      this.jobKeys.set(key, job.id);
+    }
+
+    this.notifySubscribers('job_submitted', this.snapshot(job));
+    return { job, duplicate: false, suppressed: null };
+  }
+
+  /**
+   * Identify a photo across services: event + asset identifier (or name and size)
+   */
+  getJobKey(options) {
+    const photoKey = options.photoKey ||
+      (options.filename ? `${options.filename}:${options.fileSize || 0}` : null);
+    return photoKey && options.eventId ? `${options.eventId}:${photoKey}` : null;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Move a job to a new state, enforcing the state machine
+   */
+  transition(jobId, state, patch = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Unknown upload job: ${jobId}`);
+    }
+
+    if (job.state !== state && !TRANSITIONS[job.state].includes(state)) {
+      throw new Error(`Invalid upload state transition ${job.state} → ${state} for ${jobId}`);
+    }
+
+    const previousState = job.state;
+    Object.assign(job, patch, { state, updatedAt: new Date() });
+
+    if (state === UPLOAD_STATES.DONE || state === UPLOAD_STATES.CANCELLED) {
+      job.completedAt = new Date();
+      this.scheduleJobRemoval(job);
+    }
+
+    this.notifySubscribers('job_state_changed', { ...this.snapshot(job), previousState });
+    return job;
+  }
+
+  /**
+   * Run one attempt of a queued job through the caller's transport steps:
+   *   prepare(job)                       - optional, read/convert/transcode
+   *   upload(job, { signal, onProgress }) - send the bytes, return a result
+   *   verify(job, result)                - optional, confirm with the server
+   * Errors may set `error.deferred` + `error.retryAt` (rate limit, network
+   * pause - does not use an attempt) or `error.permanent` (no retry).
+   */
+  async runAttempt(jobId, steps) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.state !== UPLOAD_STATES.QUEUED) {
+      return job;
+    }
+
+    job.abortController = new AbortController();
+    const signal = job.abortController.signal;
+
+    try {
+      this.transition(jobId, UPLOAD_STATES.PREPARING, {
+        attempts: job.attempts + 1,
+        nextAttemptAt: null,
+        lastAttemptAt: new Date()
+      });
+
+      if (steps.prepare) {
+        await steps.prepare(job, { signal });
+      }
+      this.throwIfCancelled(job);
+
+      this.transition(jobId, UPLOAD_STATES.UPLOADING);
+      const result = await steps.upload(job, {
+        signal,
+        onProgress: (progress, bytesTransferred) => this.updateProgress(jobId, progress, bytesTransferred)
+      });
+      this.throwIfCancelled(job);
+
+      if (steps.verify) {
+        this.transition(jobId, UPLOAD_STATES.VERIFYING);
+        await steps.verify(job, result, { signal });
+        this.throwIfCancelled(job);
+      }
+
+      this.transition(jobId, UPLOAD_STATES.DONE, { result, progress: 100, lastError: null });
+
+    } catch (error) {
+      this.handleAttemptError(job, error);
+    } finally {
+      job.abortController = null;
+    }
+
+    return job;
+  }
+
+  throwIfCancelled(job) {
+    if (this.isInterrupted(job)) {
+      const error = new Error('Upload interrupted');
+      error.interrupted = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a running attempt was taken over by cancel(), pause() or requeue()
+   */
+  isInterrupted(job) {
+    return job.state === UPLOAD_STATES.CANCELLED || job.state === UPLOAD_STATES.QUEUED ||
+      job.state === UPLOAD_STATES.PAUSED;
+  }
+
+  /**
+   * Decide between retry, deferral and permanent failure
+   */
+  handleAttemptError(job, error) {
+    // Cancelled, paused or requeued from outside while in flight
+    if (this.isInterrupted(job)) {
+      return;
+    }
+
+    const message = error.message || String(error);
+    job.lastError = message;
+    job.errors.push({ error: message, attempt: job.attempts, timestamp: new Date() });
+
+    if (error.deferred) {
+      this.transition(job.id, UPLOAD_STATES.QUEUED, {
+        attempts: Math.max(job.attempts - 1, 0),
+        nextAttemptAt: error.retryAt || null
+      });
+      return;
+    }
+
+    if (error.permanent || job.attempts >= job.maxAttempts) {
+      this.transition(job.id, UPLOAD_STATES.FAILED);
+      return;
+    }
+
+    this.transition(job.id, UPLOAD_STATES.QUEUED, {
+      nextAttemptAt: Date.now() + this.calculateRetryDelay(job.attempts)
+    });
+  }
+
+  /**
+   * Exponential backoff with jitter
+   */
+  calculateRetryDelay(attempt) {
+    const { baseDelayMs, backoffMultiplier, maxDelayMs } = this.config.retry;
+    const delay = Math.min(baseDelayMs * Math.pow(backoffMultiplier, attempt - 1), maxDelayMs);
+    return delay + delay * 0.1 * Math.random();
+  }
+
+  /**
+   * Whether a queued job's backoff has elapsed
+   */
+  isReady(jobId) {
+    const job = this.jobs.get(jobId);
+    return !!job && job.state === UPLOAD_STATES.QUEUED &&
+      (!job.nextAttemptAt || job.nextAttemptAt <= Date.now());
+  }
+
+  updateProgress(jobId, progress, bytesTransferred) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    job.progress = progress;
+    job.bytesTransferred = bytesTransferred;
+    this.notifySubscribers('job_progress', {
+      id: job.id,
+      source: job.source,
+      eventId: job.eventId,
+      progress,
+      bytesTransferred
+    });
+  }
+
+  /**
+   * Put an in-flight job back in the queue (e.g. network lost) and abort its transfer
+   */
+  requeue(jobId, patch = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job || !ACTIVE_STATES.includes(job.state)) return false;
+
+    this.transition(jobId, UPLOAD_STATES.QUEUED, {
+      attempts: Math.max(job.attempts - 1, 0),
+      ...patch
+    });
+    job.abortController?.abort();
+    return true;
+  }
+
+  /**
+   * Reset a failed job for another round of attempts
+   */
+  retry(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.state !== UPLOAD_STATES.FAILED) return false;
+
+    this.transition(jobId, UPLOAD_STATES.QUEUED, { attempts: 0, nextAttemptAt: null, lastError: null });
+    return true;
+  }
+
+  /**
+   * Pause a queued or in-flight job. An in-flight transfer is aborted and
+   * the attempt is not counted; resumable transports continue from their
+   * last acknowledged offset after resume().
+   */
+  pause(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    this.pausedJobs.add(job.key || job.id);
+    this.savePauseState();
+
+    if (job.state === UPLOAD_STATES.QUEUED) {
+      this.transition(jobId, UPLOAD_STATES.PAUSED);
+    } else if (ACTIVE_STATES.includes(job.state)) {
+      this.transition(jobId, UPLOAD_STATES.PAUSED, {
+        attempts: Math.max(job.attempts - 1, 0)
+      });
+      job.abortController?.abort();
+    } else {
+      return job.state === UPLOAD_STATES.PAUSED;
+    }
+
+    return true;
+  }
+
+  /**
+   * Put a paused job back in the queue, ready to run immediately
+   */
+  resume(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    this.pausedJobs.delete(job.key || job.id);
+    this.savePauseState();
+
+    if (job.state !== UPLOAD_STATES.PAUSED) return false;
+
+    this.transition(jobId, UPLOAD_STATES.QUEUED, { nextAttemptAt: null });
+    return true;
+  }
+
+  /**
+   * Pause every upload for an event, in every service. New photos for the
+   * event are queued paused until resumeEvent().
+   * @returns {number} Number of jobs paused
+   */
+  pauseEvent(eventId) {
+    this.pausedEvents.add(eventId);
+    this.savePauseState();
+
+    let paused = 0;
+    for (const job of this.jobs.values()) {
+      if (job.eventId === eventId && (job.state === UPLOAD_STATES.QUEUED || ACTIVE_STATES.includes(job.state))) {
+        if (this.pause(job.id)) paused++;
+      }
+    }
+
+    console.log(`⏸️ Paused ${paused} uploads for event ${eventId}`);
+    this.notifySubscribers('event_paused', { eventId, paused });
+    return paused;
+  }
+
+  /**
+   * Resume every paused upload for an event
+   * @returns {number} Number of jobs resumed
+   */
+  resumeEvent(eventId) {
+    this.pausedEvents.delete(eventId);
+    this.savePauseState();
+
+    let resumed = 0;
+    for (const job of this.jobs.values()) {
+      if (job.eventId === eventId && job.state === UPLOAD_STATES.PAUSED) {
+        if (this.resume(job.id)) resumed++;
+      }
+    }
+
+    console.log(`▶️ Resumed ${resumed} uploads for event ${eventId}`);
+    this.notifySubscribers('event_resumed', { eventId, resumed });
+    return resumed;
+  }
+
+  isEventPaused(eventId) {
+    return this.pausedEvents.has(eventId);
+  }
+
+  /**
+   * Resolve once a job is no longer paused (resumed or cancelled)
+   */
+  waitUntilResumed(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.state !== UPLOAD_STATES.PAUSED) {
+      return Promise.resolve(job || null);
+    }
+
+    return new Promise(resolve => {
+      const unsubscribe = this.subscribe((eventType, data) => {
+        if (eventType === 'job_state_changed' && data.id === jobId && data.state !== UPLOAD_STATES.PAUSED) {
+          unsubscribe();
+          resolve(this.jobs.get(jobId) || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Cancel a job and abort its transfer
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.state === UPLOAD_STATES.DONE || job.state === UPLOAD_STATES.CANCELLED ||
+        job.state === UPLOAD_STATES.FAILED) {
+      return false;
+    }
+
+    this.forgetPause(job);
+    this.transition(jobId, UPLOAD_STATES.CANCELLED);
+    job.abortController?.abort();
+    return true;
+  }
+
+  /**
+   * Forget a job (used when an adapter deletes its record)
+   */
+  remove(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    this.jobs.delete(jobId);
+    if (job.key && this.jobKeys.get(job.key) === jobId) {
+      this.jobKeys.delete(job.key);
+    }
+    this.forgetPause(job);
+  }
+
+  /**
+   * Stop a photo from being uploaded by any service, cancelling its job if
+   * one is waiting or running. A finished upload is left alone.
+   * @param {{eventId: string, photoKey: string}} photo - Same identity as submit()
+   * @param {string} reason - e.g. 'duplicate_rejected'
+   * @returns {boolean} Whether the photo could be identified
+   */
+  suppress(photo, reason, detail = null) {
+    const key = this.getJobKey(photo);
+    if (!key) return false;
+
+    const entry = { reason, detail, suppressedAt: new Date().toISOString() };
+    this.suppressedKeys.set(key, entry);
+    this.saveSuppressions();
+
+    const jobId = this.jobKeys.get(key);
+    if (jobId) {
+      this.cancel(jobId);
+    }
+
+    this.notifySubscribers('job_suppressed', { key, eventId: photo.eventId, ...entry });
+    return true;
+  }
+
+  /**
+   * Allow a suppressed photo to be uploaded again
+   */
+  unsuppress(photo) {
+    const key = this.getJobKey(photo);
+    if (!key || !this.suppressedKeys.delete(key)) return false;
+
+    this.saveSuppressions();
+    this.notifySubscribers('job_unsuppressed', { key, eventId: photo.eventId });
+    return true;
+  }
+
+  isSuppressed(photo) {
+    const key = this.getJobKey(photo);
+    return key ? this.suppressedKeys.get(key) || null : null;
+  }
+
+  forgetPause(job) {
+    if (this.pausedJobs.delete(job.key || job.id)) {
+      this.savePauseState();
+    }
+  }
+
+  /**
+   * Paused events and jobs survive an app relaunch
+   */
+  loadPauseState() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.pauseStorageKey) || '{}');
+      (stored.events || []).forEach(eventId => this.pausedEvents.add(eventId));
+      (stored.jobs || []).forEach(jobKey => this.pausedJobs.add(jobKey));
+    } catch (error) {
+      console.error('Error loading upload pause state:', error);
+    }
+  }
+
+  savePauseState() {
+    try {
+      localStorage.setItem(this.config.pauseStorageKey, JSON.stringify({
+        events: Array.from(this.pausedEvents),
+        jobs: Array.from(this.pausedJobs)
+      }));
+    } catch (error) {
+      console.error('Error saving upload pause state:', error);
+    }
+  }
+
+  loadSuppressions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.suppressionStorageKey) || '{}');
+      Object.entries(stored).forEach(([key, entry]) => this.suppressedKeys.set(key, entry));
+    } catch (error) {
+      console.error('Error loading upload suppressions:', error);
+    }
+  }
+
+  saveSuppressions() {
+    try {
+      localStorage.setItem(this.config.suppressionStorageKey,
+        JSON.stringify(Object.fromEntries(this.suppressedKeys)));
+    } catch (error) {
+      console.error('Error saving upload suppressions:', error);
+    }
+  }
+
+  scheduleJobRemoval(job) {
+    setTimeout(() => {
+      // Only drop the record - the dedupe key stays so a finished photo is not re-uploaded
+      if (this.jobs.get(job.id) === job && job.state !== UPLOAD_STATES.QUEUED) {
+        this.jobs.delete(job.id);
+      }
+    }, this.config.finishedJobRetentionMs);
+  }
+
+  /**
+   * Get JWT token for uploads - one lookup shared by every service
+   */
+  async getJwtToken() {
+    try {
+      // Priority 1: JavaScript function provided by the auth bridge
+      if (typeof window.getPhotoShareJwtToken === 'function') {
+        const token = await window.getPhotoShareJwtToken();
+        if (token && token.length > 0) {
+          return token;
+        }
+      }
+
+      // Priority 2: Request a fresh token via chunked transfer (AppDelegate pattern)
+      if (typeof window.testChunkedJwtTransfer === 'function') {
+        console.log('🔐 Requesting fresh JWT token via chunked transfer...');
+        const success = await window.testChunkedJwtTransfer();
+        if (success && typeof window.getPhotoShareJwtToken === 'function') {
+          // Wait a moment for token to be stored
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          const token = await window.getPhotoShareJwtToken();
+          if (token) {
+            return token;
+          }
+        }
+      }
+
+      console.log('⚠️ Could not get JWT token, upload may fail');
+      return null;
+
+    } catch (error) {
+      console.error('❌ Error getting JWT token:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Serializable view of a job
+   */
+  snapshot(job) {
+    const { abortController, ...data } = job;
+    return { ...data };
+  }
+
+  getJobs(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.source || job.source === filter.source)
+      .filter(job => !filter.state || job.state === filter.state)
+      .filter(job => !filter.eventId || job.eventId === filter.eventId)
+      .map(job => this.snapshot(job));
+  }
+
+  /**
+   * One consistent picture across all upload services
+   */
+  getStatus() {
+    const byState = {};
+    const bySource = {};
+
+    for (const state of Object.values(UPLOAD_STATES)) {
+      byState[state] = 0;
+    }
+
+    for (const job of this.jobs.values()) {
+      byState[job.state]++;
+      bySource[job.source] = bySource[job.source] || { total: 0, active: 0 };
+      bySource[job.source].total++;
+      if (ACTIVE_STATES.includes(job.state)) {
+        bySource[job.source].active++;
+      }
+    }
+
+    return {
+      totalJobs: this.jobs.size,
+      byState,
+      bySource,
+      pausedEvents: Array.from(this.pausedEvents),
+      suppressedPhotos: this.suppressedKeys.size,
+      activeJobs: this.getJobs().filter(job => ACTIVE_STATES.includes(job.state))
+    };
+  }
+
+  /**
+   * Subscribe to job events (job_submitted, job_state_changed, job_progress,
+   * event_paused, event_resumed, job_suppressed, job_unsuppressed)
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(eventType, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        console.error('Error notifying upload engine subscriber:', error);
+      }
+    });
+
+    window.dispatchEvent(new CustomEvent('uploadEngineUpdate', {
+      detail: { type: eventType, job: data }
+    }));
+  }
+}
+
+// Export singleton instance
+export const uploadEngine = new UploadEngine();
+
+// Classic-script services (ReliableUploadService, BackgroundUploadService) read it from window
+window.uploadEngine = uploadEngine;
+
+export function getUploadEngineStatus() {
+  return uploadEngine.getStatus();
+}
+
+export function pauseEventUploads(eventId) {
+  return uploadEngine.pauseEvent(eventId);
+}
+
+export function resumeEventUploads(eventId) {
+  return uploadEngine.resumeEvent(eventId);
+}
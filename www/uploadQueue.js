@@ -3,6 +3,22 @@ import { Device } from '@capacitor/device';
 import { Capacitor } from '@capacitor/core';
 import { Camera, CameraResultType } from '@capacitor/camera';
 import { showToast } from './cameraPermissions.js';
+import { createQueueStorage } from './uploadQueueStorage.js';
+import { uploadRateLimitGovernor } from './uploadRateLimitGovernor.js';
+import { uploadBudgetScheduler } from './uploadBudgetScheduler.js';
+import { uploadEngine } from './uploadEngine.js';
+
+// Engine job state -> queue item status
+const ITEM_STATUS_BY_JOB_STATE = {
+  queued: 'pending',
+  preparing: 'processing',
+  uploading: 'processing',
+  verifying: 'processing',
+  paused: 'paused',
+  done: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
 
 /**
  * UploadQueue - Manages upload queue with persistence and retry logic
@@ -16,25 +32,37 @@ export class UploadQueue {
     this.processingInterval = null;
     this.supabaseClient = null;
     this.currentUser = null;
+    this.storage = null; // Storage adapter (see uploadQueueStorage.js)
+    this.engineUnsubscribe = null;
+    this.lastDeferral = null; // Why the whole queue is waiting, from the data budget
     
     // Configuration
     this.config = {
-      queueFileName: 'auto-upload-queue.json',
+      storageBackend: 'auto', // 'indexeddb', 'filesystem' or 'auto'
+      legacyQueueFileName: 'auto-upload-queue.json',
       maxRetries: 3,
       retryDelays: [5000, 15000, 60000], // 5s, 15s, 1min
       processingInterval: 10000, // 10 seconds
       maxConcurrentUploads: 2,
       uploadEndpoint: '/functions/v1/mobile-upload',
       maxFileSize: 50 * 1024 * 1024, // 50MB
-      supportedMimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+      supportedMimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+      
+      // Priority lanes - weights decide how many upload slots each lane gets per round
+      lanes: {
+        weights: {
+          live: 4,     // Photos just taken at a live event
+          manual: 3,   // Photos picked by hand in nativePhotoPickerService
+          retry: 1,    // Items that already failed at least once
+          backfill: 2  // Older photos from past or catch-up scans
+        },
+        liveMaxAgeMinutes: 60 // Older photos from a live event go to backfill
+      }
     };
     
-    // Rate limiting tracking
-    this.rateLimitTracker = {
-      uploads: [],
-      maxUploads: 50,
-      windowMinutes: 60
-    };
+    // Smooth weighted round-robin state
+    this.laneCredits = {}; // lane -> current credit
+    this.laneEventCursor = {}; // lane -> last served eventId
     
     console.log('📦 UploadQueue initialized');
   }
@@ -55,12 +83,20 @@ export class UploadQueue {
       this.supabaseClient = supabaseClient;
       this.currentUser = currentUser;
       
+      // Open the storage backend
+      this.storage = await createQueueStorage(this.config.storageBackend);
+      
       // Load existing queue from storage
       await this.loadQueueFromStorage();
       
       // Clean up old completed/failed uploads
       await this.cleanupOldUploads();
       
+      // Follow pause/resume/cancel coming from any service or the event controls
+      this.engineUnsubscribe = uploadEngine.subscribe((eventType, data) => {
+        this.handleEngineEvent(eventType, data);
+      });
+      
       // Start processing queue
       this.startQueueProcessing();
       
@@ -87,13 +123,33 @@ export class UploadQueue {
       }
 
       // Check rate limits
-      if (!this.checkRateLimit()) {
+      if (!this.checkRateLimit({ eventId: photoData.eventId })) {
         console.log('⏸️ Rate limit exceeded, queuing for later');
         showToast('Upload rate limit reached. Photo queued for later.', 'warning');
       }
 
-      // Generate unique upload ID
-      const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Register with the upload engine - one job per photo across all services
+      const photoKey = photoData.localIdentifier || photoData.id;
+      const { job, duplicate, suppressed } = uploadEngine.submit({
+        source: 'upload-queue',
+        eventId: photoData.eventId,
+        userId: this.currentUser?.id,
+        photoKey: photoKey,
+        filename: photoData.filename,
+        fileSize: photoData.fileSize,
+        maxAttempts: this.config.maxRetries
+      });
+      
+      if (suppressed) {
+        return null;
+      }
+      
+      if (duplicate) {
+        console.log(`⏭️ Photo already queued as ${job.id} by ${job.source}`);
+        return job.id;
+      }
+      
+      const uploadId = job.id;
       
       // Prepare upload item
       const uploadItem = {
@@ -106,13 +162,17 @@ export class UploadQueue {
         mimeType: photoData.mimeType,
         fileSize: photoData.fileSize,
         localIdentifier: photoData.localIdentifier,
+        photoKey: photoKey, // Engine job key - the photo ID when there is no localIdentifier
         createdAt: photoData.createdAt,
         detectedAt: photoData.detectedAt,
         location: photoData.location,
         deviceInfo: photoData.deviceInfo,
         
+        // Priority lane (live, manual, backfill)
+        lane: this.assignLane(photoData),
+        
         // Upload state
-        status: 'pending', // pending, processing, completed, failed
+        status: ITEM_STATUS_BY_JOB_STATE[job.state], // pending, paused, processing, completed, failed, cancelled
         attempts: 0,
         maxRetries: this.config.maxRetries,
         
@@ -130,6 +190,7 @@ export class UploadQueue {
       // Validate photo meets requirements
       if (!this.validatePhoto(uploadItem)) {
         console.log('❌ Photo validation failed');
+        uploadEngine.remove(uploadId);
         return false;
       }
       
@@ -137,7 +198,7 @@ export class UploadQueue {
       this.queue.set(uploadId, uploadItem);
       
       // Persist queue to storage
-      await this.saveQueueToStorage();
+      await this.saveQueueToStorage([uploadId]);
       
       console.log(`✅ Photo added to queue: ${uploadId}`);
       showToast(`Photo queued for upload (${this.queue.size} in queue)`, 'info');
@@ -156,6 +217,132 @@ export class UploadQueue {
     }
   }
 
+  /**
+   * Pick the priority lane for a newly queued photo
+   */
+  assignLane(photoData) {
+    const weights = this.config.lanes.weights;
+    if (photoData.lane && weights[photoData.lane] !== undefined) {
+      return photoData.lane;
+    }
+    
+    if (photoData.selectionMethod === 'native-picker') {
+      return 'manual';
+    }
+    
+    const timeframe = photoData.eventTimeframe;
+    if (timeframe?.isLive && (!timeframe.end || new Date(timeframe.end) >= new Date())) {
+      const createdAt = new Date(photoData.createdAt || Date.now()).getTime();
+      const maxAge = this.config.lanes.liveMaxAgeMinutes * 60 * 1000;
+      if (Date.now() - createdAt <= maxAge) {
+        return 'live';
+      }
+    }
+    
+    return 'backfill';
+  }
+
+  /**
+   * Effective lane of a queued item - anything that already failed waits in the retry lane
+   */
+  getItemLane(item) {
+    if (item.attempts > 0) {
+      return 'retry';
+    }
+    return item.lane || 'backfill';
+  }
+
+  /**
+   * Choose the next pending items using weighted round-robin across lanes
+   * and round-robin across event IDs within a lane
+   */
+  selectNextUploads(count) {
+    const weights = this.config.lanes.weights;
+    
+    // Bucket pending items: lane -> eventId -> items (oldest first)
+    const lanes = {};
+    // Items in a rate-limited event/user bucket or in retry backoff wait without taking a slot.
+    // The data budget is checked oldest first, each item counting the bytes
+    // of the ones let through before it, so one round can't overshoot it.
+    let reservedBytes = 0;
+    const pending = Array.from(this.queue.values())
+      .filter(item => item.status === 'pending' && this.isItemReady(item) && this.checkRateLimit(item))
+      .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt))
+      .filter(item => {
+        if (!this.checkDataBudget(item, reservedBytes)) return false;
+        reservedBytes += item.fileSize || 0;
+        return true;
+      });
+    
+    for (const item of pending) {
+      const lane = this.getItemLane(item);
+      lanes[lane] = lanes[lane] || new Map();
+      if (!lanes[lane].has(item.eventId)) {
+        lanes[lane].set(item.eventId, []);
+      }
+      lanes[lane].get(item.eventId).push(item);
+    }
+    
+    const selected = [];
+    while (selected.length < count) {
+      const activeLanes = Object.keys(lanes).filter(lane => lanes[lane].size > 0);
+      if (activeLanes.length === 0) break;
+      
+      // Smooth weighted round-robin: every active lane earns its weight,
+      // the richest lane is served and pays back the total
+      let totalWeight = 0;
+      let chosenLane = null;
+      for (const lane of activeLanes) {
+        const weight = weights[lane] || 1;
+        totalWeight += weight;
+        this.laneCredits[lane] = (this.laneCredits[lane] || 0) + weight;
+        if (!chosenLane || this.laneCredits[lane] > this.laneCredits[chosenLane]) {
+          chosenLane = lane;
+        }
+      }
+      this.laneCredits[chosenLane] -= totalWeight;
+      
+      // Round-robin across events within the lane
+      const eventIds = Array.from(lanes[chosenLane].keys()).sort();
+      const lastEventId = this.laneEventCursor[chosenLane];
+      const eventId = eventIds.find(id => lastEventId === undefined || id > lastEventId) || eventIds[0];
+      this.laneEventCursor[chosenLane] = eventId;
+      
+      const eventItems = lanes[chosenLane].get(eventId);
+      selected.push(eventItems.shift());
+      if (eventItems.length === 0) {
+        lanes[chosenLane].delete(eventId);
+      }
+    }
+    
+    return selected;
+  }
+
+  /**
+   * Count pending items per lane
+   */
+  getLaneStats() {
+    const stats = {};
+    for (const [lane, weight] of Object.entries(this.config.lanes.weights)) {
+      stats[lane] = { depth: 0, weight: weight, events: 0 };
+    }
+    
+    const eventsPerLane = {};
+    for (const item of this.queue.values()) {
+      if (item.status !== 'pending') continue;
+      
+      const lane = this.getItemLane(item);
+      stats[lane] = stats[lane] || { depth: 0, weight: 1, events: 0 };
+      stats[lane].depth++;
+      
+      eventsPerLane[lane] = eventsPerLane[lane] || new Set();
+      eventsPerLane[lane].add(item.eventId);
+      stats[lane].events = eventsPerLane[lane].size;
+    }
+    
+    return stats;
+  }
+
   /**
    * Validate photo meets upload requirements
    */
@@ -188,24 +375,18 @@ export class UploadQueue {
   }
 
   /**
-   * Check if upload is within rate limits
+   * Check if an upload for this item's event/user is within rate limits
    */
-  checkRateLimit() {
+  checkRateLimit(item = {}) {
     try {
-      const now = Date.now();
-      const windowStart = now - (this.config.rateLimitTracker?.windowMinutes || this.rateLimitTracker.windowMinutes) * 60 * 1000;
-      
-      // Clean up old entries
-      this.rateLimitTracker.uploads = this.rateLimitTracker.uploads.filter(
-        timestamp => timestamp > windowStart
-      );
-      
-      // Check if under limit
-      const currentUploads = this.rateLimitTracker.uploads.length;
-      const maxUploads = this.config.rateLimitTracker?.maxUploads || this.rateLimitTracker.maxUploads;
+      const check = uploadRateLimitGovernor.checkUpload({
+        eventId: item.eventId,
+        userId: item.userId || this.currentUser?.id
+      });
       
-      if (currentUploads >= maxUploads) {
-        console.log(`⏸️ Rate limit: ${currentUploads}/${maxUploads} uploads in window`);
+      if (!check.allowed) {
+        const waitSeconds = Math.ceil((check.retryAt - Date.now()) / 1000);
+        console.log(`⏸️ Rate limit (${check.reason}) on ${check.bucket}, retry in ${waitSeconds}s`);
         return false;
       }
       
@@ -217,6 +398,34 @@ export class UploadQueue {
     }
   }
 
+  /**
+   * Check the user's data budget, upload windows and Wi-Fi-only events.
+   * A deferred item keeps the reason so getStatus() can explain it.
+   * @param {number} reservedBytes - Bytes of items already selected this round
+   */
+  checkDataBudget(item, reservedBytes = 0) {
+    try {
+      const request = {
+        bytes: item.fileSize || 0,
+        reservedBytes: reservedBytes,
+        eventId: item.eventId
+      };
+      const decision = uploadBudgetScheduler.evaluate(request);
+      
+      // Recorded when the item starts waiting, not on every round
+      if (!decision.allowed && decision.reason !== item.deferredReason) {
+        uploadBudgetScheduler.recordDeferral(decision, request);
+      }
+      item.deferredReason = decision.allowed ? null : decision.reason;
+      item.deferredDetail = decision.allowed ? null : decision.detail;
+      return decision.allowed;
+      
+    } catch (error) {
+      console.error('Error checking data budget:', error);
+      return true; // Allow upload if check fails
+    }
+  }
+
   /**
    * Start processing the upload queue
    */
@@ -257,11 +466,16 @@ export class UploadQueue {
     try {
       this.isProcessing = true;
       
-      // Get pending uploads
-      const pendingUploads = Array.from(this.queue.values())
-        .filter(item => item.status === 'pending')
-        .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt))
-        .slice(0, this.config.maxConcurrentUploads);
+      // Nothing can go out while the budget or time window blocks this connection
+      const budget = uploadBudgetScheduler.check({});
+      this.lastDeferral = budget.allowed ? null : budget;
+      if (!budget.allowed) {
+        console.log(`📶 Uploads deferred: ${budget.detail}`);
+        return;
+      }
+      
+      // Get pending uploads by lane priority and event fairness
+      const pendingUploads = this.selectNextUploads(this.config.maxConcurrentUploads);
       
       if (pendingUploads.length === 0) {
         return; // No pending uploads
@@ -277,7 +491,7 @@ export class UploadQueue {
       await Promise.allSettled(uploadPromises);
       
       // Save updated queue state
-      await this.saveQueueToStorage();
+      await this.saveQueueToStorage(pendingUploads.map(item => item.id));
       
     } catch (error) {
       console.error('Error processing queue:', error);
@@ -287,65 +501,185 @@ export class UploadQueue {
   }
 
   /**
-   * Process a single upload item
+   * Whether the engine's retry backoff for an item has elapsed
+   */
+  isItemReady(item) {
+    return !uploadEngine.getJob(item.id) || uploadEngine.isReady(item.id);
+  }
+
+  /**
+   * Mirror the engine job onto the persisted queue item
+   */
+  syncItemFromJob(uploadItem, job) {
+    uploadItem.status = ITEM_STATUS_BY_JOB_STATE[job.state] || uploadItem.status;
+    uploadItem.attempts = job.attempts;
+    uploadItem.lastAttemptAt = job.lastAttemptAt || uploadItem.lastAttemptAt;
+    uploadItem.completedAt = job.completedAt;
+    uploadItem.error = job.lastError;
+  }
+
+  /**
+   * Make sure a restored item has an engine job
+   * @returns {boolean} false when the photo has since been suppressed (item is cancelled)
+   */
+  ensureJob(uploadItem) {
+    if (uploadEngine.getJob(uploadItem.id)) return true;
+    
+    const { suppressed } = uploadEngine.submit({
+      id: uploadItem.id,
+      source: 'upload-queue',
+      eventId: uploadItem.eventId,
+      userId: uploadItem.userId,
+      photoKey: uploadItem.photoKey || uploadItem.localIdentifier,
+      filename: uploadItem.filename,
+      fileSize: uploadItem.fileSize,
+      attempts: uploadItem.attempts,
+      maxAttempts: uploadItem.maxRetries,
+      queuedAt: uploadItem.queuedAt,
+      paused: uploadItem.status === 'paused'
+    });
+    
+    if (suppressed) {
+      uploadItem.status = 'cancelled';
+      uploadItem.error = `Suppressed: ${suppressed.reason}`;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Mirror pause, resume and cancel decisions made outside the queue
+   */
+  handleEngineEvent(eventType, data) {
+    if (eventType !== 'job_state_changed' || data.source !== 'upload-queue') return;
+    
+    const uploadItem = this.queue.get(data.id);
+    const pauseChange = data.state === 'paused' || data.previousState === 'paused';
+    if (!uploadItem || (!pauseChange && data.state !== 'cancelled')) return;
+    
+    uploadItem.status = ITEM_STATUS_BY_JOB_STATE[data.state];
+    this.saveQueueToStorage([uploadItem.id]);
+    
+    if (data.previousState === 'paused' && data.state === 'queued' && !this.isProcessing) {
+      setTimeout(() => this.processQueue(), 1000);
+    }
+  }
+
+  /**
+   * Pause a single upload, aborting it if it is in flight
+   */
+  pause(uploadId) {
+    const uploadItem = this.queue.get(uploadId);
+    if (!uploadItem) return false;
+    
+    this.ensureJob(uploadItem);
+    return uploadEngine.pause(uploadId);
+  }
+
+  /**
+   * Resume a paused upload
+   */
+  resume(uploadId) {
+    if (!this.queue.has(uploadId)) return false;
+    return uploadEngine.resume(uploadId);
+  }
+
+  /**
+   * Cancel an upload and drop its stored payload
+   */
+  async cancel(uploadId) {
+    const uploadItem = this.queue.get(uploadId);
+    if (!uploadItem) return false;
+    
+    const cancelled = uploadEngine.cancel(uploadId);
+    if (cancelled) {
+      uploadItem.status = 'cancelled';
+      uploadItem.base64Data = null;
+      uploadItem.hasPayload = false;
+      await this.storage.deletePayload(uploadId);
+      await this.saveQueueToStorage([uploadId]);
+    }
+    
+    return cancelled;
+  }
+
+  /**
+   * Pause every upload for an event (across all upload services)
+   */
+  pauseEvent(eventId) {
+    return uploadEngine.pauseEvent(eventId);
+  }
+
+  /**
+   * Resume every paused upload for an event
+   */
+  resumeEvent(eventId) {
+    return uploadEngine.resumeEvent(eventId);
+  }
+
+  /**
+   * Process a single upload item through the upload engine
    */
   async processUploadItem(uploadItem) {
     try {
       console.log(`📤 Processing upload: ${uploadItem.filename}`);
       
-      // Update status to processing
-      uploadItem.status = 'processing';
-      uploadItem.lastAttemptAt = new Date();
-      uploadItem.attempts += 1;
-      
-      // Check if exceeded max retries
-      if (uploadItem.attempts > uploadItem.maxRetries) {
-        console.log(`❌ Upload failed after ${uploadItem.maxRetries} attempts: ${uploadItem.id}`);
-        uploadItem.status = 'failed';
-        uploadItem.error = 'Maximum retry attempts exceeded';
-        showToast(`Upload failed: ${uploadItem.filename}`, 'error');
-        return;
-      }
-
-      // Check rate limit before processing
-      if (!this.checkRateLimit()) {
-        console.log(`⏸️ Rate limit exceeded, delaying upload: ${uploadItem.id}`);
-        uploadItem.status = 'pending'; // Reset to pending
-        uploadItem.attempts -= 1; // Don't count this as an attempt
+      if (!this.ensureJob(uploadItem)) {
+        await this.saveQueueToStorage([uploadItem.id]);
         return;
       }
+      uploadItem.status = 'processing';
       
-      // Convert photo to base64 and generate hash
-      await this.prepareUploadData(uploadItem);
+      const job = await uploadEngine.runAttempt(uploadItem.id, {
+        // Convert photo to base64 and generate hash
+        prepare: () => this.prepareUploadData(uploadItem),
+        
+        upload: async (job, { signal }) => {
+          // Check rate limit right before sending
+          if (!this.checkRateLimit(uploadItem)) {
+            const error = new Error('Rate limit exceeded');
+            error.deferred = true;
+            throw error;
+          }
+          
+          const uploadResult = await this.uploadToSupabase(uploadItem, signal);
+          
+          if (uploadResult.rateLimited) {
+            // Server asked us to slow down - not the photo's fault
+            const error = new Error(uploadResult.error);
+            error.deferred = true;
+            error.retryAt = uploadResult.retryAt;
+            throw error;
+          }
+          
+          if (!uploadResult.success) {
+            throw new Error(uploadResult.error);
+          }
+          
+          return uploadResult;
+        }
+      });
       
-      // Perform the upload
-      const uploadResult = await this.uploadToSupabase(uploadItem);
+      this.syncItemFromJob(uploadItem, job);
       
-      if (uploadResult.success) {
-        // Mark as completed
-        uploadItem.status = 'completed';
-        uploadItem.completedAt = new Date();
-        uploadItem.error = null;
-        
-        // Track successful upload for rate limiting
-        this.rateLimitTracker.uploads.push(Date.now());
+      if (job.state === 'done') {
+        // Payload is no longer needed once the server has it
+        uploadItem.base64Data = null;
+        uploadItem.hasPayload = false;
+        await this.storage.deletePayload(uploadItem.id);
         
         console.log(`✅ Upload completed: ${uploadItem.filename}`);
         showToast(`Photo uploaded successfully: ${uploadItem.filename}`, 'success');
         
-      } else {
-        // Handle upload failure
-        console.log(`❌ Upload failed: ${uploadResult.error}`);
-        uploadItem.error = uploadResult.error;
+      } else if (job.state === 'failed') {
+        console.log(`❌ Upload failed after ${job.attempts} attempts: ${uploadItem.id}`);
+        showToast(`Upload failed permanently: ${uploadItem.filename}`, 'error');
         
-        // Check if we should retry or mark as failed
-        if (uploadItem.attempts >= uploadItem.maxRetries) {
-          uploadItem.status = 'failed';
-          showToast(`Upload failed permanently: ${uploadItem.filename}`, 'error');
-        } else {
-          uploadItem.status = 'pending'; // Will retry later
-          console.log(`⏭️ Will retry upload: ${uploadItem.filename} (attempt ${uploadItem.attempts}/${uploadItem.maxRetries})`);
-        }
+      } else if (job.state === 'queued') {
+        console.log(`⏭️ Will retry upload: ${uploadItem.filename} (attempt ${job.attempts}/${job.maxAttempts})`);
+        
+      } else if (job.state === 'paused' || job.state === 'cancelled') {
+        console.log(`⏸️ Upload ${job.state}: ${uploadItem.filename}`);
       }
       
     } catch (error) {
@@ -362,6 +696,10 @@ export class UploadQueue {
     try {
       console.log(`🔄 Preparing upload data for: ${uploadItem.filename}`);
       
+      if (uploadItem.sha256Hash && !uploadItem.base64Data && uploadItem.hasPayload) {
+        uploadItem.base64Data = await this.storage.loadPayload(uploadItem.id);
+      }
+      
       if (uploadItem.base64Data && uploadItem.sha256Hash) {
         console.log('✅ Upload data already prepared');
         return; // Already prepared
@@ -381,6 +719,10 @@ export class UploadQueue {
       uploadItem.base64Data = simulatedBase64;
       uploadItem.sha256Hash = sha256Hash;
       
+      // Keep the payload outside the item record, written together with it
+      await this.storage.saveItemWithPayload(uploadItem, simulatedBase64);
+      uploadItem.hasPayload = true;
+      
       console.log(`✅ Upload data prepared: hash=${sha256Hash.substring(0, 16)}...`);
       
     } catch (error) {
@@ -436,7 +778,7 @@ export class UploadQueue {
   /**
    * Upload photo to Supabase edge function
    */
-  async uploadToSupabase(uploadItem) {
+  async uploadToSupabase(uploadItem, signal = null) {
     try {
       console.log(`🌐 Uploading to Supabase: ${uploadItem.filename}`);
       
@@ -470,13 +812,35 @@ export class UploadQueue {
       }
 
       // Call the mobile-upload edge function
-      const { data, error } = await this.supabaseClient.functions.invoke('mobile-upload', {
+      const rateLimitScope = { eventId: uploadItem.eventId, userId: uploadItem.userId };
+      uploadRateLimitGovernor.recordUpload(rateLimitScope);
+      
+      const { data, error, response } = await this.supabaseClient.functions.invoke('mobile-upload', {
         body: uploadPayload,
         headers: {
           'Authorization': `Bearer ${session.access_token}`,
           'Content-Type': 'application/json'
-        }
+        },
+        signal: signal
       });
+      uploadBudgetScheduler.recordUsage(uploadPayload.file_data.length);
+
+      // FunctionsHttpError carries the raw Response in error.context
+      const httpResponse = response || error?.context;
+      if (httpResponse?.status) {
+        const rateLimit = uploadRateLimitGovernor.handleResponse(
+          rateLimitScope, httpResponse.status, httpResponse.headers
+        );
+        
+        if (rateLimit.rateLimited) {
+          return {
+            success: false,
+            rateLimited: true,
+            retryAt: rateLimit.retryAt,
+            error: 'Rate limited by server'
+          };
+        }
+      }
 
       if (error) {
         console.error('Supabase function error:', error);
@@ -509,64 +873,97 @@ export class UploadQueue {
     try {
       console.log('📂 Loading queue from storage...');
       
-      const { data } = await Filesystem.readFile({
-        path: this.config.queueFileName,
-        directory: Directory.Documents,
-        encoding: Encoding.UTF8
-      });
+      await this.migrateLegacyQueueFile();
       
-      if (data) {
-        const queueData = JSON.parse(data);
+      this.queue.clear();
+      for (const item of await this.storage.loadItems()) {
+        this.queue.set(item.id, this.restoreItemDates(item));
         
-        // Restore queue items
-        this.queue.clear();
-        for (const [id, item] of Object.entries(queueData.queue || {})) {
-          // Convert date strings back to Date objects
-          if (item.queuedAt) item.queuedAt = new Date(item.queuedAt);
-          if (item.lastAttemptAt) item.lastAttemptAt = new Date(item.lastAttemptAt);
-          if (item.completedAt) item.completedAt = new Date(item.completedAt);
-          if (item.createdAt) item.createdAt = new Date(item.createdAt);
-          if (item.detectedAt) item.detectedAt = new Date(item.detectedAt);
-          
-          this.queue.set(id, item);
+        // Interrupted uploads go back to pending and get an engine job again
+        if (item.status === 'processing') {
+          item.status = 'pending';
         }
-        
-        // Restore rate limit tracker
-        if (queueData.rateLimitTracker) {
-          this.rateLimitTracker = queueData.rateLimitTracker;
+        if (item.status === 'pending' || item.status === 'paused') {
+          this.ensureJob(item);
         }
-        
-        console.log(`✅ Loaded ${this.queue.size} items from storage`);
       }
       
+      console.log(`✅ Loaded ${this.queue.size} items from storage`);
+      
+    } catch (error) {
+      console.error('Error loading queue from storage:', error);
+    }
+  }
+
+  /**
+   * Convert date strings back to Date objects
+   */
+  restoreItemDates(item) {
+    if (item.queuedAt) item.queuedAt = new Date(item.queuedAt);
+    if (item.lastAttemptAt) item.lastAttemptAt = new Date(item.lastAttemptAt);
+    if (item.completedAt) item.completedAt = new Date(item.completedAt);
+    if (item.createdAt) item.createdAt = new Date(item.createdAt);
+    if (item.detectedAt) item.detectedAt = new Date(item.detectedAt);
+    item.base64Data = null; // Loaded on demand from the payload store
+    return item;
+  }
+
+  /**
+   * Move a queue saved as a single auto-upload-queue.json blob into the storage adapter
+   */
+  async migrateLegacyQueueFile() {
+    let data;
+    try {
+      ({ data } = await Filesystem.readFile({
+        path: this.config.legacyQueueFileName,
+        directory: Directory.Documents,
+        encoding: Encoding.UTF8
+      }));
     } catch (error) {
-      if (error.message && error.message.includes('File does not exist')) {
-        console.log('📂 No existing queue file found - starting fresh');
-      } else {
-        console.error('Error loading queue from storage:', error);
+      return; // No legacy queue file
+    }
+    
+    try {
+      const queueData = JSON.parse(data);
+      const items = Object.values(queueData.queue || {});
+      
+      for (const item of items) {
+        if (item.base64Data) {
+          await this.storage.saveItemWithPayload(item, item.base64Data);
+        } else {
+          await this.storage.saveItem(item);
+        }
       }
+      
+      console.log(`📦 Migrated ${items.length} items from ${this.config.legacyQueueFileName}`);
+      
+    } catch (error) {
+      console.error('Error migrating legacy queue file:', error);
+      return; // Keep the legacy file so nothing is lost
     }
+    
+    await Filesystem.deleteFile({
+      path: this.config.legacyQueueFileName,
+      directory: Directory.Documents
+    });
   }
 
   /**
    * Save queue to persistent storage
+   * @param {string[]|null} itemIds - Only persist these items (default: all)
    */
-  async saveQueueToStorage() {
+  async saveQueueToStorage(itemIds = null) {
     try {
-      const queueData = {
-        queue: Object.fromEntries(this.queue),
-        rateLimitTracker: this.rateLimitTracker,
-        lastSaved: new Date()
-      };
+      const ids = itemIds || Array.from(this.queue.keys());
       
-      await Filesystem.writeFile({
-        path: this.config.queueFileName,
-        data: JSON.stringify(queueData, null, 2),
-        directory: Directory.Documents,
-        encoding: Encoding.UTF8
-      });
+      for (const id of ids) {
+        const item = this.queue.get(id);
+        if (item) {
+          await this.storage.saveItem(item);
+        }
+      }
       
-      console.log(`💾 Queue saved to storage (${this.queue.size} items)`);
+      console.log(`💾 Queue saved to storage (${ids.length}/${this.queue.size} items)`);
       
     } catch (error) {
       console.error('Error saving queue to storage:', error);
@@ -585,15 +982,16 @@ export class UploadQueue {
       for (const [id, item] of this.queue) {
         const itemAge = now - new Date(item.queuedAt).getTime();
         
-        if (itemAge > maxAge && (item.status === 'completed' || item.status === 'failed')) {
+        if (itemAge > maxAge && ['completed', 'failed', 'cancelled'].includes(item.status)) {
           this.queue.delete(id);
+          uploadEngine.remove(id);
+          await this.storage.deleteItem(id);
           cleanedCount++;
         }
       }
       
       if (cleanedCount > 0) {
         console.log(`🧹 Cleaned up ${cleanedCount} old upload records`);
-        await this.saveQueueToStorage();
       }
       
     } catch (error) {
@@ -608,24 +1006,32 @@ export class UploadQueue {
     const stats = {
       total: this.queue.size,
       pending: 0,
+      paused: 0,
       processing: 0,
       completed: 0,
       failed: 0
     };
     
+    // Why pending items are waiting, e.g. { wifi_only_event: 2 }
+    const deferredUploads = {};
+    
     for (const item of this.queue.values()) {
       stats[item.status] = (stats[item.status] || 0) + 1;
+      if (item.status === 'pending' && item.deferredReason) {
+        deferredUploads[item.deferredReason] = (deferredUploads[item.deferredReason] || 0) + 1;
+      }
     }
     
     return {
       isInitialized: this.isInitialized,
       isProcessing: this.isProcessing,
       queueStats: stats,
-      rateLimitStatus: {
-        currentUploads: this.rateLimitTracker.uploads.length,
-        maxUploads: this.rateLimitTracker.maxUploads,
-        windowMinutes: this.rateLimitTracker.windowMinutes
-      },
+      laneStats: this.getLaneStats(),
+      storageBackend: this.storage?.name || null,
+      rateLimitStatus: uploadRateLimitGovernor.getStatus(),
+      deferral: this.lastDeferral,
+      deferredUploads: deferredUploads,
+      budgetStatus: uploadBudgetScheduler.getStatus(),
       config: this.config
     };
   }
@@ -649,18 +1055,22 @@ export class UploadQueue {
   async retryFailedUploads() {
     console.log('🔄 Retrying failed uploads...');
     
-    let retriedCount = 0;
+    const retriedIds = [];
     for (const item of this.queue.values()) {
       if (item.status === 'failed') {
         item.status = 'pending';
         item.attempts = 0;
         item.error = null;
-        retriedCount++;
+        if (!uploadEngine.retry(item.id)) {
+          this.ensureJob(item);
+        }
+        retriedIds.push(item.id);
       }
     }
     
+    const retriedCount = retriedIds.length;
     if (retriedCount > 0) {
-      await this.saveQueueToStorage();
+      await this.saveQueueToStorage(retriedIds);
       console.log(`✅ ${retriedCount} failed uploads reset for retry`);
       showToast(`${retriedCount} uploads queued for retry`, 'info');
     }
@@ -676,12 +1086,13 @@ export class UploadQueue {
     for (const [id, item] of this.queue) {
       if (item.status === 'completed') {
         this.queue.delete(id);
+        uploadEngine.remove(id);
+        await this.storage.deleteItem(id);
         clearedCount++;
       }
     }
     
     if (clearedCount > 0) {
-      await this.saveQueueToStorage();
       console.log(`✅ ${clearedCount} completed uploads cleared`);
       showToast(`${clearedCount} completed uploads cleared`, 'info');
     }
@@ -697,6 +1108,11 @@ export class UploadQueue {
       this.stopQueueProcessing();
       await this.saveQueueToStorage();
       
+      if (this.engineUnsubscribe) {
+        this.engineUnsubscribe();
+        this.engineUnsubscribe = null;
+      }
+      
       this.queue.clear();
       this.isInitialized = false;
       this.supabaseClient = null;
@@ -726,6 +1142,9 @@ export async function addPhotoToUploadQueue(photoData) {
   return await uploadQueue.addPhotoToQueue(photoData);
 }
 
+// Classic scripts (BatchPhotoProcessingService) and photoDecisionLog.js queue photos through window
+window.addPhotoToUploadQueue = addPhotoToUploadQueue;
+
 export function getUploadQueueItems(status = null) {
   return uploadQueue.getQueueItems(status);
 }
@@ -736,4 +1155,16 @@ export async function retryFailedUploads() {
 
 export async function clearCompletedUploads() {
   return await uploadQueue.clearCompletedUploads();
-}
\ No newline at end of file
+}
+
+export function pauseQueuedUpload(uploadId) {
+  return uploadQueue.pause(uploadId);
+}
+
+export function resumeQueuedUpload(uploadId) {
+  return uploadQueue.resume(uploadId);
+}
+
+export async function cancelQueuedUpload(uploadId) {
+  return await uploadQueue.cancel(uploadId);
+}
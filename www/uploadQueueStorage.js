@@ -0,0 +1,250 @@
+import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
+import { IndexedDBStore, initStorageWithFallback } from './indexedDBStore.js';
+
+/**
+ * UploadQueueStorage - Pluggable persistence backends for UploadQueue
+ * Each queue item is stored as its own record and binary payloads live
+ * outside the index, so one bad write never takes the whole queue with it.
+ *
+ * Adapter contract (all methods async):
+ *   init(), loadItems(), saveItem(item), deleteItem(id),
+ *   saveItemWithPayload(item, data) - never leaves an item pointing at a missing payload,
+ *   savePayload(id, data), loadPayload(id), deletePayload(id)
+ */
+
+/**
+ * Strip in-memory only fields before an item is written to storage
+ */
+export function serializeQueueItem(item) {
+  const { base64Data, ...record } = item;
+  return {
+    ...record,
+    hasPayload: !!(base64Data || item.hasPayload)
+  };
+}
+
+/**
+ * IndexedDB backend - every write runs in its own transaction (an item and
+ * its payload in one), so an interrupted write is rolled back by the browser.
+ */
+export class IndexedDBQueueStorage {
+  constructor(dbName = 'photoshare-upload-queue') {
+    this.name = 'indexeddb';
+    this.db = new IndexedDBStore(dbName, { items: 'id', payloads: 'id' });
+  }
+
+  static isAvailable() {
+    return IndexedDBStore.isAvailable();
+  }
+
+  async init() {
+    await this.db.open();
+  }
+
+  async loadItems() {
+    return await this.db.getAll('items');
+  }
+
+  async saveItem(item) {
+    await this.db.transaction('items', 'readwrite', store => store.put(serializeQueueItem(item)));
+  }
+
+  async deleteItem(id) {
+    await this.db.transaction('items', 'readwrite', store => store.delete(id));
+    await this.deletePayload(id);
+  }
+
+  async saveItemWithPayload(item, data) {
+    await this.db.transaction(['items', 'payloads'], 'readwrite', ({ items, payloads }) => {
+      payloads.put({ id: item.id, data });
+      items.put({ ...serializeQueueItem(item), hasPayload: true });
+    });
+  }
+
+  async savePayload(id, data) {
+    await this.db.transaction('payloads', 'readwrite', store => store.put({ id, data }));
+  }
+
+  async loadPayload(id) {
+    const record = await this.db.transaction('payloads', 'readonly', store => store.get(id));
+    return record?.data || null;
+  }
+
+  async deletePayload(id) {
+    await this.db.transaction('payloads', 'readwrite', store => store.delete(id));
+  }
+}
+
+/**
+ * Capacitor Filesystem backend - one JSON file per item plus one
+ * payload file per item. Writes go to a .tmp file first and are then
+ * renamed over the target, so a crash leaves either the old or the new file.
+ */
+export class FilesystemQueueStorage {
+  constructor(rootPath = 'upload-queue') {
+    this.name = 'filesystem';
+    this.rootPath = rootPath;
+    this.directory = Directory.Data;
+  }
+
+  async init() {
+    for (const folder of ['items', 'payloads']) {
+      try {
+        await Filesystem.mkdir({
+          path: `${this.rootPath}/${folder}`,
+          directory: this.directory,
+          recursive: true
+        });
+      } catch (error) {
+        // Directory already exists
+      }
+    }
+  }
+
+  itemPath(id) {
+    return `${this.rootPath}/items/${id}.json`;
+  }
+
+  payloadPath(id) {
+    return `${this.rootPath}/payloads/${id}.b64`;
+  }
+
+  async writeAtomic(path, data) {
+    const tempPath = `${path}.tmp`;
+
+    await Filesystem.writeFile({
+      path: tempPath,
+      data: data,
+      directory: this.directory,
+      encoding: Encoding.UTF8
+    });
+
+    await Filesystem.rename({
+      from: tempPath,
+      to: path,
+      directory: this.directory,
+      toDirectory: this.directory
+    });
+  }
+
+  async readText(path) {
+    try {
+      const { data } = await Filesystem.readFile({
+        path: path,
+        directory: this.directory,
+        encoding: Encoding.UTF8
+      });
+      return data;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async deleteFile(path) {
+    try {
+      await Filesystem.deleteFile({ path, directory: this.directory });
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  async loadItems() {
+    const { files } = await Filesystem.readdir({
+      path: `${this.rootPath}/items`,
+      directory: this.directory
+    });
+
+    const names = files.map(file => (typeof file === 'string' ? file : file.name));
+    const items = [];
+
+    for (const name of names) {
+      // Recover from a crash between writing the temp file and the rename
+      if (name.endsWith('.json.tmp')) {
+        const target = name.slice(0, -'.tmp'.length);
+        if (names.includes(target)) {
+          await this.deleteFile(`${this.rootPath}/items/${name}`);
+          continue;
+        }
+        // Only a complete item is promoted - one cut short by the crash is dropped
+        const data = await this.readText(`${this.rootPath}/items/${name}`);
+        if (this.pushParsedItem(items, data, name)) {
+          await this.writeAtomic(`${this.rootPath}/items/${target}`, data);
+        }
+        await this.deleteFile(`${this.rootPath}/items/${name}`);
+        continue;
+      }
+
+      if (!name.endsWith('.json')) continue;
+
+      const data = await this.readText(`${this.rootPath}/items/${name}`);
+      this.pushParsedItem(items, data, name);
+    }
+
+    return items;
+  }
+
+  /**
+   * @returns {boolean} Whether the data parsed and was added
+   */
+  pushParsedItem(items, data, name) {
+    if (!data) return false;
+    try {
+      items.push(JSON.parse(data));
+      return true;
+    } catch (error) {
+      console.error(`⚠️ Skipping unreadable queue item ${name}:`, error);
+      return false;
+    }
+  }
+
+  async saveItem(item) {
+    await this.writeAtomic(this.itemPath(item.id), JSON.stringify(serializeQueueItem(item)));
+  }
+
+  async deleteItem(id) {
+    await this.deleteFile(this.itemPath(id));
+    await this.deletePayload(id);
+  }
+
+  /**
+   * Payload first - a crash in between leaves an unused payload file, never
+   * an item whose payload is missing
+   */
+  async saveItemWithPayload(item, data) {
+    await this.savePayload(item.id, data);
+    await this.writeAtomic(this.itemPath(item.id), JSON.stringify({ ...serializeQueueItem(item), hasPayload: true }));
+  }
+
+  async savePayload(id, data) {
+    await this.writeAtomic(this.payloadPath(id), data);
+  }
+
+  async loadPayload(id) {
+    return await this.readText(this.payloadPath(id));
+  }
+
+  async deletePayload(id) {
+    await this.deleteFile(this.payloadPath(id));
+  }
+}
+
+/**
+ * Create and initialize a storage backend
+ * @param {string} backend - 'indexeddb', 'filesystem' or 'auto'
+ */
+export async function createQueueStorage(backend = 'auto') {
+  let storage;
+  if (backend === 'filesystem') {
+    storage = new FilesystemQueueStorage();
+    await storage.init();
+  } else {
+    storage = await initStorageWithFallback(
+      () => new IndexedDBQueueStorage(),
+      () => new FilesystemQueueStorage(),
+      'falling back to Filesystem storage'
+    );
+  }
+
+  console.log(`💾 Upload queue storage: ${storage.name}`);
+  return storage;
+}
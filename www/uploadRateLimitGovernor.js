@@ -0,0 +1,295 @@
+/**
+ * UploadRateLimitGovernor - Shared rate limiting for every upload path
+ * Learns limits from 429 responses and Retry-After / X-RateLimit-* headers
+ * sent by the mobile-upload and multipart-upload functions, and pauses only
+ * the event or user bucket the server complained about.
+ *
+ * Used by UploadQueue, ReliableUploadService and BackgroundUploadService.
+ */
+export class UploadRateLimitGovernor {
+  constructor() {
+    this.buckets = new Map(); // bucketKey -> { limit, remaining, resetAt, pausedUntil, uploads }
+    this.subscribers = new Set();
+    this.countdownTimer = null;
+
+    // Configuration
+    this.config = {
+      storageKey: 'upload_rate_limit_buckets',
+      defaultRetryAfterMs: 60000, // Used when a 429 has no Retry-After header
+      maxRetryAfterMs: 60 * 60 * 1000, // Never pause longer than an hour
+      countdownInterval: 1000,
+
+      // Client-side fallback until the server reports its own limits
+      fallback: {
+        maxUploads: window.PHOTOSHARE_CONFIG?.upload?.rateLimit?.maxUploads || 50,
+        windowMinutes: window.PHOTOSHARE_CONFIG?.upload?.rateLimit?.windowMinutes || 60
+      }
+    };
+
+    this.loadBuckets();
+
+    console.log('🚦 UploadRateLimitGovernor initialized');
+  }
+
+  /**
+   * Bucket keys that apply to an upload
+   */
+  getBucketKeys(scope = {}) {
+    const keys = [];
+    if (scope.eventId) keys.push(`event:${scope.eventId}`);
+    if (scope.userId) keys.push(`user:${scope.userId}`);
+    if (keys.length === 0) keys.push('global');
+    return keys;
+  }
+
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        limit: null,
+        remaining: null,
+        resetAt: null,
+        pausedUntil: null,
+        uploads: []
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Check whether an upload for this scope may start now
+   * @returns {{allowed: boolean, bucket: string|null, retryAt: number|null, reason: string|null}}
+   */
+  checkUpload(scope = {}) {
+    const now = Date.now();
+    const fallbackWindowMs = this.config.fallback.windowMinutes * 60 * 1000;
+
+    for (const key of this.getBucketKeys(scope)) {
+      const bucket = this.getBucket(key);
+
+      if (bucket.pausedUntil && bucket.pausedUntil > now) {
+        return { allowed: false, bucket: key, retryAt: bucket.pausedUntil, reason: 'server_rate_limited' };
+      }
+
+      // Server-reported quota
+      if (bucket.remaining !== null && bucket.resetAt && bucket.resetAt > now) {
+        if (bucket.remaining <= 0) {
+          return { allowed: false, bucket: key, retryAt: bucket.resetAt, reason: 'quota_exhausted' };
+        }
+        continue;
+      }
+
+      // Client-side fallback window
+      bucket.uploads = bucket.uploads.filter(timestamp => timestamp > now - fallbackWindowMs);
+      if (bucket.uploads.length >= this.config.fallback.maxUploads) {
+        return {
+          allowed: false,
+          bucket: key,
+          retryAt: bucket.uploads[0] + fallbackWindowMs,
+          reason: 'client_limit'
+        };
+      }
+    }
+
+    return { allowed: true, bucket: null, retryAt: null, reason: null };
+  }
+
+  /**
+   * Record that an upload was sent for this scope
+   */
+  recordUpload(scope = {}) {
+    const now = Date.now();
+    for (const key of this.getBucketKeys(scope)) {
+      const bucket = this.getBucket(key);
+      bucket.uploads.push(now);
+      if (bucket.remaining !== null && bucket.remaining > 0) {
+        bucket.remaining--;
+      }
+    }
+    this.saveBuckets();
+  }
+
+  /**
+   * Learn from a server response. Accepts a fetch Headers object or a plain header map.
+   * @returns {{rateLimited: boolean, retryAt: number|null, bucket: string|null}}
+   */
+  handleResponse(scope = {}, status, headers = {}) {
+    const header = (name) => this.readHeader(headers, name);
+    const now = Date.now();
+
+    // The server may tell us which bucket the limit applies to
+    const scopeHeader = (header('X-RateLimit-Scope') || '').toLowerCase();
+    const keys = this.getBucketKeys(scope);
+    const targetKey = keys.find(key => scopeHeader && key.startsWith(`${scopeHeader}:`)) || keys[0];
+    const bucket = this.getBucket(targetKey);
+
+    const limit = parseInt(header('X-RateLimit-Limit'), 10);
+    const remaining = parseInt(header('X-RateLimit-Remaining'), 10);
+    const resetAt = this.parseResetHeader(header('X-RateLimit-Reset'));
+
+    if (!Number.isNaN(limit)) bucket.limit = limit;
+    if (!Number.isNaN(remaining)) bucket.remaining = remaining;
+    if (resetAt) bucket.resetAt = resetAt;
+
+    if (status !== 429) {
+      this.saveBuckets();
+      return { rateLimited: false, retryAt: null, bucket: targetKey };
+    }
+
+    const retryAfterMs = this.parseRetryAfter(header('Retry-After')) ??
+      (resetAt ? resetAt - now : this.config.defaultRetryAfterMs);
+    bucket.pausedUntil = now + Math.min(Math.max(retryAfterMs, 0), this.config.maxRetryAfterMs);
+    bucket.remaining = 0;
+
+    this.saveBuckets();
+
+    console.log(`🚦 Rate limited (${targetKey}) - retrying in ${Math.ceil((bucket.pausedUntil - now) / 1000)}s`);
+    this.notifySubscribers('rate_limited', {
+      bucket: targetKey,
+      retryAt: bucket.pausedUntil,
+      retryInSeconds: Math.ceil((bucket.pausedUntil - now) / 1000)
+    });
+    this.startCountdown();
+
+    return { rateLimited: true, retryAt: bucket.pausedUntil, bucket: targetKey };
+  }
+
+  readHeader(headers, name) {
+    if (!headers) return null;
+    if (typeof headers.get === 'function') {
+      return headers.get(name);
+    }
+    const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+    return match ? headers[match] : null;
+  }
+
+  /**
+   * Retry-After is either delta seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : date - Date.now();
+  }
+
+  /**
+   * X-RateLimit-Reset is either epoch seconds or seconds until reset
+   */
+  parseResetHeader(value) {
+    const reset = Number(value);
+    if (value === null || value === undefined || value === '' || Number.isNaN(reset)) {
+      return null;
+    }
+    return reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+  }
+
+  /**
+   * Tick once a second while any bucket is paused, so the UI can show a countdown
+   */
+  startCountdown() {
+    if (this.countdownTimer) return;
+
+    this.countdownTimer = setInterval(() => {
+      const status = this.getStatus();
+
+      if (status.pausedBuckets.length === 0) {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        this.notifySubscribers('rate_limit_cleared', status);
+        return;
+      }
+
+      this.notifySubscribers('rate_limit_countdown', status);
+    }, this.config.countdownInterval);
+  }
+
+  /**
+   * Get current rate limit status with countdowns
+   */
+  getStatus() {
+    const now = Date.now();
+    const pausedBuckets = [];
+    const buckets = {};
+
+    for (const [key, bucket] of this.buckets) {
+      buckets[key] = {
+        limit: bucket.limit,
+        remaining: bucket.remaining,
+        resetAt: bucket.resetAt,
+        recentUploads: bucket.uploads.length
+      };
+
+      if (bucket.pausedUntil && bucket.pausedUntil > now) {
+        pausedBuckets.push({
+          bucket: key,
+          retryAt: bucket.pausedUntil,
+          retryInSeconds: Math.ceil((bucket.pausedUntil - now) / 1000)
+        });
+      }
+    }
+
+    return {
+      isRateLimited: pausedBuckets.length > 0,
+      pausedBuckets: pausedBuckets,
+      nextRetryInSeconds: pausedBuckets.length > 0 ?
+        Math.min(...pausedBuckets.map(b => b.retryInSeconds)) : 0,
+      buckets: buckets,
+      fallback: this.config.fallback
+    };
+  }
+
+  /**
+   * Subscribe to rate limit events
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notifySubscribers(eventType, data) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        console.error('Error notifying rate limit subscriber:', error);
+      }
+    });
+  }
+
+  loadBuckets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+      for (const [key, bucket] of Object.entries(stored)) {
+        this.buckets.set(key, { uploads: [], ...bucket });
+      }
+      if (this.getStatus().isRateLimited) {
+        this.startCountdown();
+      }
+    } catch (error) {
+      console.error('Error loading rate limit state:', error);
+    }
+  }
+
+  saveBuckets() {
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(Object.fromEntries(this.buckets)));
+    } catch (error) {
+      console.error('Error saving rate limit state:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const uploadRateLimitGovernor = new UploadRateLimitGovernor();
+
+// Classic-script services (ReliableUploadService, BackgroundUploadService) read it from window
+window.uploadRateLimitGovernor = uploadRateLimitGovernor;
+
+export function getUploadRateLimitStatus() {
+  return uploadRateLimitGovernor.getStatus();
+}
@@ -0,0 +1,212 @@
+/**
+ * Vision reference implementation - face detection and scene classification in plain JS
+ * Answers the PhotoAnalysis plugin contract (photoAnalysisPlugin.js) where
+ * the native Vision plugin is unavailable. Pure functions with no DOM
+ * access, run by the 'detectFaces' and 'classifyScene' worker tasks.
+ *
+ * Both are colour heuristics, far cruder than Vision, and report lower
+ * confidences to match:
+ *   detectFaces   - skin-coloured blobs with a face's proportions and some
+ *                   non-skin detail inside (eyes, mouth); misses profiles,
+ *                   very small faces and strongly tinted light
+ *   classifyScene - sky, vegetation and night from where colours and
+ *                   brightness fall; cannot tell food or celebrations apart
+ */
+
+// Longest edge the heuristics work at - enough for faces of a few percent of the frame
+export const REFERENCE_ANALYSIS_SIZE = 160;
+
+const MIN_FACE_PIXELS = 6; // Blobs narrower than this at analysis size are noise
+const MAX_REFERENCE_CONFIDENCE = 0.7;
+
+/**
+ * Skin tone test (Kovač et al. RGB rule, checked again in YCbCr)
+ */
+function isSkin(r, g, b) {
+  if (r <= 95 || g <= 40 || b <= 20 || r <= g || r <= b || r - g <= 15) return false;
+  if (Math.max(r, g, b) - Math.min(r, g, b) <= 15) return false;
+
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+/**
+ * @param {ArrayLike<number>} rgba - width * height RGBA bytes
+ * @param {{maxFaces?: number}} options
+ * @returns {{faces: Array<{boundingBox: {x: number, y: number, width: number, height: number},
+ *   confidence: number, captureQuality: null, roll: null, yaw: null}>,
+ *   imageSize: {width: number, height: number}}}
+ */
+export function detectFaces(rgba, width, height, options = {}) {
+  const maxFaces = options.maxFaces ?? 20;
+  const mask = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < mask.length; i++, p += 4) {
+    mask[i] = isSkin(rgba[p], rgba[p + 1], rgba[p + 2]) ? 1 : 0;
+  }
+
+  const faces = [];
+  for (const blob of findBlobs(mask, width, height)) {
+    const boxWidth = blob.maxX - blob.minX + 1;
+    const boxHeight = blob.maxY - blob.minY + 1;
+    if (boxWidth < MIN_FACE_PIXELS || boxHeight < MIN_FACE_PIXELS) continue;
+
+    // Faces are a little taller than wide (more with the neck); arms and walls are not
+    const aspect = boxHeight / boxWidth;
+    if (aspect < 0.9 || aspect > 2.2) continue;
+
+    // Roughly elliptical, with eyes and mouth breaking up the skin
+    const fill = blob.pixels / (boxWidth * boxHeight);
+    if (fill < 0.45 || fill > 0.95) continue;
+    const holes = countHoles(mask, width, blob, boxWidth, boxHeight);
+    if (holes === 0) continue;
+
+    const aspectScore = 1 - Math.min(Math.abs(aspect - 1.3) / 0.9, 1);
+    const fillScore = 1 - Math.min(Math.abs(fill - 0.72) / 0.27, 1);
+    faces.push({
+      boundingBox: {
+        x: blob.minX / width,
+        y: blob.minY / height,
+        width: boxWidth / width,
+        height: boxHeight / height
+      },
+      confidence: 0.4 + (MAX_REFERENCE_CONFIDENCE - 0.4) * (aspectScore + fillScore) / 2,
+      captureQuality: null,
+      roll: null,
+      yaw: null
+    });
+  }
+
+  faces.sort((a, b) => b.boundingBox.width * b.boundingBox.height - a.boundingBox.width * a.boundingBox.height);
+  return { faces: faces.slice(0, maxFaces), imageSize: { width, height } };
+}
+
+/**
+ * 4-connected components of a 0/1 mask, with bounding boxes
+ */
+function findBlobs(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const blobs = [];
+  const stack = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const blob = { label: blobs.length + 1, pixels: 0, minX: width, minY: height, maxX: 0, maxY: 0 };
+    labels[start] = blob.label;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      blob.pixels++;
+      blob.minX = Math.min(blob.minX, x);
+      blob.maxX = Math.max(blob.maxX, x);
+      blob.minY = Math.min(blob.minY, y);
+      blob.maxY = Math.max(blob.maxY, y);
+
+      for (const next of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, y > 0 ? i - width : -1, y < height - 1 ? i + width : -1]) {
+        if (next >= 0 && mask[next] && !labels[next]) {
+          labels[next] = blob.label;
+          stack.push(next);
+        }
+      }
+    }
+    blobs.push(blob);
+  }
+  return blobs;
+}
+
+/**
+ * Non-skin pixels enclosed inside the blob's upper two thirds (eyes, brows,
+ * mouth), counted row by row between the blob's left and right edges
+ */
+function countHoles(mask, width, blob, boxWidth, boxHeight) {
+  let holes = 0;
+  const bottom = blob.minY + Math.ceil(boxHeight * 2 / 3);
+  for (let y = blob.minY; y < bottom; y++) {
+    let left = -1;
+    let right = -1;
+    for (let x = blob.minX; x <= blob.maxX; x++) {
+      if (mask[y * width + x]) {
+        if (left < 0) left = x;
+        right = x;
+      }
+    }
+    for (let x = left + 1; x < right; x++) {
+      if (!mask[y * width + x]) holes++;
+    }
+  }
+  return holes;
+}
+
+/**
+ * @param {ArrayLike<number>} rgba - width * height RGBA bytes
+ * @param {{maxLabels?: number, minConfidence?: number}} options
+ * @returns {{labels: Array<{identifier: string, confidence: number}>, textRegions: Array}}
+ */
+export function classifyScene(rgba, width, height, options = {}) {
+  const maxLabels = options.maxLabels ?? 10;
+  const minConfidence = options.minConfidence ?? 0.1;
+  const skyRows = Math.ceil(height * 0.4);
+  let sky = 0;
+  let vegetation = 0;
+  let highlights = 0;
+  let brightness = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const { hue, saturation, value } = toHSV(rgba[p], rgba[p + 1], rgba[p + 2]);
+      brightness += value;
+      if (value > 0.9) highlights++;
+
+      if (y < skyRows && hue >= 190 && hue <= 250 && saturation > 0.15 && value > 0.4) sky++;
+      if (hue >= 60 && hue <= 170 && saturation > 0.2 && value > 0.15) vegetation++;
+    }
+  }
+
+  const count = width * height;
+  const skyShare = sky / (skyRows * width);
+  const vegetationShare = vegetation / count;
+  const meanBrightness = brightness / count;
+  const highlightShare = highlights / count;
+
+  const scale = confidence => Math.min(confidence, 1) * MAX_REFERENCE_CONFIDENCE;
+  const labels = [
+    { identifier: 'sky', confidence: scale(skyShare * 1.5) },
+    { identifier: 'foliage', confidence: scale(vegetationShare * 2) },
+    { identifier: 'outdoor', confidence: scale(Math.max(skyShare * 1.5, vegetationShare * 2)) }
+  ];
+
+  // Dark frame lit by a few bright points: streetlights, candles, stage lights
+  const night = meanBrightness < 0.25 && highlightShare > 0.002 ?
+    scale((0.25 - meanBrightness) * 4 + 0.4) : 0;
+  labels.push({ identifier: 'night', confidence: night });
+
+  const outdoor = labels[2].confidence / MAX_REFERENCE_CONFIDENCE;
+  labels.push({ identifier: 'interior_room', confidence: scale(0.6 * (1 - outdoor) * (1 - night / MAX_REFERENCE_CONFIDENCE)) });
+
+  return {
+    labels: labels
+      .filter(label => label.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, maxLabels),
+    textRegions: []
+  };
+}
+
+function toHSV(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) hue = 60 * (((g - b) / delta) % 6);
+    else if (max === g) hue = 60 * ((b - r) / delta + 2);
+    else hue = 60 * ((r - g) / delta + 4);
+    if (hue < 0) hue += 360;
+  }
+  return { hue, saturation: max > 0 ? delta / max : 0, value: max / 255 };
+}
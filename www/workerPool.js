@@ -0,0 +1,348 @@
+/**
+ * WorkerPool - Web Worker pool for hashing and image analysis
+ * Keeps CPU-heavy image work (perceptual hashes, quality analysis,
+ * metadata parsing) off the WebView's UI thread. Tasks are queued and
+ * handed to at most maxConcurrent module workers running imageWorker.js.
+ *
+ *   - Payload buffers and ImageBitmaps listed in `transfer` are moved, not copied
+ *   - A task that exceeds its timeout rejects with a TimeoutError and its worker
+ *     is replaced, as synchronous work inside a worker cannot be interrupted
+ *   - An AbortSignal cancels a task whether it is queued or running
+ *   - Without Web Worker support tasks run inline, with the same queue and timeouts
+ *
+ * Used by PhotoDeduplicationService and BatchPhotoProcessingService.
+ */
+
+import { runTask } from './imageWorkerTasks.js';
+
+export class WorkerPool {
+  constructor(options = {}) {
+    this.workers = []; // { id, worker, task, processedCount, errorCount }
+    this.queue = [];
+    this.running = new Map(); // taskId -> task
+    this.nextTaskId = 1;
+    this.nextWorkerId = 1;
+    this.inline = !options.workerUrl || typeof Worker === 'undefined';
+    this.capabilities = null; // Reported by the first worker, see probe()
+    this.probing = false;
+    this.stats = { completed: 0, failed: 0, timedOut: 0, cancelled: 0, workersReplaced: 0 };
+
+    // Configuration
+    this.config = {
+      workerUrl: options.workerUrl || null,
+      maxConcurrent: options.maxConcurrent || 2,
+      taskTimeout: options.taskTimeout || 30000,
+      idleTimeout: options.idleTimeout || 60000 // Idle workers are terminated to free memory
+    };
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {string} type - Task type registered in imageWorkerTasks.js
+   * @param {object} payload
+   * @param {{transfer?: Array<Transferable>, timeout?: number, signal?: AbortSignal}} options
+   * @returns {Promise<any>} The task result
+   */
+  run(type, payload, options = {}) {
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: this.nextTaskId++,
+        type: type,
+        payload: payload,
+        transfer: options.transfer || [],
+        timeout: options.timeout || this.config.taskTimeout,
+        signal: options.signal || null,
+        resolve: resolve,
+        reject: reject,
+        timer: null,
+        worker: null
+      };
+
+      if (task.signal?.aborted) {
+        reject(this.createError('Task cancelled', 'AbortError'));
+        return;
+      }
+
+      if (task.signal) {
+        task.onAbort = () => this.cancel(task.id);
+        task.signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.pump();
+    });
+  }
+
+  /**
+   * Cancel a queued or running task
+   */
+  cancel(taskId) {
+    const queuedIndex = this.queue.findIndex(task => task.id === taskId);
+    if (queuedIndex !== -1) {
+      const [task] = this.queue.splice(queuedIndex, 1);
+      this.stats.cancelled++;
+      this.settle(task, this.createError('Task cancelled', 'AbortError'));
+      return true;
+    }
+
+    const task = this.running.get(taskId);
+    if (!task) return false;
+
+    this.stats.cancelled++;
+    this.finishRunning(task, this.createError('Task cancelled', 'AbortError'), true);
+    return true;
+  }
+
+  /**
+   * Cancel everything queued and running
+   */
+  cancelAll() {
+    [...this.queue.map(task => task.id), ...this.running.keys()].forEach(taskId => this.cancel(taskId));
+  }
+
+  setMaxConcurrent(maxConcurrent) {
+    this.config.maxConcurrent = Math.max(1, maxConcurrent);
+    this.pump();
+  }
+
+  /**
+   * Start queued tasks while there is capacity
+   */
+  pump() {
+    if (!this.inline && !this.capabilities) {
+      this.probe();
+      return;
+    }
+
+    while (this.queue.length > 0 && this.running.size < this.config.maxConcurrent) {
+      const task = this.queue.shift();
+
+      if (this.inline) {
+        this.startInline(task);
+        continue;
+      }
+
+      const slot = this.workers.find(candidate => !candidate.task) || this.spawnWorker();
+      if (!slot) {
+        // Worker creation failed - fall back to running on this thread
+        this.inline = true;
+        this.startInline(task);
+        continue;
+      }
+      this.startOnWorker(task, slot);
+    }
+  }
+
+  /**
+   * Check that a module worker actually loads here before handing it real
+   * work - older WebViews construct module workers that then fail to
+   * import, and transferred buffers could not be recovered from them
+   */
+  probe() {
+    if (this.probing) return;
+
+    const slot = this.spawnWorker();
+    if (!slot) {
+      this.inline = true;
+      this.pump();
+      return;
+    }
+
+    this.probing = true;
+    const task = {
+      id: this.nextTaskId++,
+      type: 'capabilities',
+      payload: {},
+      transfer: [],
+      timeout: this.config.taskTimeout,
+      signal: null,
+      resolve: (capabilities) => {
+        this.probing = false;
+        this.capabilities = capabilities;
+        this.pump();
+      },
+      reject: (error) => {
+        console.warn('⚠️ Image worker failed to start - running image tasks inline:', error.message);
+        this.probing = false;
+        this.inline = true;
+        this.pump();
+      }
+    };
+    this.startOnWorker(task, slot);
+  }
+
+  startOnWorker(task, slot) {
+    clearTimeout(slot.idleTimer);
+    slot.task = task;
+    task.worker = slot;
+    this.running.set(task.id, task);
+    this.armTimeout(task);
+
+    try {
+      slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    } catch (error) {
+      this.finishRunning(task, error, false);
+    }
+  }
+
+  startInline(task) {
+    this.running.set(task.id, task);
+    this.armTimeout(task);
+
+    runTask(task.type, task.payload)
+      .then(({ result }) => this.finishRunning(task, null, false, result))
+      .catch(error => this.finishRunning(task, error, false));
+  }
+
+  armTimeout(task) {
+    task.timer = setTimeout(() => {
+      this.stats.timedOut++;
+      this.finishRunning(task, this.createError(`Task ${task.type} timed out after ${task.timeout}ms`, 'TimeoutError'), true);
+    }, task.timeout);
+  }
+
+  /**
+   * Settle a running task. A task abandoned mid-run (timeout, cancel) takes
+   * its worker down with it - the worker is still busy and would only
+   * deliver a stale result.
+   */
+  finishRunning(task, error, abandon, result) {
+    if (!this.running.has(task.id)) return; // Already settled
+
+    this.running.delete(task.id);
+    clearTimeout(task.timer);
+
+    const slot = task.worker;
+    if (slot) {
+      slot.task = null;
+      if (error) slot.errorCount++;
+      else slot.processedCount++;
+
+      if (abandon) {
+        this.retireWorker(slot);
+        this.stats.workersReplaced++;
+      } else {
+        this.scheduleIdleTermination(slot);
+      }
+    }
+
+    if (error) {
+      if (error.name !== 'AbortError') this.stats.failed++;
+      this.settle(task, error);
+    } else {
+      this.stats.completed++;
+      this.settle(task, null, result);
+    }
+
+    this.pump();
+  }
+
+  settle(task, error, result) {
+    task.signal?.removeEventListener('abort', task.onAbort);
+    if (error) task.reject(error);
+    else task.resolve(result);
+  }
+
+  spawnWorker() {
+    try {
+      const worker = new Worker(this.config.workerUrl, { type: 'module' });
+      const slot = {
+        id: `worker_${this.nextWorkerId++}`,
+        worker: worker,
+        task: null,
+        processedCount: 0,
+        errorCount: 0,
+        idleTimer: null
+      };
+
+      worker.onmessage = (event) => {
+        const { id, result, error } = event.data;
+        const task = slot.task;
+        if (!task || task.id !== id) return;
+
+        this.finishRunning(task, error ? this.createError(error.message, error.name, error.code) : null, false, result);
+      };
+
+      // An uncaught error (e.g. a failed module import) leaves the worker unusable
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        const task = slot.task;
+        const error = this.createError(event.message || 'Worker crashed', 'WorkerError');
+
+        if (task) {
+          this.finishRunning(task, error, true);
+        } else {
+          this.retireWorker(slot);
+        }
+      };
+
+      this.workers.push(slot);
+      console.log(`👷 Started ${slot.id} (${this.workers.length}/${this.config.maxConcurrent})`);
+      return slot;
+
+    } catch (error) {
+      console.warn('⚠️ Could not start Web Worker - running image tasks inline:', error);
+      return null;
+    }
+  }
+
+  retireWorker(slot) {
+    clearTimeout(slot.idleTimer);
+    slot.worker.terminate();
+    this.workers = this.workers.filter(candidate => candidate !== slot);
+  }
+
+  scheduleIdleTermination(slot) {
+    clearTimeout(slot.idleTimer);
+    slot.idleTimer = setTimeout(() => {
+      if (!slot.task) this.retireWorker(slot);
+    }, this.config.idleTimeout);
+  }
+
+  createError(message, name, code = null) {
+    const error = new Error(message);
+    error.name = name || 'Error';
+    error.code = code || (name === 'TimeoutError' ? 'TIMEOUT' : name === 'AbortError' ? 'CANCELLED' : null);
+    return error;
+  }
+
+  getStatus() {
+    return {
+      mode: this.inline ? 'inline' : 'worker',
+      canDecodeInWorker: this.capabilities?.decode ?? null,
+      maxConcurrent: this.config.maxConcurrent,
+      workers: this.workers.length,
+      busyWorkers: this.running.size,
+      queuedTasks: this.queue.length,
+      workerDetails: this.workers.map(slot => ({
+        id: slot.id,
+        status: slot.task ? 'busy' : 'idle',
+        currentTask: slot.task?.type || null,
+        processedCount: slot.processedCount,
+        errorCount: slot.errorCount
+      })),
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Cancel all work and stop every worker
+   */
+  terminate() {
+    this.cancelAll();
+    [...this.workers].forEach(slot => this.retireWorker(slot));
+  }
+}
+
+// Shared pool for image work - one set of workers for all services
+export const imageWorkerPool = new WorkerPool({
+  workerUrl: new URL('./imageWorker.js', import.meta.url),
+  maxConcurrent: Math.min((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2, 4)
+});
+
+// Classic-script services (BatchPhotoProcessingService) read it from window
+window.imageWorkerPool = imageWorkerPool;
+
+export function getWorkerPoolStatus() {
+  return imageWorkerPool.getStatus();
+}